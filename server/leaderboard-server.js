@@ -0,0 +1,454 @@
+/**
+ * Leaderboard Server - Reference implementation of the REST leaderboard API
+ *
+ * No dependencies: boards are kept in one JSON file, rewritten after every change. Good for
+ * self-hosting a small community or running the leaderboard flow offline; see
+ * src/systems/RestLeaderboardBackend.js for the routes.
+ *
+ *   node server/leaderboard-server.js
+ *
+ * Every entry must carry a run proof, which is re-simulated (server/verification-service.js) before
+ * the score is stored; entries that don't reproduce get a 422.
+ *
+ * A player id is claimed by the X-Player-Token sent with its first write; later writes for that id
+ * need the same token (401 without one, 403 with another). Only a hash of the token is stored.
+ * Deleting an entry takes its player's token, or Authorization: Bearer <LEADERBOARD_ADMIN_TOKEN>.
+ *
+ * Environment: PORT (8787), LEADERBOARD_DATA (server/data/leaderboard.json),
+ * LEADERBOARD_ORIGIN (CORS origin, '*'), LEADERBOARD_REQUIRE_PROOF ('0' accepts entries without
+ * a proof, e.g. from older clients - those that do send one are still verified),
+ * LEADERBOARD_ADMIN_TOKEN (unset: no admin deletes)
+ */
+
+import http from 'http';
+import { promises as fs } from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import { fileURLToPath, pathToFileURL } from 'url';
+import { verifySubmission } from './verification-service.js';
+import { LeaderboardBackend } from '../src/systems/LeaderboardBackend.js';
+
+const SERVER_DIR = path.dirname(fileURLToPath(import.meta.url));
+const DEFAULT_DATA_FILE = path.join(SERVER_DIR, 'data', 'leaderboard.json');
+const BOARD_PATTERN = /^[A-Za-z0-9_-]{1,40}$/;
+const PLAYER_ID_PATTERN = /^[A-Za-z0-9_-]{1,64}$/;
+// 2: one keyed record per player, pushed duplicates collapsed. 3: collapsed again for the unkeyed
+// entries the removed POST route kept adding.
+const DATA_VERSION = 3;
+const MAX_NAME_LENGTH = 20;
+const MAX_LIMIT = 100;
+const MAX_PLAYER_IDS = 100; // Per friends query
+const MAX_BODY_BYTES = 512 * 1024; // Room for the run proof's input log
+const MAX_TOKEN_LENGTH = 200;
+
+class HttpError extends Error {
+    constructor(status, message) {
+        super(message);
+        this.status = status;
+    }
+}
+
+/**
+ * Boards in memory, saved to a JSON file. Writes are queued so two requests never interleave.
+ */
+export class LeaderboardStore {
+    constructor(dataFile = DEFAULT_DATA_FILE) {
+        this.dataFile = dataFile;
+        this.boards = {}; // Board name -> entries, highest score first
+        this.players = {}; // Player id -> hash of the token that claimed it
+        this.writeQueue = Promise.resolve();
+    }
+
+    async load() {
+        try {
+            const saved = JSON.parse(await fs.readFile(this.dataFile, 'utf8'));
+            this.boards = saved.boards || {};
+            this.players = saved.players || {};
+            if ((saved.version || 1) < DATA_VERSION) {
+                await this.migrateDuplicateEntries();
+            }
+        } catch (error) {
+            if (error.code !== 'ENOENT') throw error;
+            this.boards = {};
+            this.players = {};
+        }
+    }
+
+    /**
+     * One-time collapse of the entries older clients pushed on every new best
+     */
+    async migrateDuplicateEntries() {
+        let removed = 0;
+        for (const [board, entries] of Object.entries(this.boards)) {
+            const duplicates = new Set(LeaderboardBackend.findDuplicateEntries(entries));
+            this.boards[board] = entries.filter(entry => !duplicates.has(entry.id));
+            removed += duplicates.size;
+        }
+        await this.save();
+        console.log(`🧹 Collapsed ${removed} duplicate leaderboard entries`);
+        return removed;
+    }
+
+    save() {
+        this.writeQueue = this.writeQueue.then(async () => {
+            await fs.mkdir(path.dirname(this.dataFile), { recursive: true });
+            const tempFile = `${this.dataFile}.tmp`;
+            await fs.writeFile(tempFile, JSON.stringify({ version: DATA_VERSION, boards: this.boards, players: this.players }, null, 2));
+            await fs.rename(tempFile, this.dataFile);
+        });
+        return this.writeQueue;
+    }
+
+    /**
+     * Check the token belongs to the player id, claiming the id for it on first use
+     * @returns {Promise<boolean>} - false when the id is claimed by another token
+     */
+    async authorizePlayer(playerId, token) {
+        const hash = hashToken(token);
+        const claimed = this.players[playerId];
+        if (claimed) {
+            return tokensMatch(claimed, hash);
+        }
+
+        this.players[playerId] = hash;
+        await this.save();
+        return true;
+    }
+
+    /**
+     * Whether the token was the one that claimed this player id (never claims it)
+     */
+    ownsPlayer(playerId, token) {
+        const claimed = this.players[playerId];
+        return !!claimed && tokensMatch(claimed, hashToken(token));
+    }
+
+    getBoard(board) {
+        return this.boards[board] || [];
+    }
+
+    /**
+     * Replace the player's record only with a higher score, on the board and on the window boards
+     * of the entry's week and day. The compares and writes happen in the same tick, so concurrent
+     * requests can't interleave between them.
+     * Window boards whose week or day is over are dropped on the way.
+     * @param {Object} [options] - { windowsOnly }
+     */
+    async upsertEntry(board, playerId, entry, options = {}) {
+        const pruned = this.pruneWindowBoards(entry.timestamp);
+        const windowResults = LeaderboardBackend.getWindowBoards(board, entry.timestamp)
+            .map(windowBoard => this.replaceIfBetter(windowBoard, playerId, entry));
+        const result = options.windowsOnly
+            ? { updated: false, previousScore: null }
+            : this.replaceIfBetter(board, playerId, entry);
+
+        if (pruned > 0 || result.updated || windowResults.some(windowResult => windowResult.updated)) {
+            await this.save();
+        }
+        return { id: playerId, ...result };
+    }
+
+    /**
+     * @returns {number} - How many expired window boards were removed
+     */
+    pruneWindowBoards(time = Date.now()) {
+        const expired = Object.keys(this.boards).filter(board => LeaderboardBackend.isExpiredWindowBoard(board, time));
+        expired.forEach(board => delete this.boards[board]);
+        return expired.length;
+    }
+
+    /**
+     * @returns {Object} - { updated, previousScore }
+     */
+    replaceIfBetter(board, playerId, entry) {
+        const entries = this.getBoard(board);
+        const existing = entries.find(stored => stored.id === playerId);
+        if (existing && existing.score >= entry.score) {
+            return { updated: false, previousScore: existing.score };
+        }
+
+        const stored = { id: playerId, ...entry, playerId: playerId };
+        this.setEntries(board, [...entries.filter(other => other !== existing), stored]);
+        return { updated: true, previousScore: existing ? existing.score : null };
+    }
+
+    setEntries(board, entries) {
+        // Ties go to whoever got there first
+        entries.sort((a, b) => b.score - a.score || a.timestamp - b.timestamp);
+        this.boards[board] = entries;
+    }
+
+    async deleteEntry(board, id) {
+        const entries = this.getBoard(board);
+        const remaining = entries.filter(entry => entry.id !== id);
+        if (remaining.length === entries.length) return false;
+
+        this.boards[board] = remaining;
+        await this.save();
+        return true;
+    }
+
+    /**
+     * @param {Object} query - { offset, limit, since, playerIds, rankOf, around }
+     * @returns {Object} - { entries, total, offset, rank }
+     */
+    query(board, query) {
+        return LeaderboardBackend.queryList(this.getBoard(board), query);
+    }
+
+    getRank(board, id, since) {
+        return LeaderboardBackend.findRank(this.getBoard(board), id, since);
+    }
+
+    getAroundRank(board, rank, range) {
+        const first = Math.max(1, rank - range);
+        return this.getBoard(board).slice(first - 1, rank + range)
+            .map((entry, index) => ({ ...entry, rank: first + index }));
+    }
+
+    getByName(board, name) {
+        return this.getBoard(board)
+            .map((entry, index) => ({ ...entry, rank: index + 1 }))
+            .filter(entry => entry.name === name);
+    }
+}
+
+function hashToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+function tokensMatch(a, b) {
+    return a.length === b.length && crypto.timingSafeEqual(Buffer.from(a), Buffer.from(b));
+}
+
+/**
+ * The player token sent with a request, or null
+ */
+function readPlayerToken(request) {
+    const token = request.headers['x-player-token'];
+    if (!token) return null;
+    if (typeof token !== 'string' || token.length > MAX_TOKEN_LENGTH) {
+        throw new HttpError(400, 'Invalid player token');
+    }
+    return token;
+}
+
+function isAdmin(request, adminToken) {
+    const header = request.headers.authorization || '';
+    if (!adminToken || !header.startsWith('Bearer ')) return false;
+    return tokensMatch(hashToken(header.slice('Bearer '.length)), hashToken(adminToken));
+}
+
+/**
+ * Check a submitted entry and keep only the known fields. Its time is the server's - the week and
+ * day boards it lands on go by it - and a Daily Run entry's date is its board's.
+ */
+function validateEntry(body, board) {
+    if (!body || typeof body !== 'object') {
+        throw new HttpError(400, 'Expected a JSON object');
+    }
+    const name = typeof body.name === 'string' ? body.name.trim() : '';
+    if (!name || name.length > MAX_NAME_LENGTH) {
+        throw new HttpError(400, `name must be 1-${MAX_NAME_LENGTH} characters`);
+    }
+    if (!Number.isInteger(body.score) || body.score < 0) {
+        throw new HttpError(400, 'score must be a non-negative integer');
+    }
+
+    const entry = {
+        name: name,
+        score: body.score,
+        survivalTime: Number.isFinite(body.survivalTime) ? body.survivalTime : 0,
+        timestamp: Date.now()
+    };
+    if (board.startsWith('daily-')) entry.dateKey = board.slice('daily-'.length);
+    return entry;
+}
+
+/**
+ * Replay the entry's run proof and refuse the score if it doesn't reproduce. The proof itself
+ * isn't stored - boards only keep what they display.
+ */
+async function checkRunProof(board, body, entry, requireProof) {
+    if (!body.proof) {
+        if (requireProof) throw new HttpError(422, 'Score rejected: run proof missing');
+        return;
+    }
+
+    const verification = await verifySubmission(board, { ...entry, proof: body.proof });
+    if (!verification.valid) {
+        console.warn(`🚫 Rejected ${entry.score} on ${board} from ${entry.name}: ${verification.reason}`);
+        throw new HttpError(422, `Score rejected: ${verification.reason}`);
+    }
+}
+
+function readBody(request) {
+    return new Promise((resolve, reject) => {
+        let body = '';
+        request.on('data', chunk => {
+            body += chunk;
+            if (body.length > MAX_BODY_BYTES) {
+                reject(new HttpError(413, 'Request body too large'));
+                request.destroy();
+            }
+        });
+        request.on('end', () => {
+            try {
+                resolve(body ? JSON.parse(body) : null);
+            } catch (error) {
+                reject(new HttpError(400, 'Invalid JSON'));
+            }
+        });
+        request.on('error', reject);
+    });
+}
+
+function parseCount(value, fallback) {
+    const count = parseInt(value, 10);
+    return Number.isNaN(count) ? fallback : Math.max(1, Math.min(MAX_LIMIT, count));
+}
+
+function parseNonNegative(value) {
+    const number = parseInt(value, 10);
+    return Number.isNaN(number) ? 0 : Math.max(0, number);
+}
+
+function parsePlayerIds(value, param = 'players') {
+    if (value === null) return null;
+    const playerIds = value.split(',').filter(Boolean);
+    if (playerIds.length > MAX_PLAYER_IDS || !playerIds.every(id => PLAYER_ID_PATTERN.test(id))) {
+        throw new HttpError(400, `${param} must be up to ${MAX_PLAYER_IDS} player ids`);
+    }
+    return playerIds;
+}
+
+/**
+ * Route one request - returns [status, body]
+ */
+async function handleRequest(store, request, url, options) {
+    const parts = url.pathname.replace(/^\/api/, '').split('/').filter(Boolean).map(decodeURIComponent);
+
+    if (request.method === 'GET' && parts.length === 1 && parts[0] === 'health') {
+        return [200, { ok: true }];
+    }
+    if (parts[0] !== 'leaderboard' || !parts[1]) {
+        throw new HttpError(404, 'Not found');
+    }
+
+    const board = parts[1];
+    if (!BOARD_PATTERN.test(board)) {
+        throw new HttpError(400, 'Invalid board name');
+    }
+
+    if (parts.length === 2 && request.method === 'GET') {
+        const params = url.searchParams;
+        if (params.get('name') !== null) {
+            return [200, { entries: store.getByName(board, params.get('name')) }];
+        }
+        return [200, store.query(board, {
+            // Without an offset an 'around' query centres on the rankOf entry
+            offset: params.get('offset') === null ? null : parseNonNegative(params.get('offset')),
+            limit: parseCount(params.get('limit'), 10),
+            since: parseNonNegative(params.get('since')),
+            playerIds: parsePlayerIds(params.get('players')),
+            rankOf: parsePlayerIds(params.get('rankOf'), 'rankOf'),
+            around: parseNonNegative(params.get('around'))
+        })];
+    }
+    if (parts.length === 4 && parts[2] === 'players' && request.method === 'PUT') {
+        if (!PLAYER_ID_PATTERN.test(parts[3])) throw new HttpError(400, 'Invalid player id');
+        const token = readPlayerToken(request);
+        if (!token) throw new HttpError(401, 'Player token required');
+        const body = await readBody(request);
+        const entry = validateEntry(body, board);
+        await checkRunProof(board, body, entry, options.requireProof);
+        if (!(await store.authorizePlayer(parts[3], token))) {
+            throw new HttpError(403, 'Player id belongs to another token');
+        }
+        return [200, await store.upsertEntry(board, parts[3], entry, { windowsOnly: url.searchParams.get('windowsOnly') === '1' })];
+    }
+    if (parts.length === 4 && parts[2] === 'around' && request.method === 'GET') {
+        const rank = parseInt(parts[3], 10);
+        if (!(rank >= 1)) throw new HttpError(400, 'rank must be 1 or more');
+        return [200, { entries: store.getAroundRank(board, rank, parseCount(url.searchParams.get('range'), 5)) }];
+    }
+    if (parts.length === 4 && parts[2] === 'rank' && request.method === 'GET') {
+        const rank = store.getRank(board, parts[3], parseNonNegative(url.searchParams.get('since')));
+        if (!rank) throw new HttpError(404, 'Not on this board');
+        return [200, rank];
+    }
+    if (parts.length === 4 && parts[2] === 'entries' && request.method === 'DELETE') {
+        // Keyed records use the player id as their entry id
+        const token = readPlayerToken(request);
+        if (!isAdmin(request, options.adminToken) && !(token && store.ownsPlayer(parts[3], token))) {
+            throw new HttpError(403, 'Only the entry\'s player or an admin can delete it');
+        }
+        if (!(await store.deleteEntry(board, parts[3]))) {
+            throw new HttpError(404, 'Entry not found');
+        }
+        return [204, null];
+    }
+
+    throw new HttpError(404, 'Not found');
+}
+
+/**
+ * @param {Object} options - { dataFile, origin, requireProof (default true), adminToken }
+ * @returns {Promise<http.Server>} - Not yet listening
+ */
+export async function createLeaderboardServer(options = {}) {
+    const store = new LeaderboardStore(options.dataFile);
+    await store.load();
+    const origin = options.origin || '*';
+    const routeOptions = { requireProof: options.requireProof !== false, adminToken: options.adminToken || null };
+
+    return http.createServer(async (request, response) => {
+        response.setHeader('Access-Control-Allow-Origin', origin);
+        response.setHeader('Access-Control-Allow-Methods', 'GET, PUT, DELETE, OPTIONS');
+        response.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization, X-Player-Token');
+
+        if (request.method === 'OPTIONS') {
+            response.writeHead(204);
+            response.end();
+            return;
+        }
+
+        let status;
+        let body;
+        try {
+            [status, body] = await handleRequest(store, request, new URL(request.url, 'http://localhost'), routeOptions);
+        } catch (error) {
+            status = error.status || 500;
+            body = { error: error.status ? error.message : 'Internal server error' };
+            if (!error.status) console.error('❌ Leaderboard request failed:', error);
+        }
+
+        if (body === null) {
+            response.writeHead(status);
+            response.end();
+        } else {
+            response.writeHead(status, { 'Content-Type': 'application/json' });
+            response.end(JSON.stringify(body));
+        }
+    });
+}
+
+// Started directly (not imported)
+if (process.argv[1] && import.meta.url === pathToFileURL(process.argv[1]).href) {
+    const port = parseInt(process.env.PORT, 10) || 8787;
+    const dataFile = process.env.LEADERBOARD_DATA || DEFAULT_DATA_FILE;
+
+    createLeaderboardServer({
+        dataFile,
+        origin: process.env.LEADERBOARD_ORIGIN,
+        requireProof: process.env.LEADERBOARD_REQUIRE_PROOF !== '0',
+        adminToken: process.env.LEADERBOARD_ADMIN_TOKEN
+    }).then(server => {
+        server.listen(port, () => {
+            console.log(`🏆 Leaderboard server on http://localhost:${port}/api (data: ${dataFile})`);
+        });
+    }).catch(error => {
+        console.error('❌ Could not start leaderboard server:', error);
+        process.exit(1);
+    });
+}
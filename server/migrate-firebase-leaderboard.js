@@ -0,0 +1,102 @@
+/**
+ * Firebase Leaderboard Migration - Collapses the duplicate entries older clients pushed and removes
+ * expired week and day boards
+ *
+ * Older clients pushed a new entry on every best score. This keeps the best entry per name on every
+ * board (LeaderboardBackend.findDuplicateEntries, as the REST server does when it loads) and
+ * removes the rest with their run proofs. It also removes the window boards under
+ * leaderboardWindows/ whose week or day is over (LeaderboardBackend.isExpiredWindowBoard), which
+ * nothing reads again. It talks to the Realtime Database REST API with an admin credential, so game
+ * clients never need the rights to delete other players' entries. Run it again now and then (e.g.
+ * daily from cron) to keep the window boards from piling up.
+ *
+ *   FIREBASE_DATABASE_URL=https://<project>-default-rtdb.firebaseio.com \
+ *   FIREBASE_ACCESS_TOKEN=<token> node server/migrate-firebase-leaderboard.js [--dry-run]
+ *
+ * Environment: FIREBASE_DATABASE_URL, and FIREBASE_ACCESS_TOKEN (an OAuth token of a service
+ * account with database access) or FIREBASE_DATABASE_SECRET (a legacy database secret)
+ */
+
+import { pathToFileURL } from 'url';
+import { LeaderboardBackend } from '../src/systems/LeaderboardBackend.js';
+
+/**
+ * @param {Object} options - { databaseUrl, accessToken, databaseSecret, dryRun, now }
+ * @returns {Promise<Object>} - { duplicates, windowBoards } removed (or that would be, for a dry run)
+ */
+export async function migrateFirebaseLeaderboard(options) {
+    const baseUrl = options.databaseUrl.replace(/\/+$/, '');
+    const auth = options.accessToken
+        ? `access_token=${encodeURIComponent(options.accessToken)}`
+        : `auth=${encodeURIComponent(options.databaseSecret)}`;
+
+    const request = async (path, init = {}, query = '') => {
+        const response = await fetch(`${baseUrl}/${path}.json?${auth}${query}`, init);
+        if (!response.ok) {
+            throw new Error(`HTTP ${response.status} from ${path}: ${await response.text()}`);
+        }
+        return response.json();
+    };
+
+    const [difficultyBoards, dailyBoards, windowBoards] = await Promise.all([
+        request('leaderboard'),
+        request('dailyLeaderboard'),
+        // Just the board names - their entries aren't needed
+        request('leaderboardWindows', {}, '&shallow=true')
+    ]);
+    const boards = [
+        ...Object.entries(difficultyBoards || {}).map(([key, entries]) => [key, `leaderboard/${key}`, entries]),
+        ...Object.entries(dailyBoards || {}).map(([key, entries]) => [`daily-${key}`, `dailyLeaderboard/${key}`, entries])
+    ];
+
+    // Every removal goes in one multi-path update, so a failed run leaves the database untouched
+    const removals = {};
+    let removed = 0;
+    for (const [board, boardPath, boardEntries] of boards) {
+        const entries = Object.entries(boardEntries || {}).map(([id, entry]) => ({ id, ...entry }));
+        const duplicates = LeaderboardBackend.findDuplicateEntries(entries);
+        duplicates.forEach(id => {
+            removals[`${boardPath}/${id}`] = null;
+            removals[`runProofs/${board}/${id}`] = null;
+        });
+        if (duplicates.length > 0) {
+            console.log(`🧹 ${board}: ${duplicates.length} of ${entries.length} entries are duplicates`);
+        }
+        removed += duplicates.length;
+    }
+
+    const expired = Object.keys(windowBoards || {})
+        .filter(board => LeaderboardBackend.isExpiredWindowBoard(board, options.now || Date.now()));
+    expired.forEach(board => {
+        removals[`leaderboardWindows/${board}`] = null;
+        removals[`runProofs/${board}`] = null;
+    });
+
+    if (Object.keys(removals).length > 0 && !options.dryRun) {
+        await request('', { method: 'PATCH', body: JSON.stringify(removals) });
+    }
+    return { duplicates: removed, windowBoards: expired.length };
+}
+
+// Started directly (not imported)
+if (process.argv[1] && import.meta.url === pathToFileURL(process.argv[1]).href) {
+    const options = {
+        databaseUrl: process.env.FIREBASE_DATABASE_URL,
+        accessToken: process.env.FIREBASE_ACCESS_TOKEN,
+        databaseSecret: process.env.FIREBASE_DATABASE_SECRET,
+        dryRun: process.argv.includes('--dry-run')
+    };
+    if (!options.databaseUrl || !(options.accessToken || options.databaseSecret)) {
+        console.error('❌ Set FIREBASE_DATABASE_URL and FIREBASE_ACCESS_TOKEN (or FIREBASE_DATABASE_SECRET)');
+        process.exit(1);
+    }
+
+    migrateFirebaseLeaderboard(options).then(({ duplicates, windowBoards }) => {
+        console.log(options.dryRun
+            ? `🔍 Dry run: ${duplicates} duplicate entries and ${windowBoards} expired window boards would be removed`
+            : `✅ Removed ${duplicates} duplicate entries and ${windowBoards} expired window boards`);
+    }).catch(error => {
+        console.error('❌ Migration failed:', error);
+        process.exit(1);
+    });
+}
@@ -0,0 +1,185 @@
+/**
+ * Verification Service - Replays leaderboard run proofs and rejects scores that don't reproduce
+ *
+ * Each proof is re-simulated by src/core/RunVerifier.js in a worker thread, one at a time, so a
+ * long run never blocks the server that asked. leaderboard-server.js calls verifySubmission()
+ * before storing an entry; other backends can POST to the standalone service instead:
+ *
+ *   node server/verification-service.js
+ *   POST /verify { board, entry } -> { valid, reason, result }
+ *
+ * Environment: PORT (8788), VERIFICATION_ORIGIN (CORS origin, '*')
+ */
+
+import http from 'http';
+import { Worker, isMainThread, parentPort, workerData } from 'worker_threads';
+import { pathToFileURL } from 'url';
+import { DAILY_CHALLENGE, RUN_VERIFICATION } from '../src/utils/constants.js';
+import { DailyChallengeSystem } from '../src/systems/DailyChallengeSystem.js';
+
+const MAX_BODY_BYTES = 512 * 1024; // A 30 minute input log stays well under this
+const DAILY_BOARD_PATTERN = /^daily-(\d{4}-\d{2}-\d{2})$/;
+
+let verificationQueue = Promise.resolve();
+
+/**
+ * Re-simulate a proof in a worker thread
+ * @param {Object} proof - Replay of the run
+ * @param {Object} claim - { distance, packets, score[, survivalTime] }
+ * @param {Object} options - { timeout }
+ * @returns {Promise<Object>} - { valid, reason, result }
+ */
+export function verifyRun(proof, claim, options = {}) {
+    const timeout = options.timeout || RUN_VERIFICATION.TIMEOUT;
+    const run = () => new Promise(resolve => {
+        const worker = new Worker(new URL(import.meta.url), { workerData: { proof, claim } });
+        const timeoutId = setTimeout(() => {
+            worker.terminate();
+            resolve({ valid: false, reason: `verification took longer than ${timeout}ms`, result: null });
+        }, timeout);
+
+        worker.once('message', outcome => {
+            clearTimeout(timeoutId);
+            resolve(outcome);
+        });
+        worker.once('error', error => {
+            clearTimeout(timeoutId);
+            console.error('❌ Verification worker failed:', error);
+            resolve({ valid: false, reason: 'verification failed', result: null });
+        });
+    });
+
+    // One simulation at a time - they are CPU bound
+    const outcome = verificationQueue.then(run);
+    verificationQueue = outcome.catch(() => null);
+    return outcome;
+}
+
+/**
+ * Check the proof is a run of the board it is submitted to
+ * @returns {string|null} - Why it isn't, or null
+ */
+export function checkProofMatchesBoard(proof, board) {
+    const daily = DAILY_BOARD_PATTERN.exec(board);
+    if (!daily) {
+        if (proof.mode !== 'normal') return `a ${proof.mode} run can't be submitted to ${board}`;
+        if (proof.difficulty !== board) return `run was played on ${proof.difficulty}, not ${board}`;
+        return null;
+    }
+
+    const loadout = [...DAILY_CHALLENGE.loadout].sort().join(',');
+    if (proof.mode !== 'daily') return `only Daily Runs can be submitted to ${board}`;
+    if (proof.seed !== DailyChallengeSystem.getSeedForDate(daily[1])) return `run is not the ${daily[1]} Daily Run course`;
+    if (proof.difficulty !== DAILY_CHALLENGE.difficulty || !Array.isArray(proof.upgrades) ||
+        [...proof.upgrades].sort().join(',') !== loadout) {
+        return 'run does not use the Daily Run settings';
+    }
+    return null;
+}
+
+/**
+ * Verify a leaderboard entry against the run proof it carries
+ * @param {string} board - Board name ('EASY', 'daily-2025-01-31')
+ * @param {Object} entry - { score, survivalTime, proof }
+ * @returns {Promise<Object>} - { valid, reason, result }
+ */
+export async function verifySubmission(board, entry, options = {}) {
+    const proof = entry && entry.proof;
+    if (!proof || typeof proof !== 'object' || !proof.result) {
+        return { valid: false, reason: 'run proof missing', result: null };
+    }
+
+    const boardMismatch = checkProofMatchesBoard(proof, board);
+    if (boardMismatch) {
+        return { valid: false, reason: boardMismatch, result: null };
+    }
+
+    // Distance and packets only travel in the proof; score and time are what the board shows
+    return verifyRun(proof, {
+        distance: proof.result.distance,
+        packets: proof.result.packets,
+        score: entry.score,
+        survivalTime: entry.survivalTime
+    }, options);
+}
+
+function readBody(request) {
+    return new Promise((resolve, reject) => {
+        let body = '';
+        request.on('data', chunk => {
+            body += chunk;
+            if (body.length > MAX_BODY_BYTES) {
+                reject(Object.assign(new Error('Request body too large'), { status: 413 }));
+                request.destroy();
+            }
+        });
+        request.on('end', () => {
+            try {
+                resolve(body ? JSON.parse(body) : null);
+            } catch (error) {
+                reject(Object.assign(new Error('Invalid JSON'), { status: 400 }));
+            }
+        });
+        request.on('error', reject);
+    });
+}
+
+/**
+ * @param {Object} options - { origin }
+ * @returns {http.Server} - Not yet listening
+ */
+export function createVerificationServer(options = {}) {
+    const origin = options.origin || '*';
+
+    return http.createServer(async (request, response) => {
+        response.setHeader('Access-Control-Allow-Origin', origin);
+        response.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
+        response.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+
+        if (request.method === 'OPTIONS') {
+            response.writeHead(204);
+            response.end();
+            return;
+        }
+
+        const pathname = new URL(request.url, 'http://localhost').pathname.replace(/^\/api/, '');
+        let status = 200;
+        let body;
+        try {
+            if (request.method === 'GET' && pathname === '/health') {
+                body = { ok: true };
+            } else if (request.method === 'POST' && pathname === '/verify') {
+                const payload = await readBody(request);
+                if (!payload || typeof payload.board !== 'string' || !payload.entry) {
+                    throw Object.assign(new Error('Expected { board, entry }'), { status: 400 });
+                }
+                body = await verifySubmission(payload.board, payload.entry);
+            } else {
+                throw Object.assign(new Error('Not found'), { status: 404 });
+            }
+        } catch (error) {
+            status = error.status || 500;
+            body = { error: error.status ? error.message : 'Internal server error' };
+            if (!error.status) console.error('❌ Verification request failed:', error);
+        }
+
+        response.writeHead(status, { 'Content-Type': 'application/json' });
+        response.end(JSON.stringify(body));
+    });
+}
+
+if (!isMainThread && workerData && workerData.proof) {
+    // Worker: the game logs every jump and pickup, which is noise here
+    console.log = () => {};
+    console.warn = () => {};
+
+    const { RunVerifier } = await import('../src/core/RunVerifier.js');
+    const outcome = await new RunVerifier().verify(workerData.proof, workerData.claim);
+    parentPort.postMessage(outcome);
+} else if (process.argv[1] && import.meta.url === pathToFileURL(process.argv[1]).href) {
+    // Started directly (not imported)
+    const port = parseInt(process.env.PORT, 10) || 8788;
+    createVerificationServer({ origin: process.env.VERIFICATION_ORIGIN }).listen(port, () => {
+        console.log(`🔎 Run verification service on http://localhost:${port}/api/verify`);
+    });
+}
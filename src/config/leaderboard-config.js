@@ -0,0 +1,30 @@
+/**
+ * Leaderboard Configuration
+ * Which backend stores leaderboard scores - 'rest' for a server such as server/leaderboard-server.js,
+ * or 'firebase' (the Realtime Database set up in index.html)
+ *
+ * The REST server is the default because only it re-simulates run proofs before storing a score.
+ * Firebase keeps the proof next to the entry but accepts the score as sent, so it's only for
+ * boards where unverified scores are acceptable (audit them with server/verification-service.js).
+ */
+
+import { RUN_VERIFICATION } from '../utils/constants.js';
+
+// Set window.leaderboardConfig before the game loads to switch backends without a code change.
+// Not read from the page URL: the REST backend sends the player's token to restUrl, so a crafted
+// link must not be able to point it at another host.
+const getLeaderboardConfig = () => {
+    const overrides = typeof window !== 'undefined' && window.leaderboardConfig ? window.leaderboardConfig : {};
+
+    return {
+        backend: overrides.backend || 'rest',
+        restUrl: overrides.restUrl || 'http://localhost:8787/api',
+        pollInterval: overrides.pollInterval || 10000, // ms between refreshes when a backend has no live updates
+        requestTimeout: overrides.requestTimeout || 5000,
+        // Score submissions wait for the server to re-simulate the run, which may take up to its
+        // verification budget
+        submitTimeout: overrides.submitTimeout || RUN_VERIFICATION.TIMEOUT + 5000
+    };
+};
+
+export const leaderboardConfig = getLeaderboardConfig();
@@ -0,0 +1,143 @@
+/**
+ * Ally Drone - Companion that follows the player, sweeps up nearby data packets and
+ * soaks up the occasional hit
+ *
+ * Packets are collected through PhysicsEngine.checkCollectibles, so they pay out exactly like
+ * packets the player touches. Movement and recharge only use the simulated deltaTime.
+ */
+
+import { ALLY_DRONE } from '../utils/constants.js';
+
+export class AllyDrone {
+    /**
+     * @param {Player} player - Player to follow
+     * @param {number} level - Upgrade tier (1-3)
+     */
+    constructor(player, level) {
+        this.player = player;
+        this.setLevel(level);
+        this.x = player.x + ALLY_DRONE.FOLLOW_OFFSET_X;
+        this.y = player.y + ALLY_DRONE.FOLLOW_OFFSET_Y;
+        this.previousX = this.x;
+        this.previousY = this.y;
+        this.size = ALLY_DRONE.SIZE;
+        this.collectTimer = 0;
+        this.absorbRecharge = 0; // ms until the drone can block another hit
+        this.trail = [];
+        this.age = 0;
+    }
+
+    setLevel(level) {
+        this.level = level;
+        this.config = ALLY_DRONE.LEVELS[Math.min(Math.max(level, 1), 3)];
+    }
+
+    canAbsorb() {
+        return this.absorbRecharge <= 0;
+    }
+
+    update(deltaTime, physicsEngine) {
+        const player = this.player;
+        this.previousX = this.x;
+        this.previousY = this.y;
+        this.age += deltaTime;
+        this.absorbRecharge = Math.max(0, this.absorbRecharge - deltaTime);
+
+        // Ease towards a spot behind the player's shoulder
+        const targetX = player.x + player.width / 2 + ALLY_DRONE.FOLLOW_OFFSET_X * player.facingDirection - this.size / 2;
+        const targetY = player.y + ALLY_DRONE.FOLLOW_OFFSET_Y;
+        const follow = Math.min(1, ALLY_DRONE.FOLLOW_SPEED * deltaTime / 1000);
+        this.x += (targetX - this.x) * follow;
+        this.y += (targetY - this.y) * follow;
+
+        this.trail.push({ x: this.x + this.size / 2, y: this.y + this.size / 2 });
+        if (this.trail.length > ALLY_DRONE.TRAIL_LENGTH) {
+            this.trail.shift();
+        }
+
+        // Sweep for packets every so often
+        this.collectTimer -= deltaTime;
+        if (this.collectTimer <= 0 && physicsEngine && player.game) {
+            this.collectTimer = ALLY_DRONE.COLLECT_INTERVAL;
+            const radius = this.config.collectRadius;
+            const centerX = this.x + this.size / 2;
+            const centerY = this.y + this.size / 2;
+            const collected = physicsEngine.checkCollectibles(centerX - radius, centerY - radius, radius * 2, radius * 2, player.game);
+            if (collected.length > 0) {
+                player.handleCollectibles(collected);
+            }
+        }
+    }
+
+    /**
+     * Block a hit if charged - called from Player.takeDamage
+     * @returns {boolean} - True if the hit was absorbed
+     */
+    tryAbsorbHit() {
+        if (!this.canAbsorb()) return false;
+        this.absorbRecharge = this.config.absorbCooldown;
+        console.log(`🤖 Ally drone absorbed a hit (recharging for ${this.config.absorbCooldown / 1000}s)`);
+        return true;
+    }
+
+    draw(ctx, camera) {
+        // Interpolate between simulation steps like the player does
+        const alpha = this.player.game ? this.player.game.renderAlpha : 1;
+        const renderX = this.previousX + (this.x - this.previousX) * alpha;
+        const renderY = this.previousY + (this.y - this.previousY) * alpha;
+        const bob = Math.sin(this.age / 200) * 2; // Visual only
+        const centerX = renderX + this.size / 2 - camera.x;
+        const centerY = renderY + this.size / 2 - camera.y + bob;
+        const color = this.canAbsorb() ? '#39d0d8' : '#8b949e';
+
+        ctx.save();
+
+        // Fading trail
+        this.trail.forEach((point, index) => {
+            const alpha = (index + 1) / this.trail.length;
+            ctx.fillStyle = `rgba(57, 208, 216, ${alpha * 0.35})`;
+            ctx.beginPath();
+            ctx.arc(point.x - camera.x, point.y - camera.y + bob, 2 + alpha * 2, 0, Math.PI * 2);
+            ctx.fill();
+        });
+
+        // Shield ring while a hit can be absorbed
+        if (this.canAbsorb()) {
+            ctx.strokeStyle = 'rgba(57, 208, 216, 0.6)';
+            ctx.lineWidth = 1.5;
+            ctx.beginPath();
+            ctx.arc(centerX, centerY, this.size * 0.9 + Math.sin(this.age / 150) * 1.5, 0, Math.PI * 2);
+            ctx.stroke();
+        }
+
+        // Body
+        ctx.shadowColor = color;
+        ctx.shadowBlur = 8;
+        ctx.fillStyle = '#161b22';
+        ctx.beginPath();
+        ctx.arc(centerX, centerY, this.size / 2, 0, Math.PI * 2);
+        ctx.fill();
+        ctx.strokeStyle = color;
+        ctx.lineWidth = 2;
+        ctx.stroke();
+
+        // Eye looks where the player is heading
+        ctx.shadowBlur = 0;
+        ctx.fillStyle = color;
+        ctx.beginPath();
+        ctx.arc(centerX + this.player.facingDirection * 2, centerY, 2.5, 0, Math.PI * 2);
+        ctx.fill();
+
+        // Recharge arc
+        if (!this.canAbsorb()) {
+            const charged = 1 - this.absorbRecharge / this.config.absorbCooldown;
+            ctx.strokeStyle = '#39d0d8';
+            ctx.lineWidth = 2;
+            ctx.beginPath();
+            ctx.arc(centerX, centerY, this.size * 0.9, -Math.PI / 2, -Math.PI / 2 + charged * Math.PI * 2);
+            ctx.stroke();
+        }
+
+        ctx.restore();
+    }
+}
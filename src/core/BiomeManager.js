@@ -0,0 +1,128 @@
+/**
+ * Biome Manager - Plans the sequence of multi-chunk biomes for a world seed
+ *
+ * Biomes are laid out as segments of consecutive chunks. The plan is drawn from its own
+ * seeded generator, so the same seed always produces the same biome order regardless of
+ * the order chunks are generated in. The first chunk of every biome after the first is a
+ * transition chunk that blends the two palettes and eases off the obstacles.
+ */
+
+import { BIOMES, BIOME_TRANSITION_MIX } from '../utils/constants.js';
+import { SeededRandom } from '../utils/SeededRandom.js';
+
+const STARTING_BIOME = 'MAINFRAME';
+const TRANSITION_BLEND_STEPS = 4; // Palette steps across a transition chunk
+
+export class BiomeManager {
+    /**
+     * @param {number} seed - World seed
+     */
+    constructor(seed) {
+        this.reset(seed);
+    }
+
+    /**
+     * Start a new plan for a seed
+     */
+    reset(seed) {
+        this.rng = new SeededRandom(SeededRandom.normalizeSeed(`${seed}-biomes`));
+        this.segments = [];
+        this.paletteCache = new Map();
+        this.appendSegment(STARTING_BIOME, 0);
+    }
+
+    appendSegment(biomeId, startChunk) {
+        const { min, max } = BIOMES[biomeId].chunks;
+        const length = this.rng.int(min, max);
+        this.segments.push({
+            biomeId: biomeId,
+            startChunk: startChunk,
+            endChunk: startChunk + length - 1,
+            previousBiomeId: this.segments.length > 0 ? this.segments[this.segments.length - 1].biomeId : null
+        });
+    }
+
+    /**
+     * Extend the plan until it covers the given chunk
+     */
+    ensurePlanned(chunkX) {
+        let last = this.segments[this.segments.length - 1];
+        while (last.endChunk < chunkX) {
+            // The starting biome only opens the run, and never repeat the biome we're leaving
+            const candidates = Object.keys(BIOMES).filter(id => id !== last.biomeId && id !== STARTING_BIOME);
+            const nextBiome = candidates[Math.floor(this.rng.next() * candidates.length)];
+            this.appendSegment(nextBiome, last.endChunk + 1);
+            last = this.segments[this.segments.length - 1];
+        }
+    }
+
+    getSegment(chunkX) {
+        const chunk = Math.max(0, chunkX);
+        this.ensurePlanned(chunk);
+        return this.segments.find(segment => chunk >= segment.startChunk && chunk <= segment.endChunk);
+    }
+
+    /**
+     * Get the biome id and definition for a chunk
+     */
+    getBiome(chunkX) {
+        const segment = this.getSegment(chunkX);
+        return { id: segment.biomeId, ...BIOMES[segment.biomeId] };
+    }
+
+    isTransitionChunk(chunkX) {
+        const segment = this.getSegment(chunkX);
+        return segment.previousBiomeId !== null && chunkX === segment.startChunk;
+    }
+
+    /**
+     * Obstacle chance multipliers for a chunk (transition chunks get a breather)
+     */
+    getObstacleMix(chunkX) {
+        return this.isTransitionChunk(chunkX) ? BIOME_TRANSITION_MIX : BIOMES[this.getSegment(chunkX).biomeId].obstacleMix;
+    }
+
+    /**
+     * Palette for a tile column; transition chunks fade from the old biome to the new one
+     * @param {number} chunkX - Chunk index
+     * @param {number} column - Tile column within the chunk
+     * @param {number} chunkWidth - Tiles per chunk
+     */
+    getPalette(chunkX, column, chunkWidth) {
+        const segment = this.getSegment(chunkX);
+        if (!this.isTransitionChunk(chunkX)) {
+            return BIOMES[segment.biomeId].palette;
+        }
+
+        const step = Math.min(TRANSITION_BLEND_STEPS, Math.floor((column / chunkWidth) * (TRANSITION_BLEND_STEPS + 1)) + 1);
+        const key = `${segment.previousBiomeId}>${segment.biomeId}:${step}`;
+        if (!this.paletteCache.has(key)) {
+            this.paletteCache.set(key, this.blendPalettes(
+                BIOMES[segment.previousBiomeId].palette,
+                BIOMES[segment.biomeId].palette,
+                step / (TRANSITION_BLEND_STEPS + 1)
+            ));
+        }
+        return this.paletteCache.get(key);
+    }
+
+    blendPalettes(from, to, amount) {
+        const blended = {};
+        Object.keys(to).forEach(key => {
+            blended[key] = this.blendHex(from[key], to[key], amount);
+        });
+        return blended;
+    }
+
+    blendHex(fromHex, toHex, amount) {
+        const from = parseInt(fromHex.replace('#', ''), 16);
+        const to = parseInt(toHex.replace('#', ''), 16);
+        const channel = shift => {
+            const a = (from >> shift) & 0xFF;
+            const b = (to >> shift) & 0xFF;
+            return Math.round(a + (b - a) * amount);
+        };
+        const value = (channel(16) << 16) | (channel(8) << 8) | channel(0);
+        return `#${value.toString(16).padStart(6, '0')}`;
+    }
+}
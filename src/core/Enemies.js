@@ -0,0 +1,285 @@
+/**
+ * Enemies - Moving hostile programs that live above the chunk tile grid
+ *
+ * Every enemy exposes update(deltaTime, context), draw(ctx, camera, time) and getHitbox().
+ * Movement only uses the simulated deltaTime so runs stay reproducible; collision with the
+ * player is resolved by PhysicsEngine.checkEnemyCollisions.
+ */
+
+import { ENEMY_CONFIG, GAME_CONFIG, TILE_TYPES } from '../utils/constants.js';
+
+export class Enemy {
+    /**
+     * @param {string} type - Key into ENEMY_CONFIG.TYPES
+     * @param {number} x - World x in pixels
+     * @param {number} y - World y in pixels
+     * @param {number} chunkX - Chunk the enemy was spawned with (used for culling)
+     */
+    constructor(type, x, y, chunkX) {
+        this.type = type;
+        this.config = ENEMY_CONFIG.TYPES[type];
+        this.name = this.config.name;
+        this.damage = this.config.damage;
+        this.x = x;
+        this.y = y;
+        this.width = this.config.width;
+        this.height = this.config.height;
+        this.chunkX = chunkX;
+        this.age = 0;
+        this.dead = false;
+    }
+
+    update(deltaTime, context) {
+        this.age += deltaTime;
+    }
+
+    getHitbox() {
+        // Slightly forgiving hitbox so grazes don't count
+        return { x: this.x + 2, y: this.y + 2, width: this.width - 4, height: this.height - 4 };
+    }
+
+    draw(ctx, camera, time) {}
+}
+
+/**
+ * Firewall bot - walks back and forth along a stretch of ground
+ */
+export class PatrolBot extends Enemy {
+    constructor(x, y, chunkX, minX, maxX) {
+        super('patrolBot', x, y, chunkX);
+        this.minX = minX;
+        this.maxX = maxX - this.width;
+        this.direction = 1;
+    }
+
+    update(deltaTime, context) {
+        super.update(deltaTime, context);
+        this.x += this.direction * this.config.speed * (deltaTime / 1000);
+
+        if (this.x >= this.maxX) {
+            this.x = this.maxX;
+            this.direction = -1;
+        } else if (this.x <= this.minX) {
+            this.x = this.minX;
+            this.direction = 1;
+        }
+    }
+
+    draw(ctx, camera, time) {
+        const x = this.x - camera.x;
+        const y = this.y - camera.y;
+
+        ctx.save();
+        ctx.shadowColor = '#f85149';
+        ctx.shadowBlur = 8;
+
+        // Body
+        ctx.fillStyle = '#7f1d1d';
+        ctx.fillRect(x, y + 4, this.width, this.height - 8);
+        ctx.fillStyle = '#f85149';
+        ctx.fillRect(x, y + 4, this.width, 3);
+
+        // Scanning eye on the side it is walking towards
+        const eyeX = this.direction > 0 ? x + this.width - 9 : x + 3;
+        ctx.fillStyle = Math.floor(time * 4) % 2 === 0 ? '#ffd700' : '#ff6b35';
+        ctx.fillRect(eyeX, y + 9, 6, 4);
+        ctx.shadowBlur = 0;
+
+        // Wheels
+        ctx.fillStyle = '#30363d';
+        const wheelSpin = (this.x * 0.2) % (Math.PI * 2);
+        [x + 6, x + this.width - 6].forEach(wheelX => {
+            ctx.beginPath();
+            ctx.arc(wheelX, y + this.height - 4, 4, 0, Math.PI * 2);
+            ctx.fill();
+            ctx.strokeStyle = '#8b949e';
+            ctx.beginPath();
+            ctx.moveTo(wheelX, y + this.height - 4);
+            ctx.lineTo(wheelX + Math.cos(wheelSpin) * 4, y + this.height - 4 + Math.sin(wheelSpin) * 4);
+            ctx.stroke();
+        });
+        ctx.restore();
+    }
+}
+
+/**
+ * Hover drone - hangs in the air and follows the player's height once it is close
+ */
+export class HoverDrone extends Enemy {
+    constructor(x, y, chunkX, minY, maxY) {
+        super('hoverDrone', x, y, chunkX);
+        this.baseY = y;
+        this.minY = minY;
+        this.maxY = maxY;
+        this.tracking = false;
+    }
+
+    update(deltaTime, context) {
+        super.update(deltaTime, context);
+        const player = context.player;
+
+        let targetY = this.baseY;
+        this.tracking = !!player && Math.abs((player.x + player.width / 2) - (this.x + this.width / 2)) < this.config.trackRange;
+        if (this.tracking) {
+            targetY = player.y + player.height / 2 - this.height / 2;
+        }
+        targetY = Math.max(this.minY, Math.min(this.maxY, targetY));
+
+        const maxStep = this.config.trackSpeed * (deltaTime / 1000);
+        this.y += Math.max(-maxStep, Math.min(maxStep, targetY - this.y));
+    }
+
+    draw(ctx, camera, time) {
+        const bob = Math.sin(time * 5 + this.x) * 2; // Visual only, the hitbox doesn't bob
+        const centerX = this.x + this.width / 2 - camera.x;
+        const centerY = this.y + this.height / 2 - camera.y + bob;
+
+        ctx.save();
+
+        // Rotors
+        ctx.strokeStyle = '#8b949e';
+        ctx.lineWidth = 2;
+        const rotor = Math.abs(Math.sin(time * 40)) * 9 + 3;
+        [-9, 9].forEach(offset => {
+            ctx.beginPath();
+            ctx.moveTo(centerX + offset - rotor / 2, centerY - 8);
+            ctx.lineTo(centerX + offset + rotor / 2, centerY - 8);
+            ctx.stroke();
+        });
+
+        // Body
+        ctx.shadowColor = this.tracking ? '#f85149' : '#a855f7';
+        ctx.shadowBlur = 10;
+        ctx.fillStyle = '#2e2148';
+        ctx.beginPath();
+        ctx.ellipse(centerX, centerY, this.width / 2, this.height / 2 - 2, 0, 0, Math.PI * 2);
+        ctx.fill();
+
+        // Eye turns red when locked on
+        ctx.fillStyle = this.tracking ? '#f85149' : '#c084fc';
+        ctx.beginPath();
+        ctx.arc(centerX, centerY + 1, 4, 0, Math.PI * 2);
+        ctx.fill();
+        ctx.restore();
+    }
+}
+
+/**
+ * Sentry turret - sits on the ground and fires aimed projectiles while the player is in range
+ */
+export class Turret extends Enemy {
+    constructor(x, y, chunkX) {
+        super('turret', x, y, chunkX);
+        this.fireTimer = this.config.fireInterval / 2; // First shot comes a little sooner
+        this.aimAngle = Math.PI; // Starts facing left, towards the oncoming player
+    }
+
+    update(deltaTime, context) {
+        super.update(deltaTime, context);
+        const player = context.player;
+        if (!player) return;
+
+        const muzzle = this.getMuzzle();
+        const dx = (player.x + player.width / 2) - muzzle.x;
+        const dy = (player.y + player.height / 2) - muzzle.y;
+        if (Math.hypot(dx, dy) > this.config.range) {
+            this.fireTimer = Math.max(this.fireTimer, this.config.fireInterval / 2);
+            return;
+        }
+
+        this.aimAngle = Math.atan2(dy, dx);
+        this.fireTimer -= deltaTime;
+        if (this.fireTimer <= 0) {
+            this.fireTimer = this.config.fireInterval;
+            context.spawnProjectile(new Projectile(muzzle.x, muzzle.y, this.aimAngle, this));
+        }
+    }
+
+    getMuzzle() {
+        return { x: this.x + this.width / 2, y: this.y + 6 };
+    }
+
+    draw(ctx, camera, time) {
+        const x = this.x - camera.x;
+        const y = this.y - camera.y;
+        const muzzle = this.getMuzzle();
+
+        ctx.save();
+
+        // Barrel follows the aim
+        ctx.translate(muzzle.x - camera.x, muzzle.y - camera.y);
+        ctx.rotate(this.aimAngle);
+        ctx.fillStyle = '#94A3B8';
+        ctx.fillRect(0, -3, 16, 6);
+        ctx.restore();
+        ctx.save();
+
+        // Dome and base
+        ctx.fillStyle = '#475569';
+        ctx.beginPath();
+        ctx.arc(muzzle.x - camera.x, muzzle.y - camera.y, 8, Math.PI, 0);
+        ctx.fill();
+        ctx.fillStyle = '#334155';
+        ctx.fillRect(x, y + 6, this.width, this.height - 6);
+
+        // Charge light brightens before each shot
+        const charge = 1 - Math.max(0, this.fireTimer) / this.config.fireInterval;
+        ctx.fillStyle = `rgba(248, 81, 73, ${0.3 + charge * 0.7})`;
+        ctx.shadowColor = '#f85149';
+        ctx.shadowBlur = 6 * charge;
+        ctx.fillRect(x + this.width / 2 - 3, y + 11, 6, 4);
+        ctx.restore();
+    }
+}
+
+/**
+ * Turret shot - flies in a straight line until it hits solid ground or times out
+ */
+export class Projectile {
+    constructor(x, y, angle, owner) {
+        const config = ENEMY_CONFIG.TYPES.turret;
+        this.isProjectile = true;
+        this.name = owner.name;
+        this.damage = owner.damage;
+        this.size = config.projectileSize;
+        this.x = x - this.size / 2;
+        this.y = y - this.size / 2;
+        this.width = this.size;
+        this.height = this.size;
+        this.vx = Math.cos(angle) * config.projectileSpeed;
+        this.vy = Math.sin(angle) * config.projectileSpeed;
+        this.lifetime = config.projectileLifetime;
+        this.dead = false;
+    }
+
+    update(deltaTime, context) {
+        this.lifetime -= deltaTime;
+        this.x += this.vx * (deltaTime / 1000);
+        this.y += this.vy * (deltaTime / 1000);
+
+        const tile = context.world.getTileAtPixel(this.x + this.size / 2, this.y + this.size / 2);
+        if (this.lifetime <= 0 || tile === TILE_TYPES.FLOOR ||
+            tile === TILE_TYPES.CONVEYOR_LEFT || tile === TILE_TYPES.CONVEYOR_RIGHT ||
+            this.y > GAME_CONFIG.CHUNK_HEIGHT * GAME_CONFIG.TILE_SIZE) {
+            this.dead = true;
+        }
+    }
+
+    getHitbox() {
+        return { x: this.x, y: this.y, width: this.width, height: this.height };
+    }
+
+    draw(ctx, camera) {
+        const centerX = this.x + this.size / 2 - camera.x;
+        const centerY = this.y + this.size / 2 - camera.y;
+
+        ctx.save();
+        ctx.shadowColor = '#f85149';
+        ctx.shadowBlur = 10;
+        ctx.fillStyle = '#ff6b6b';
+        ctx.beginPath();
+        ctx.arc(centerX, centerY, this.size / 2, 0, Math.PI * 2);
+        ctx.fill();
+        ctx.restore();
+    }
+}
@@ -0,0 +1,181 @@
+/**
+ * Enemy Manager - Spawns, updates, culls and draws the enemy entity layer
+ *
+ * Enemies are placed when their chunk is generated, using that chunk's seeded random stream,
+ * and removed together with the chunk in WorldGenerator.cleanupOldChunks.
+ */
+
+import { ENEMY_CONFIG, GAME_CONFIG, TILE_TYPES } from '../utils/constants.js';
+import { PatrolBot, HoverDrone, Turret } from './Enemies.js';
+
+// Ground tiles an enemy can stand on
+const GROUND_TILES = [TILE_TYPES.FLOOR, TILE_TYPES.CONVEYOR_LEFT, TILE_TYPES.CONVEYOR_RIGHT];
+
+export class EnemyManager {
+    /**
+     * @param {WorldGenerator} world - World the enemies live in
+     */
+    constructor(world) {
+        this.world = world;
+        this.reset();
+    }
+
+    reset() {
+        this.enemies = [];
+        this.projectiles = [];
+        this.time = 0; // Seconds of simulated time, for animation
+    }
+
+    /**
+     * Roll and place the enemies for a freshly generated chunk
+     * @param {Object} chunk - Chunk with its final tiles (after reachability repairs)
+     * @param {SeededRandom} rng - The chunk's random stream
+     * @param {Object} mix - Biome obstacle mix (enemyChance multiplier)
+     */
+    spawnForChunk(chunk, rng, mix = {}) {
+        if (chunk.x < ENEMY_CONFIG.SPAWN_START_CHUNK || chunk.terrainType === 'spawn') return;
+
+        const difficulty = this.world.difficulty || 1;
+        const chance = Math.min(
+            ENEMY_CONFIG.BASE_CHANCE + (difficulty - 1) * ENEMY_CONFIG.CHANCE_PER_DIFFICULTY,
+            ENEMY_CONFIG.MAX_CHANCE
+        ) * (mix.enemyChance ?? 1);
+
+        const usedColumns = new Set();
+        for (let i = 0; i < ENEMY_CONFIG.MAX_PER_CHUNK; i++) {
+            // Extra enemies are progressively rarer
+            if (rng.next() >= chance / (i + 1)) break;
+
+            const type = this.pickType(rng, difficulty);
+            const enemy = type ? this.createEnemy(type, chunk, rng, usedColumns) : null;
+            if (enemy) {
+                this.enemies.push(enemy);
+            }
+        }
+    }
+
+    /**
+     * Weighted pick among the enemy types unlocked at this difficulty
+     */
+    pickType(rng, difficulty) {
+        const eligible = Object.entries(ENEMY_CONFIG.TYPES).filter(([, config]) => difficulty >= config.minDifficulty);
+        if (eligible.length === 0) return null;
+
+        const totalWeight = eligible.reduce((sum, [, config]) => sum + config.weight, 0);
+        let roll = rng.next() * totalWeight;
+        for (const [type, config] of eligible) {
+            roll -= config.weight;
+            if (roll < 0) return type;
+        }
+        return eligible[eligible.length - 1][0];
+    }
+
+    /**
+     * Find a spot for an enemy in the chunk; returns null if there isn't one
+     */
+    createEnemy(type, chunk, rng, usedColumns) {
+        const tileSize = GAME_CONFIG.TILE_SIZE;
+        const groundLevel = chunk.groundLevel;
+        const chunkPixelX = chunk.x * GAME_CONFIG.CHUNK_WIDTH * tileSize;
+        const groundY = groundLevel * tileSize;
+        const config = ENEMY_CONFIG.TYPES[type];
+
+        // Open ground columns: standable floor with clear air above
+        const isOpenGround = x => GROUND_TILES.includes(chunk.tiles[groundLevel][x]) &&
+            chunk.tiles[groundLevel - 1][x] === TILE_TYPES.EMPTY &&
+            chunk.tiles[groundLevel - 2][x] === TILE_TYPES.EMPTY &&
+            !usedColumns.has(x);
+
+        if (type === 'patrolBot') {
+            const runs = this.findGroundRuns(isOpenGround).filter(run => run.length >= config.minPatrolTiles);
+            if (runs.length === 0) return null;
+
+            const run = runs[Math.floor(rng.next() * runs.length)];
+            run.forEach(x => usedColumns.add(x));
+            const minX = chunkPixelX + run[0] * tileSize;
+            const maxX = chunkPixelX + (run[run.length - 1] + 1) * tileSize;
+            const startX = minX + rng.next() * (maxX - minX - config.width);
+            return new PatrolBot(startX, groundY - config.height, chunk.x, minX, maxX);
+        }
+
+        const columns = [];
+        for (let x = 2; x < GAME_CONFIG.CHUNK_WIDTH - 1; x++) {
+            if (isOpenGround(x)) columns.push(x);
+        }
+        if (columns.length === 0) return null;
+
+        const column = columns[Math.floor(rng.next() * columns.length)];
+        usedColumns.add(column);
+        const x = chunkPixelX + column * tileSize + (tileSize - config.width) / 2;
+
+        if (type === 'hoverDrone') {
+            const hoverY = Math.max(tileSize, (groundLevel - config.hoverHeight) * tileSize);
+            return new HoverDrone(x, hoverY, chunk.x, tileSize, groundY - config.height - 4);
+        }
+        return new Turret(x, groundY - config.height, chunk.x);
+    }
+
+    /**
+     * Group consecutive columns that pass the test into runs
+     */
+    findGroundRuns(isOpenGround) {
+        const runs = [];
+        let current = [];
+        for (let x = 0; x < GAME_CONFIG.CHUNK_WIDTH; x++) {
+            if (isOpenGround(x)) {
+                current.push(x);
+            } else if (current.length > 0) {
+                runs.push(current);
+                current = [];
+            }
+        }
+        if (current.length > 0) runs.push(current);
+        return runs;
+    }
+
+    update(deltaTime) {
+        this.time += deltaTime / 1000;
+
+        const context = {
+            player: this.world.game ? this.world.game.player : null,
+            world: this.world,
+            spawnProjectile: projectile => this.projectiles.push(projectile)
+        };
+
+        for (const enemy of this.enemies) {
+            enemy.update(deltaTime, context);
+        }
+        for (const projectile of this.projectiles) {
+            projectile.update(deltaTime, context);
+        }
+
+        this.enemies = this.enemies.filter(enemy => !enemy.dead);
+        this.projectiles = this.projectiles.filter(projectile => !projectile.dead);
+    }
+
+    /**
+     * Drop everything left of the oldest loaded chunk (same bound as cleanupOldChunks)
+     */
+    cullBefore(minChunk) {
+        const minPixelX = minChunk * GAME_CONFIG.CHUNK_WIDTH * GAME_CONFIG.TILE_SIZE;
+        this.enemies = this.enemies.filter(enemy => enemy.chunkX >= minChunk);
+        this.projectiles = this.projectiles.filter(projectile => projectile.x >= minPixelX);
+    }
+
+    /**
+     * Everything that can hurt the player on contact
+     */
+    getCollidables() {
+        return this.enemies.concat(this.projectiles);
+    }
+
+    draw(ctx, camera) {
+        const left = camera.x - GAME_CONFIG.TILE_SIZE * 2;
+        const right = camera.x + ctx.canvas.width + GAME_CONFIG.TILE_SIZE * 2;
+
+        for (const enemy of this.getCollidables()) {
+            if (enemy.x + enemy.width < left || enemy.x > right) continue;
+            enemy.draw(ctx, camera, this.time);
+        }
+    }
+}
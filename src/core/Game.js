@@ -89,6 +89,11 @@ export class Game {
         this.wasAutoPaused = false;
         this.lastTime = 0;
         this.deltaTime = 0;
+        
+        // Simulation clock - advanced only by fixed gameplay steps (see GameLoop.advanceSimulation)
+        this.simulationTime = 0;
+        this.simulationAccumulator = 0;
+        this.renderAlpha = 1; // How far rendering is between the last two steps (0-1)
         this.fps = 0;
         this.frameCount = 0;
         this.lastFrameCount = 0;
@@ -99,6 +104,7 @@ export class Game {
         this.world = null;
         this.physics = null;
         this.camera = { x: 0, y: 0 };
+        this.previousCamera = { x: 0, y: 0 }; // Camera at the start of the last step, for interpolation
 
         // Screen shake system
         this.screenShake = true;
@@ -129,6 +135,10 @@ export class Game {
         this.consecutiveSuccesses = 0;
         this.consecutiveFailures = 0;
 
+        // World seed for the current run (see GameNavigation.startGame)
+        this.worldSeed = null;
+        this.runOptions = {};
+
         // Score and game state
         this.score = 0;
         this.bonusScore = 0;
@@ -234,6 +244,7 @@ export class Game {
     updateFPS(currentTime) { return this.gameLoop.updateFPS(currentTime); }
     getPerformanceMetrics() { return this.gameLoop.getPerformanceMetrics(); }
     getExpectedScoreRate() { return this.gameLoop.getExpectedScoreRate(); }
+    createMilestoneEffect(x, y, text, color) { return this.gameLoop.createMilestoneEffect(x, y, text, color); }
 
     // Navigation methods
     setGameState(newState) { return this.navigation.setGameState(newState); }
@@ -250,7 +261,7 @@ export class Game {
     togglePause() { return this.navigation.togglePause(); }
     handleTutorialToggle() { return this.navigation.handleTutorialToggle(); }
     handleShopToggle() { return this.navigation.handleShopToggle(); }
-    async startGame() { return this.navigation.startGame(); }
+    async startGame(options) { return this.navigation.startGame(options); }
     async restart() { return this.navigation.restart(); }
     endGame(reason, message) { return this.navigation.endGame(reason, message); }
     gameOver(reason) { return this.navigation.endGame(reason, this.getRandomDeathMessage()); }
@@ -261,6 +272,8 @@ export class Game {
     handleUploadScore() { return this.navigation.handleUploadScore(); }
     handleDeleteEntry() { return this.navigation.handleDeleteEntry(); }
     handleChangeName() { return this.navigation.handleChangeName(); }
+    handleLeaderboardView() { return this.navigation.handleLeaderboardView(); }
+    handleLeaderboardPage(direction) { return this.navigation.handleLeaderboardPage(direction); }
     handleShopScroll(direction) { return this.navigation.handleShopScroll(direction); }
     handleAchievementsScroll(amount) { return this.navigation.handleAchievementsScroll(amount); }
 
@@ -341,30 +354,56 @@ export class Game {
         if (this.renderer) {
             this.renderer.render();
         }
+        
+        // Popups sit on top of whatever state is showing
+        if (this.popupSystem) {
+            this.popupSystem.render(Date.now());
+        }
     }
 
     /**
-     * Render milestone effects (placeholder for future visual effects)
+     * Render milestone effects - floating texts created by GameLoop.createMilestoneEffect
      */
     renderMilestoneEffects(ctx) {
-        // Placeholder for milestone visual effects
-        // This could include particle effects, screen flashes, or other visual feedback
-        // when the player reaches certain score milestones
+        if (this.milestoneEffects.length === 0) return;
         
-        // For now, this is a stub to prevent runtime errors
-        // TODO: Implement milestone visual effects if needed
+        const camera = this.getCameraPosition();
+        ctx.save();
+        ctx.font = 'bold 14px "SF Mono", "Monaco", monospace';
+        ctx.textAlign = 'center';
+        for (const effect of this.milestoneEffects) {
+            ctx.globalAlpha = Math.max(0, effect.alpha);
+            ctx.fillStyle = effect.color;
+            ctx.fillText(effect.text, effect.x - camera.x, effect.y - camera.y);
+        }
+        ctx.restore();
     }
 
     /**
-     * Get camera position with screen shake applied
+     * Get camera position with screen shake applied, interpolated between simulation steps
      */
     getCameraPosition() {
+        const alpha = this.renderAlpha;
         return {
-            x: this.camera.x + this.currentShake.x,
-            y: this.camera.y + this.currentShake.y
+            x: this.previousCamera.x + (this.camera.x - this.previousCamera.x) * alpha + this.currentShake.x,
+            y: this.previousCamera.y + (this.camera.y - this.previousCamera.y) * alpha + this.currentShake.y
         };
     }
 
+    /**
+     * Milliseconds of simulated gameplay in the current run - the clock all gameplay timers read
+     */
+    getSimulationTime() {
+        return this.simulationTime;
+    }
+
+    /**
+     * Get the seed of the current world so a run can be reproduced
+     */
+    getWorldSeed() {
+        return this.world ? this.world.getSeed() : this.worldSeed;
+    }
+
     /**
      * Get a random death message
      */
@@ -414,6 +453,12 @@ export class Game {
     get inputManager() { return this._inputManager; }
     set inputManager(value) { this._inputManager = value; }
 
+    get keybindManager() { return this._keybindManager; }
+    set keybindManager(value) { this._keybindManager = value; }
+
+    get languageSystem() { return this._languageSystem; }
+    set languageSystem(value) { this._languageSystem = value; }
+
     get shopSystem() { return this._shopSystem; }
     set shopSystem(value) { this._shopSystem = value; }
 
@@ -462,6 +507,30 @@ export class Game {
     get lifeBoxSystem() { return this._lifeBoxSystem; }
     set lifeBoxSystem(value) { this._lifeBoxSystem = value; }
 
+    get dailyChallengeSystem() { return this._dailyChallengeSystem; }
+    set dailyChallengeSystem(value) { this._dailyChallengeSystem = value; }
+
+    get deletionWaveSystem() { return this._deletionWaveSystem; }
+    set deletionWaveSystem(value) { this._deletionWaveSystem = value; }
+
+    get replaySystem() { return this._replaySystem; }
+    set replaySystem(value) { this._replaySystem = value; }
+
+    get rewindSystem() { return this._rewindSystem; }
+    set rewindSystem(value) { this._rewindSystem = value; }
+
+    get secondChanceSystem() { return this._secondChanceSystem; }
+    set secondChanceSystem(value) { this._secondChanceSystem = value; }
+
+    get comboSystem() { return this._comboSystem; }
+    set comboSystem(value) { this._comboSystem = value; }
+
+    get ghostSystem() { return this._ghostSystem; }
+    set ghostSystem(value) { this._ghostSystem = value; }
+
+    get touchControlsSystem() { return this._touchControlsSystem; }
+    set touchControlsSystem(value) { this._touchControlsSystem = value; }
+
     get quantumDashAnimation() { return this._quantumDashAnimation; }
     set quantumDashAnimation(value) { this._quantumDashAnimation = value; }
 
@@ -467,6 +467,9 @@ export class GameEventHandlers {
                     console.log(`🎮 Difficulty selected: ${area.difficulty}`);
                     this.game.selectedDifficulty = area.difficulty;
                     this.game.startGame(); // This will handle async
+                } else if (area.action === 'daily') {
+                    console.log('📅 Daily Run selected');
+                    this.game.dailyChallengeSystem.start();
                 } else if (area.action === 'adaptive-toggle') {
                     console.log('🔄 Adaptive difficulty toggled');
                     this.game.adaptiveDifficulty = !this.game.adaptiveDifficulty;
@@ -517,6 +520,14 @@ export class GameEventHandlers {
                         this.game.navigateToState(GAME_STATES.SETTINGS);
                         break;
                         
+                    case 'watch-replay':
+                        this.game.replaySystem.watch(this.game.replaySystem.getCurrentReplay());
+                        break;
+                        
+                    case 'save-replay':
+                        this.game.replaySystem.download();
+                        break;
+                        
                     default:
                         console.warn(`Unknown game over action: ${area.action}`);
                         break;
@@ -4,6 +4,8 @@
 
 import { GAME_CONFIG, GAME_STATES } from '../utils/constants.js';
 import { InputManager } from '../systems/inputmanager.js';
+import { KeybindManager } from '../systems/KeybindManager.js';
+import { LanguageSystem } from '../systems/LanguageSystem.js';
 import { ShopSystem } from '../systems/ShopSystem.js';
 import { UpgradeSystem } from '../systems/UpgradeSystem.js';
 import { LeaderboardSystem } from '../systems/LeaderboardSystem.js';
@@ -14,6 +16,14 @@ import { PopupSystem } from '../systems/PopupSystem.js';
 import { CloudSaveSystem } from '../systems/CloudSaveSystem.js';
 import { PowerUpSystem } from '../systems/PowerUpSystem.js';
 import { LifeBoxSystem } from '../systems/LifeBoxSystem.js';
+import { DailyChallengeSystem } from '../systems/DailyChallengeSystem.js';
+import { ReplaySystem } from '../systems/ReplaySystem.js';
+import { RewindSystem } from '../systems/RewindSystem.js';
+import { SecondChanceSystem } from '../systems/SecondChanceSystem.js';
+import { ComboSystem } from '../systems/ComboSystem.js';
+import { GhostSystem } from '../systems/GhostSystem.js';
+import { TouchControlsSystem } from '../systems/TouchControlsSystem.js';
+import { DeletionWaveSystem } from '../systems/DeletionWaveSystem.js';
 import { QuantumDashAnimationSystem } from '../systems/QuantumDashAnimationSystem.js';
 import { TutorialSystem } from '../systems/TutorialSystem.js';
 import { HomeScreenSystem } from '../systems/HomeScreenSystem.js';
@@ -132,6 +142,10 @@ export class GameInitialization {
                 console.log('✅ Settings loaded successfully');
             }
             
+            // Load the language pack before any menu text is drawn
+            await this.game.languageSystem.setLanguage(
+                this.game.settingsSystem ? this.game.settingsSystem.getSettingValue('language') || 'auto' : 'auto');
+            
             // Determine what state to show after initialization
             const shouldShowLoadingScreen = this.getShouldShowLoadingScreen();
             const shouldShowOpeningAnimation = this.getShouldShowOpeningAnimation();
@@ -226,6 +240,12 @@ export class GameInitialization {
     }
 
     createSystems() {
+        // Created first so the systems below can listen for language changes
+        this.game.languageSystem = new LanguageSystem();
+        window.languageSystem = this.game.languageSystem;
+        // InputManager looks actions up through window.keybindManager
+        this.game.keybindManager = new KeybindManager();
+        window.keybindManager = this.game.keybindManager;
         this.game.inputManager = new InputManager();
         this.game.shopSystem = new ShopSystem(this.game);
         this.game.upgradeSystem = new UpgradeSystem(this.game);
@@ -262,6 +282,14 @@ export class GameInitialization {
         }
         
         this.game.lifeBoxSystem = new LifeBoxSystem(this.game);
+        this.game.dailyChallengeSystem = new DailyChallengeSystem(this.game);
+        this.game.deletionWaveSystem = new DeletionWaveSystem(this.game);
+        this.game.replaySystem = new ReplaySystem(this.game);
+        this.game.rewindSystem = new RewindSystem(this.game);
+        this.game.secondChanceSystem = new SecondChanceSystem(this.game);
+        this.game.comboSystem = new ComboSystem(this.game);
+        this.game.ghostSystem = new GhostSystem(this.game);
+        this.game.touchControlsSystem = new TouchControlsSystem(this.game);
         this.game.quantumDashAnimation = new QuantumDashAnimationSystem(this.game);
         this.game.tutorialSystem = new TutorialSystem(this.game);
         
@@ -283,6 +311,9 @@ export class GameInitialization {
             
             return leaderboardInputActive || loginInputActive; // || profileInputActive;
         });
+        this.game.inputManager.setGameplayChecker(() => this.game.gameState === GAME_STATES.PLAYING);
+        this.game.inputManager.setKeyCaptureHandler((e) => 
+            this.game.gameState === GAME_STATES.SETTINGS && this.game.settingsSystem.handleKeyPress(e));
 
         // Add mouse click listener for leaderboard tabs and menus
         this.game.tabHitAreas = [];
@@ -308,6 +339,17 @@ export class GameInitialization {
         this.game.canvas.addEventListener('mouseup', (e) => this.handleMouseUp(e));
         this.game.canvas.addEventListener('wheel', (e) => this.handleMouseWheel(e));
         
+        // Dropping a replay file onto the game plays it back
+        this.game.canvas.addEventListener('dragover', (e) => e.preventDefault());
+        this.game.canvas.addEventListener('drop', (e) => {
+            e.preventDefault();
+            const file = e.dataTransfer && e.dataTransfer.files[0];
+            if (file && this.game.replaySystem && this.game.gameState !== GAME_STATES.PLAYING) {
+                console.log(`🎬 Replay file dropped: ${file.name}`);
+                this.game.replaySystem.watchFile(file);
+            }
+        });
+        
         // Add focus/blur listeners to manage scrolling prevention
         this.game.canvas.addEventListener('focus', () => {
             // Only prevent scrolling during gameplay, not on menus
@@ -401,6 +443,9 @@ export class GameInitialization {
         this.game.inputManager.setCallback('backspace', () => this.game.handleBackspace());
         this.game.inputManager.setCallback('deleteEntry', () => this.game.handleDeleteEntry());
         this.game.inputManager.setCallback('changeName', () => this.game.handleChangeName());
+        this.game.inputManager.setCallback('leaderboardView', () => this.game.handleLeaderboardView());
+        this.game.inputManager.setCallback('pageUp', () => this.game.handleLeaderboardPage(-1));
+        this.game.inputManager.setCallback('pageDown', () => this.game.handleLeaderboardPage(1));
         
         // Shop functionality
         this.game.inputManager.setCallback('shop', () => this.game.handleShopToggle());
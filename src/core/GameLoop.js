@@ -2,7 +2,7 @@
  * Game Loop and Update Logic - Main game loop, performance, and gameplay updates
  */
 
-import { GAME_STATES, DIFFICULTY_LEVELS } from '../utils/constants.js';
+import { GAME_CONFIG, GAME_STATES, DIFFICULTY_LEVELS, SECOND_CHANCE } from '../utils/constants.js';
 
 export class GameLoop {
     constructor(game) {
@@ -16,9 +16,10 @@ export class GameLoop {
         try {
             const frameStartTime = performance.now();
             
-            // Calculate delta time with frame limiting
+            // Real time since the last frame, clamped so a throttled tab doesn't fast-forward the run
             const currentTime = timestamp || performance.now();
-            this.game.deltaTime = Math.min(currentTime - this.game.lastTime, 16.67); // Cap at ~60fps
+            const frameTime = Math.min(Math.max(0, currentTime - this.game.lastTime), GAME_CONFIG.MAX_FRAME_TIME);
+            this.game.deltaTime = Math.min(frameTime, GAME_CONFIG.DEFAULT_FRAME_TIME); // Menus and animations
             this.game.lastTime = currentTime;
             
             // Track frame timing for performance metrics
@@ -28,7 +29,7 @@ export class GameLoop {
             this.updateFPS(currentTime);
             
             // Update game state
-            this.update();
+            this.update(frameTime);
             
             // Track update time
             this.game.performanceMetrics.updateTime = performance.now() - updateStartTime;
@@ -93,9 +94,13 @@ export class GameLoop {
 
     /**
      * Update game logic
+     * @param {number} frameTime - Real milliseconds since the last frame
      */
-    update() {
-        // Input manager uses event listeners, no update needed
+    update(frameTime = this.game.deltaTime) {
+        // Keyboard input arrives through event listeners, gamepads have to be polled
+        if (this.game.inputManager) {
+            this.game.inputManager.pollGamepads();
+        }
         
         // Update systems based on game state
         switch (this.game.gameState) {
@@ -106,7 +111,7 @@ export class GameLoop {
                 break;
                 
             case GAME_STATES.PLAYING:
-                this.updateGameplay();
+                this.advanceSimulation(frameTime);
                 break;
                 
             case GAME_STATES.OPENING_ANIMATION:
@@ -149,21 +154,88 @@ export class GameLoop {
     }
 
     /**
-     * Update gameplay logic when in playing state
+     * Run gameplay in fixed steps so physics and timers don't depend on frame rate.
+     * Leftover time carries into the next frame and sets how far rendering interpolates.
+     */
+    advanceSimulation(frameTime) {
+        const step = GAME_CONFIG.SIMULATION_STEP;
+        this.game.simulationAccumulator += frameTime;
+        
+        let steps = 0;
+        while (this.game.simulationAccumulator >= step && steps < GAME_CONFIG.MAX_SIMULATION_STEPS) {
+            this.game.deltaTime = step;
+            this.updateGameplay();
+            this.game.simulationAccumulator -= step;
+            steps++;
+            
+            // Stop stepping once the run ends mid-frame
+            if (this.game.gameState !== GAME_STATES.PLAYING) break;
+        }
+        
+        // Too far behind to catch up - drop the backlog instead of spiralling
+        if (steps >= GAME_CONFIG.MAX_SIMULATION_STEPS) {
+            this.game.simulationAccumulator %= step;
+        }
+        
+        this.game.renderAlpha = this.game.simulationAccumulator / step;
+    }
+
+    /**
+     * Remember where the player and camera were before a step so rendering can interpolate
+     */
+    snapshotRenderState() {
+        const player = this.game.player;
+        player.previousX = player.x;
+        player.previousY = player.y;
+        this.game.previousCamera.x = this.game.camera.x;
+        this.game.previousCamera.y = this.game.camera.y;
+    }
+
+    /**
+     * Update gameplay logic for one simulation step
      */
     updateGameplay() {
         if (!this.game.player || !this.game.world) return;
         
-        // Always update quantum dash animation (even when paused, since it controls the pause)
+        this.snapshotRenderState();
+        
+        // Skip other updates if paused
+        if (this.game.isPaused) return;
+        
+        // A quantum dash holds gameplay still while its animation plays
         if (this.game.quantumDashAnimation) {
             this.game.quantumDashAnimation.update(this.game.deltaTime);
         }
+        if (this.game.powerUpSystem && this.game.powerUpSystem.updateQuantumDash(this.game.deltaTime)) return;
         
-        // Skip other updates if paused
-        if (this.game.isPaused) return;
+        // While rewinding, the buffer plays backwards instead of the simulation running
+        if (this.game.rewindSystem && this.game.rewindSystem.isRewinding()) {
+            this.game.rewindSystem.updatePlayback(this.game.deltaTime);
+            return;
+        }
         
-        // Get input keys from input manager
-        const inputKeys = this.game.inputManager ? this.game.inputManager.getKeys() : {};
+        // Get input keys from input manager (or the replay being watched)
+        const liveKeys = this.game.inputManager ? this.game.inputManager.getKeys() : {};
+        const inputKeys = this.game.replaySystem ? this.game.replaySystem.getInputForStep(liveKeys) : liveKeys;
+        if (!inputKeys) {
+            this.game.replaySystem.finishPlayback();
+            return;
+        }
+        
+        // During the second chance prompt the world crawls on in slow motion while the player waits
+        if (this.game.secondChanceSystem && this.game.secondChanceSystem.isPrompting()) {
+            const slowDelta = this.game.deltaTime * SECOND_CHANCE.TIME_SCALE;
+            this.game.simulationTime += slowDelta;
+            this.game.world.update(slowDelta, this.game.camera);
+            if (this.game.physics) {
+                this.game.physics.update(slowDelta);
+            }
+            this.game.secondChanceSystem.updatePrompt(this.game.deltaTime, inputKeys);
+            return;
+        }
+        
+        // Advance the simulation clock
+        this.game.simulationTime += this.game.deltaTime;
         
         // Update player with all required parameters
         this.game.player.update(this.game.deltaTime, inputKeys, this.game.world, this.game.physics);
@@ -185,6 +257,14 @@ export class GameLoop {
             this.game.lifeBoxSystem.update(this.game.deltaTime);
         }
         
+        if (this.game.deletionWaveSystem) {
+            this.game.deletionWaveSystem.update(this.game.deltaTime);
+        }
+        
+        if (this.game.comboSystem) {
+            this.game.comboSystem.update(this.game.deltaTime);
+        }
+        
         // Update camera
         this.updateCamera();
         
@@ -196,6 +276,19 @@ export class GameLoop {
         
         // Update score
         this.updateScore();
+        
+        // Float milestone texts
+        this.updateVisualEffects(this.game.deltaTime);
+        
+        // Remember this step for the rewind upgrade
+        if (this.game.rewindSystem) {
+            this.game.rewindSystem.update(this.game.deltaTime);
+        }
+        
+        // Sample the player for this run's ghost trace
+        if (this.game.ghostSystem) {
+            this.game.ghostSystem.update();
+        }
     }
 
     /**
@@ -250,13 +343,13 @@ export class GameLoop {
     updateAdaptiveDifficulty() {
         if (!this.game.adaptiveDifficulty || !this.game.player) return;
         
-        const currentTime = Date.now();
+        const currentTime = this.game.getSimulationTime();
         if (currentTime - this.game.lastPerformanceCheck < 5000) return; // Check every 5 seconds
         
         this.game.lastPerformanceCheck = currentTime;
         
         // Analyze player performance
-        const survivalTime = (currentTime - this.game.startTime) / 1000;
+        const survivalTime = currentTime / 1000;
         const currentScore = this.game.score;
         const recentDamage = this.game.player.lastDamageTime && (currentTime - this.game.player.lastDamageTime) < 10000;
         
@@ -442,7 +535,7 @@ export class GameLoop {
                 this.game.milestoneEffects.splice(i, 1);
             } else {
                 // Update effect
-                effect.y -= effect.speed * deltaTime;
+                effect.y -= effect.speed * (deltaTime / 1000);
                 effect.alpha = effect.life / effect.maxLife;
             }
         }
@@ -460,16 +553,16 @@ export class GameLoop {
                 this.game.speedPenaltyEffects.splice(i, 1);
             } else {
                 // Update effect
-                effect.y -= effect.speed * deltaTime;
+                effect.y -= effect.speed * (deltaTime / 1000);
                 effect.alpha = effect.life / effect.maxLife;
             }
         }
     }
 
     /**
-     * Create milestone effect
+     * Create milestone effect - floating text at a world position
      */
-    createMilestoneEffect(x, y, text) {
+    createMilestoneEffect(x, y, text, color = '#00ff00') {
         let effect = null;
         
         // Try to get from pool first
@@ -487,7 +580,7 @@ export class GameLoop {
         effect.maxLife = 2000;
         effect.speed = 50; // pixels per second
         effect.alpha = 1.0;
-        effect.color = '#00ff00';
+        effect.color = color;
         
         this.game.milestoneEffects.push(effect);
     }
@@ -13,7 +13,8 @@
         } else if (newState === GAME_STATES.PROFILE && this.game.userProfileSystem) {anagement
  */
 
-import { GAME_STATES } from '../utils/constants.js';
+import { GAME_STATES, DAILY_CHALLENGE } from '../utils/constants.js';
+import { SeededRandom } from '../utils/SeededRandom.js';
 
 export class GameNavigation {
     constructor(game) {
@@ -21,6 +22,9 @@ export class GameNavigation {
         // Navigation history stack to support multi-level back navigation
         this.navigationHistory = [];
         this.maxHistorySize = 10; // Prevent infinite growth
+        
+        // The player's own difficulty while a run forces another (see applyRunOptions)
+        this.difficultyBeforeRun = null;
     }
 
     /**
@@ -93,6 +97,11 @@ export class GameNavigation {
         
         this.game.gameState = newState;
         
+        // Back in the menus, a forced run difficulty gives way to the player's own
+        if (newState === GAME_STATES.HOME || newState === GAME_STATES.DIFFICULTY_SELECT) {
+            this.restoreRunDifficulty();
+        }
+        
         // Manage page scrolling based on game state
         if (newState === GAME_STATES.PLAYING || newState === GAME_STATES.PAUSED) {
             // Prevent scrolling during gameplay
@@ -294,18 +303,27 @@ export class GameNavigation {
 
     /**
      * Start a new game
+     * @param {Object} [options] - Run options
+     * @param {number|string} [options.seed] - World seed to reproduce a specific run (random when omitted)
+     * @param {string} [options.difficulty] - Force a difficulty for this run
+     * @param {string[]} [options.loadout] - Fixed shop upgrades to use instead of the owned ones
+     * @param {string} [options.mode] - Run mode, e.g. 'daily' or 'replay'
      */
-    async startGame() {
+    async startGame(options = {}) {
         console.log(`🎮 Starting game with difficulty: ${this.game.selectedDifficulty}`);
         
+        // Remember the options so restart() replays the same kind of run
+        this.game.runOptions = { ...options };
+        this.applyRunOptions(options);
+        
         // Initialize game objects
         await this.initializeGameObjects();
         
         // Reset game state
         this.resetGameState();
         
-        // Track achievement for game start
-        if (this.game.achievementSystem) {
+        // Track achievement for game start (watching a replay doesn't count as playing)
+        if (this.game.achievementSystem && !this.isReplayRun()) {
             this.game.achievementSystem.trackEvent('gameStart');
         }
         
@@ -329,6 +347,9 @@ export class GameNavigation {
     async restart() {
         console.log('🎮 Restarting game');
         
+        // Pick the seed for the new run (pinned seeds are kept, otherwise a fresh one is rolled)
+        this.applyRunOptions(this.game.runOptions || {});
+        
         // Reset game state
         this.resetGameState();
         
@@ -344,6 +365,50 @@ export class GameNavigation {
         console.log('🎮 Game restarted');
     }
 
+    /**
+     * Apply run options (seed, difficulty, loadout) before the game objects are created
+     * @param {Object} options - Run options passed to startGame
+     */
+    applyRunOptions(options) {
+        this.game.worldSeed = options.seed != null
+            ? SeededRandom.normalizeSeed(options.seed)
+            : SeededRandom.generateSeed();
+        console.log(`🌱 World seed: ${this.game.worldSeed}`);
+        
+        if (options.difficulty) {
+            // Kept across restarts of the same kind of run, so it's only taken the first time
+            if (this.difficultyBeforeRun === null) {
+                this.difficultyBeforeRun = this.game.selectedDifficulty;
+            }
+            this.game.selectedDifficulty = options.difficulty;
+        } else {
+            this.restoreRunDifficulty();
+        }
+        
+        if (this.game.shopSystem) {
+            if (Array.isArray(options.loadout)) {
+                this.game.shopSystem.setLoadoutOverride(options.loadout);
+            } else {
+                this.game.shopSystem.clearLoadoutOverride();
+            }
+        }
+        
+        if (this.game.powerUpSystem) {
+            this.game.powerUpSystem.refreshUnlockedPowerUps();
+        }
+    }
+
+    /**
+     * Put back the difficulty the player had before a run forced one (e.g. the Daily Run)
+     */
+    restoreRunDifficulty() {
+        if (this.difficultyBeforeRun === null) return;
+        
+        console.log(`🎚️ Restoring difficulty ${this.difficultyBeforeRun} after a ${this.game.selectedDifficulty} run`);
+        this.game.selectedDifficulty = this.difficultyBeforeRun;
+        this.difficultyBeforeRun = null;
+    }
+
     /**
      * End the current game
      */
@@ -355,20 +420,46 @@ export class GameNavigation {
         this.game.gameOverMessage = message;
         this.game.gameOverStartTime = Date.now();
         
+        // Finish the replay recording (or check the one being watched)
+        if (this.game.replaySystem) {
+            this.game.replaySystem.onRunEnded({
+                score: this.game.score || 0,
+                distance: this.game.player ? Math.floor(this.game.player.x / 10) : 0,
+                packets: this.game.player ? this.game.player.dataPacketsCollected : 0,
+                reason: reason
+            });
+        }
+        
+        // Replays don't count towards achievements, high scores or saves
+        const isReplay = this.isReplayRun();
+        
+        // Keep this run's trace as the ghost if it beat the last one
+        if (this.game.ghostSystem && !isReplay) {
+            this.game.ghostSystem.onRunEnded({
+                score: this.game.score || 0,
+                distance: this.game.player ? Math.floor(this.game.player.x / 10) : 0
+            });
+        }
+        
         // Track achievement for game end
-        if (this.game.achievementSystem && this.game.player) {
+        if (this.game.achievementSystem && this.game.player && !isReplay) {
             const gameData = {
                 distance: this.game.score || 0,
-                runTime: (Date.now() - this.game.gameStartTime) || 0
+                runTime: this.game.simulationTime || 0,
+                deathType: this.game.player.lastHazardType || null,
+                bestCombo: this.game.comboSystem ? this.game.comboSystem.bestMultiplier : 1,
+                nearMisses: this.game.player.nearMissCount
             };
             this.game.achievementSystem.trackEvent('gameEnd', gameData);
         }
         
         // Check for new high score
-        this.checkHighScore();
+        if (!isReplay) {
+            this.checkHighScore();
+        }
         
         // Trigger cloud save for logged-in users
-        if (this.game.cloudSaveSystem && this.game.cloudSaveSystem.isUserLoggedIn()) {
+        if (!isReplay && this.game.cloudSaveSystem && this.game.cloudSaveSystem.isUserLoggedIn()) {
             this.game.cloudSaveSystem.saveAllGameData().catch(error => {
                 console.warn('Failed to save game data to cloud after game end:', error);
             });
@@ -416,9 +507,9 @@ export class GameNavigation {
                 }, 100);
             }
             
-            // Reapply all owned shop upgrades to the new player instance
+            // Reapply all owned shop upgrades (or the run's fixed loadout) to the new player instance
             if (this.game.shopSystem) {
-                const ownedUpgrades = this.game.shopSystem.getOwnedUpgrades();
+                const ownedUpgrades = this.game.shopSystem.getActiveUpgrades();
                 
                 // Store the current selected sprite before applying upgrades
                 let selectedSprite = null;
@@ -469,6 +560,10 @@ export class GameNavigation {
         this.game.score = 0;
         this.game.bonusScore = 0;
         this.game.startTime = Date.now();
+        this.game.simulationTime = 0;
+        this.game.simulationAccumulator = 0;
+        this.game.renderAlpha = 1;
+        this.game.previousCamera = { x: this.game.camera.x, y: this.game.camera.y };
         
         // Reset game over data
         this.game.gameOverReason = null;
@@ -512,15 +607,59 @@ export class GameNavigation {
             this.game.powerUpSystem.reset();
         }
         
+        // Send the deletion wave back behind the spawn point
+        if (this.game.deletionWaveSystem) {
+            this.game.deletionWaveSystem.reset();
+        }
+        
+        // Clear the rewind buffer and cooldown
+        if (this.game.rewindSystem) {
+            this.game.rewindSystem.reset();
+        }
+        
+        // Make the second chance available again
+        if (this.game.secondChanceSystem) {
+            this.game.secondChanceSystem.reset();
+        }
+        
+        // Start the combo back at x1
+        if (this.game.comboSystem) {
+            this.game.comboSystem.reset();
+        }
+        
+        // Start recording this run's inputs, or play back the replay being watched
+        if (this.game.replaySystem) {
+            this.game.replaySystem.beginRun();
+        }
+        
+        // Start a new ghost trace and load the best run's ghost to race
+        if (this.game.ghostSystem) {
+            this.game.ghostSystem.beginRun();
+        }
+        
         console.log('🔄 Game state reset');
     }
 
+    /**
+     * Check whether the current run is playing back a replay
+     */
+    isReplayRun() {
+        return !!(this.game.replaySystem && this.game.replaySystem.isReplayRun());
+    }
+
     /**
      * Check if current score is a new high score
      */
     checkHighScore() {
         const currentScore = this.game.score;
         const difficulty = this.game.selectedDifficulty;
+        
+        // Daily runs have their own per-day best and leaderboard
+        if (this.game.dailyChallengeSystem && this.game.dailyChallengeSystem.isDailyRun()) {
+            this.game.isNewHighScore = this.game.dailyChallengeSystem.recordResult(currentScore);
+            this.uploadScoreToLeaderboard(currentScore, DAILY_CHALLENGE.KEY);
+            return;
+        }
         const previousBest = this.game.bestScores[difficulty] || 0;
         
         if (currentScore > previousBest) {
@@ -561,7 +700,7 @@ export class GameNavigation {
         
         try {
             // Prepare score upload - this will handle automatic submission or show name dialog
-            const uploadInitiated = this.game.leaderboardSystem.prepareScoreUpload(score, difficulty, this.game.startTime);
+            const uploadInitiated = this.game.leaderboardSystem.prepareScoreUpload(score, difficulty, this.game.startTime, this.game.simulationTime);
             
             if (uploadInitiated) {
                 console.log(`📊 Score upload initiated for ${difficulty}: ${score}`);
@@ -674,6 +813,25 @@ export class GameNavigation {
         }
     }
 
+    /**
+     * Switch to the next leaderboard view
+     */
+    handleLeaderboardView() {
+        if (this.game.gameState === GAME_STATES.LEADERBOARD && this.game.leaderboardSystem) {
+            this.game.leaderboardSystem.cycleView();
+        }
+    }
+
+    /**
+     * Page through the leaderboard view
+     * @param {number} direction - -1 for the previous page, 1 for the next
+     */
+    handleLeaderboardPage(direction) {
+        if (this.game.gameState === GAME_STATES.LEADERBOARD && this.game.leaderboardSystem) {
+            this.game.leaderboardSystem.changePage(direction);
+        }
+    }
+
     /**
      * Handle shop scrolling
      */
@@ -770,6 +928,11 @@ export class GameNavigation {
         
         this.game.gameState = newState;
         
+        // Back in the menus, a forced run difficulty gives way to the player's own
+        if (newState === GAME_STATES.HOME || newState === GAME_STATES.DIFFICULTY_SELECT) {
+            this.restoreRunDifficulty();
+        }
+        
         // Manage page scrolling based on game state
         if (newState === GAME_STATES.PLAYING || newState === GAME_STATES.PAUSED) {
             // Prevent scrolling during gameplay
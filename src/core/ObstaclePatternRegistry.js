@@ -0,0 +1,136 @@
+/**
+ * Obstacle Pattern Registry - Loads declarative pattern definitions and picks one per chunk
+ */
+
+import { TILE_TYPES } from '../utils/constants.js';
+import { OBSTACLE_PATTERNS, PATTERN_TILE_LEGEND } from '../utils/obstaclePatterns.js';
+
+// Tiles that count as obstacles for WorldGenerator spacing checks
+const HAZARD_TILES = [TILE_TYPES.SPIKE, TILE_TYPES.SAW, TILE_TYPES.LASER, TILE_TYPES.CRUSHER];
+
+export class ObstaclePatternRegistry {
+    /**
+     * @param {Array<Object>} [definitions] - Pattern definitions, defaults to OBSTACLE_PATTERNS
+     */
+    constructor(definitions = OBSTACLE_PATTERNS) {
+        this.patterns = new Map();
+        definitions.forEach(definition => this.register(definition));
+    }
+
+    /**
+     * Validate a definition and compile it into a flat stamp list
+     * @param {Object} definition - Declarative pattern definition
+     * @returns {boolean} - True if the pattern was registered
+     */
+    register(definition) {
+        try {
+            const pattern = this.compile(definition);
+            this.patterns.set(pattern.id, pattern);
+            return true;
+        } catch (error) {
+            console.warn(`⚠️ Skipping obstacle pattern "${definition?.id}":`, error.message);
+            return false;
+        }
+    }
+
+    unregister(id) {
+        return this.patterns.delete(id);
+    }
+
+    getPattern(id) {
+        return this.patterns.get(id) || null;
+    }
+
+    getAllPatterns() {
+        return Array.from(this.patterns.values());
+    }
+
+    /**
+     * Turn a grid and/or stamp list into { x, y, tile, chance, hazard } entries with numeric tile types
+     */
+    compile(definition) {
+        if (!definition || typeof definition.id !== 'string') {
+            throw new Error('pattern needs a string id');
+        }
+
+        const stamps = [];
+        const grid = definition.grid || [];
+        grid.forEach((row, rowIndex) => {
+            const y = grid.length - rowIndex; // Bottom row sits on the ground (y = 1)
+            for (let x = 0; x < row.length; x++) {
+                const char = row[x];
+                if (char === '.' || char === ' ') continue;
+
+                const tileKey = PATTERN_TILE_LEGEND[char];
+                if (!tileKey) {
+                    throw new Error(`unknown grid character "${char}"`);
+                }
+                stamps.push({ x, y, tile: TILE_TYPES[tileKey], chance: 1 });
+            }
+        });
+
+        (definition.stamps || []).forEach(stamp => {
+            if (!(stamp.tile in TILE_TYPES) || stamp.y < 1) {
+                throw new Error(`invalid stamp ${JSON.stringify(stamp)}`);
+            }
+            stamps.push({ x: stamp.x, y: stamp.y, tile: TILE_TYPES[stamp.tile], chance: stamp.chance ?? 1 });
+        });
+
+        if (stamps.length === 0) {
+            throw new Error('pattern has no tiles');
+        }
+        stamps.forEach(stamp => {
+            stamp.hazard = HAZARD_TILES.includes(stamp.tile);
+        });
+
+        const width = Math.max(definition.width || 0, ...stamps.map(stamp => stamp.x + 1));
+        const height = Math.max(...stamps.map(stamp => stamp.y));
+
+        return {
+            id: definition.id,
+            name: definition.name || definition.id,
+            weight: definition.weight ?? 1,
+            width: width,
+            minGroundClearance: definition.minGroundClearance ?? height + 1,
+            terrainTypes: definition.terrainTypes || null,
+            difficultyBand: {
+                min: definition.difficultyBand?.min ?? 0,
+                max: definition.difficultyBand?.max ?? Infinity
+            },
+            stamps: stamps,
+            hazardColumns: [...new Set(stamps.filter(stamp => stamp.hazard).map(stamp => stamp.x))]
+        };
+    }
+
+    /**
+     * Check whether a pattern may appear in the given generation context
+     * @param {Object} pattern - Compiled pattern
+     * @param {Object} context - { terrainType, difficulty, groundLevel }
+     */
+    isEligible(pattern, context) {
+        if (pattern.weight <= 0) return false;
+        if (context.groundLevel < pattern.minGroundClearance) return false;
+        if (pattern.terrainTypes && !pattern.terrainTypes.includes(context.terrainType)) return false;
+        return context.difficulty >= pattern.difficultyBand.min &&
+            context.difficulty <= pattern.difficultyBand.max;
+    }
+
+    /**
+     * Weighted pick among eligible patterns
+     * @param {SeededRandom} rng - Generator random source so worlds stay reproducible
+     * @param {Object} context - { terrainType, difficulty, groundLevel }
+     * @returns {Object|null} - Compiled pattern, or null if nothing fits
+     */
+    selectPattern(rng, context) {
+        const eligible = this.getAllPatterns().filter(pattern => this.isEligible(pattern, context));
+        if (eligible.length === 0) return null;
+
+        const totalWeight = eligible.reduce((sum, pattern) => sum + pattern.weight, 0);
+        let roll = rng.next() * totalWeight;
+        for (const pattern of eligible) {
+            roll -= pattern.weight;
+            if (roll < 0) return pattern;
+        }
+        return eligible[eligible.length - 1];
+    }
+}
@@ -0,0 +1,275 @@
+/**
+ * Reachability Validator - Checks that a generated chunk can be crossed with the player's real jump arc
+ *
+ * The player's movement envelope (jump power, gravity, run speed, double jump / air boost) is
+ * simulated once per upgrade set and turned into a table of how far the player can travel
+ * horizontally for each landing height. Standable tiles are then searched from the previous
+ * chunk's reachable tiles; if the far edge of the chunk can't be reached, ground gaps are
+ * filled in until it can.
+ */
+
+import { GAME_CONFIG, TILE_TYPES } from '../utils/constants.js';
+
+// Tiles the player can stand on (platforms and laser emitters are one-way from above).
+// Moving platforms aren't in the grid, so routes never depend on them.
+const STANDABLE_TILES = [
+    TILE_TYPES.FLOOR, TILE_TYPES.PLATFORM, TILE_TYPES.LASER,
+    TILE_TYPES.CONVEYOR_LEFT, TILE_TYPES.CONVEYOR_RIGHT, TILE_TYPES.CRUMBLING_PLATFORM
+];
+
+// Tiles that make the tile below them an unsafe landing spot
+const HAZARD_TILES = [TILE_TYPES.SPIKE, TILE_TYPES.SAW, TILE_TYPES.CRUSHER, TILE_TYPES.GLITCH];
+
+const SIMULATION_STEP = 1 / 120; // Seconds per simulated physics step
+const DOUBLE_JUMP_MIN_AIR_TIME = 0.05; // Matches Player.performDoubleJump's 50ms guard
+const LANDING_MARGIN = 4; // Pixels of slack so frame-perfect jumps don't count as fair
+const MAX_REPAIRS = 8;
+
+// Ground gaps are left empty by generateGroundLevel (or marked GAP)
+const isGroundGap = tile => tile === TILE_TYPES.EMPTY || tile === TILE_TYPES.GAP;
+
+export class ReachabilityValidator {
+    constructor(game) {
+        this.game = game;
+        this.envelopeCache = new Map(); // Movement profile key -> reach table
+    }
+
+    /**
+     * Build the movement profile from the upgrades active for this run.
+     * Chunks near spawn are generated before the Player exists, so the shop is the source of truth.
+     */
+    getMovementProfile() {
+        const upgrades = new Set(this.game?.shopSystem?.getActiveUpgrades?.() || []);
+        const airBoostLevel = upgrades.has('air-boost-2') ? 2 : (upgrades.has('air-boost-1') ? 1 : 0);
+
+        return {
+            jumpPower: this.game?.player?.jumpPower ?? GAME_CONFIG.JUMP_POWER,
+            moveSpeed: GAME_CONFIG.MOVE_SPEED * (upgrades.has('speed-boost') ? 1.3 : 1.0),
+            hasDoubleJump: upgrades.has('double-jump') || airBoostLevel > 0,
+            airBoostLevel: airBoostLevel
+        };
+    }
+
+    /**
+     * Get (and cache) the reach table for a movement profile
+     * @returns {Object} - { reachByRise: Map<tiles, pixels>, maxRise, maxReach }
+     */
+    getEnvelope(profile = this.getMovementProfile()) {
+        const key = `${profile.jumpPower}|${profile.moveSpeed}|${profile.hasDoubleJump}|${profile.airBoostLevel}`;
+        if (!this.envelopeCache.has(key)) {
+            this.envelopeCache.set(key, this.buildEnvelope(profile));
+        }
+        return this.envelopeCache.get(key);
+    }
+
+    /**
+     * Simulate jump arcs at full run speed and record, for every landing height in whole tiles,
+     * the furthest horizontal distance at which the player's feet are still at or above it.
+     */
+    buildEnvelope(profile) {
+        const tileSize = GAME_CONFIG.TILE_SIZE;
+        const lowestRise = -GAME_CONFIG.CHUNK_HEIGHT;
+        const reachByRise = new Map();
+
+        // Mirror Player.performDoubleJump's power scaling
+        let doubleJumpPower = profile.jumpPower * 0.85;
+        if (profile.airBoostLevel === 1) doubleJumpPower = profile.jumpPower * 1.0;
+        if (profile.airBoostLevel === 2) doubleJumpPower = profile.jumpPower * 1.1;
+
+        // Try a single jump plus a double jump at every step of the arc and keep the best of each
+        const doubleJumpTimes = [null];
+        if (profile.hasDoubleJump) {
+            for (let t = DOUBLE_JUMP_MIN_AIR_TIME; t < 1.5; t += SIMULATION_STEP * 2) {
+                doubleJumpTimes.push(t);
+            }
+        }
+
+        for (const doubleJumpTime of doubleJumpTimes) {
+            let time = 0;
+            let x = 0;
+            let height = 0;
+            let vy = profile.jumpPower;
+            let usedDoubleJump = doubleJumpTime === null;
+
+            while (height > lowestRise * tileSize) {
+                if (!usedDoubleJump && time >= doubleJumpTime) {
+                    vy = doubleJumpPower;
+                    usedDoubleJump = true;
+                }
+
+                vy = Math.min(vy + GAME_CONFIG.GRAVITY * SIMULATION_STEP, GAME_CONFIG.MAX_FALL_SPEED);
+                height -= vy * SIMULATION_STEP;
+                x += profile.moveSpeed * SIMULATION_STEP;
+                time += SIMULATION_STEP;
+
+                const rise = Math.floor(height / tileSize);
+                for (let r = lowestRise; r <= rise; r++) {
+                    if (x > (reachByRise.get(r) ?? -Infinity)) {
+                        reachByRise.set(r, x);
+                    }
+                }
+            }
+        }
+
+        return {
+            reachByRise: reachByRise,
+            maxRise: Math.max(...reachByRise.keys()),
+            maxReach: Math.max(...reachByRise.values())
+        };
+    }
+
+    /**
+     * Check if the player can jump from a standable tile to another
+     * @param {Object} envelope - Reach table from getEnvelope
+     * @param {Object} from - { x, y } tile coordinates (x may be negative for the previous chunk)
+     * @param {Object} to - { x, y } tile coordinates
+     */
+    canJump(envelope, from, to) {
+        const rise = from.y - to.y; // Tile rows are counted downwards
+        if (rise > envelope.maxRise) return false;
+
+        // Take off with the hitbox hanging off the edge, land with it just overlapping the target
+        const tileGap = Math.max(0, Math.abs(to.x - from.x) - 1);
+        const playerWidth = (GAME_CONFIG.PLAYER_WIDTH || 28) - 4; // Player hitbox width
+        const required = tileGap * GAME_CONFIG.TILE_SIZE - playerWidth + LANDING_MARGIN;
+
+        return required <= envelope.reachByRise.get(Math.max(rise, -GAME_CONFIG.CHUNK_HEIGHT));
+    }
+
+    /**
+     * List every tile the player could stand on safely
+     */
+    getStandableTiles(chunk) {
+        const tiles = [];
+        for (let y = 1; y < GAME_CONFIG.CHUNK_HEIGHT; y++) {
+            for (let x = 0; x < GAME_CONFIG.CHUNK_WIDTH; x++) {
+                if (STANDABLE_TILES.includes(chunk.tiles[y][x]) &&
+                    !STANDABLE_TILES.includes(chunk.tiles[y - 1][x]) &&
+                    !HAZARD_TILES.includes(chunk.tiles[y - 1][x])) {
+                    tiles.push({ x, y });
+                }
+            }
+        }
+        return tiles;
+    }
+
+    /**
+     * Flood-fill from the entry tiles and return every standable tile the player can reach
+     * @param {Object} chunk - Chunk to search
+     * @param {Array<Object>} entryTiles - Reachable tiles from the previous chunk, in this chunk's coordinates
+     */
+    findReachableTiles(chunk, entryTiles, envelope) {
+        const standable = this.getStandableTiles(chunk);
+        const reached = new Set();
+        const queue = [...entryTiles];
+
+        // Entry tiles inside the chunk (spawn area) are reachable by definition
+        entryTiles.forEach(tile => {
+            if (tile.x >= 0) reached.add(`${tile.x},${tile.y}`);
+        });
+
+        while (queue.length > 0) {
+            const from = queue.shift();
+            for (const to of standable) {
+                const key = `${to.x},${to.y}`;
+                if (reached.has(key)) continue;
+
+                const walkable = to.y === from.y && Math.abs(to.x - from.x) === 1;
+                if (walkable || this.canJump(envelope, from, to)) {
+                    reached.add(key);
+                    queue.push(to);
+                }
+            }
+        }
+
+        return standable.filter(tile => reached.has(`${tile.x},${tile.y}`));
+    }
+
+    /**
+     * Validate a freshly generated chunk and repair it in place if it can't be crossed
+     * @param {Object} chunk - Chunk with tiles filled in
+     * @param {Object|undefined} previousChunk - Chunk to the left, if it is still loaded
+     * @returns {number} - Number of repairs made
+     */
+    validateChunk(chunk, previousChunk) {
+        const envelope = this.getEnvelope();
+        const entryTiles = this.getEntryTiles(chunk, previousChunk);
+        let repairs = 0;
+
+        try {
+            let reachable = this.findReachableTiles(chunk, entryTiles, envelope);
+            while (!this.canExit(reachable, envelope) && repairs < MAX_REPAIRS) {
+                if (!this.fillNextGap(chunk, reachable)) break;
+                repairs++;
+                reachable = this.findReachableTiles(chunk, entryTiles, envelope);
+            }
+
+            if (!this.canExit(reachable, envelope)) {
+                // Last resort: solid ground all the way across
+                this.fillAllGaps(chunk);
+                repairs++;
+                reachable = this.findReachableTiles(chunk, entryTiles, envelope);
+            }
+
+            chunk.reachableTiles = reachable;
+        } catch (error) {
+            console.warn(`⚠️ Reachability check failed for chunk ${chunk.x}:`, error);
+            chunk.reachableTiles = this.getStandableTiles(chunk);
+        }
+
+        if (repairs > 0) {
+            console.debug(`🧭 Repaired chunk ${chunk.x} with ${repairs} fix(es) to keep it reachable`);
+        }
+        return repairs;
+    }
+
+    /**
+     * Where the player can enter this chunk from: the previous chunk's reachable tiles,
+     * or the chunk's own left edge when there is no previous chunk (spawn, or already unloaded)
+     */
+    getEntryTiles(chunk, previousChunk) {
+        if (previousChunk && previousChunk.reachableTiles) {
+            return previousChunk.reachableTiles.map(tile => ({ x: tile.x - GAME_CONFIG.CHUNK_WIDTH, y: tile.y }));
+        }
+        return this.getStandableTiles(chunk).filter(tile => tile.x <= 1);
+    }
+
+    /**
+     * The chunk is passable if some reachable tile is close enough to the right edge
+     * for the player to jump into the next chunk
+     */
+    canExit(reachable, envelope) {
+        const exitReachTiles = Math.floor(envelope.reachByRise.get(0) / GAME_CONFIG.TILE_SIZE);
+        return reachable.some(tile => tile.x >= GAME_CONFIG.CHUNK_WIDTH - 1 - exitReachTiles);
+    }
+
+    /**
+     * Turn the first ground gap past the furthest reachable tile back into floor
+     * @returns {boolean} - False if there was nothing left to fill
+     */
+    fillNextGap(chunk, reachable) {
+        const groundRow = chunk.tiles[chunk.groundLevel];
+        const frontier = reachable.reduce((furthest, tile) => Math.max(furthest, tile.x), -1);
+
+        let gapStart = groundRow.findIndex((tile, x) => x > frontier && isGroundGap(tile));
+        if (gapStart < 0) {
+            // The blocker is before the frontier (or on platforms), take the first gap anywhere
+            gapStart = groundRow.findIndex(isGroundGap);
+        }
+        if (gapStart < 0) return false;
+
+        for (let x = gapStart; x < GAME_CONFIG.CHUNK_WIDTH && isGroundGap(groundRow[x]); x++) {
+            groundRow[x] = TILE_TYPES.FLOOR;
+        }
+        return true;
+    }
+
+    fillAllGaps(chunk) {
+        const groundRow = chunk.tiles[chunk.groundLevel];
+        for (let x = 0; x < GAME_CONFIG.CHUNK_WIDTH; x++) {
+            if (isGroundGap(groundRow[x])) {
+                groundRow[x] = TILE_TYPES.FLOOR;
+            }
+        }
+    }
+}
@@ -0,0 +1,189 @@
+/**
+ * Run Verifier - Re-simulates a run from its proof to check a leaderboard claim
+ *
+ * A run proof is a replay (see ReplaySystem): world seed, difficulty, owned upgrades and the
+ * run-length encoded input of every simulation step, plus the result the client claims. The
+ * verifier builds a headless game around the real WorldGenerator, Player and PhysicsEngine (no
+ * canvas, audio or menus), feeds the recorded input through GameLoop.updateGameplay and compares
+ * the distance, data packets and score the run ends with. Used by server/verification-service.js.
+ */
+
+import { GAME_CONFIG, GAME_STATES, DIFFICULTY_LEVELS, RUN_VERIFICATION } from '../utils/constants.js';
+import { GameNavigation } from './GameNavigation.js';
+import { GameLoop } from './GameLoop.js';
+import { ReplaySystem } from '../systems/ReplaySystem.js';
+import { ShopSystem } from '../systems/ShopSystem.js';
+import { PowerUpSystem } from '../systems/PowerUpSystem.js';
+import { LifeBoxSystem } from '../systems/LifeBoxSystem.js';
+import { DeletionWaveSystem } from '../systems/DeletionWaveSystem.js';
+import { RewindSystem } from '../systems/RewindSystem.js';
+import { SecondChanceSystem } from '../systems/SecondChanceSystem.js';
+import { ComboSystem } from '../systems/ComboSystem.js';
+
+const CLAIM_FIELDS = ['distance', 'packets', 'score'];
+
+export class RunVerifier {
+    /**
+     * @param {Object} options - { maxSteps }
+     */
+    constructor(options = {}) {
+        this.maxSteps = options.maxSteps || RUN_VERIFICATION.MAX_STEPS;
+    }
+
+    /**
+     * Re-simulate a run and compare it with what the client claims
+     * @param {Object} proof - Replay of the run
+     * @param {Object} [claim] - { distance, packets, score[, survivalTime] }, defaults to proof.result
+     * @returns {Promise<Object>} - { valid, reason, result } where result is what the simulation produced
+     */
+    async verify(proof, claim = proof && proof.result) {
+        const check = this.checkProof(proof);
+        if (!check.valid) {
+            return { valid: false, reason: check.error, result: null };
+        }
+        if (!claim || CLAIM_FIELDS.some(field => !Number.isFinite(claim[field]))) {
+            return { valid: false, reason: `claim must include ${CLAIM_FIELDS.join(', ')}`, result: null };
+        }
+
+        let result;
+        try {
+            result = await this.simulate(proof);
+        } catch (error) {
+            return { valid: false, reason: `simulation failed: ${error.message}`, result: null };
+        }
+
+        if (result.desyncStep !== null) {
+            return { valid: false, reason: `recorded actions stop matching at step ${result.desyncStep}`, result };
+        }
+        if (!result.ended) {
+            return { valid: false, reason: `run was still going when the input ran out (step ${result.steps})`, result };
+        }
+
+        const fields = claim.survivalTime !== undefined ? [...CLAIM_FIELDS, 'survivalTime'] : CLAIM_FIELDS;
+        const mismatch = fields.find(field => result[field] !== claim[field]);
+        if (mismatch) {
+            return { valid: false, reason: `claimed ${mismatch} ${claim[mismatch]} but the run reproduces ${result[mismatch]}`, result };
+        }
+        return { valid: true, reason: null, result };
+    }
+
+    /**
+     * Reject proofs this build can't (or shouldn't) simulate before doing any work
+     * @returns {Object} - { valid, error }
+     */
+    checkProof(proof) {
+        const validation = ReplaySystem.validate(proof);
+        if (!validation.valid) return validation;
+
+        if (!DIFFICULTY_LEVELS[proof.difficulty]) {
+            return { valid: false, error: `unknown difficulty ${proof.difficulty}` };
+        }
+        const shopUpgrades = new ShopSystem(null).upgradeData;
+        const unknownUpgrade = proof.upgrades.find(upgradeId => !shopUpgrades[upgradeId]);
+        if (unknownUpgrade !== undefined) {
+            return { valid: false, error: `unknown upgrade ${unknownUpgrade}` };
+        }
+        const { width, height } = proof.viewport || {};
+        const inRange = size => Number.isInteger(size) && size >= RUN_VERIFICATION.MIN_VIEWPORT && size <= RUN_VERIFICATION.MAX_VIEWPORT;
+        if (!inRange(width) || !inRange(height)) {
+            return { valid: false, error: 'viewport missing or out of range' };
+        }
+
+        // Count before decoding so a forged run length can't allocate millions of steps
+        const steps = ReplaySystem.countSteps(proof.input);
+        if (Number.isNaN(steps)) {
+            return { valid: false, error: 'malformed input log' };
+        }
+        if (steps > this.maxSteps) {
+            return { valid: false, error: `run is longer than ${this.maxSteps} steps` };
+        }
+        return { valid: true, error: null };
+    }
+
+    /**
+     * Play the proof's input through a headless game until the run ends or the input runs out
+     * @returns {Promise<Object>} - { ended, endReason, distance, packets, score, survivalTime, steps, desyncStep }
+     */
+    async simulate(proof) {
+        const game = this.createHeadlessGame(proof);
+        const navigation = game.navigation;
+
+        navigation.applyRunOptions({
+            mode: 'replay',
+            seed: proof.seed,
+            difficulty: proof.difficulty,
+            loadout: [...proof.upgrades]
+        });
+        await navigation.initializeGameObjects();
+        game.replaySystem.activeReplay = proof;
+        navigation.resetGameState();
+
+        game.deltaTime = GAME_CONFIG.SIMULATION_STEP;
+        let steps = 0;
+        while (!game.runEnd && steps <= this.maxSteps) {
+            game.gameLoop.updateGameplay();
+            steps++;
+        }
+
+        return {
+            ...(game.runEnd || game.captureResult(null)),
+            ended: !!game.runEnd && !game.inputExhausted,
+            steps: steps,
+            desyncStep: game.replaySystem.getDesyncStep()
+        };
+    }
+
+    /**
+     * A Game stand-in with just what the gameplay systems touch during a run
+     */
+    createHeadlessGame(proof) {
+        const game = {
+            canvas: { width: proof.viewport.width, height: proof.viewport.height },
+            camera: { x: 0, y: 0 },
+            gameState: GAME_STATES.PLAYING,
+            selectedDifficulty: proof.difficulty,
+            adaptiveDifficulty: false,
+            runOptions: { mode: 'replay' },
+            bestScores: {},
+            deltaTime: 0,
+            runEnd: null,
+            inputExhausted: false
+        };
+
+        game.getSimulationTime = () => game.simulationTime;
+        game.triggerScreenShake = () => {};
+        game.createMilestoneEffect = () => {};
+
+        // Same moment GameNavigation.endGame reads the result in the browser
+        game.captureResult = (reason) => ({
+            endReason: reason,
+            distance: game.player ? Math.floor(game.player.x / 10) : 0,
+            packets: game.player ? game.player.dataPacketsCollected : 0,
+            score: game.score || 0,
+            survivalTime: Math.floor((game.simulationTime || 0) / 1000)
+        });
+        // Player.die ends a run through gameOver; endGame only comes from ReplaySystem.finishPlayback
+        // when the input ran out first
+        game.gameOver = (reason) => {
+            if (game.runEnd) return;
+            game.runEnd = game.captureResult(reason);
+            game.gameState = GAME_STATES.GAME_OVER;
+        };
+        game.endGame = (reason) => {
+            game.inputExhausted = !game.runEnd;
+            game.gameOver(reason);
+        };
+
+        game.navigation = new GameNavigation(game);
+        game.gameLoop = new GameLoop(game);
+        game.shopSystem = new ShopSystem(game);
+        game.powerUpSystem = new PowerUpSystem(game);
+        game.lifeBoxSystem = new LifeBoxSystem(game);
+        game.deletionWaveSystem = new DeletionWaveSystem(game);
+        game.replaySystem = new ReplaySystem(game);
+        game.rewindSystem = new RewindSystem(game);
+        game.secondChanceSystem = new SecondChanceSystem(game);
+        game.comboSystem = new ComboSystem(game);
+        return game;
+    }
+}
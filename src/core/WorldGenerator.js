@@ -4,9 +4,18 @@
 
 import { GAME_CONFIG, TILE_TYPES, DIFFICULTY_LEVELS } from '../utils/constants.js';
 import { TileRenderer } from '../rendering/TileRenderer.js';
+import { SeededRandom } from '../utils/SeededRandom.js';
+import { ObstaclePatternRegistry } from './ObstaclePatternRegistry.js';
+import { ReachabilityValidator } from './ReachabilityValidator.js';
+import { BiomeManager } from './BiomeManager.js';
+import { EnemyManager } from './EnemyManager.js';
 
 export class WorldGenerator {
-    constructor(game) {
+    /**
+     * @param {Object} game - Game instance
+     * @param {number|string} [seed] - World seed; defaults to game.worldSeed or a fresh random seed
+     */
+    constructor(game, seed) {
         this.game = game;
         this.chunks = new Map();
         this.lastGeneratedChunk = -2; // Start at -2 so chunk 0 gets generated properly        this.groundLevel = 10;
@@ -26,8 +35,19 @@ export class WorldGenerator {
         this.sawPositions = []; // Separate tracking for saws to allow closer placement
         this.lastObstaclesCleanup = 0; // Track when we last cleaned up old obstacles
         
-        // Add randomization seeds for different terrain features
-        this.terrainSeed = Math.random() * 1000;
+        // Kinematic tiles - driven by world time so they stay in step with the simulation
+        this.worldTime = 0; // Milliseconds of simulated time
+        this.crumblingTiles = new Map(); // "tileX,tileY" -> { elapsed, fallen }
+        this.tileVersion = 0; // Bumped whenever tiles change at runtime (lets physics drop stale caches)
+        this.patternRegistry = new ObstaclePatternRegistry(); // Declarative obstacle set pieces
+        this.reachabilityValidator = new ReachabilityValidator(game); // Repairs chunks the player can't cross
+        this.enemyManager = new EnemyManager(this); // Moving enemies, kept off the tile grid
+        
+        // Seeded randomness - every generation path draws from this.rng so a seed reproduces the world
+        this.seed = SeededRandom.normalizeSeed(seed ?? game?.worldSeed ?? SeededRandom.generateSeed());
+        this.rng = new SeededRandom(this.seed);
+        this.biomeManager = new BiomeManager(this.seed); // Multi-chunk biome plan for this seed
+        this.obstacleMix = {}; // Biome obstacle multipliers for the chunk being generated
         this.lastTerrainType = 'normal';
         this.chunkTypeCounter = 0;
         
@@ -88,6 +108,22 @@ export class WorldGenerator {
         // Force generation of spawn chunk immediately
         this.generateChunk(0);
     }
+
+    /**
+     * Get the seed this world was generated from
+     */
+    getSeed() {
+        return this.seed;
+    }
+
+    /**
+     * Create the random stream for a single chunk.
+     * Each chunk gets its own stream derived from the world seed so its layout
+     * does not depend on how many rolls earlier chunks consumed.
+     */
+    createChunkRandom(chunkX) {
+        return new SeededRandom(SeededRandom.deriveSeed(this.seed, chunkX));
+    }
     
     update(deltaTime, camera) {
         // Safety check for camera
@@ -96,8 +132,15 @@ export class WorldGenerator {
             return;
         }
 
-        // Update the tile renderer animation time
-        this.tileRenderer.update(deltaTime);
+        // Follow the game's simulation clock so timed tiles line up with the hazard checks
+        const simulationTime = this.game ? this.game.simulationTime : undefined;
+        this.worldTime = typeof simulationTime === 'number' ? simulationTime : this.worldTime + deltaTime;
+        this.tileRenderer.update(deltaTime, this.worldTime);
+        
+        // Advance moving platforms and crumbling tiles
+        this.updateMovingPlatforms();
+        this.updateCrumblingTiles(deltaTime);
+        this.enemyManager.update(deltaTime);
         
         // Calculate progressive difficulty based on distance and selected difficulty level
         this.updateProgressiveDifficulty(camera.x);
@@ -161,10 +204,16 @@ export class WorldGenerator {
     }      generateChunk(chunkX) {
         if (this.chunks.has(chunkX)) return;
         
+        this.rng = this.createChunkRandom(chunkX);
+        this.obstacleMix = this.biomeManager.getObstacleMix(chunkX);
+        
         const chunk = {
             x: chunkX,
             tiles: [],
+            movingPlatforms: [],
             generated: true,
+            biome: this.biomeManager.getBiome(chunkX).id,
+            biomeTransition: this.biomeManager.isTransitionChunk(chunkX),
             terrainType: this.determineTerrainType(chunkX)
         };
         
@@ -182,6 +231,7 @@ export class WorldGenerator {
         }
         
         this.generateGroundLevel(chunk, chunkX);
+        this.generateConveyors(chunk, chunkX);
         this.generatePlatforms(chunk, chunkX);
         this.generateSpecialTiles(chunk, chunkX);
           // Don't reset obstacle positions - maintain spacing across chunks
@@ -189,15 +239,22 @@ export class WorldGenerator {
         this.generateDynamicObstacles(chunk, chunkX);        // Add pattern-based obstacle combinations (except in spawn chunk)
         // Pattern frequency increases with progressive difficulty
         const patternChance = Math.min(0.2 * this.patternFrequency, 0.6); // Base 20% chance, scales up to 60%
-        if (chunkX > 2 && Math.random() < patternChance && chunk.terrainType !== 'spawn') {
+        if (chunkX > 2 && this.rng.next() < patternChance && chunk.terrainType !== 'spawn') {
             this.generateObstaclePattern(chunk, chunkX);
         }
         
+        // Make sure the chunk can actually be crossed with the player's jump arc and upgrades
+        this.reachabilityValidator.validateChunk(chunk, this.chunks.get(chunkX - 1));
+        
+        // Enemies go in last so they are placed against the final, repaired tiles
+        this.enemyManager.spawnForChunk(chunk, this.rng, this.obstacleMix);
+        
         this.chunks.set(chunkX, chunk);
     }
     
     /**
      * Generate a pattern-based obstacle combination for more interesting challenges
+     * Patterns come from the ObstaclePatternRegistry so new set pieces need no generator code
      * @param {Object} chunk - The chunk to add obstacle pattern to
      * @param {number} chunkX - The X coordinate of the chunk
      */
@@ -205,146 +262,89 @@ export class WorldGenerator {
         const groundLevel = chunkX === 0 ? this.groundLevel : this.currentGroundLevel;
         const clampedGroundLevel = Math.max(0, Math.min(GAME_CONFIG.CHUNK_HEIGHT - 1, groundLevel));
         
-        // Choose a pattern based on terrain type and randomness
-        const patternType = Math.random();
-          // Only apply patterns if there's enough space available
-        // Find a section in the chunk with at least 9 consecutive walkable floor tiles (for 4-tile spacing patterns)
-        let patternStartX = -1;
-        let walkableTiles = 0;
+        const pattern = this.patternRegistry.selectPattern(this.rng, {
+            terrainType: chunk.terrainType,
+            difficulty: this.difficulty,
+            groundLevel: clampedGroundLevel
+        });
+        if (!pattern) return;
         
-        for (let x = 1; x < GAME_CONFIG.CHUNK_WIDTH - 10; x++) {
-            const worldX = chunkX * GAME_CONFIG.CHUNK_WIDTH + x;
-            
-            if (chunk.tiles[clampedGroundLevel][x] === TILE_TYPES.FLOOR) {
-                walkableTiles++;
-                
-                // Check if we have enough consecutive walkable floor tiles
-                if (walkableTiles >= 9) {
-                    patternStartX = x - 8; // Start 8 tiles back to have enough space
-                    
-                    // Ensure this position has enough space from all other obstacles
-                    let hasSpace = true;
-                    for (let checkX = patternStartX; checkX < patternStartX + 9; checkX++) {
-                        const worldCheckX = chunkX * GAME_CONFIG.CHUNK_WIDTH + checkX;
-                        if (!this.hasEnoughSpace(worldCheckX)) {
-                            hasSpace = false;
-                            break;
-                        }
-                    }
-                    
-                    if (hasSpace) {
-                        break; // Found a suitable position
-                    }
-                }
-            } else {
-                walkableTiles = 0; // Reset counter if tile is not walkable
-            }
-        }
+        const patternStartX = this.findPatternStart(chunk, chunkX, clampedGroundLevel, pattern);
+        if (patternStartX < 0) return;
         
-        // If we didn't find enough space, exit
-        if (patternStartX < 0) {
-            return;
-        }        // Apply the selected pattern
-        if (patternType < 0.45) // Changed from 0.65 to 0.45 to favor crusher patterns more
-            // Pattern 1: "Saw Gauntlet" - series of saws with platforms above
-            this.createSawGauntletPattern(chunk, chunkX, patternStartX, clampedGroundLevel);
-         else {
-            // Pattern 2: "Crusher Corridor" - series of crushers with timing challenges
-            this.createCrusherCorridorPattern(chunk, chunkX, patternStartX, clampedGroundLevel);
-        }
+        this.stampPattern(chunk, chunkX, pattern, patternStartX, clampedGroundLevel);
     }
     
     /**
-     * Create a pattern with saws on ground and platforms above
-     */    createSawGauntletPattern(chunk, chunkX, startX, groundLevel) {        // Add 4 saws instead of 3 for more challenge
-        for (let i = 0; i < 4; i++) {
-            const x = startX + i * 3; // Slightly tighter spacing (3 instead of 4) for more challenge
-            const worldX = chunkX * GAME_CONFIG.CHUNK_WIDTH + x;
-            
-            if (x < GAME_CONFIG.CHUNK_WIDTH && chunk.tiles[groundLevel - 1][x] === TILE_TYPES.EMPTY) {
-                chunk.tiles[groundLevel - 1][x] = TILE_TYPES.SAW;
-                this.obstaclePositions.push(worldX);
+     * Find a run of walkable floor wide enough for a pattern whose hazards keep clear of other obstacles
+     * @returns {number} - Local tile X to start the pattern at, or -1 if there is no room
+     */
+    findPatternStart(chunk, chunkX, groundLevel, pattern) {
+        const width = pattern.width;
+        let walkableTiles = 0;
+        
+        for (let x = 1; x < GAME_CONFIG.CHUNK_WIDTH; x++) {
+            if (chunk.tiles[groundLevel][x] !== TILE_TYPES.FLOOR) {
+                walkableTiles = 0; // Reset counter if tile is not walkable
+                continue;
             }
             
-            // Add platforms above to give the player options
-            if (i % 2 === 0 && groundLevel > 3) {
-                const platformY = groundLevel - 3;
-                const platformX = x - 1;
-                
-                if (platformX >= 0 && platformX + 2 < GAME_CONFIG.CHUNK_WIDTH) {
-                    for (let px = 0; px < 3; px++) {
-                        if (platformX + px >= 0 && platformX + px < GAME_CONFIG.CHUNK_WIDTH) {
-                            chunk.tiles[platformY][platformX + px] = TILE_TYPES.PLATFORM;
-                        }
-                    }
-                }
-            }
+            walkableTiles++;
+            if (walkableTiles < width) continue;
             
-            // Occasionally add an extra saw on a platform for extra challenge
-            if (i === 1 && groundLevel > 4 && Math.random() < 0.4) {
-                const platformSawY = groundLevel - 4;
-                const platformSawX = x;
-                if (platformSawX >= 0 && platformSawX < GAME_CONFIG.CHUNK_WIDTH &&
-                    platformSawY >= 0 && chunk.tiles[platformSawY][platformSawX] === TILE_TYPES.EMPTY) {
-                    chunk.tiles[platformSawY][platformSawX] = TILE_TYPES.SAW;
-                    this.obstaclePositions.push(chunkX * GAME_CONFIG.CHUNK_WIDTH + platformSawX);
-                }
+            // Ensure every hazard in the pattern has enough space from existing obstacles
+            const startX = x - width + 1;
+            const hasSpace = pattern.hazardColumns.every(column =>
+                this.hasEnoughSpace(chunkX * GAME_CONFIG.CHUNK_WIDTH + startX + column));
+            
+            if (hasSpace) {
+                return startX;
             }
         }
+        
+        return -1;
     }
-      /**
-     * Create a pattern with multiple crushers for timing challenges
+    
+    /**
+     * Write a compiled pattern's tiles into the chunk, only over empty tiles
      */
-    createCrusherCorridorPattern(chunk, chunkX, startX, groundLevel) {
-        // Create a ceiling for the crushers
-        const ceilingY = groundLevel - 5;
-        if (ceilingY < 2) return; // Not enough vertical space
-        
-        // Add ceiling tiles above the ground
-        for (let x = startX; x < startX + 6 && x < GAME_CONFIG.CHUNK_WIDTH; x++) {
-            if (ceilingY >= 0) {
-                chunk.tiles[ceilingY][x] = TILE_TYPES.PLATFORM;
-            }
-        }
-          // Add crushers attached to the ceiling
-        for (let i = 0; i < 2; i++) {
-            const x = startX + 1 + i * 4; // Space crushers 4 tiles apart to maintain 2-tile radius
-            const worldX = chunkX * GAME_CONFIG.CHUNK_WIDTH + x;
+    stampPattern(chunk, chunkX, pattern, startX, groundLevel) {
+        for (const stamp of pattern.stamps) {
+            if (stamp.chance < 1 && this.rng.next() >= stamp.chance) continue;
+            
+            const x = startX + stamp.x;
+            const y = groundLevel - stamp.y;
+            if (x < 0 || x >= GAME_CONFIG.CHUNK_WIDTH || y < 0) continue;
+            if (chunk.tiles[y][x] !== TILE_TYPES.EMPTY) continue;
             
-            if (x < GAME_CONFIG.CHUNK_WIDTH && ceilingY + 1 < GAME_CONFIG.CHUNK_HEIGHT) {
-                chunk.tiles[ceilingY + 1][x] = TILE_TYPES.CRUSHER;
-                this.obstaclePositions.push(worldX);
+            chunk.tiles[y][x] = stamp.tile;
+            if (stamp.hazard) {
+                this.obstaclePositions.push(chunkX * GAME_CONFIG.CHUNK_WIDTH + x);
             }
         }
-        
-        // Add platforms as safe zones between crushers
-        const platformY = groundLevel - 2;
-        const platformX = startX + 2;
-        
-        if (platformY > 0 && platformX >= 0 && platformX + 1 < GAME_CONFIG.CHUNK_WIDTH) {
-            chunk.tiles[platformY][platformX] = TILE_TYPES.PLATFORM;
-        }
     }
     
     /**
-     * Create a pattern with multiple hover bots in formation
-     */    // createHoverBotSwarmPattern method removed as hover bots are no longer used
-      /**
      * Determine what type of terrain this chunk should have
      */
     determineTerrainType(chunkX) {
         // First chunk is always safe spawn
         if (chunkX === 0) return 'spawn';
         
-        // Use a mix of randomness and patterns
+        // Hand-off chunks between biomes stay plain
+        if (this.biomeManager.isTransitionChunk(chunkX)) return 'normal';
+        
+        // Weights come from the biome this chunk belongs to
         const terrainTypes = ['normal', 'platformHeavy', 'hazardous', 'elevated', 'valley', 'chaotic'];
-        const weights = [30, 20, 15, 15, 10, 10]; // Percentage weights
+        const biomeWeights = this.biomeManager.getBiome(chunkX).terrainWeights;
+        const weights = terrainTypes.map(type => biomeWeights[type] || 0);
         
         // Modify weights based on difficulty
         if (this.difficulty > 2) {
             weights[2] += 10; // More hazardous
             weights[5] += 5;  // More chaotic
         }
+        const totalWeight = weights.reduce((sum, weight) => sum + weight, 0);
         
         // Avoid too many consecutive similar terrains
         let availableTypes = [...terrainTypes];
@@ -352,7 +352,7 @@ export class WorldGenerator {
             availableTypes = availableTypes.filter(t => t !== 'hazardous');
         }
         
-        const rand = Math.random() * 100;
+        const rand = this.rng.next() * totalWeight;
         let cumulative = 0;
         
         for (let i = 0; i < availableTypes.length; i++) {
@@ -472,14 +472,14 @@ export class WorldGenerator {
             case 'chaotic':
                 resultParams = {
                     ...baseParams,
-                    gapChance: baseParams.gapChance * (0.5 + Math.random()), // Random gap chance
-                    maxGapSize: 2 + Math.floor(Math.random() * 3), // Random max gap
-                    minFloorStreak: 1 + Math.floor(Math.random() * 3), // Random floor streak
-                    spikeChance: baseParams.spikeChance * (0.5 + Math.random() * 1.5), // Very random spike chance
+                    gapChance: baseParams.gapChance * (0.5 + this.rng.next()), // Random gap chance
+                    maxGapSize: 2 + Math.floor(this.rng.next() * 3), // Random max gap
+                    minFloorStreak: 1 + Math.floor(this.rng.next() * 3), // Random floor streak
+                    spikeChance: baseParams.spikeChance * (0.5 + this.rng.next() * 1.5), // Very random spike chance
                     spikeMinDistance: Math.max(baseParams.spikeMinDistance, 4), // Ensure sufficient spacing even in chaotic terrain
-                    sawChance: (GAME_CONFIG.SAW_CHANCE || 30) * (hasExtraLane ? 0.5 : 1) * (0.8 + Math.random() * 1.5),
-                    laserChance: (GAME_CONFIG.LASER_CHANCE || 6) * (hasExtraLane ? 0.4 : 1) * (0.8 + Math.random() * 1.5),
-                    crusherChance: (GAME_CONFIG.CRUSHER_CHANCE || 12) * (hasExtraLane ? 0.5 : 1.8) * (0.8 + Math.random() * 1.5) // Increased crusher chance in chaotic terrain
+                    sawChance: (GAME_CONFIG.SAW_CHANCE || 30) * (hasExtraLane ? 0.5 : 1) * (0.8 + this.rng.next() * 1.5),
+                    laserChance: (GAME_CONFIG.LASER_CHANCE || 6) * (hasExtraLane ? 0.4 : 1) * (0.8 + this.rng.next() * 1.5),
+                    crusherChance: (GAME_CONFIG.CRUSHER_CHANCE || 12) * (hasExtraLane ? 0.5 : 1.8) * (0.8 + this.rng.next() * 1.5) // Increased crusher chance in chaotic terrain
                 };
                 break;
                   default: // 'normal'
@@ -492,6 +492,14 @@ export class WorldGenerator {
                 break;
         }
         
+        // Layer the biome's obstacle mix on top, keeping the same caps
+        const mix = this.obstacleMix || {};
+        const caps = { gapChance: 85, spikeChance: 75, sawChance: 60, laserChance: 25, crusherChance: 20 };
+        Object.keys(caps).forEach(key => {
+            if (mix[key] !== undefined) {
+                resultParams[key] = Math.min(resultParams[key] * mix[key], caps[key]);
+            }
+        });
        
         return resultParams;
     }
@@ -503,20 +511,20 @@ export class WorldGenerator {
         switch (terrainType) {
             case 'elevated':
                 this.currentGroundLevel = Math.max(baseGroundLevel - maxVariation, 
-                    baseGroundLevel - 1 - Math.floor(Math.random() * 2));
+                    baseGroundLevel - 1 - Math.floor(this.rng.next() * 2));
                 break;
             case 'valley':
                 this.currentGroundLevel = Math.min(baseGroundLevel + maxVariation, 
-                    baseGroundLevel + 1 + Math.floor(Math.random() * 2));
+                    baseGroundLevel + 1 + Math.floor(this.rng.next() * 2));
                 break;
             case 'chaotic':
                 // Random elevation change
-                const change = (Math.random() - 0.5) * 4;
+                const change = (this.rng.next() - 0.5) * 4;
                 this.currentGroundLevel = Math.max(8, Math.min(12, this.currentGroundLevel + change));
                 break;
             default:
                 // Gradual return to base level or small random variation
-                const targetLevel = baseGroundLevel + (Math.random() - 0.5) * 2;
+                const targetLevel = baseGroundLevel + (this.rng.next() - 0.5) * 2;
                 this.currentGroundLevel += (targetLevel - this.currentGroundLevel) * 0.3;
                 break;
         }
@@ -540,6 +548,7 @@ export class WorldGenerator {
         
         // Clamp groundLevel to valid range
         const clampedGroundLevel = Math.max(0, Math.min(GAME_CONFIG.CHUNK_HEIGHT - 1, safeGroundLevel));
+        chunk.groundLevel = clampedGroundLevel;
         
         for (let x = 0; x < GAME_CONFIG.CHUNK_WIDTH; x++) {
             const worldX = chunkX * GAME_CONFIG.CHUNK_WIDTH + x;
@@ -562,7 +571,7 @@ export class WorldGenerator {
                 consecutiveFloors++;
                 consecutiveGaps = 0;
             } else {
-                const roll = Math.random() * 100;
+                const roll = this.rng.next() * 100;
                 const difficultyModifier = Math.min(this.difficulty * 3, 15);
                 
                 if (roll < terrainParams.gapChance + difficultyModifier) {
@@ -583,7 +592,7 @@ export class WorldGenerator {
                 }
                   // Add spikes with terrain-specific chances
                 const spikeChance = terrainParams.spikeChance + Math.min(this.difficulty * 3, 20);
-                const spikeRoll = Math.random() * 100;                // Use our helper method to check spike spacing
+                const spikeRoll = this.rng.next() * 100;                // Use our helper method to check spike spacing
                 if (spikeRoll < spikeChance && this.canPlaceSpike(worldX, clampedGroundLevel - 1) && clampedGroundLevel > 0) {
                     chunk.tiles[clampedGroundLevel - 1][x] = TILE_TYPES.SPIKE;                    this.lastSpikeWorldX = worldX;
                     this.lastPlatformSpikePos = { x: worldX, y: clampedGroundLevel - 1 };
@@ -612,19 +621,19 @@ export class WorldGenerator {
         let platformCount;
         switch (chunk.terrainType) {
             case 'platformHeavy':
-                platformCount = 3 + Math.floor(Math.random() * 3); // 3-5 platforms
+                platformCount = 3 + Math.floor(this.rng.next() * 3); // 3-5 platforms
                 break;
             case 'elevated':
-                platformCount = 2 + Math.floor(Math.random() * 2); // 2-3 platforms
+                platformCount = 2 + Math.floor(this.rng.next() * 2); // 2-3 platforms
                 break;
             case 'chaotic':
-                platformCount = 1 + Math.floor(Math.random() * 4); // 1-4 platforms (very random)
+                platformCount = 1 + Math.floor(this.rng.next() * 4); // 1-4 platforms (very random)
                 break;
             case 'spawn':
                 platformCount = 1; // Minimal platforms in spawn area
                 break;
             default:
-                platformCount = Math.random() < 0.7 ? 2 : 3; // Original logic
+                platformCount = this.rng.next() < 0.7 ? 2 : 3; // Original logic
                 break;
         }
 
@@ -633,33 +642,33 @@ export class WorldGenerator {
             
             // Terrain-specific platform placement
             switch (chunk.terrainType) {                case 'platformHeavy':
-                    platformX = Math.floor(Math.random() * (GAME_CONFIG.CHUNK_WIDTH - 5)) + 1;
-                    platformY = clampedGroundLevel - 2 - Math.floor(Math.random() * 4); // Higher variety
-                    platformLength = 2 + Math.floor(Math.random() * 4); // 2-5 length
+                    platformX = Math.floor(this.rng.next() * (GAME_CONFIG.CHUNK_WIDTH - 5)) + 1;
+                    platformY = clampedGroundLevel - 2 - Math.floor(this.rng.next() * 4); // Higher variety
+                    platformLength = 2 + Math.floor(this.rng.next() * 4); // 2-5 length
                     break;
                     
                 case 'elevated':
-                    platformX = Math.floor(Math.random() * (GAME_CONFIG.CHUNK_WIDTH - 4)) + 1;
-                    platformY = clampedGroundLevel - 3 - Math.floor(Math.random() * 2); // Higher platforms
-                    platformLength = 3 + Math.floor(Math.random() * 3); // 3-5 length
+                    platformX = Math.floor(this.rng.next() * (GAME_CONFIG.CHUNK_WIDTH - 4)) + 1;
+                    platformY = clampedGroundLevel - 3 - Math.floor(this.rng.next() * 2); // Higher platforms
+                    platformLength = 3 + Math.floor(this.rng.next() * 3); // 3-5 length
                     break;
                     
                 case 'valley':
-                    platformX = Math.floor(Math.random() * (GAME_CONFIG.CHUNK_WIDTH - 4)) + 1;
-                    platformY = clampedGroundLevel - 1 - Math.floor(Math.random() * 2); // Lower platforms
-                    platformLength = 4 + Math.floor(Math.random() * 2); // 4-5 length (longer for easier traversal)
+                    platformX = Math.floor(this.rng.next() * (GAME_CONFIG.CHUNK_WIDTH - 4)) + 1;
+                    platformY = clampedGroundLevel - 1 - Math.floor(this.rng.next() * 2); // Lower platforms
+                    platformLength = 4 + Math.floor(this.rng.next() * 2); // 4-5 length (longer for easier traversal)
                     break;
                     
                 case 'chaotic':
-                    platformX = Math.floor(Math.random() * (GAME_CONFIG.CHUNK_WIDTH - 3)) + 1;
-                    platformY = clampedGroundLevel - 1 - Math.floor(Math.random() * 5); // Very random heights
-                    platformLength = 1 + Math.floor(Math.random() * 4); // 1-4 length (very varied)
+                    platformX = Math.floor(this.rng.next() * (GAME_CONFIG.CHUNK_WIDTH - 3)) + 1;
+                    platformY = clampedGroundLevel - 1 - Math.floor(this.rng.next() * 5); // Very random heights
+                    platformLength = 1 + Math.floor(this.rng.next() * 4); // 1-4 length (very varied)
                     break;
                     
                 case 'hazardous':
-                    platformX = Math.floor(Math.random() * (GAME_CONFIG.CHUNK_WIDTH - 4)) + 1;
-                    platformY = clampedGroundLevel - 2 - Math.floor(Math.random() * 3);
-                    platformLength = 2 + Math.floor(Math.random() * 3); // 2-4 length (shorter for difficulty)
+                    platformX = Math.floor(this.rng.next() * (GAME_CONFIG.CHUNK_WIDTH - 4)) + 1;
+                    platformY = clampedGroundLevel - 2 - Math.floor(this.rng.next() * 3);
+                    platformLength = 2 + Math.floor(this.rng.next() * 3); // 2-4 length (shorter for difficulty)
                     break;
                     
                 case 'spawn':
@@ -670,19 +679,29 @@ export class WorldGenerator {
                     break;
                     
                 default:
-                    platformX = Math.floor(Math.random() * (GAME_CONFIG.CHUNK_WIDTH - 4)) + 1;
-                    platformY = clampedGroundLevel - 2 - Math.floor(Math.random() * 3);
-                    platformLength = 3 + Math.floor(Math.random() * 3);
+                    platformX = Math.floor(this.rng.next() * (GAME_CONFIG.CHUNK_WIDTH - 4)) + 1;
+                    platformY = clampedGroundLevel - 2 - Math.floor(this.rng.next() * 3);
+                    platformLength = 3 + Math.floor(this.rng.next() * 3);
                     break;
             }
 
+            // Some platforms move or crumble instead (never in the spawn area)
+            const kinematicRoll = chunk.terrainType === 'spawn' ? 1 : this.rng.next();
+            if (kinematicRoll < GAME_CONFIG.MOVING_PLATFORM_CHANCE &&
+                this.addMovingPlatform(chunk, chunkX, platformX, platformY, platformLength)) {
+                continue;
+            }
+            const platformTile = kinematicRoll < GAME_CONFIG.MOVING_PLATFORM_CHANCE + GAME_CONFIG.CRUMBLING_PLATFORM_CHANCE
+                ? TILE_TYPES.CRUMBLING_PLATFORM
+                : TILE_TYPES.PLATFORM;
+
             // Place the platform tiles
             for (let i = 0; i < platformLength && platformX + i < GAME_CONFIG.CHUNK_WIDTH; i++) {
                 if (platformY >= 0 && platformY < GAME_CONFIG.CHUNK_HEIGHT) {
-                    chunk.tiles[platformY][platformX + i] = TILE_TYPES.PLATFORM;
+                    chunk.tiles[platformY][platformX + i] = platformTile;
                 }
             }            // Add platform-specific hazards for some terrain types
-            if (chunk.terrainType === 'hazardous' && Math.random() < 0.3) {
+            if (chunk.terrainType === 'hazardous' && this.rng.next() < 0.3) {
                 // 30% chance to add spikes on top of platforms in hazardous terrain (not under them)
                 const spikeX = platformX + Math.floor(platformLength / 2);
                 const worldX = chunkX * GAME_CONFIG.CHUNK_WIDTH + spikeX;
@@ -697,7 +716,134 @@ export class WorldGenerator {
                 }
             }
         }
-    }    generateSpecialTiles(chunk, chunkX) {
+    }
+    
+    /**
+     * Replace a static platform with one that travels back and forth along its path
+     * @returns {boolean} - False if there was no room for it to move
+     */
+    addMovingPlatform(chunk, chunkX, platformX, platformY, platformLength) {
+        const widthTiles = Math.min(platformLength, 3);
+        const horizontalRange = Math.min(3, GAME_CONFIG.CHUNK_WIDTH - platformX - widthTiles);
+        const verticalRange = Math.min(2, platformY - 1);
+        
+        let axis;
+        if (horizontalRange >= 1 && (verticalRange < 1 || this.rng.next() < 0.6)) {
+            axis = 'horizontal';
+        } else if (verticalRange >= 1) {
+            axis = 'vertical';
+        } else {
+            return false;
+        }
+        
+        const platform = {
+            axis: axis,
+            originX: (chunkX * GAME_CONFIG.CHUNK_WIDTH + platformX) * GAME_CONFIG.TILE_SIZE,
+            originY: platformY * GAME_CONFIG.TILE_SIZE,
+            width: widthTiles * GAME_CONFIG.TILE_SIZE,
+            range: (axis === 'horizontal' ? horizontalRange : verticalRange) * GAME_CONFIG.TILE_SIZE,
+            period: GAME_CONFIG.MOVING_PLATFORM_PERIOD * (0.8 + this.rng.next() * 0.4),
+            phase: this.rng.next()
+        };
+        this.positionMovingPlatform(platform);
+        platform.prevX = platform.x;
+        platform.prevY = platform.y;
+        
+        chunk.movingPlatforms.push(platform);
+        return true;
+    }
+    
+    /**
+     * Ease a moving platform between its origin and the end of its range
+     */
+    positionMovingPlatform(platform) {
+        const angle = (this.worldTime / platform.period + platform.phase) * Math.PI * 2;
+        const offset = (1 - Math.cos(angle)) / 2 * platform.range;
+        
+        platform.x = platform.axis === 'horizontal' ? platform.originX + offset : platform.originX;
+        platform.y = platform.axis === 'vertical' ? platform.originY - offset : platform.originY;
+    }
+    
+    updateMovingPlatforms() {
+        for (const chunk of this.chunks.values()) {
+            for (const platform of chunk.movingPlatforms) {
+                platform.prevX = platform.x;
+                platform.prevY = platform.y;
+                this.positionMovingPlatform(platform);
+            }
+        }
+    }
+    
+    /**
+     * Get moving platforms in the chunks overlapping a horizontal pixel range
+     */
+    getMovingPlatformsNear(left, right) {
+        const chunkPixelWidth = GAME_CONFIG.CHUNK_WIDTH * GAME_CONFIG.TILE_SIZE;
+        const platforms = [];
+        for (let chunkX = Math.floor(left / chunkPixelWidth) - 1; chunkX <= Math.floor(right / chunkPixelWidth); chunkX++) {
+            const chunk = this.chunks.get(chunkX);
+            if (chunk) {
+                platforms.push(...chunk.movingPlatforms);
+            }
+        }
+        return platforms;
+    }
+    
+    /**
+     * Lay a conveyor strip over a run of ground floor
+     */
+    generateConveyors(chunk, chunkX) {
+        if (chunkX === 0 || this.rng.next() >= GAME_CONFIG.CONVEYOR_CHANCE) return;
+        
+        const groundRow = chunk.tiles[chunk.groundLevel];
+        const length = 3 + Math.floor(this.rng.next() * 3); // 3-5 tiles
+        const conveyorTile = this.rng.next() < 0.5 ? TILE_TYPES.CONVEYOR_LEFT : TILE_TYPES.CONVEYOR_RIGHT;
+        
+        for (let startX = 1; startX + length <= GAME_CONFIG.CHUNK_WIDTH; startX++) {
+            const run = groundRow.slice(startX, startX + length);
+            if (run.every(tile => tile === TILE_TYPES.FLOOR)) {
+                run.forEach((tile, i) => {
+                    groundRow[startX + i] = conveyorTile;
+                });
+                return;
+            }
+        }
+    }
+    
+    /**
+     * Start the countdown on a crumbling platform the player is standing on
+     */
+    triggerCrumble(tileX, tileY) {
+        const key = `${tileX},${tileY}`;
+        if (!this.crumblingTiles.has(key)) {
+            this.crumblingTiles.set(key, { tileX, tileY, elapsed: 0, fallen: false });
+        }
+    }
+    
+    getCrumbleState(tileX, tileY) {
+        return this.crumblingTiles.get(`${tileX},${tileY}`) || null;
+    }
+    
+    updateCrumblingTiles(deltaTime) {
+        for (const [key, state] of this.crumblingTiles) {
+            state.elapsed += deltaTime;
+            
+            if (!state.fallen && state.elapsed >= GAME_CONFIG.CRUMBLE_DELAY) {
+                this.setTileAt(state.tileX, state.tileY, TILE_TYPES.EMPTY);
+                state.fallen = true;
+                state.elapsed = 0;
+                this.tileVersion++;
+            } else if (state.fallen && state.elapsed >= GAME_CONFIG.CRUMBLE_RESPAWN_TIME) {
+                if (this.getTileAt(state.tileX, state.tileY) === TILE_TYPES.EMPTY) {
+                    this.setTileAt(state.tileX, state.tileY, TILE_TYPES.CRUMBLING_PLATFORM);
+                    this.tileVersion++;
+                }
+                this.crumblingTiles.delete(key);
+            }
+        }
+    }
+    
+    generateSpecialTiles(chunk, chunkX) {
         const terrainParams = this.getTerrainParameters(chunk.terrainType);
         
         // Base chances modified by terrain type - reduced from 3% to 2%
@@ -722,7 +868,7 @@ export class WorldGenerator {
                 break;
                 
             case 'chaotic':
-                dataPacketChance = (hasExtraLane ? 0.05 : 0.015) + Math.random() * 0.02; // Reduced base and random component
+                dataPacketChance = (hasExtraLane ? 0.05 : 0.015) + this.rng.next() * 0.02; // Reduced base and random component
                 break;
                 
             case 'elevated':
@@ -750,7 +896,7 @@ export class WorldGenerator {
                     const maxSpawnY = clampedGroundLevel - 1; // At least 1 tile above ground
                     
                     if (y >= minSpawnY && y <= maxSpawnY) {
-                        const rand = Math.random();
+                        const rand = this.rng.next();
                         if (rand < dataPacketChance) {
                             chunk.tiles[y][x] = TILE_TYPES.DATA_PACKET;
                         }
@@ -779,7 +925,7 @@ export class WorldGenerator {
                         const worldX = chunkX * GAME_CONFIG.CHUNK_WIDTH + x;
                           if ((chunk.tiles[y][x] === TILE_TYPES.PLATFORM || chunk.tiles[y][x] === TILE_TYPES.FLOOR) && 
                             y > 0 && chunk.tiles[y-1][x] === TILE_TYPES.EMPTY && 
-                            this.canPlaceSpike(worldX, y-1) && Math.random() < 0.15) {
+                            this.canPlaceSpike(worldX, y-1) && this.rng.next() < 0.15) {
                             // Place spike on top of the platform/floor
                             chunk.tiles[y-1][x] = TILE_TYPES.SPIKE;
                             this.lastPlatformSpikePos = { x: worldX, y: y-1 };
@@ -796,7 +942,7 @@ export class WorldGenerator {
                         const worldX = chunkX * GAME_CONFIG.CHUNK_WIDTH + x;
                           if ((chunk.tiles[y][x] === TILE_TYPES.PLATFORM || chunk.tiles[y][x] === TILE_TYPES.FLOOR) && 
                             y > 0 && chunk.tiles[y-1][x] === TILE_TYPES.EMPTY && 
-                            this.canPlaceSpike(worldX, y-1) && Math.random() < 0.2) {
+                            this.canPlaceSpike(worldX, y-1) && this.rng.next() < 0.2) {
                             // Place spike on top of the platform/floor
                             chunk.tiles[y-1][x] = TILE_TYPES.SPIKE;
                             this.lastPlatformSpikePos = { x: worldX, y: y-1 };
@@ -810,7 +956,7 @@ export class WorldGenerator {
                 // Add extra data packets on platforms - reduced spawn rate
                 for (let y = 0; y < GAME_CONFIG.CHUNK_HEIGHT; y++) {
                     for (let x = 0; x < GAME_CONFIG.CHUNK_WIDTH; x++) {
-                        if (chunk.tiles[y][x] === TILE_TYPES.PLATFORM && Math.random() < 0.08) { // Reduced from 0.15 to 0.08
+                        if (chunk.tiles[y][x] === TILE_TYPES.PLATFORM && this.rng.next() < 0.08) { // Reduced from 0.15 to 0.08
                             // Add data packet above platform
                             if (y > 0 && chunk.tiles[y - 1][x] === TILE_TYPES.EMPTY) {
                                 chunk.tiles[y - 1][x] = TILE_TYPES.DATA_PACKET;
@@ -833,6 +979,7 @@ export class WorldGenerator {
                 this.clearChunkCache(chunkX); // Clear associated cache data
             }
         }
+        this.enemyManager.cullBefore(minChunk);
         
         // Clean up old obstacle positions that are no longer relevant
         // Only do this periodically to avoid unnecessary processing
@@ -903,6 +1050,42 @@ export class WorldGenerator {
         for (const chunkX of this.visibleChunks) {
             this.drawChunk(ctx, camera, chunkX);
         }
+        
+        this.drawKinematicTiles(ctx, camera);
+        this.enemyManager.draw(ctx, camera);
+    }
+    
+    /**
+     * Draw moving platforms and the debris of crumbled platforms
+     */
+    drawKinematicTiles(ctx, camera) {
+        const tileSize = GAME_CONFIG.TILE_SIZE;
+        
+        for (const chunkX of this.visibleChunks) {
+            const chunk = this.chunks.get(chunkX);
+            if (!chunk) continue;
+            
+            for (const platform of chunk.movingPlatforms) {
+                const palette = this.biomeManager.getPalette(chunkX, 0, GAME_CONFIG.CHUNK_WIDTH);
+                for (let offset = 0; offset < platform.width; offset += tileSize) {
+                    this.tileRenderer.drawTile(ctx, TILE_TYPES.MOVING_PLATFORM,
+                        platform.x + offset - camera.x, platform.y - camera.y, palette);
+                }
+            }
+        }
+        
+        // Fallen crumbling platforms drop away and fade for a moment
+        for (const state of this.crumblingTiles.values()) {
+            if (!state.fallen || state.elapsed > 600) continue;
+            
+            const progress = state.elapsed / 600;
+            ctx.save();
+            ctx.globalAlpha = 1 - progress;
+            this.tileRenderer.drawTile(ctx, TILE_TYPES.CRUMBLING_PLATFORM,
+                state.tileX * tileSize - camera.x,
+                state.tileY * tileSize + progress * progress * tileSize * 3 - camera.y);
+            ctx.restore();
+        }
     }    drawChunk(ctx, camera, chunkX) {
         // Safety check for camera
         if (!camera || !isFinite(camera.x) || !isFinite(camera.y)) {
@@ -927,7 +1110,18 @@ export class WorldGenerator {
                 
                 if (screenX < -GAME_CONFIG.TILE_SIZE || screenX > ctx.canvas.width + GAME_CONFIG.TILE_SIZE) continue;
                 
-                this.tileRenderer.drawTile(ctx, tileType, screenX, screenY);
+                const palette = this.biomeManager.getPalette(chunkX, x, GAME_CONFIG.CHUNK_WIDTH);
+                
+                // Crumbling platforms shake while their countdown runs
+                let shakeX = 0;
+                if (tileType === TILE_TYPES.CRUMBLING_PLATFORM) {
+                    const crumble = this.getCrumbleState(chunkX * GAME_CONFIG.CHUNK_WIDTH + x, y);
+                    if (crumble && !crumble.fallen) {
+                        shakeX = Math.sin(crumble.elapsed * 0.08) * 2;
+                    }
+                }
+                
+                this.tileRenderer.drawTile(ctx, tileType, screenX + shakeX, screenY, palette);
             }
         }
     }findSafeSpawnPosition() {
@@ -984,8 +1178,18 @@ export class WorldGenerator {
             difficulty: this.difficulty.toFixed(1),
             currentGroundLevel: this.currentGroundLevel,
             lastTerrainType: this.lastTerrainType,
-            terrainSeed: this.terrainSeed.toFixed(2)
+            biome: this.getBiomeAt(this.currentDistance).name,
+            seed: this.seed
         };    }    /**
+     * Get the biome at a world pixel X position
+     * @returns {Object} - Biome definition with its id
+     */
+    getBiomeAt(worldX) {
+        const chunkX = Math.floor(worldX / (GAME_CONFIG.CHUNK_WIDTH * GAME_CONFIG.TILE_SIZE));
+        return this.biomeManager.getBiome(chunkX);
+    }
+    
+    /**
      * Check if a position has enough space for saw placement (2-tile radius)
      * @param {number} worldX - The world X position to check
      * @returns {boolean} - True if the position has enough space for a saw
@@ -1105,7 +1309,7 @@ export class WorldGenerator {
                     if (chunk.terrainType === 'hazardous') {
                         sawChance *= 1.2;
                     }
-                      const randValue = Math.random();
+                      const randValue = this.rng.next();
                     const sawProbability = sawChance / 100;
                       // DEBUG: Log each attempt
                     if (sawPlacementAttempts <= 5) { // Only log first 5 attempts to avoid spam
@@ -1167,7 +1371,7 @@ export class WorldGenerator {
                         laserChance *= 1.2; // Increase chance at higher elevations
                     }
                     
-                    const roll = Math.random() * 100;
+                    const roll = this.rng.next() * 100;
                     
                   
                     
@@ -1257,7 +1461,7 @@ export class WorldGenerator {
                     crusherChance *= 1.8; // Increased from 1.4x to 1.8x chance in narrow passages
                 }
                   // Place crusher if conditions are met
-                if (clearBelow && Math.random() < crusherChance / 100 && isFarEnough) {
+                if (clearBelow && this.rng.next() < crusherChance / 100 && isFarEnough) {
                     chunk.tiles[ceilingY][x] = TILE_TYPES.CRUSHER;
                     this.obstaclePositions.push(worldX);
                 }
@@ -1345,13 +1549,26 @@ export class WorldGenerator {
 
     /**
      * Reset world state for new game
+     * @param {number|string} [seed] - Optional new seed; keeps the current seed when omitted
      */
-    reset() {
+    reset(seed) {
+        if (seed != null) {
+            this.seed = SeededRandom.normalizeSeed(seed);
+        }
+        this.rng = new SeededRandom(this.seed);
+        this.biomeManager.reset(this.seed);
+        
         // Clear all chunks and caches
         this.chunks.clear();
         this.chunkRenderCache.clear();
         this.visibleChunks.clear();
         
+        // Reset kinematic tiles
+        this.worldTime = 0;
+        this.crumblingTiles.clear();
+        this.tileVersion++;
+        this.enemyManager.reset();
+        
         // Reset position tracking
         this.obstaclePositions = [];
         this.sawPositions = [];
@@ -1361,6 +1578,16 @@ export class WorldGenerator {
         this.difficulty = 1;
         this.currentDistance = 0;
         this.currentGroundLevel = this.groundLevel;
+        this.obstacleFrequency = 1;
+        this.gapSizeMultiplier = 1;
+        this.patternFrequency = 1;
+        
+        // Reset generator state carried between chunks so the same seed replays identically
+        this.lastSpikeWorldX = -10;
+        this.lastPlatformSpikePos = { x: -10, y: -10 };
+        this.lastObstaclesCleanup = 0;
+        this.lastTerrainType = 'normal';
+        this.chunkTypeCounter = 0;
         
         // Force generation of spawn chunk
         this.generateChunk(0);
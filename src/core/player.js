@@ -3,6 +3,7 @@
  */
 
 import { GAME_CONFIG, COLORS, TILE_TYPES } from '../utils/constants.js';
+import { AllyDrone } from './AllyDrone.js';
 
 // Creative death messages for game over screen
 const DEATH_MESSAGES = [
@@ -81,6 +82,7 @@ export class Player {
             
             // Game-changing mechanics
             allyDrone: false,
+            allyDroneLevel: 0,      // 0 = none, 1-3 = drone tiers
             extraLane: false,
             
             // Revive/Retry upgrades
@@ -125,10 +127,19 @@ export class Player {
         this.invulnerabilityTime = 2000; // 2 second spawn protection
         
         this.lastHitTime = 0;
-        this.spawnProtectionFrames = 60; // Additional frame-based protection (1 second at 60fps)
+        this.spawnProtectionFrames = Math.round(1000 / GAME_CONFIG.SIMULATION_STEP); // Additional step-based protection (1 second of simulation)
         
         this.facingDirection = 1; // 1 = right, -1 = left
         this.damageTexts = [];
+        this.nearMissCount = 0; // Near misses this run
+        this.dataPacketsCollected = 0; // Data packets earned this run (sent with the run proof)
+
+        // Headless runs (RunVerifier in Node) have nothing to draw
+        if (typeof Image === 'undefined') {
+            this.sprite = null;
+            this.spriteLoaded = false;
+            return;
+        }
 
         // Initialize single sprite image object
         this.sprite = new Image();
@@ -190,7 +201,8 @@ export class Player {
         // Disable drop-through platforms during quantum dash
         if (this.isPressingDown && this.onGround && world && !this.quantumDashActive) {
             const collision = physicsEngine.checkCollision(this.x, this.y + 1, this.width, this.height, 1, false);
-            if (collision.collision && collision.tileType === TILE_TYPES.PLATFORM) {
+            if (collision.collision && (collision.tileType === TILE_TYPES.PLATFORM ||
+                collision.tileType === TILE_TYPES.CRUMBLING_PLATFORM)) {
                 this.vy = 50;
                 this.onGround = false;
             }
@@ -201,11 +213,12 @@ export class Player {
             this.handleCollectibles(collected);
             }
         }
+        
+        // Ally drone follows along and sweeps up nearby packets
+        this.updateAllyDrone(deltaTime, physicsEngine);
           if (physicsEngine) {
-            // Calculate game time in seconds for consistent laser timing
-            const gameTime = this.game && this.game.startTime ? 
-                (Date.now() - this.game.startTime) / 1000 : 
-                this.animationTime / 1000;
+            // Hazard timing follows the simulation clock, the same one the tiles animate with
+            const gameTime = this.getSimulationTime() / 1000;
                 
             const hazard = physicsEngine.checkHazards(this, gameTime);
             
@@ -215,6 +228,8 @@ export class Player {
                 } else {
                     this.handleHazard(hazard);
                 }
+            } else if (hazard.nearMisses) {
+                hazard.nearMisses.forEach(nearMiss => this.handleNearMiss(nearMiss));
             }
         }
         
@@ -228,6 +243,21 @@ export class Player {
         }
     }
     
+    /**
+     * Create, level up and update the ally drone companion
+     */
+    updateAllyDrone(deltaTime, physicsEngine) {
+        const level = this.shopUpgrades.allyDroneLevel;
+        if (level <= 0) return;
+        
+        if (!this.allyDrone) {
+            this.allyDrone = new AllyDrone(this, level);
+        } else if (this.allyDrone.level !== level) {
+            this.allyDrone.setLevel(level);
+        }
+        this.allyDrone.update(deltaTime, physicsEngine);
+    }
+    
     updateMovement(deltaSeconds, inputKeys) {
         // Disable movement during quantum dash or regular dash
         if (this.quantumDashActive || this.dashState.isDashing) {
@@ -352,10 +382,20 @@ export class Player {
         this.onGround = false;
         this.isJumping = true;
         this.jumpState.airTime = 0;
+        this.recordReplayEvent('jump');
         
         return true;
     }
     
+    /**
+     * Log a jump or dash with the replay system (recorded, or checked against the replay being watched)
+     */
+    recordReplayEvent(type) {
+        if (this.game && this.game.replaySystem) {
+            this.game.replaySystem.recordEvent(type);
+        }
+    }
+    
     updatePhysics(deltaSeconds, physicsEngine) {
         if (!this.onGround) {
             // Normal gravity
@@ -403,7 +443,26 @@ export class Player {
         }
     }
 
+    /**
+     * Reward getting past a hazard by a few pixels
+     * @param {Object} nearMiss - { type, margin, x, y } from PhysicsEngine.checkHazards
+     */
+    handleNearMiss(nearMiss) {
+        this.nearMissCount++;
+        
+        if (!this.game) return;
+        if (this.game.comboSystem) {
+            this.game.comboSystem.onNearMiss(nearMiss);
+        }
+        if (this.game.createMilestoneEffect) {
+            const label = nearMiss.margin <= 4 ? 'CLOSE CALL!' : 'NEAR MISS';
+            this.game.createMilestoneEffect(nearMiss.x, nearMiss.y - GAME_CONFIG.TILE_SIZE, label, '#ffa657');
+        }
+    }
+    
     handleHazard(hazard) {
+        this.lastHazardType = hazard.type; // Reported as the death type if this hit is fatal
+        
         switch (hazard.type) {
             case 'spike':
                 this.takeDamage(1, "spikes");
@@ -416,15 +475,27 @@ export class Player {
             case 'crusher':
                 this.takeDamage(2, "crusher"); // Crushers do more damage
                 break;            case 'fall':
-                this.takeDamage(this.health, "fell into the digital void");
+                this.takeDamage(this.health, "fell into the digital void", true);
                 break;
             case 'outOfBounds':
-                this.takeDamage(this.health, "lost in the data stream");
+                this.takeDamage(this.health, "lost in the data stream", true);
+                break;
+            case 'deletionWave':
+                this.takeDamage(this.health, "caught by the deletion wave", true);
+                break;
+            case 'enemy':
+                this.takeDamage(hazard.damage || 1, hazard.source || "hostile program");
                 break;
         }
     }
     
-    takeDamage(amount, source) {
+    /**
+     * Apply damage unless invulnerability, a shield or the ally drone stops it
+     * @param {number} amount - Health to take
+     * @param {string} source - What hit the player
+     * @param {boolean} instantKill - Fatal wherever the player ends up (the void, the deletion wave)
+     */
+    takeDamage(amount, source, instantKill = false) {
         console.log(`💥 takeDamage called: amount=${amount}, source=${source}`);
         console.log(`🔍 Current health: ${this.health}`);
         console.log(`🔍 Invulnerability time: ${this.invulnerabilityTime}`);
@@ -450,18 +521,28 @@ export class Player {
                 if (shieldResult.grantInvulnerability) {
                     console.log('🛡️ Granting invulnerability frames after shield absorption');
                     this.invulnerabilityTime = GAME_CONFIG.INVULNERABILITY_DURATION;
-                    this.lastDamageTime = Date.now();
+                    this.lastDamageTime = this.getSimulationTime();
                 }
                 
                 return;
             }
         }
         
+        // Ally drone throws itself in front of the hit when charged - not one it can't save the player from
+        if (!instantKill && this.allyDrone && this.allyDrone.tryAbsorbHit()) {
+            this.invulnerabilityTime = GAME_CONFIG.INVULNERABILITY_DURATION;
+            this.lastDamageTime = this.getSimulationTime();
+            return;
+        }
+        
         console.log(`💔 No protection active - applying ${amount} damage`);
         this.health -= amount;
+        if (this.game && this.game.comboSystem) {
+            this.game.comboSystem.onPlayerDamaged();
+        }
         console.log(`💔 Health after damage: ${this.health}`);
         this.invulnerabilityTime = GAME_CONFIG.INVULNERABILITY_DURATION;
-        this.lastDamageTime = Date.now();
+        this.lastDamageTime = this.getSimulationTime();
         
         // Trigger screen shake on damage
         if (this.game && this.game.triggerScreenShake) {
@@ -487,6 +568,16 @@ export class Player {
     }
 
     die(reason) {
+        // The rewind upgrade snaps back a few seconds instead
+        if (this.game && this.game.rewindSystem && this.game.rewindSystem.tryRewind(reason)) {
+            return;
+        }
+        
+        // Once per run, the second chance upgrade respawns the player on safe ground
+        if (this.game && this.game.secondChanceSystem && this.game.secondChanceSystem.tryRevive(reason)) {
+            return;
+        }
+        
         // Trigger strong screen shake on death
         if (this.game && this.game.triggerScreenShake) {
             this.game.triggerScreenShake(1.5, 500); // Strong shake for death
@@ -518,6 +609,8 @@ export class Player {
     handleCollectibles(collected) {
         for (const item of collected) {
             if (item.type === 'dataPacket') {
+                this.dataPacketsCollected += item.points || 0;
+                
                 // Play collection sound
                 if (this.game && this.game.audioSystem) {
                     this.game.audioSystem.onCollect();
@@ -529,6 +622,11 @@ export class Player {
                     console.log(`📦 Data packet collected! +10 score (Total: ${this.game.score})`);
                 }
                 
+                // Keep the combo chain going
+                if (this.game && this.game.comboSystem) {
+                    this.game.comboSystem.onPacketCollected();
+                }
+                
                 // Create collection effect
                 this.createCollectionEffect(item.worldX, item.worldY, item.points);
                 
@@ -586,9 +684,30 @@ export class Player {
         });
     }
     
+    /**
+     * Simulation clock in ms (falls back to the player's own animation time without a game)
+     */
+    getSimulationTime() {
+        return this.game && this.game.getSimulationTime ? this.game.getSimulationTime() : this.animationTime;
+    }
+
+    /**
+     * Position to draw at, interpolated between the last two simulation steps
+     */
+    getRenderPosition() {
+        const alpha = this.game ? this.game.renderAlpha : 1;
+        const previousX = this.previousX ?? this.x;
+        const previousY = this.previousY ?? this.y;
+        return {
+            x: previousX + (this.x - previousX) * alpha,
+            y: previousY + (this.y - previousY) * alpha
+        };
+    }
+
     draw(ctx, camera) {
-        const screenX = this.x - camera.x;
-        const screenY = this.y - camera.y;
+        const renderPosition = this.getRenderPosition();
+        const screenX = renderPosition.x - camera.x;
+        const screenY = renderPosition.y - camera.y;
         
         // Get graphics quality from game
         const graphicsQuality = this.game?.graphicsQuality || 'medium';
@@ -602,6 +721,11 @@ export class Player {
         // Draw main player body with quality-based effects
         this.drawPlayerBody(ctx, screenX, screenY, graphicsQuality);
         
+        // Draw the ally drone beside the player
+        if (this.allyDrone) {
+            this.allyDrone.draw(ctx, camera);
+        }
+        
         // Draw additional visual effects based on quality
         if (graphicsQuality === 'high') {
             this.drawHighQualityEffects(ctx, screenX, screenY, camera);
@@ -678,8 +802,9 @@ export class Player {
 
     /**
      * Draw the player using the loaded sprite image
+     * @param {number} facingDirection - Defaults to the player's own (GhostSystem passes the recorded one)
      */
-    drawSpriteImage(ctx, x, y, isFlashing) {
+    drawSpriteImage(ctx, x, y, isFlashing, facingDirection = this.facingDirection) {
         // Get actual sprite dimensions
         const spriteWidth = this.sprite.width;
         const spriteHeight = this.sprite.height;
@@ -708,7 +833,7 @@ export class Player {
         }
         
         // Flip sprite based on facing direction
-        if (this.facingDirection === -1) {
+        if (facingDirection === -1) {
             ctx.save();
             ctx.scale(-1, 1);
             ctx.drawImage(
@@ -850,13 +975,20 @@ export class Player {
                 this.shopUpgrades.scoreMultiplier = 1.25; // +25% score gain
                 break;
             case 'comboBonus':
-                this.shopUpgrades.comboBonus += 0.5;
+                this.shopUpgrades.comboBonus += GAME_CONFIG.COMBO_BONUS_INCREMENT;
                 break;
             case 'streakSaver':
                 this.shopUpgrades.streakSaver = true;
                 break;
             case 'allyDrone':
                 this.shopUpgrades.allyDrone = true;
+                this.shopUpgrades.allyDroneLevel = Math.max(1, this.shopUpgrades.allyDroneLevel);
+                break;
+            case 'allyDrone1':
+            case 'allyDrone2':
+            case 'allyDrone3':
+                this.shopUpgrades.allyDrone = true;
+                this.shopUpgrades.allyDroneLevel = Math.max(this.shopUpgrades.allyDroneLevel, Number(upgradeId.slice(-1)));
                 break;
             case 'extraLane':
                 this.shopUpgrades.extraLane = true;
@@ -930,6 +1062,7 @@ export class Player {
         this.vy = doubleJumpPower;
           // Mark double jump as used for this air session
         this.jumpState.doubleJumpAvailable = false;
+        this.recordReplayEvent('doubleJump');
         
         return true;
     }    /**
@@ -953,6 +1086,8 @@ export class Player {
      * Load the selected sprite from profile manager
      */
     loadSelectedSprite() {
+        if (!this.sprite) return; // Headless
+        
         let selectedSprite = 'player-sprite.png'; // Default sprite
         
         console.log('🎭 Loading selected sprite...');
@@ -1087,6 +1222,7 @@ export class Player {
     startDash() {
         const level = this.shopUpgrades.dashModuleLevel;
         if (level === 0) return;
+        this.recordReplayEvent('dash');
 
         // Start smooth dash with initial speed
         this.dashState.isDashing = true;
@@ -1169,6 +1305,7 @@ export class Player {
      */
     performSimpleDash() {
         if (!this.shopUpgrades.dash || this.dashState.dashCooldown > 0) return;
+        this.recordReplayEvent('dash');
 
         // Start smooth dash with initial speed
         this.dashState.isDashing = true;
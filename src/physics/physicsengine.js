@@ -2,7 +2,7 @@
  * Physics Engine - Handles collision detection and physics calculations
  */
 
-import { GAME_CONFIG, TILE_TYPES } from '../utils/constants.js';
+import { GAME_CONFIG, TILE_TYPES, NEAR_MISS } from '../utils/constants.js';
 
 export class PhysicsEngine {
     constructor(world) {
@@ -14,6 +14,9 @@ export class PhysicsEngine {
         this.maxCacheSize = 100;
         this.cacheHitCount = 0;
         this.cacheMissCount = 0;
+        this.cachedTileVersion = world ? world.tileVersion : 0; // Tile changes at runtime invalidate the cache
+        
+        this.nearMissCooldowns = new Map(); // "tileX,tileY" -> simulation time the tile can count again
     }
     
     /**
@@ -35,6 +38,12 @@ export class PhysicsEngine {
                 return { collision: false };
             }
         
+        // Drop cached results if tiles changed since they were computed (e.g. a platform crumbled)
+        if (this.world.tileVersion !== undefined && this.world.tileVersion !== this.cachedTileVersion) {
+            this.collisionCache.clear();
+            this.cachedTileVersion = this.world.tileVersion;
+        }
+        
         // Create cache key for collision check
         const cacheKey = `${Math.floor(x)}_${Math.floor(y)}_${width}_${height}_${direction}_${playerDropping}`;
         
@@ -198,17 +207,30 @@ export class PhysicsEngine {
         return Math.sqrt(dx * dx + dy * dy);
     }
     
+    /**
+     * Milliseconds on the simulation clock, so timed hazards match what TileRenderer draws
+     */
+    getSimulationTime() {
+        if (!this.world) return 0;
+        const game = this.world.game;
+        return game && typeof game.simulationTime === 'number' ? game.simulationTime : this.world.worldTime;
+    }
+    
     /**
      * Check if a tile is solid based on game rules
      */
     isTileSolid(tileType, direction, playerDropping) {
-        const currentTime = Date.now();
+        const currentTime = this.getSimulationTime();
         
         switch (tileType) {
             case TILE_TYPES.FLOOR:
                 return true;
             case TILE_TYPES.PLATFORM:
+            case TILE_TYPES.CRUMBLING_PLATFORM:
                 return direction === 1 && !playerDropping;
+            case TILE_TYPES.CONVEYOR_LEFT:
+            case TILE_TYPES.CONVEYOR_RIGHT:
+                return true;
             case TILE_TYPES.SPIKE:
                 return false;
             case TILE_TYPES.GLITCH:
@@ -238,14 +260,14 @@ export class PhysicsEngine {
         }
         
         const originalX = entity.x;
-        const deltaX = entity.vx * deltaSeconds;
+        const deltaX = entity.vx * deltaSeconds + this.getSurfaceCarry(entity, deltaSeconds);
         const newX = originalX + deltaX;
         
         // Check if the new position would cause a collision
         const collision = this.checkCollision(newX, entity.y, entity.width, entity.height, 0);
         
         if (collision.collision) {
-            const movingRight = entity.vx > 0;
+            const movingRight = deltaX > 0;
             
             if (movingRight) {
                 // Moving right - stop just before the collision tile
@@ -284,6 +306,27 @@ export class PhysicsEngine {
         }
     }
     
+    /**
+     * How far the surface under an entity carries it this frame (moving platforms and conveyors)
+     */
+    getSurfaceCarry(entity, deltaSeconds) {
+        if (entity.ridingPlatform) {
+            return entity.ridingPlatform.x - entity.ridingPlatform.prevX;
+        }
+        
+        // Standing check by position - onGround flickers while resting on a tile
+        if (entity.vy < 0) return 0;
+        const feetY = entity.y + entity.height;
+        const tileY = Math.floor((feetY + 2) / GAME_CONFIG.TILE_SIZE);
+        if (tileY * GAME_CONFIG.TILE_SIZE - feetY > 2) return 0;
+        
+        const tileX = Math.floor((entity.x + entity.width / 2) / GAME_CONFIG.TILE_SIZE);
+        const tile = this.world.getTileAt(tileX, tileY);
+        if (tile === TILE_TYPES.CONVEYOR_RIGHT) return GAME_CONFIG.CONVEYOR_SPEED * deltaSeconds;
+        if (tile === TILE_TYPES.CONVEYOR_LEFT) return -GAME_CONFIG.CONVEYOR_SPEED * deltaSeconds;
+        return 0;
+    }
+    
     /**
      * Handle vertical movement with collision
      */
@@ -330,6 +373,11 @@ export class PhysicsEngine {
                     if (entity.resetDoubleJump) {
                         entity.resetDoubleJump();
                     }
+                    
+                    // Crumbling platforms start to give way once stood on
+                    if (collision.tileType === TILE_TYPES.CRUMBLING_PLATFORM && this.world.triggerCrumble) {
+                        this.world.triggerCrumble(collision.tileX, collision.tileY);
+                    }
                 }
             } else if (entity.vy < 0) {
                 // Hitting ceiling - validate this makes sense
@@ -348,6 +396,44 @@ export class PhysicsEngine {
             // When there's no collision, the player is in the air
             entity.onGround = false;
         }
+        
+        if (entity.onGround && collision.collision) {
+            entity.ridingPlatform = null;
+        } else {
+            this.handleMovingPlatforms(entity, oldY, isDropping);
+        }
+    }
+    
+    /**
+     * Land on (or keep riding) a moving platform - they are one-way from above like PLATFORM tiles
+     */
+    handleMovingPlatforms(entity, oldY, isDropping) {
+        const riding = entity.ridingPlatform;
+        entity.ridingPlatform = null;
+        
+        if (entity.vy < 0 || isDropping || !this.world.getMovingPlatformsNear) return;
+        
+        const oldBottom = oldY + entity.height;
+        const newBottom = entity.y + entity.height;
+        
+        for (const platform of this.world.getMovingPlatformsNear(entity.x, entity.x + entity.width)) {
+            const overlapsX = entity.x + entity.width > platform.x && entity.x < platform.x + platform.width;
+            if (!overlapsX) continue;
+            
+            const landing = oldBottom <= platform.prevY + 2 && newBottom >= platform.y - 2;
+            if (platform === riding || landing) {
+                entity.y = platform.y - entity.height - 0.1;
+                entity.vy = 0;
+                entity.onGround = true;
+                entity.isJumping = false;
+                entity.ridingPlatform = platform;
+                
+                if (platform !== riding && entity.resetDoubleJump) {
+                    entity.resetDoubleJump();
+                }
+                return;
+            }
+        }
     }
     
     /**
@@ -359,8 +445,14 @@ export class PhysicsEngine {
         const top = Math.floor(entity.y / GAME_CONFIG.TILE_SIZE);
         const bottom = Math.floor((entity.y + entity.height - 1) / GAME_CONFIG.TILE_SIZE);
         
-        // Use consistent time source - prefer game time over Date.now()
-        const currentTime = gameTime !== null ? (gameTime * 1000) : Date.now();
+        // Use consistent time source - the caller's game time, otherwise the simulation clock
+        const currentTime = gameTime !== null ? (gameTime * 1000) : this.getSimulationTime();
+        
+        // The deletion wave wipes out everything it reaches, so check it before any tile
+        const deletionWave = this.world && this.world.game ? this.world.game.deletionWaveSystem : null;
+        if (deletionWave && deletionWave.isCaught(entity)) {
+            return { hazard: true, type: 'deletionWave' };
+        }
         
         // Check all tiles that the player's hitbox overlaps
         for (let tileY = top; tileY <= bottom; tileY++) {
@@ -391,24 +483,7 @@ export class PhysicsEngine {
                 
                 // Crusher - check for collision with the moving crusher block
                 if (tile === TILE_TYPES.CRUSHER) {
-                    const cycleTime = GAME_CONFIG.CRUSHER_CYCLE_TIME;
-                    const cycle = (currentTime % cycleTime) / cycleTime;
-                    
-                    // Calculate crusher position based on animation cycle
-                    let crusherPosition = 0;
-                    if (cycle < 0.4) {
-                        // Top position (waiting)
-                        crusherPosition = 0;
-                    } else if (cycle < 0.5) {
-                        // Coming down fast
-                        crusherPosition = (cycle - 0.4) * 10 * (GAME_CONFIG.TILE_SIZE * 1.5);
-                    } else if (cycle < 0.7) {
-                        // Bottom position (crushing)
-                        crusherPosition = GAME_CONFIG.TILE_SIZE * 1.5;
-                    } else {
-                        // Moving back up slowly
-                        crusherPosition = (GAME_CONFIG.TILE_SIZE * 1.5) * (1 - (cycle - 0.7) / 0.3);
-                    }
+                    const crusherPosition = this.getCrusherOffset(currentTime);
                     
                     // Calculate the actual position of the crusher block
                     const crusherTileY = tileY * GAME_CONFIG.TILE_SIZE;
@@ -440,6 +515,12 @@ export class PhysicsEngine {
             }
         }
         
+        // Moving enemies and their projectiles
+        const enemyHit = this.checkEnemyCollisions(entity);
+        if (enemyHit) {
+            return { hazard: true, type: 'enemy', source: enemyHit.name, damage: enemyHit.damage };
+        }
+        
         // Check for deadly falls (below the ground level with buffer)
         // Ground level is at y = 10, so ground tiles are at y = 10 * 32 = 320
         // Add a generous buffer below the ground level for fall detection
@@ -455,7 +536,133 @@ export class PhysicsEngine {
             return { hazard: true, type: 'outOfBounds' };
         }
         
-        return { hazard: false };
+        // No hit - report anything the entity only just got past
+        return { hazard: false, nearMisses: this.checkNearMisses(entity, currentTime) };
+    }
+    
+    /**
+     * How far a crusher block has come down from its tile at a point in its cycle
+     * @param {number} currentTime - Simulation time in ms
+     * @returns {number} - Offset in pixels (0 = fully up)
+     */
+    getCrusherOffset(currentTime) {
+        const cycleTime = GAME_CONFIG.CRUSHER_CYCLE_TIME;
+        const cycle = (currentTime % cycleTime) / cycleTime;
+        
+        if (cycle < 0.4) {
+            // Top position (waiting)
+            return 0;
+        } else if (cycle < 0.5) {
+            // Coming down fast
+            return (cycle - 0.4) * 10 * (GAME_CONFIG.TILE_SIZE * 1.5);
+        } else if (cycle < 0.7) {
+            // Bottom position (crushing)
+            return GAME_CONFIG.TILE_SIZE * 1.5;
+        }
+        // Moving back up slowly
+        return (GAME_CONFIG.TILE_SIZE * 1.5) * (1 - (cycle - 0.7) / 0.3);
+    }
+    
+    /**
+     * Find hazards the entity just got past without touching: brushing a saw, clearing spikes
+     * with little room, or slipping under a crusher on its way down.
+     * Each hazard tile counts once per NEAR_MISS.COOLDOWN.
+     * @param {Object} entity - Entity with x, y, width, height
+     * @param {number} currentTime - Simulation time in ms (as used by checkHazards)
+     * @returns {Array} - Near miss events as { type, margin, x, y } with the hazard's world centre
+     */
+    checkNearMisses(entity, currentTime) {
+        const tileSize = GAME_CONFIG.TILE_SIZE;
+        const reach = Math.max(NEAR_MISS.SAW_MARGIN, NEAR_MISS.CRUSHER_MARGIN, NEAR_MISS.SPIKE_MARGIN);
+        const left = Math.floor((entity.x - reach) / tileSize);
+        const right = Math.floor((entity.x + entity.width + reach) / tileSize);
+        const top = Math.floor((entity.y - tileSize * 2) / tileSize); // Crushers hang above their reach
+        const bottom = Math.floor((entity.y + entity.height + reach) / tileSize);
+        const nearMisses = [];
+        
+        for (let tileY = top; tileY <= bottom; tileY++) {
+            for (let tileX = left; tileX <= right; tileX++) {
+                const tile = this.world.getTileAt(tileX, tileY);
+                if (tile !== TILE_TYPES.SAW && tile !== TILE_TYPES.CRUSHER && tile !== TILE_TYPES.SPIKE) continue;
+                
+                const key = `${tileX},${tileY}`;
+                if ((this.nearMissCooldowns.get(key) || 0) > currentTime) continue;
+                
+                let margin = null;
+                if (tile === TILE_TYPES.SAW) {
+                    margin = this.getGap(entity, tileX * tileSize, tileY * tileSize, tileSize, tileSize);
+                    if (margin > NEAR_MISS.SAW_MARGIN) margin = null;
+                } else if (tile === TILE_TYPES.SPIKE) {
+                    // Only clearing the spikes from above counts, not running up to them
+                    const overSpike = entity.x + entity.width > tileX * tileSize && entity.x < (tileX + 1) * tileSize;
+                    const clearance = tileY * tileSize - (entity.y + entity.height);
+                    if (overSpike && !entity.onGround && clearance <= NEAR_MISS.SPIKE_MARGIN) {
+                        margin = clearance;
+                    }
+                } else {
+                    // Only counts while the block is on its way down or down
+                    const offset = this.getCrusherOffset(currentTime);
+                    const cycle = (currentTime % GAME_CONFIG.CRUSHER_CYCLE_TIME) / GAME_CONFIG.CRUSHER_CYCLE_TIME;
+                    if (offset > 0 && cycle < 0.7) {
+                        const blockTop = tileY * tileSize + offset;
+                        margin = this.getGap(entity, tileX * tileSize + tileSize * 0.1, blockTop, tileSize * 0.8, tileSize * 0.4);
+                        if (margin > NEAR_MISS.CRUSHER_MARGIN) margin = null;
+                    }
+                }
+                
+                // Touching is a hit, not a near miss
+                if (margin !== null && margin > 0) {
+                    this.nearMissCooldowns.set(key, currentTime + NEAR_MISS.COOLDOWN);
+                    nearMisses.push({
+                        type: tile === TILE_TYPES.SAW ? 'saw' : tile === TILE_TYPES.SPIKE ? 'spike' : 'crusher',
+                        margin: margin,
+                        x: (tileX + 0.5) * tileSize,
+                        y: (tileY + 0.5) * tileSize
+                    });
+                }
+            }
+        }
+        
+        // Forget expired cooldowns now and then
+        if (this.nearMissCooldowns.size > 32) {
+            for (const [key, until] of this.nearMissCooldowns) {
+                if (until <= currentTime) this.nearMissCooldowns.delete(key);
+            }
+        }
+        return nearMisses;
+    }
+    
+    /**
+     * Gap in pixels between the entity and a rectangle along the axis they are furthest apart on (0 if overlapping)
+     */
+    getGap(entity, x, y, width, height) {
+        const gapX = Math.max(x - (entity.x + entity.width), entity.x - (x + width), 0);
+        const gapY = Math.max(y - (entity.y + entity.height), entity.y - (y + height), 0);
+        return Math.max(gapX, gapY);
+    }
+    
+    /**
+     * Check the entity against the world's enemy layer
+     * Projectiles are used up by the hit; enemies stay where they are
+     * @returns {Object|null} - The enemy or projectile that was hit
+     */
+    checkEnemyCollisions(entity) {
+        const enemyManager = this.world ? this.world.enemyManager : null;
+        if (!enemyManager) return null;
+        
+        for (const enemy of enemyManager.getCollidables()) {
+            if (enemy.dead) continue;
+            
+            const hitbox = enemy.getHitbox();
+            if (entity.x < hitbox.x + hitbox.width && entity.x + entity.width > hitbox.x &&
+                entity.y < hitbox.y + hitbox.height && entity.y + entity.height > hitbox.y) {
+                if (enemy.isProjectile) {
+                    enemy.dead = true;
+                }
+                return enemy;
+            }
+        }
+        return null;
     }
     
     /**
@@ -2,7 +2,8 @@
  * GameDialogs - Handles all dialog screens and menus
  */
 
-import { GAME_STATES, DIFFICULTY_LEVELS } from '../utils/constants.js';
+import { GAME_STATES, DIFFICULTY_LEVELS, LEADERBOARD_VIEWS } from '../utils/constants.js';
+import { t } from '../systems/LanguageSystem.js';
 
 export class GameDialogs {    constructor(game) {
         this.game = game;
@@ -463,7 +464,7 @@ export class GameDialogs {    constructor(game) {
             ctx.stroke();
         }        // Enhanced title with advanced effects
         const titleY = 60;
-        const titleText = '🏆 LEADERBOARD';
+        const titleText = t('dialogs.leaderboard.title');
         
         // Title background glow
         const titleGradient = ctx.createRadialGradient(width/2, titleY, 0, width/2, titleY, 200);
@@ -503,7 +504,7 @@ export class GameDialogs {    constructor(game) {
         
         // Animated subtitle with typewriter effect
         ctx.font = '16px Courier New';
-        const subtitleFullText = 'Challenge the best players worldwide';
+        const subtitleFullText = t('dialogs.leaderboard.subtitle');
         const subtitleProgress = (time * 2) % (subtitleFullText.length + 20);
         const subtitleText = subtitleFullText.substring(0, Math.floor(subtitleProgress));
         const subtitleAlpha = 0.7 + Math.sin(time * 3) * 0.2;
@@ -527,8 +528,12 @@ export class GameDialogs {    constructor(game) {
         }
         this.drawDifficultyTabs(ctx, width, tabHitAreas);
         
+        // View tabs, pager, rows and the tooltip add their hit areas as they're drawn
+        leaderboardSystem.hitAreas.length = 0;
+        this.drawLeaderboardViewTabs(ctx, width, leaderboardSystem);
+        
         // Enhanced online/offline status indicator with modern design
-        const statusText = this.game.leaderboardSystem.isOnline ? `🌐 ONLINE` : `💾 OFFLINE`;
+        const statusText = this.game.leaderboardSystem.isOnline ? t('dialogs.leaderboard.online') : t('dialogs.leaderboard.offline');
         const statusColor = this.game.leaderboardSystem.isOnline ? '#40d158' : '#f85149';
         const statusBgColor = this.game.leaderboardSystem.isOnline ? 'rgba(64, 209, 88, 0.15)' : 'rgba(248, 81, 73, 0.15)';
         
@@ -574,18 +579,21 @@ export class GameDialogs {    constructor(game) {
         ctx.font = '14px Courier New';
         ctx.fillStyle = '#a5b3c1';
         ctx.textAlign = 'center';
-        let instructionText = `ESC: Return to menu • E: Upload score`;
+        // Keys come from the binding table so the hints follow rebinds
+        const key = action => this.game.keybindManager ? this.game.keybindManager.getKeyHint(action) : '—';
+        let instructionText = t('dialogs.leaderboard.instructions', { back: key('skip'), upload: key('uploadScore') });
         
         // Add additional instructions if player has options available
         if (this.game.leaderboardSystem.hasPlayerEntryInCurrentDifficulty()) {
-            instructionText += ` • DEL: Delete entry`;
+            instructionText += t('dialogs.leaderboard.instructionsDelete', { key: key('deleteEntry') });
         }
         if (this.game.leaderboardSystem.getSavedPlayerName()) {
-            instructionText += ` • N: Change name`;
+            instructionText += t('dialogs.leaderboard.instructionsChangeName', { key: key('changeName') });
         }
+        instructionText += t('dialogs.leaderboard.instructionsViews', { view: key('leaderboardView'), pageUp: key('pageUp'), pageDown: key('pageDown') });
         
         // Animated instruction background
-        const instructionY = 155;
+        const instructionY = 200;
         const instructionWidth = ctx.measureText(instructionText).width;
         const instructionBgGradient = ctx.createLinearGradient(
             width/2 - instructionWidth/2 - 15, instructionY - 20,
@@ -609,13 +617,15 @@ export class GameDialogs {    constructor(game) {
         ctx.fillStyle = `rgba(165, 179, 193, ${instructionAlpha})`;
         ctx.fillText(instructionText, width / 2, instructionY);
         
-        // Display the leaderboard entries
-        const entries = this.game.leaderboardSystem.getLeaderboard(this.game.leaderboardSystem.selectedDifficulty);
+        // Display the page of the selected view
+        const page = leaderboardSystem.getViewPage();
+        const entries = page.entries;
         const tableWidth = 650; // Slightly increased width for better spacing
         const tableX = (width - tableWidth) / 2;
+        const rowHeight = 38; // Fits the 11 rows of the 'around' view
         
         // Enhanced table header with modern design
-        const headerY = 195;
+        const headerY = 240;
         const headerHeight = 40;
         
         // Multi-layer header background with curved edges
@@ -656,10 +666,10 @@ export class GameDialogs {    constructor(game) {
         ctx.shadowOffsetX = 0;
         ctx.shadowOffsetY = 0;
         
-        ctx.fillText('🏆 RANK', tableX, headerY);
-        ctx.fillText('👤 PLAYER', tableX + 120, headerY);
-        ctx.fillText('📊 SCORE', tableX + 380, headerY);
-        ctx.fillText('⏱️ TIME', tableX + 520, headerY);
+        ctx.fillText(t('dialogs.leaderboard.rank'), tableX, headerY);
+        ctx.fillText(t('dialogs.leaderboard.player'), tableX + 120, headerY);
+        ctx.fillText(t('dialogs.leaderboard.score'), tableX + 380, headerY);
+        ctx.fillText(t('dialogs.leaderboard.time'), tableX + 520, headerY);
         
         ctx.shadowBlur = 0;
         ctx.shadowOffsetX = 0;
@@ -669,7 +679,12 @@ export class GameDialogs {    constructor(game) {
           
         // Enhanced table rows with advanced visual effects
         entries.forEach((entry, index) => {
-            const entryY = tableY + (index * 45); // Increased row height for better spacing
+            const entryY = tableY + (index * rowHeight);
+            const rank = entry.rank || page.offset + index + 1;
+            const podium = rank <= 3;
+            const isPlayerRow = leaderboardSystem.isPlayerEntry(entry) ||
+                (leaderboardSystem.uploadResult && leaderboardSystem.uploadResult.success &&
+                 entry.id === leaderboardSystem.uploadResult.entryId);
             
             // Advanced row animations and effects
             const rowTime = time * 1.5 + index * 0.2;
@@ -680,14 +695,14 @@ export class GameDialogs {    constructor(game) {
             // Multi-layer row background
             if (index % 2 === 0) {
                 // Even rows - darker base
-                const evenGradient = ctx.createLinearGradient(tableX - 25, entryY - 22, tableX - 25, entryY + 23);
+                const evenGradient = ctx.createLinearGradient(tableX - 25, entryY - 22, tableX - 25, entryY + rowHeight - 26);
                 evenGradient.addColorStop(0, `rgba(30, 35, 42, ${0.8 * rowAlpha})`);
                 evenGradient.addColorStop(0.5, `rgba(22, 27, 34, ${0.9 * rowAlpha})`);
                 evenGradient.addColorStop(1, `rgba(18, 23, 30, ${0.8 * rowAlpha})`);
                 ctx.fillStyle = evenGradient;
             } else {
                 // Odd rows - lighter base
-                const oddGradient = ctx.createLinearGradient(tableX - 25, entryY - 22, tableX - 25, entryY + 23);
+                const oddGradient = ctx.createLinearGradient(tableX - 25, entryY - 22, tableX - 25, entryY + rowHeight - 26);
                 oddGradient.addColorStop(0, `rgba(33, 38, 45, ${0.7 * rowAlpha})`);
                 oddGradient.addColorStop(0.5, `rgba(26, 31, 38, ${0.8 * rowAlpha})`);
                 oddGradient.addColorStop(1, `rgba(21, 26, 33, ${0.7 * rowAlpha})`);
@@ -695,10 +710,8 @@ export class GameDialogs {    constructor(game) {
             }
             
             // Special highlighting for user's entry
-            if (this.game.leaderboardSystem.uploadResult && 
-                this.game.leaderboardSystem.uploadResult.success &&
-                entry.id === this.game.leaderboardSystem.uploadResult.entryId) {
-                const userGradient = ctx.createLinearGradient(tableX - 25, entryY - 22, tableX - 25, entryY + 23);
+            if (isPlayerRow) {
+                const userGradient = ctx.createLinearGradient(tableX - 25, entryY - 22, tableX - 25, entryY + rowHeight - 26);
                 userGradient.addColorStop(0, 'rgba(64, 209, 88, 0.3)');
                 userGradient.addColorStop(0.5, 'rgba(40, 167, 69, 0.4)');
                 userGradient.addColorStop(1, 'rgba(64, 209, 88, 0.3)');
@@ -712,9 +725,9 @@ export class GameDialogs {    constructor(game) {
             }
             
             // Enhanced glow for top 3 entries
-            if (index < 3) {
+            if (podium) {
                 const medalColors = ['#ffd700', '#c0c0c0', '#cd7f32'];
-                ctx.shadowColor = medalColors[index];
+                ctx.shadowColor = medalColors[rank - 1];
                 ctx.shadowBlur = 12;
                 ctx.shadowOffsetX = 0;
                 ctx.shadowOffsetY = 0;
@@ -722,24 +735,22 @@ export class GameDialogs {    constructor(game) {
             
             // Draw row background with curved edges
             const rowRadius = 12; // Curved corner radius for rows
-            this.drawRoundedRect(ctx, tableX - 25, entryY - 22, tableWidth + 50, 45, rowRadius);
+            this.drawRoundedRect(ctx, tableX - 25, entryY - 22, tableWidth + 50, rowHeight - 4, rowRadius);
             ctx.fill();
             
             // Row border effects with curved edges
-            if (index < 3) {
+            if (podium) {
                 // Special border for top 3 with curves
                 const medalColors = ['#ffd700', '#c0c0c0', '#cd7f32'];
-                ctx.strokeStyle = medalColors[index] + '80';
+                ctx.strokeStyle = medalColors[rank - 1] + '80';
                 ctx.lineWidth = 2;
-                this.drawRoundedRect(ctx, tableX - 25, entryY - 22, tableWidth + 50, 45, rowRadius);
+                this.drawRoundedRect(ctx, tableX - 25, entryY - 22, tableWidth + 50, rowHeight - 4, rowRadius);
                 ctx.stroke();
-            } else if (this.game.leaderboardSystem.uploadResult && 
-                      this.game.leaderboardSystem.uploadResult.success &&
-                      entry.id === this.game.leaderboardSystem.uploadResult.entryId) {
+            } else if (isPlayerRow) {
                 // Special border for user entry with curves
                 ctx.strokeStyle = '#40d158';
                 ctx.lineWidth = 2;
-                this.drawRoundedRect(ctx, tableX - 25, entryY - 22, tableWidth + 50, 45, rowRadius);
+                this.drawRoundedRect(ctx, tableX - 25, entryY - 22, tableWidth + 50, rowHeight - 4, rowRadius);
                 ctx.stroke();
             }
             
@@ -748,11 +759,11 @@ export class GameDialogs {    constructor(game) {
             
             // Enhanced rank display with medals and animations
             ctx.textAlign = 'left';
-            let rankDisplay = `${index + 1}.`;
+            let rankDisplay = `${rank}.`;
             let rankColor = '#f0f6fc';
             let rankFont = '16px Courier New';
             
-            if (index === 0) {
+            if (rank === 1) {
                 rankDisplay = '🥇';
                 rankColor = '#ffd700';
                 rankFont = 'bold 24px Courier New';
@@ -763,14 +774,14 @@ export class GameDialogs {    constructor(game) {
                 ctx.shadowBlur = 8 * goldPulse;
                 ctx.shadowOffsetX = 0;
                 ctx.shadowOffsetY = 0;
-            } else if (index === 1) {
+            } else if (rank === 2) {
                 rankDisplay = '🥈';
                 rankColor = '#c0c0c0';
                 rankFont = 'bold 22px Courier New';
                 
                 ctx.shadowColor = '#c0c0c0';
                 ctx.shadowBlur = 6;
-            } else if (index === 2) {
+            } else if (rank === 3) {
                 rankDisplay = '🥉';
                 rankColor = '#cd7f32';
                 rankFont = 'bold 20px Courier New';
@@ -778,7 +789,7 @@ export class GameDialogs {    constructor(game) {
                 ctx.shadowColor = '#cd7f32';
                 ctx.shadowBlur = 4;
             } else {
-                rankDisplay = `#${index + 1}`;
+                rankDisplay = `#${rank}`;
                 rankFont = 'bold 16px Courier New';
             }
             
@@ -793,6 +804,7 @@ export class GameDialogs {    constructor(game) {
             ctx.fillStyle = '#f0f6fc';
             ctx.font = '16px Courier New';
             let displayName = entry.name;
+            const followMark = leaderboardSystem.isFollowing(entry) ? ' ★' : '';
             
             // Smart truncation with ellipsis
             const maxNameWidth = 200;
@@ -806,23 +818,21 @@ export class GameDialogs {    constructor(game) {
             }
             
             // Special styling for user's own entry
-            if (this.game.leaderboardSystem.uploadResult && 
-                this.game.leaderboardSystem.uploadResult.success &&
-                entry.id === this.game.leaderboardSystem.uploadResult.entryId) {
+            if (isPlayerRow) {
                 ctx.shadowColor = '#40d158';
                 ctx.shadowBlur = 4;
                 ctx.fillStyle = '#40d158';
                 ctx.font = 'bold 16px Courier New';
             }
             
-            ctx.fillText(displayName, tableX + 120, entryY);
+            ctx.fillText(displayName + followMark, tableX + 120, entryY);
             ctx.shadowBlur = 0;
             
             // Enhanced score display with number formatting and animations
-            ctx.font = index < 3 ? 'bold 18px Courier New' : 'bold 16px Courier New';
-            ctx.fillStyle = index < 3 ? '#ffd700' : '#58a6ff';
+            ctx.font = podium ? 'bold 18px Courier New' : 'bold 16px Courier New';
+            ctx.fillStyle = podium ? '#ffd700' : '#58a6ff';
             
-            if (index < 3) {
+            if (podium) {
                 const scorePulse = 0.9 + Math.sin(time * 3 + index) * 0.1;
                 ctx.shadowColor = '#ffd700';
                 ctx.shadowBlur = 4 * scorePulse;
@@ -858,22 +868,29 @@ export class GameDialogs {    constructor(game) {
             ctx.shadowBlur = 0;
             
             // Interactive indicator with animation for clickable entries
-            if (index < 10) { // Top 10 are interactive
-                const indicatorPulse = 0.5 + Math.sin(time * 6 + index * 0.5) * 0.5;
-                ctx.fillStyle = `rgba(88, 166, 255, ${0.3 * indicatorPulse})`;
-                ctx.fillRect(tableX + tableWidth + 15, entryY - 18, 8, 36);
-                
-                // Indicator glow
-                ctx.shadowColor = '#58a6ff';
-                ctx.shadowBlur = 4;
-                ctx.fillStyle = `rgba(88, 166, 255, ${0.6 * indicatorPulse})`;
-                ctx.fillRect(tableX + tableWidth + 17, entryY - 16, 4, 32);
-                ctx.shadowBlur = 0;
-            }
+            const indicatorPulse = 0.5 + Math.sin(time * 6 + index * 0.5) * 0.5;
+            ctx.fillStyle = `rgba(88, 166, 255, ${0.3 * indicatorPulse})`;
+            ctx.fillRect(tableX + tableWidth + 15, entryY - 18, 8, rowHeight - 10);
+            
+            // Indicator glow
+            ctx.shadowColor = '#58a6ff';
+            ctx.shadowBlur = 4;
+            ctx.fillStyle = `rgba(88, 166, 255, ${0.6 * indicatorPulse})`;
+            ctx.fillRect(tableX + tableWidth + 17, entryY - 16, 4, rowHeight - 14);
+            ctx.shadowBlur = 0;
+            
+            leaderboardSystem.hitAreas.push({
+                x: tableX - 25,
+                y: entryY - 22,
+                width: tableWidth + 50,
+                height: rowHeight - 4,
+                action: 'entry',
+                entry
+            });
         });
         
         // Update tableY for elements that come after the table
-        tableY = tableY + (entries.length * 45);
+        tableY = tableY + (entries.length * rowHeight);
           
         // Enhanced "no scores" display with animations
         if (entries.length === 0) {
@@ -883,7 +900,7 @@ export class GameDialogs {    constructor(game) {
             const containerWidth = 400;
             const containerHeight = 150;
             const containerX = width/2 - containerWidth/2;
-            const containerY = 280;
+            const containerY = 290;
             
             // Container background with gradient
             const noScoresGradient = ctx.createRadialGradient(
@@ -924,9 +941,22 @@ export class GameDialogs {    constructor(game) {
             
             ctx.restore();
             
-            // Main message with typewriter effect
-            const message1 = 'No scores yet';
-            const message2 = 'Be the first!';
+            // Main message with typewriter effect - what's missing depends on the view
+            const view = leaderboardSystem.selectedView;
+            let message1 = t('dialogs.leaderboard.noScores');
+            let message2 = t('dialogs.leaderboard.beFirst');
+            if (page.loading) {
+                message1 = t('dialogs.leaderboard.loading');
+                message2 = '';
+            } else if (view === 'around') {
+                message1 = t('dialogs.leaderboard.notRanked');
+                message2 = t('dialogs.leaderboard.uploadToRank');
+            } else if (view === 'friends') {
+                message1 = t('dialogs.leaderboard.noFriends');
+                message2 = t('dialogs.leaderboard.followHint');
+            } else if (view === 'week' || view === 'today') {
+                message1 = t(`dialogs.leaderboard.noScores_${view}`);
+            }
             
             ctx.fillStyle = '#f0f6fc';
             ctx.textAlign = 'center';
@@ -957,6 +987,10 @@ export class GameDialogs {    constructor(game) {
             }
         }
         
+        // Player's rank and the pager under the table
+        const footerY = entries.length > 0 ? tableY + 10 : 470;
+        this.drawLeaderboardFooter(ctx, tableX, tableWidth, footerY, leaderboardSystem, page);
+        
         // Handle upload prompt display (name input)
         if (this.game.leaderboardSystem.showUploadPrompt) {
             this.drawUploadPrompt();
@@ -969,7 +1003,7 @@ export class GameDialogs {    constructor(game) {
         if (result && !this.game.leaderboardSystem.showUploadPrompt && resultOpacity > 0) {
             const messageColor = result.success ? '#40d158' : '#f85149';
             const messageBgColor = result.success ? 'rgba(64, 209, 88, 0.15)' : 'rgba(248, 81, 73, 0.15)';
-            const messageY = entries.length > 0 ? tableY + 30 : 380;
+            const messageY = footerY + 50;
             
             // Message background with gradient and fade-out
             const messageWidth = 400;
@@ -1045,7 +1079,7 @@ export class GameDialogs {    constructor(game) {
         // Draw tabs with enhanced animations
         tabs.forEach((difficulty, index) => {
             const tabX = tabsStartX + (index * tabWidth);
-            const difficultyInfo = DIFFICULTY_LEVELS[difficulty];
+            const difficultyInfo = this.game.leaderboardSystem.getBoardInfo(difficulty);
             const isSelected = this.game.leaderboardSystem.isTabSelected(difficulty);
             
             // Enhanced animation effects
@@ -1178,6 +1212,101 @@ export class GameDialogs {    constructor(game) {
         });
     }
     
+    /**
+     * Draw the view selector (all time, around me, this week, today, friends) under the difficulty tabs
+     */
+    drawLeaderboardViewTabs(ctx, width, leaderboardSystem) {
+        const views = leaderboardSystem.getViewTabs();
+        const viewWidth = 120;
+        const viewHeight = 28;
+        const viewsStartX = width / 2 - (viewWidth * views.length) / 2;
+        const viewY = 148;
+        
+        ctx.font = 'bold 13px Courier New';
+        ctx.textAlign = 'center';
+        
+        views.forEach((view, index) => {
+            const viewX = viewsStartX + index * viewWidth + 4;
+            const isSelected = leaderboardSystem.selectedView === view;
+            
+            ctx.fillStyle = isSelected ? 'rgba(88, 166, 255, 0.25)' : 'rgba(22, 27, 34, 0.8)';
+            this.drawRoundedRect(ctx, viewX, viewY, viewWidth - 8, viewHeight, 6);
+            ctx.fill();
+            
+            ctx.strokeStyle = isSelected ? '#58a6ff' : 'rgba(88, 166, 255, 0.2)';
+            ctx.lineWidth = 1;
+            this.drawRoundedRect(ctx, viewX, viewY, viewWidth - 8, viewHeight, 6);
+            ctx.stroke();
+            
+            ctx.fillStyle = isSelected ? '#ffffff' : '#8b949e';
+            ctx.fillText(t(`dialogs.leaderboard.views.${view}`), viewX + (viewWidth - 8) / 2, viewY + 19);
+            
+            leaderboardSystem.hitAreas.push({
+                x: viewX,
+                y: viewY,
+                width: viewWidth - 8,
+                height: viewHeight,
+                action: 'view',
+                view
+            });
+        });
+    }
+    
+    /**
+     * Draw the player's rank and the pager under the leaderboard table
+     */
+    drawLeaderboardFooter(ctx, tableX, tableWidth, footerY, leaderboardSystem, page) {
+        if (page.loading) return;
+        
+        // Place on the whole board, plus within the window for 'week' and 'today'
+        let rankText = t('dialogs.leaderboard.yourRankNone');
+        if (page.playerRank) {
+            rankText = t('dialogs.leaderboard.yourRank', {
+                rank: page.playerRank.rank.toLocaleString(),
+                total: page.playerRank.total.toLocaleString()
+            });
+            if (page.windowRank && page.windowRank !== page.playerRank) {
+                rankText += t(`dialogs.leaderboard.yourRank_${leaderboardSystem.selectedView}`, { rank: page.windowRank.rank.toLocaleString() });
+            }
+        }
+        
+        ctx.font = 'bold 14px Courier New';
+        ctx.textAlign = 'left';
+        ctx.fillStyle = page.playerRank ? '#40d158' : '#8b949e';
+        ctx.fillText(rankText, tableX - 20, footerY);
+        
+        if (page.total === 0) return;
+        
+        // Pager: ◀ 11-20 of 340 ▶
+        const last = page.offset + page.entries.length;
+        const pageText = t('dialogs.leaderboard.page', {
+            first: (page.offset + 1).toLocaleString(),
+            last: last.toLocaleString(),
+            total: page.total.toLocaleString()
+        });
+        const arrowWidth = 30;
+        const nextX = tableX + tableWidth + 20 - arrowWidth;
+        
+        ctx.textAlign = 'right';
+        ctx.fillStyle = '#a5b3c1';
+        ctx.fillText(pageText, nextX - 8, footerY);
+        const prevX = nextX - 16 - ctx.measureText(pageText).width - arrowWidth;
+        
+        [[prevX, -1, '◀', page.offset > 0], [nextX, 1, '▶', last < page.total]].forEach(([arrowX, direction, arrow, enabled]) => {
+            ctx.fillStyle = enabled ? 'rgba(88, 166, 255, 0.2)' : 'rgba(33, 38, 45, 0.6)';
+            this.drawRoundedRect(ctx, arrowX, footerY - 18, arrowWidth, 24, 6);
+            ctx.fill();
+            
+            ctx.textAlign = 'center';
+            ctx.fillStyle = enabled ? '#58a6ff' : '#484f58';
+            ctx.fillText(arrow, arrowX + arrowWidth / 2, footerY);
+            
+            if (enabled) {
+                leaderboardSystem.hitAreas.push({ x: arrowX, y: footerY - 18, width: arrowWidth, height: 24, action: 'page', direction });
+            }
+        });
+    }
+    
     /**
      * Draw the score upload prompt dialog with enhanced UI and animations
      */
@@ -1237,15 +1366,15 @@ export class GameDialogs {    constructor(game) {
         ctx.shadowColor = '#58a6ff';
         ctx.shadowBlur = 15;
         ctx.fillStyle = 'rgba(88, 166, 255, 0.4)';
-        ctx.fillText('🏆 UPLOAD SCORE', width / 2, dialogY + 50);
+        ctx.fillText(t('dialogs.upload.title'), width / 2, dialogY + 50);
         
         ctx.shadowBlur = 8;
         ctx.fillStyle = 'rgba(88, 166, 255, 0.8)';
-        ctx.fillText('🏆 UPLOAD SCORE', width / 2, dialogY + 50);
+        ctx.fillText(t('dialogs.upload.title'), width / 2, dialogY + 50);
         
         ctx.shadowBlur = 0;
         ctx.fillStyle = '#ffffff';
-        ctx.fillText('🏆 UPLOAD SCORE', width / 2, dialogY + 50);
+        ctx.fillText(t('dialogs.upload.title'), width / 2, dialogY + 50);
         
         // Animated subtitle
         ctx.fillStyle = '#a855f7';
@@ -1254,12 +1383,12 @@ export class GameDialogs {    constructor(game) {
         ctx.fillStyle = `rgba(168, 85, 247, ${subtitleAlpha})`;
         ctx.shadowColor = '#a855f7';
         ctx.shadowBlur = 6;
-        ctx.fillText('Share your achievement with the world!', width / 2, dialogY + 80);
+        ctx.fillText(t('dialogs.upload.subtitle'), width / 2, dialogY + 80);
         ctx.shadowBlur = 0;
         
         // Enhanced score info display
         const { score, difficulty, survivalTime } = this.game.leaderboardSystem.currentUpload;
-        const difficultyInfo = DIFFICULTY_LEVELS[difficulty];
+        const difficultyInfo = this.game.leaderboardSystem.getBoardInfo(difficulty);
         
         // Format survival time properly
         const minutes = Math.floor(survivalTime / 60);
@@ -1297,7 +1426,7 @@ export class GameDialogs {    constructor(game) {
         ctx.textAlign = 'center';
         ctx.shadowColor = 'rgba(0, 0, 0, 0.7)';
         ctx.shadowBlur = 3;
-        ctx.fillText(`SCORE: ${score.toLocaleString()}`, width / 2, scoreBoxY + 35);
+        ctx.fillText(t('dialogs.upload.score', { score: score.toLocaleString() }), width / 2, scoreBoxY + 35);
         ctx.shadowBlur = 0;
         
         // Difficulty and time with enhanced effects
@@ -1312,7 +1441,7 @@ export class GameDialogs {    constructor(game) {
         ctx.fillStyle = '#f0f6fc';
         ctx.font = 'bold 18px Courier New';
         ctx.textAlign = 'left';
-        ctx.fillText('Player Name:', dialogX + 40, dialogY + 220);
+        ctx.fillText(t('dialogs.upload.playerName'), dialogX + 40, dialogY + 220);
         
         // Name input box with advanced styling
         const inputBoxWidth = 380;
@@ -1358,7 +1487,7 @@ export class GameDialogs {    constructor(game) {
         ctx.font = 'bold 20px Courier New';
         
         const playerName = this.game.leaderboardSystem.playerName;
-        const displayName = playerName.length > 0 ? playerName : 'Anonymous';
+        const displayName = playerName.length > 0 ? playerName : t('dialogs.upload.anonymous');
         ctx.fillText(displayName, inputBoxX + 20, inputBoxY + 33);
         
         // Enhanced input cursor with animation
@@ -1409,7 +1538,7 @@ export class GameDialogs {    constructor(game) {
         ctx.textAlign = 'center';
         ctx.shadowColor = 'rgba(0, 0, 0, 0.5)';
         ctx.shadowBlur = 2;
-        ctx.fillText('🚀 UPLOAD', buttonWidth / 2, buttonHeight / 2 + 6);
+        ctx.fillText(t('dialogs.upload.upload'), buttonWidth / 2, buttonHeight / 2 + 6);
         ctx.shadowBlur = 0;
         
         ctx.restore();
@@ -1444,7 +1573,7 @@ export class GameDialogs {    constructor(game) {
         ctx.textAlign = 'center';
         ctx.shadowColor = 'rgba(0, 0, 0, 0.3)';
         ctx.shadowBlur = 1;
-        ctx.fillText('❌ CANCEL', buttonWidth / 2, buttonHeight / 2 + 6);
+        ctx.fillText(t('dialogs.upload.cancel'), buttonWidth / 2, buttonHeight / 2 + 6);
         ctx.shadowBlur = 0;
         
         ctx.restore();
@@ -1454,23 +1583,25 @@ export class GameDialogs {    constructor(game) {
         ctx.fillStyle = `rgba(125, 133, 144, ${instructionAlpha})`;
         ctx.font = '14px Courier New';
         ctx.textAlign = 'center';
-        ctx.fillText('Click to type your name, then click Upload to share your score', width / 2, dialogY + 320);
+        ctx.fillText(t('dialogs.upload.hint'), width / 2, dialogY + 320);
     }
     
     /**
      * Draw entry tooltip with detailed information
      */
     drawEntryTooltip() {
-        const tooltip = this.game.leaderboardSystem.entryTooltip;
+        const leaderboardSystem = this.game.leaderboardSystem;
+        const tooltip = leaderboardSystem.entryTooltip;
         if (!tooltip) return;
         
         const ctx = this.ctx;
         const width = this.canvas.width;
         const height = this.canvas.height;
+        const canFollow = leaderboardSystem.canFollow(tooltip.entry);
         
-        // Tooltip dimensions
+        // Tooltip dimensions (taller with a follow button)
         const tooltipWidth = 300;
-        const tooltipHeight = 150;
+        const tooltipHeight = canFollow ? 185 : 150;
         let tooltipX = tooltip.x + 20;
         let tooltipY = tooltip.y - tooltipHeight - 20;
         
@@ -1492,6 +1623,9 @@ export class GameDialogs {    constructor(game) {
         this.drawRoundedRect(ctx, tooltipX, tooltipY, tooltipWidth, tooltipHeight, 8);
         ctx.stroke();
         
+        // Clicks on the tooltip itself keep it open
+        leaderboardSystem.hitAreas.push({ x: tooltipX, y: tooltipY, width: tooltipWidth, height: tooltipHeight, action: 'tooltip' });
+        
         // Content
         ctx.fillStyle = '#f0f6fc';
         ctx.font = 'bold 16px Courier New';
@@ -1501,31 +1635,65 @@ export class GameDialogs {    constructor(game) {
         const rank = tooltip.rank;
         
         // Rank and name
-        ctx.fillText(`Rank #${rank}: ${entry.name}`, tooltipX + 15, tooltipY + 25);
+        ctx.fillText(t('dialogs.tooltip.rank', { rank: rank, name: entry.name }), tooltipX + 15, tooltipY + 25);
         
         // Score
         ctx.fillStyle = '#ffd700';
         ctx.font = '18px Courier New';
-        ctx.fillText(`Score: ${entry.score}`, tooltipX + 15, tooltipY + 50);
+        ctx.fillText(t('dialogs.tooltip.score', { score: entry.score }), tooltipX + 15, tooltipY + 50);
         
         // Time
         ctx.fillStyle = '#8b949e';
         ctx.font = '14px Courier New';
         const minutes = Math.floor(entry.survivalTime / 60);
         const seconds = Math.floor(entry.survivalTime % 60);
-        ctx.fillText(`Survival Time: ${minutes}m ${seconds}s`, tooltipX + 15, tooltipY + 75);
+        ctx.fillText(t('dialogs.tooltip.survivalTime', { minutes: minutes, seconds: seconds }), tooltipX + 15, tooltipY + 75);
         
         // Timestamp
         if (entry.timestamp) {
             const date = new Date(entry.timestamp);
             const dateStr = date.toLocaleDateString();
-            ctx.fillText(`Date: ${dateStr}`, tooltipX + 15, tooltipY + 95);
+            ctx.fillText(t('dialogs.tooltip.date', { date: dateStr }), tooltipX + 15, tooltipY + 95);
+        }
+        
+        // Follow button for the 'friends' view
+        if (canFollow) {
+            const following = leaderboardSystem.isFollowing(tooltip.entry);
+            const full = !following && leaderboardSystem.followedPlayers.size >= LEADERBOARD_VIEWS.MAX_FOLLOWED;
+            const buttonX = tooltipX + 15;
+            const buttonY = tooltipY + 110;
+            const buttonWidth = 170;
+            const buttonHeight = 26;
+            
+            ctx.fillStyle = following ? 'rgba(255, 215, 0, 0.15)' : 'rgba(88, 166, 255, 0.15)';
+            this.drawRoundedRect(ctx, buttonX, buttonY, buttonWidth, buttonHeight, 6);
+            ctx.fill();
+            ctx.strokeStyle = following ? '#ffd700' : '#58a6ff';
+            ctx.lineWidth = 1;
+            this.drawRoundedRect(ctx, buttonX, buttonY, buttonWidth, buttonHeight, 6);
+            ctx.stroke();
+            
+            ctx.fillStyle = full ? '#7d8590' : (following ? '#ffd700' : '#58a6ff');
+            ctx.font = 'bold 13px Courier New';
+            ctx.textAlign = 'center';
+            const label = following ? 'dialogs.tooltip.unfollow' : (full ? 'dialogs.tooltip.followLimit' : 'dialogs.tooltip.follow');
+            ctx.fillText(t(label), buttonX + buttonWidth / 2, buttonY + 18);
+            ctx.textAlign = 'left';
+            
+            leaderboardSystem.hitAreas.push({
+                x: buttonX,
+                y: buttonY,
+                width: buttonWidth,
+                height: buttonHeight,
+                action: 'follow',
+                entry: tooltip.entry
+            });
         }
         
         // Additional info
         ctx.fillStyle = '#7d8590';
         ctx.font = '12px Courier New';
-        ctx.fillText('Click elsewhere to close', tooltipX + 15, tooltipY + 125);
+        ctx.fillText(t('dialogs.tooltip.close'), tooltipX + 15, tooltipY + tooltipHeight - 25);
     }
 
     /**
@@ -1560,25 +1728,19 @@ export class GameDialogs {    constructor(game) {
         ctx.fillStyle = '#f0f6fc';
         ctx.textAlign = 'center';
         ctx.font = 'bold 24px Courier New';
-        ctx.fillText('RESET PROGRESS', width / 2, dialogY + 50);
+        ctx.fillText(t('dialogs.reset.title'), width / 2, dialogY + 50);
         
         // Warning subtitle
         ctx.fillStyle = '#f85149';
         ctx.font = '18px Courier New';
-        ctx.fillText('⚠️  WARNING: This will permanently delete:', width / 2, dialogY + 85);
+        ctx.fillText(t('dialogs.reset.warning'), width / 2, dialogY + 85);
         
         // List of items that will be deleted
         ctx.fillStyle = '#7d8590';
         ctx.font = '14px Courier New';
         ctx.textAlign = 'left';
         const itemsX = dialogX + 100;
-        let itemY = dialogY + 115;        const items = [
-            'Your current save game',
-            'All upgrade progress',
-            'All achievements',
-            'Game statistics',
-            'High scores'
-        ];
+        let itemY = dialogY + 115;        const items = [].concat(t('dialogs.reset.items')); // A bare key string if no pack loaded
         
         items.forEach(item => {
             ctx.fillText(item, itemsX, itemY);
@@ -1589,7 +1751,7 @@ export class GameDialogs {    constructor(game) {
         ctx.fillStyle = '#f85149';
         ctx.textAlign = 'center';
         ctx.font = 'bold 16px Courier New';
-        ctx.fillText('Type "RESET" to confirm or [Esc] to cancel', width / 2, dialogY + 230);
+        ctx.fillText(t('dialogs.reset.confirmHint', { word: 'RESET' }), width / 2, dialogY + 230);
         
         // Buttons
         const buttonWidth = 120;
@@ -1611,7 +1773,7 @@ export class GameDialogs {    constructor(game) {
           ctx.fillStyle = '#8b949e';
         ctx.font = '16px Courier New';
         ctx.textAlign = 'center';
-        ctx.fillText('CANCEL', cancelX + buttonWidth / 2, buttonY + 25);
+        ctx.fillText(t('dialogs.reset.cancel'), cancelX + buttonWidth / 2, buttonY + 25);
         
         // Confirm button
         const confirmX = width / 2 + buttonSpacing / 2;
@@ -1625,7 +1787,7 @@ export class GameDialogs {    constructor(game) {
         
         ctx.fillStyle = '#f85149';
         ctx.font = 'bold 16px Courier New';
-        ctx.fillText('RESET', confirmX + buttonWidth / 2, buttonY + 25);// Store button hit areas for click handling
+        ctx.fillText(t('dialogs.reset.confirm'), confirmX + buttonWidth / 2, buttonY + 25);// Store button hit areas for click handling
         // Ensure the game has resetDialogHitAreas initialized
         if (!this.game.resetDialogHitAreas) {
             this.game.resetDialogHitAreas = [];
@@ -1694,27 +1856,27 @@ export class GameDialogs {    constructor(game) {
         ctx.shadowOffsetX = 0;
         ctx.shadowOffsetY = 3;
         
-        ctx.fillText('GAME PAUSED', width / 2, height / 2 - 50);
+        ctx.fillText(t('dialogs.pause.title'), width / 2, height / 2 - 50);
         ctx.restore();
         
         // Current game stats with modern styling
         if (this.game.player) {
             ctx.fillStyle = `rgba(88, 166, 255, ${textAlpha})`;
             ctx.font = 'bold 18px "Segoe UI", Arial, sans-serif';
-            ctx.fillText(`Current Score: ${this.game.score.toLocaleString()}`, width / 2, height / 2 + 10);
+            ctx.fillText(t('dialogs.pause.currentScore', { score: this.game.score.toLocaleString() }), width / 2, height / 2 + 10);
             
             // Show current survival time
             const currentTime = this.game.pauseStartTime || Date.now();
             const survivalTime = Math.floor((currentTime - this.game.startTime) / 1000);
             ctx.font = '16px "Segoe UI", Arial, sans-serif';
-            ctx.fillText(`Survival Time: ${survivalTime}s`, width / 2, height / 2 + 35);
+            ctx.fillText(t('dialogs.pause.survivalTime', { seconds: survivalTime }), width / 2, height / 2 + 35);
             
             // Show best score for comparison
             const difficultyBestScore = this.game.bestScores[this.game.selectedDifficulty] || 0;
             if (difficultyBestScore > 0) {
                 ctx.fillStyle = `rgba(255, 215, 0, ${textAlpha})`;
                 ctx.font = 'bold 16px "Segoe UI", Arial, sans-serif';
-                ctx.fillText(`Best Score: ${difficultyBestScore.toLocaleString()}`, width / 2, height / 2 + 60);
+                ctx.fillText(t('dialogs.pause.bestScore', { score: difficultyBestScore.toLocaleString() }), width / 2, height / 2 + 60);
             }
         }
         
@@ -1747,13 +1909,13 @@ export class GameDialogs {    constructor(game) {
         
         // Modern button definitions with icons
         const buttons = [
-            { text: 'Resume', action: 'resume', color: '#22c55e', icon: '▶️' },
-            { text: 'Restart', action: 'restart', color: '#3b82f6', icon: '🔄' },
-            { text: 'Difficulty', action: 'difficulty', color: '#8b5cf6', icon: '⚙️' },
-            { text: 'Main Menu', action: 'home', color: '#f59e0b', icon: '🏠' },
-            { text: 'Shop', action: 'shop', color: '#10b981', icon: '🛒' },
-            { text: 'Leaderboard', action: 'leaderboard', color: '#06b6d4', icon: '🏆' },
-            { text: 'Settings', action: 'settings', color: '#ef4444', icon: '⚙️' }
+            { text: t('dialogs.pause.buttons.resume'), action: 'resume', color: '#22c55e', icon: '▶️' },
+            { text: t('dialogs.pause.buttons.restart'), action: 'restart', color: '#3b82f6', icon: '🔄' },
+            { text: t('dialogs.pause.buttons.difficulty'), action: 'difficulty', color: '#8b5cf6', icon: '⚙️' },
+            { text: t('dialogs.pause.buttons.home'), action: 'home', color: '#f59e0b', icon: '🏠' },
+            { text: t('dialogs.pause.buttons.shop'), action: 'shop', color: '#10b981', icon: '🛒' },
+            { text: t('dialogs.pause.buttons.leaderboard'), action: 'leaderboard', color: '#06b6d4', icon: '🏆' },
+            { text: t('dialogs.pause.buttons.settings'), action: 'settings', color: '#ef4444', icon: '⚙️' }
         ];
         
         buttons.forEach((button, index) => {
@@ -2125,14 +2287,14 @@ export class GameDialogs {    constructor(game) {
         ctx.shadowColor = 'rgba(88,166,255,0.5)';
         ctx.shadowBlur = 18;
         ctx.fillStyle = '#f0f6fc';
-        ctx.fillText('UPGRADE SHOP', width/2, 48);
+        ctx.fillText(t('dialogs.shop.title'), width/2, 48);
         ctx.shadowColor = 'rgba(168,85,247,0.3)';
         ctx.shadowBlur = 32;
-        ctx.fillText('UPGRADE SHOP', width/2, 48);
+        ctx.fillText(t('dialogs.shop.title'), width/2, 48);
         ctx.shadowBlur = 0;
         ctx.font = '18px Courier New';
         ctx.fillStyle = 'rgba(125,133,144,0.85)';
-        ctx.fillText('Spend Data Packets to unlock upgrades & power-ups', width/2, 75);
+        ctx.fillText(t('dialogs.shop.subtitle'), width/2, 75);
         ctx.restore();
         // Currency display (top right)
         const currentCurrency = this.game.upgradeSystem ? this.game.upgradeSystem.getDataPackets() : 0;
@@ -2143,7 +2305,7 @@ export class GameDialogs {    constructor(game) {
             ctx.fillStyle = '#f85149';
             ctx.font = '20px Courier New';
             ctx.textAlign = 'center';
-            ctx.fillText('Shop system not available', width/2, height/2);
+            ctx.fillText(t('dialogs.shop.unavailable'), width/2, height/2);
             ctx.restore();
             return;
         }
@@ -2201,7 +2363,7 @@ export class GameDialogs {    constructor(game) {
             ctx.fillStyle = '#8b949e';
             ctx.textAlign = 'right';
             const ownedCount = categoryUpgrades.filter(upg => shopSystem.isOwned(upg.id)).length;
-            ctx.fillText(`Owned: ${ownedCount}/${categoryUpgrades.length}`, leftMargin + contentWidth - 15, currentY + 25);
+            ctx.fillText(t('dialogs.shop.owned', { owned: ownedCount, total: categoryUpgrades.length }), leftMargin + contentWidth - 15, currentY + 25);
             ctx.restore();
             currentY += 50;
             let currentX = leftMargin;
@@ -2299,11 +2461,11 @@ export class GameDialogs {    constructor(game) {
                     if (isLocked) {
                         ctx.fillStyle = '#6e7681';
                         ctx.textAlign = 'right';
-                        ctx.fillText('LOCKED', currentX + itemWidth - 35, currentY + 30);
+                        ctx.fillText(t('dialogs.shop.locked'), currentX + itemWidth - 35, currentY + 30);
                     } else if (isOwned) {
                         ctx.fillStyle = '#40d158';
                         ctx.textAlign = 'right';
-                        ctx.fillText('OWNED', currentX + itemWidth - 35, currentY + 30);
+                        ctx.fillText(t('dialogs.shop.ownedBadge'), currentX + itemWidth - 35, currentY + 30);
                     } else {
                         ctx.fillStyle = canAfford ? '#ffd700' : '#f85149'; // Red price for unaffordable
                         ctx.textAlign = 'right';
@@ -2314,7 +2476,7 @@ export class GameDialogs {    constructor(game) {
                             ctx.font = 'bold 11px Courier New';
                             ctx.fillStyle = '#f85149';
                             ctx.textAlign = 'center';
-                            ctx.fillText('NEED MORE DATA PACKETS', currentX + itemWidth/2, currentY + 105);
+                            ctx.fillText(t('dialogs.shop.needMore'), currentX + itemWidth/2, currentY + 105);
                         }
                     }
                     // Description (wrap)
@@ -2331,9 +2493,9 @@ export class GameDialogs {    constructor(game) {
                             const prereqUpgrade = shopSystem.upgradeData[prereqId];
                             return prereqUpgrade ? prereqUpgrade.name : prereqId;
                         });
-                        description = `Requires: ${prereqNames.join(', ')}`;
+                        description = t('dialogs.shop.requires', { names: prereqNames.join(', ') });
                     } else {
-                        description = upgrade.description || 'No description available';
+                        description = upgrade.description || t('dialogs.shop.noDescription');
                     }
                     
                     const words = description.split(' ');
@@ -2740,8 +2902,8 @@ export class GameDialogs {    constructor(game) {
                     if (success && this.game.popupSystem) {
                         const upgrade = this.game.shopSystem.upgradeData[area.upgradeId];
                         this.game.popupSystem.showConfirmationPopup(
-                            'Purchase Successful', 
-                            `✅ Successfully purchased: ${upgrade.name}`
+                            t('dialogs.shop.purchaseTitle'), 
+                            t('dialogs.shop.purchaseMessage', { name: upgrade.name })
                         );
                     }
                 } else if (area.action === 'insufficient_funds') {
@@ -2751,8 +2913,8 @@ export class GameDialogs {    constructor(game) {
                         const currentCurrency = this.game.upgradeSystem ? this.game.upgradeSystem.getDataPackets() : 0;
                         const needed = upgrade.price - currentCurrency;
                         this.game.popupSystem.showErrorPopup(
-                            'Insufficient Data Packets', 
-                            `❌ You need ${needed} more data packets to purchase "${upgrade.name}"\n\nCurrent: ${currentCurrency} 📦\nRequired: ${upgrade.price} 📦`
+                            t('dialogs.shop.fundsTitle'), 
+                            t('dialogs.shop.fundsMessage', { count: needed, name: upgrade.name, current: currentCurrency, price: upgrade.price })
                         );
                     }
                 } else if (area.action === 'locked') {
@@ -2765,8 +2927,8 @@ export class GameDialogs {    constructor(game) {
                             return prereqUpgrade ? prereqUpgrade.name : prereqId;
                         });
                         this.game.popupSystem.showErrorPopup(
-                            'Prerequisites Required', 
-                            `🔒 "${upgrade.name}" is locked!\n\nYou must first purchase:\n${prereqNames.map(name => `• ${name}`).join('\n')}`
+                            t('dialogs.shop.lockedTitle'), 
+                            t('dialogs.shop.lockedMessage', { name: upgrade.name, list: prereqNames.map(name => `• ${name}`).join('\n') })
                         );
                     }
                 }
@@ -3850,11 +4012,11 @@ export class GameDialogs {    constructor(game) {
         ctx.fillStyle = '#ffffff';
         ctx.font = 'bold 24px Arial';
         ctx.textAlign = 'center';
-        ctx.fillText('Welcome to CodeRunner!', width / 2, height / 2 - 50);
+        ctx.fillText(t('dialogs.welcome.title'), width / 2, height / 2 - 50);
         
         ctx.fillStyle = '#cccccc';
         ctx.font = '18px Arial';
-        ctx.fillText('Click anywhere to continue', width / 2, height / 2 + 50);
+        ctx.fillText(t('dialogs.welcome.continue'), width / 2, height / 2 + 50);
         
         ctx.restore();
     }
@@ -2,7 +2,7 @@
  * GameRenderer - Handles all game rendering functionality
  */
 
-import { GAME_STATES, DIFFICULTY_LEVELS, GAME_CONFIG } from '../utils/constants.js';
+import { GAME_STATES, DIFFICULTY_LEVELS, GAME_CONFIG, DAILY_CHALLENGE } from '../utils/constants.js';
 import { GameDialogs } from './GameDialogs.js';
 import { GameUI } from './GameUI.js';
 
@@ -311,7 +311,11 @@ export class GameRenderer {
         if (this.game.world) {
             this.game.world.draw(this.ctx, cameraPos);
         }
-          if (this.game.player) {
+        // Ghost of the best run goes under the player
+        if (this.game.ghostSystem) {
+            this.game.ghostSystem.draw(this.ctx, cameraPos);
+        }
+        if (this.game.player) {
             this.game.player.draw(this.ctx, cameraPos);
         }
           // Render powerups
@@ -323,6 +327,21 @@ export class GameRenderer {
             this.game.lifeBoxSystem.render(this.ctx);
         }
         
+        // Render the deletion wave over the world it is eating
+        if (this.game.deletionWaveSystem) {
+            this.drawDeletionWave(cameraPos);
+        }
+        
+        // Render the rewind effect while the last few seconds play backwards
+        if (this.game.rewindSystem && this.game.rewindSystem.isRewinding()) {
+            this.drawRewindEffect(cameraPos);
+        }
+        
+        // Render the second chance prompt while the world crawls along in slow motion
+        if (this.game.secondChanceSystem && this.game.secondChanceSystem.isPrompting()) {
+            this.drawSecondChancePrompt(cameraPos);
+        }
+        
         // Render quantum dash animation effects (always render last for proper layering)
         if (this.game.quantumDashAnimation && this.game.quantumDashAnimation.isActive()) {
             this.game.quantumDashAnimation.render(this.ctx, cameraPos);
@@ -348,7 +367,182 @@ export class GameRenderer {
         } else if (this.game.gameState === GAME_STATES.GAME_OVER) {
             this.drawGameOverOverlay();
         }
-    }    /**
+    }
+
+    /**
+     * Draw the rewind effect - a tape-rewind look with the path still to be unwound
+     */
+    drawRewindEffect(cameraPos) {
+        const ctx = this.ctx;
+        const rewind = this.game.rewindSystem;
+        const player = this.game.player;
+        const width = this.canvas.width;
+        const height = this.canvas.height;
+        const time = Date.now() / 1000;
+        const progress = rewind.getPlaybackProgress();
+        
+        ctx.save();
+        
+        // Cold tint over the whole frame
+        ctx.fillStyle = 'rgba(56, 139, 253, 0.18)';
+        ctx.fillRect(0, 0, width, height);
+        
+        // Tracking lines rolling up the screen, like a tape being rewound
+        if (this.game.graphicsQuality !== 'low') {
+            for (let i = 0; i < 4; i++) {
+                const lineY = height - ((time * 900 + i * height / 4) % height);
+                ctx.fillStyle = 'rgba(240, 246, 252, 0.12)';
+                ctx.fillRect(0, lineY, width, 3 + i);
+                ctx.drawImage(this.canvas, 0, lineY - 10, width, 20, (i % 2 ? 1 : -1) * 12, lineY - 10, width, 20);
+            }
+        }
+        
+        // Ghosts along the path that is still to be unwound
+        const frames = rewind.getPendingFrames();
+        ctx.strokeStyle = '#79c0ff';
+        frames.forEach((frame, index) => {
+            ctx.globalAlpha = 0.6 * (1 - index / frames.length);
+            ctx.lineWidth = 1.5;
+            ctx.strokeRect(frame.player.x - cameraPos.x, frame.player.y - cameraPos.y, player.width, player.height);
+        });
+        ctx.globalAlpha = 1;
+        
+        // Label and progress
+        ctx.font = 'bold 28px Courier New';
+        ctx.textAlign = 'center';
+        ctx.fillStyle = Math.floor(time * 6) % 2 === 0 ? '#79c0ff' : '#f0f6fc';
+        ctx.fillText('◀◀ REWIND', width / 2, height * 0.25);
+        ctx.fillStyle = 'rgba(48, 54, 61, 0.8)';
+        ctx.fillRect(width / 2 - 100, height * 0.25 + 14, 200, 4);
+        ctx.fillStyle = '#79c0ff';
+        ctx.fillRect(width / 2 + 100 - 200 * progress, height * 0.25 + 14, 200 * progress, 4);
+        
+        ctx.restore();
+    }
+    
+    /**
+     * Draw the second chance prompt - a dimmed slow-motion frame with the respawn point marked
+     */
+    drawSecondChancePrompt(cameraPos) {
+        const ctx = this.ctx;
+        const secondChance = this.game.secondChanceSystem;
+        const prompt = secondChance.prompt;
+        const player = this.game.player;
+        const width = this.canvas.width;
+        const height = this.canvas.height;
+        const time = Date.now() / 1000;
+        const progress = secondChance.getPromptProgress();
+        
+        ctx.save();
+        
+        // Dim everything towards the edges
+        const vignette = ctx.createRadialGradient(width / 2, height / 2, height * 0.2, width / 2, height / 2, width * 0.7);
+        vignette.addColorStop(0, 'rgba(13, 17, 23, 0.35)');
+        vignette.addColorStop(1, 'rgba(13, 17, 23, 0.85)');
+        ctx.fillStyle = vignette;
+        ctx.fillRect(0, 0, width, height);
+        
+        // Pulsing outline where the player will respawn
+        const spawnX = prompt.spawnX - cameraPos.x;
+        const spawnY = prompt.spawnY - cameraPos.y;
+        ctx.globalAlpha = 0.5 + Math.sin(time * 10) * 0.3;
+        ctx.strokeStyle = '#3fb950';
+        ctx.lineWidth = 2;
+        ctx.setLineDash([4, 4]);
+        ctx.strokeRect(spawnX, spawnY, player.width, player.height);
+        ctx.setLineDash([]);
+        ctx.globalAlpha = 1;
+        
+        // Label, hint and countdown
+        ctx.textAlign = 'center';
+        ctx.font = 'bold 30px Courier New';
+        ctx.fillStyle = '#3fb950';
+        ctx.fillText('SECOND CHANCE', width / 2, height * 0.3);
+        ctx.font = '14px Courier New';
+        ctx.fillStyle = '#8b949e';
+        ctx.fillText(`${prompt.reason} - rebooting... press JUMP to respawn now`, width / 2, height * 0.3 + 24);
+        ctx.fillStyle = 'rgba(48, 54, 61, 0.8)';
+        ctx.fillRect(width / 2 - 120, height * 0.3 + 36, 240, 4);
+        ctx.fillStyle = '#3fb950';
+        ctx.fillRect(width / 2 - 120, height * 0.3 + 36, 240 * progress, 4);
+        
+        ctx.restore();
+    }
+    
+    /**
+     * Draw the deletion wave - a wall of corruption that tears the screen around its front edge
+     */
+    drawDeletionWave(cameraPos) {
+        const ctx = this.ctx;
+        const wave = this.game.deletionWaveSystem;
+        const width = this.canvas.width;
+        const height = this.canvas.height;
+        const frontX = wave.x - cameraPos.x;
+        const time = Date.now() / 1000;
+        const proximity = wave.getProximity();
+        const lowQuality = this.game.graphicsQuality === 'low';
+        
+        // Corruption bleeds in from the left edge as the wave closes in
+        if (proximity > 0) {
+            const bleed = ctx.createLinearGradient(0, 0, width * 0.35, 0);
+            bleed.addColorStop(0, `rgba(248, 81, 73, ${0.35 * proximity})`);
+            bleed.addColorStop(1, 'rgba(248, 81, 73, 0)');
+            ctx.fillStyle = bleed;
+            ctx.fillRect(0, 0, width * 0.35, height);
+        }
+        
+        if (frontX < -30) return; // Still off-screen
+        
+        // Distortion: shift slices of the already drawn frame sideways around the front
+        if (!lowQuality) {
+            const sliceHeight = 8;
+            const sourceX = Math.max(0, Math.floor(frontX - 60));
+            const sourceWidth = Math.min(width - sourceX, 120);
+            if (sourceWidth > 0) {
+                for (let y = 0; y < height; y += sliceHeight) {
+                    let offset = Math.sin(y * 0.07 + time * 9) * 8;
+                    if (Math.random() < 0.08) offset += (Math.random() - 0.5) * 40; // Occasional tear
+                    ctx.drawImage(this.canvas, sourceX, y, sourceWidth, sliceHeight,
+                        sourceX + offset, y, sourceWidth, sliceHeight);
+                }
+            }
+        }
+        
+        // The wall itself
+        if (frontX > 0) {
+            const wall = ctx.createLinearGradient(0, 0, frontX, 0);
+            wall.addColorStop(0, 'rgba(13, 17, 23, 0.95)');
+            wall.addColorStop(1, 'rgba(110, 20, 30, 0.85)');
+            ctx.fillStyle = wall;
+            ctx.fillRect(0, 0, Math.min(frontX, width), height);
+        }
+        
+        // Jagged, flickering front edge
+        ctx.fillStyle = '#f85149';
+        for (let y = 0; y < height; y += 6) {
+            const jag = Math.sin(y * 0.15 + time * 12) * 6 + Math.sin(y * 0.045 - time * 5) * 10;
+            ctx.fillRect(frontX + jag - 3, y, 3 + Math.abs(jag) * 0.4, 6);
+        }
+        
+        // Loose corrupted blocks trailing the front
+        if (!lowQuality) {
+            const blockColors = ['#f85149', '#58a6ff', '#0d1117'];
+            for (let i = 0; i < 14; i++) {
+                ctx.fillStyle = blockColors[i % blockColors.length];
+                ctx.fillRect(frontX - Math.random() * 120, Math.random() * height, 4 + Math.random() * 14, 3 + Math.random() * 6);
+            }
+        }
+        
+        // Warn the player once contact is imminent
+        if (proximity > 0.5 && Math.floor(time * 6) % 2 === 0) {
+            ctx.fillStyle = '#f85149';
+            ctx.font = 'bold 18px Courier New';
+            ctx.textAlign = 'left';
+            ctx.fillText('⚠ DELETION WAVE', Math.max(frontX, 0) + 20, height / 2);
+        }
+    }
+
+    /**
      * Draw UI elements specific to GameRenderer (minimal, GameUI handles most UI)
      */
     drawUI() {
@@ -461,13 +655,6 @@ export class GameRenderer {
         const buttonHeight = 40;
         const buttonSpacing = 10;
         const buttonsPerRow = 3;
-        const totalRows = 2;
-        
-        // Calculate starting position to center the button grid
-        const totalWidth = (buttonsPerRow * buttonWidth) + ((buttonsPerRow - 1) * buttonSpacing);
-        const totalHeight = (totalRows * buttonHeight) + ((totalRows - 1) * buttonSpacing);
-        const startX = (this.canvas.width - totalWidth) / 2;
-        const startY = this.canvas.height / 2 + 80;
         
         // Button definitions
         const buttons = [
@@ -478,6 +665,19 @@ export class GameRenderer {
             { text: 'Shop', action: 'shop', color: '#06b6d4' },
             { text: 'Settings', action: 'settings', color: '#ef4444' }
         ];
+        
+        // Replay of the run that just ended (or the one being watched)
+        if (this.game.replaySystem && this.game.replaySystem.getCurrentReplay()) {
+            buttons.push(
+                { text: 'Watch Replay', action: 'watch-replay', color: '#a855f7' },
+                { text: 'Save Replay', action: 'save-replay', color: '#64748b' }
+            );
+        }
+        
+        // Calculate starting position to center the button grid
+        const totalWidth = (buttonsPerRow * buttonWidth) + ((buttonsPerRow - 1) * buttonSpacing);
+        const startX = (this.canvas.width - totalWidth) / 2;
+        const startY = this.canvas.height / 2 + 80;
           buttons.forEach((button, index) => {
             const row = Math.floor(index / buttonsPerRow);
             const col = index % buttonsPerRow;
@@ -1101,6 +1301,11 @@ export class GameRenderer {
             y += spacing;
         });
         
+        // Daily Run sits beside the stack on wide screens, below it otherwise
+        const dailyX = width >= 1000 ? width / 2 + 270 : width / 2 - 250;
+        const dailyY = width >= 1000 ? 195 : y - 25;
+        this.drawDailyRunOption(ctx, dailyX, dailyY, time);
+        
         // Add back button
         const backButtonY = height - 100;
         const backHitArea = {
@@ -1127,6 +1332,57 @@ export class GameRenderer {
         ctx.textAlign = 'center';
         ctx.fillText('← Back', backHitArea.x + backHitArea.width / 2, backHitArea.y + backHitArea.height / 2 + 5);
     }
+    /**
+     * Draw the Daily Run card - same seed and loadout for every player today
+     */
+    drawDailyRunOption(ctx, x, y, time) {
+        const hitArea = {
+            x: x,
+            y: y,
+            width: 260,
+            height: 95,
+            action: 'daily'
+        };
+        const isHovered = this.game.difficultyHitAreas.length === this.game.hoveredDifficulty;
+        this.game.difficultyHitAreas.push(hitArea);
+        
+        const hoverOffset = isHovered ? Math.sin(time * 4) * 2 : 0;
+        const rgbColor = this.hexToRgb(DAILY_CHALLENGE.color);
+        
+        ctx.save();
+        ctx.fillStyle = isHovered ? `rgba(${rgbColor}, 0.3)` : 'rgba(13, 17, 23, 0.8)';
+        this.drawRoundedRect(ctx, hitArea.x, hitArea.y + hoverOffset, hitArea.width, hitArea.height, 12);
+        ctx.fill();
+        
+        ctx.strokeStyle = DAILY_CHALLENGE.color;
+        ctx.lineWidth = isHovered ? 3 : 1;
+        if (isHovered) {
+            ctx.shadowColor = DAILY_CHALLENGE.color;
+            ctx.shadowBlur = 15;
+        }
+        this.drawRoundedRect(ctx, hitArea.x, hitArea.y + hoverOffset, hitArea.width, hitArea.height, 12);
+        ctx.stroke();
+        ctx.shadowBlur = 0;
+        
+        const textX = hitArea.x + 20;
+        ctx.textAlign = 'left';
+        ctx.fillStyle = DAILY_CHALLENGE.color;
+        ctx.font = isHovered ? 'bold 20px Courier New' : 'bold 18px Courier New';
+        ctx.fillText(`${DAILY_CHALLENGE.emoji} ${DAILY_CHALLENGE.name}`, textX, hitArea.y + 30 + hoverOffset);
+        
+        const dailySystem = this.game.dailyChallengeSystem;
+        const { dateKey } = dailySystem.getRunOptions();
+        const difficultyName = DIFFICULTY_LEVELS[DAILY_CHALLENGE.difficulty].name;
+        ctx.fillStyle = isHovered ? '#c9d1d9' : '#8b949e';
+        ctx.font = '12px Courier New';
+        ctx.fillText(`${dateKey} • Fixed loadout • ${difficultyName}`, textX, hitArea.y + 55 + hoverOffset);
+        
+        const todayBest = dailySystem.getTodayBest();
+        ctx.fillStyle = todayBest > 0 ? '#f0f6fc' : '#7d8590';
+        ctx.fillText(todayBest > 0 ? `Today's best: ${todayBest}` : 'Not played today', textX, hitArea.y + 78 + hoverOffset);
+        ctx.restore();
+    }
+    
       /**
      * Draw difficulty rating stars
      */
@@ -3,6 +3,7 @@
  */
 
 import { GAME_STATES, DIFFICULTY_LEVELS } from '../utils/constants.js';
+import { t } from '../systems/LanguageSystem.js';
 
 export class GameUI {    constructor(game) {
         this.game = game;
@@ -25,6 +26,14 @@ export class GameUI {    constructor(game) {
         if (this.game.gameState === GAME_STATES.PLAYING || this.game.gameState === GAME_STATES.PAUSED) {
             // Draw main HUD elements in a cohesive layout
             this.drawMainHUD();
+            
+            if (this.game.replaySystem && this.game.replaySystem.isPlaying()) {
+                this.drawReplayIndicator();
+            }
+            
+            if (this.game.touchControlsSystem && this.game.touchControlsSystem.isEnabled()) {
+                this.drawTouchControls();
+            }
         }
 
         // Autosave status indicator (top right corner during gameplay)
@@ -44,6 +53,36 @@ export class GameUI {    constructor(game) {
         // This ensures they appear above all other UI including death menu
     }
     
+    /**
+     * Draw the replay banner (top center) with playback progress
+     */
+    drawReplayIndicator() {
+        const ctx = this.ctx;
+        const progress = this.game.replaySystem.getPlaybackProgress();
+        const width = 220;
+        const x = this.canvas.width / 2 - width / 2;
+        const y = 12;
+        
+        ctx.save();
+        ctx.fillStyle = 'rgba(13, 17, 23, 0.8)';
+        ctx.fillRect(x, y, width, 34);
+        ctx.strokeStyle = progress.desynced ? '#f85149' : '#a855f7';
+        ctx.lineWidth = 1;
+        ctx.strokeRect(x, y, width, 34);
+        
+        ctx.fillStyle = progress.desynced ? '#f85149' : '#c084fc';
+        ctx.font = 'bold 13px Courier New';
+        ctx.textAlign = 'center';
+        ctx.fillText(progress.desynced ? '▶ REPLAY (DESYNCED)' : '▶ REPLAY', this.canvas.width / 2, y + 16);
+        
+        // Progress bar
+        ctx.fillStyle = '#30363d';
+        ctx.fillRect(x + 10, y + 24, width - 20, 4);
+        ctx.fillStyle = progress.desynced ? '#f85149' : '#a855f7';
+        ctx.fillRect(x + 10, y + 24, (width - 20) * progress.fraction, 4);
+        ctx.restore();
+    }
+    
     /**
      * Draw pixelated health hearts
      */
@@ -381,6 +420,45 @@ export class GameUI {    constructor(game) {
         // Draw side panels
         this.drawLeftPanel();
         this.drawRightPanel();
+        
+        // Combo meter under the score panel while a combo is running
+        if (this.game.comboSystem && this.game.comboSystem.isActive()) {
+            this.drawComboMeter();
+        }
+    }
+
+    /**
+     * Draw the combo multiplier with the time left before it starts draining
+     */
+    drawComboMeter() {
+        const combo = this.game.comboSystem;
+        const panelWidth = 180;
+        const panelHeight = 46;
+        const x = 15;
+        const y = 195;
+        const hot = combo.multiplier >= 3;
+        
+        this.drawModernPanel(x, y, panelWidth, panelHeight, hot ? 'rgba(255, 123, 114, 0.4)' : 'rgba(255, 166, 87, 0.25)');
+        
+        this.ctx.fillStyle = 'rgba(240, 246, 252, 0.8)';
+        this.ctx.font = '12px "SF Mono", "Monaco", monospace';
+        this.ctx.fillText('COMBO', x + 15, y + 20);
+        
+        this.ctx.fillStyle = hot ? '#ff7b72' : '#ffa657';
+        this.ctx.font = 'bold 18px "SF Mono", "Monaco", monospace';
+        this.ctx.fillText(`x${combo.multiplier.toFixed(1)}`, x + 70, y + 21);
+        
+        if (combo.isSaverReady()) {
+            this.ctx.font = '12px "SF Mono", "Monaco", monospace';
+            this.ctx.fillText('🛡️', x + panelWidth - 30, y + 20);
+        }
+        
+        // Hold bar - empties before the multiplier starts draining
+        const barWidth = panelWidth - 30;
+        this.ctx.fillStyle = 'rgba(48, 54, 61, 0.8)';
+        this.ctx.fillRect(x + 15, y + 32, barWidth, 4);
+        this.ctx.fillStyle = hot ? '#ff7b72' : '#ffa657';
+        this.ctx.fillRect(x + 15, y + 32, barWidth * combo.getHoldProgress(), 4);
     }
 
     /**
@@ -429,8 +507,10 @@ export class GameUI {    constructor(game) {
      * Draw right panel with data packets and status
      */
     drawRightPanel() {
+        const hasRewind = !!(this.game.player && this.game.player.shopUpgrades.rewind && this.game.rewindSystem);
+        const hasGhost = !!(this.game.ghostSystem && this.game.ghostSystem.isRacing());
         const panelWidth = 200;
-        const panelHeight = 120;
+        const panelHeight = 120 + (hasRewind ? 18 : 0) + (hasGhost ? 18 : 0);
         const x = this.canvas.width - panelWidth - 15;
         const y = 65;
         
@@ -486,6 +566,16 @@ export class GameUI {    constructor(game) {
         if (this.game.player && this.game.player.shopUpgrades.dash) {
             this.drawCompactDashIndicator(x + 15, y + 100);
         }
+        
+        // Rewind recharge indicator
+        if (hasRewind) {
+            this.drawCompactRewindIndicator(x + 15, y + 120);
+        }
+        
+        // Distance to the ghost of the best run
+        if (hasGhost) {
+            this.drawCompactGhostIndicator(x + 15, y + (hasRewind ? 138 : 120));
+        }
     }
 
     /**
@@ -528,12 +618,12 @@ export class GameUI {    constructor(game) {
         // Dash icon
         this.ctx.fillStyle = isReady ? '#40d158' : '#8b949e';
         this.ctx.font = '12px "SF Mono", "Monaco", monospace';
-        this.ctx.fillText('⚡ DASH', x, y);
+        this.ctx.fillText(`⚡ ${this.t('ui.dash')}`, x, y);
         
         // Status indicator
         if (isReady) {
             this.ctx.fillStyle = '#40d158';
-            this.ctx.fillText('READY', x + 70, y);
+            this.ctx.fillText(this.t('ui.dashReady'), x + 70, y);
         } else {
             const remainingSeconds = Math.ceil(currentCooldown / 1000);
             this.ctx.fillStyle = '#f85149';
@@ -542,18 +632,88 @@ export class GameUI {    constructor(game) {
     }
     
     /**
-     * Simple translation helper (can be expanded later)
+     * Draw the virtual pads for touch screens (bottom corners)
+     */
+    drawTouchControls() {
+        const touchControls = this.game.touchControlsSystem;
+        const player = this.game.player;
+        
+        this.ctx.save();
+        this.ctx.globalAlpha = touchControls.getOpacity();
+        this.ctx.textAlign = 'center';
+        this.ctx.textBaseline = 'middle';
+        
+        touchControls.getButtons().forEach(button => {
+            const pressed = touchControls.isPressed(button.id);
+            const accent = button.id === 'jump' ? '#40d158' : button.id === 'dash' ? '#ffd700' : '#58a6ff';
+            
+            this.ctx.fillStyle = pressed ? 'rgba(240, 246, 252, 0.35)' : 'rgba(13, 17, 23, 0.55)';
+            this.ctx.strokeStyle = accent;
+            this.ctx.lineWidth = pressed ? 4 : 2;
+            this.ctx.beginPath();
+            this.ctx.arc(button.x, button.y, button.radius, 0, Math.PI * 2);
+            this.ctx.fill();
+            this.ctx.stroke();
+            
+            // Dash recharge arc
+            if (button.id === 'dash' && player && player.dashState.dashCooldown > 0) {
+                const maxCooldown = 2000;
+                const charged = 1 - Math.min(1, player.dashState.dashCooldown / maxCooldown);
+                this.ctx.strokeStyle = '#f85149';
+                this.ctx.lineWidth = 4;
+                this.ctx.beginPath();
+                this.ctx.arc(button.x, button.y, button.radius - 6, -Math.PI / 2, -Math.PI / 2 + charged * Math.PI * 2);
+                this.ctx.stroke();
+            }
+            
+            this.ctx.fillStyle = accent;
+            this.ctx.font = button.label.length > 1
+                ? 'bold 14px "SF Mono", "Monaco", monospace'
+                : 'bold 26px "SF Mono", "Monaco", monospace';
+            this.ctx.fillText(button.label, button.x, button.y);
+        });
+        
+        this.ctx.restore();
+    }
+    
+    /**
+     * Draw compact rewind indicator
+     */
+    drawCompactRewindIndicator(x, y) {
+        const remaining = this.game.rewindSystem.getCooldownRemaining();
+        const isReady = remaining <= 0;
+        
+        this.ctx.fillStyle = isReady ? '#79c0ff' : '#8b949e';
+        this.ctx.font = '12px "SF Mono", "Monaco", monospace';
+        this.ctx.fillText('⏪ REWIND', x, y);
+        
+        if (isReady) {
+            this.ctx.fillStyle = '#40d158';
+            this.ctx.fillText('READY', x + 90, y);
+        } else {
+            this.ctx.fillStyle = '#f85149';
+            this.ctx.fillText(`${Math.ceil(remaining / 1000)}s`, x + 90, y);
+        }
+    }
+    
+    /**
+     * Draw compact ghost indicator - metres ahead of (+) or behind (-) the best run
+     */
+    drawCompactGhostIndicator(x, y) {
+        const delta = Math.round(this.game.ghostSystem.getDelta() || 0);
+        
+        this.ctx.fillStyle = '#8b949e';
+        this.ctx.font = '12px "SF Mono", "Monaco", monospace';
+        this.ctx.fillText(`👻 ${this.t('ghost')}`, x, y);
+        
+        this.ctx.fillStyle = delta > 0 ? '#40d158' : delta < 0 ? '#f85149' : '#79c0ff';
+        this.ctx.fillText(`${delta > 0 ? '+' : ''}${delta}m`, x + 90, y);
+    }
+    
+    /**
+     * HUD label from the language packs ('ui.dash' and 'dash' both read hud.dash)
      */
     t(key) {
-        const translations = {
-            'pace': 'PACE',
-            'min': 'MIN',
-            'multiplier': 'MULT',
-            'packets': 'PACKETS',
-            'nextDataPacketBonus': 'NEXT BONUS',
-            'ui.dash': 'DASH',
-            'ui.dashReady': 'READY'
-        };
-        return translations[key] || key;
+        return t(`hud.${key.replace(/^ui\./, '')}`);
     }
 }
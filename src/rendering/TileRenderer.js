@@ -36,7 +36,11 @@ export class TileRenderer {
         this.enableTextures = true;
     }
 
-    update(deltaTime) {
+    /**
+     * @param {number} deltaTime - Milliseconds since the last update
+     * @param {number} [simulationTime] - Simulation clock to animate timed tiles by, instead of accumulating
+     */
+    update(deltaTime, simulationTime = null) {
         this.frameCount++;
         this.lastUpdate = Date.now();
         
@@ -46,10 +50,11 @@ export class TileRenderer {
             this.lastCacheClean = this.lastUpdate;
         }
         
-        this.animationTime += deltaTime;
+        this.animationTime = simulationTime !== null ? simulationTime : this.animationTime + deltaTime;
     }/**
      * Draw a tile based on its type
-     */    drawTile(ctx, tileType, screenX, screenY) {
+     * @param {Object} [palette] - Floor/platform colours for the current biome, defaults to COLORS
+     */    drawTile(ctx, tileType, screenX, screenY, palette = COLORS) {
         // Safety check for invalid coordinates
         if (!isFinite(screenX) || !isFinite(screenY)) {
             console.warn('TileRenderer.drawTile: Invalid screen coordinates', { screenX, screenY, tileType });
@@ -69,10 +74,10 @@ export class TileRenderer {
         
         switch (tileType) {
             case TILE_TYPES.FLOOR:
-                this.drawFloorTile(ctx, screenX, screenY);
+                this.drawFloorTile(ctx, screenX, screenY, palette);
                 break;
             case TILE_TYPES.PLATFORM:
-                this.drawPlatformTile(ctx, screenX, screenY);
+                this.drawPlatformTile(ctx, screenX, screenY, palette);
                 break;
             case TILE_TYPES.SPIKE:
                 this.drawSpikeTile(ctx, screenX, screenY, time);
@@ -92,23 +97,35 @@ export class TileRenderer {
             case TILE_TYPES.CRUSHER:
                 this.drawCrusherTile(ctx, screenX, screenY, time);
                 break;
+            case TILE_TYPES.MOVING_PLATFORM:
+                this.drawMovingPlatformTile(ctx, screenX, screenY, time, palette);
+                break;
+            case TILE_TYPES.CONVEYOR_LEFT:
+                this.drawConveyorTile(ctx, screenX, screenY, time, -1, palette);
+                break;
+            case TILE_TYPES.CONVEYOR_RIGHT:
+                this.drawConveyorTile(ctx, screenX, screenY, time, 1, palette);
+                break;
+            case TILE_TYPES.CRUMBLING_PLATFORM:
+                this.drawCrumblingPlatformTile(ctx, screenX, screenY, palette);
+                break;
         }
     }
     
     /**
      * Draw floor tile
      */
-    drawFloorTile(ctx, x, y) {
+    drawFloorTile(ctx, x, y, palette = COLORS) {
         // Main floor
-        ctx.fillStyle = COLORS.FLOOR_MAIN;
+        ctx.fillStyle = palette.FLOOR_MAIN;
         ctx.fillRect(x, y, GAME_CONFIG.TILE_SIZE, GAME_CONFIG.TILE_SIZE);
         
         // Highlight
-        ctx.fillStyle = COLORS.FLOOR_HIGHLIGHT;
+        ctx.fillStyle = palette.FLOOR_HIGHLIGHT;
         ctx.fillRect(x + 2, y + 2, GAME_CONFIG.TILE_SIZE - 4, 4);
         
         // Grid lines
-        ctx.strokeStyle = COLORS.FLOOR_BORDER;
+        ctx.strokeStyle = palette.FLOOR_BORDER;
         ctx.lineWidth = 1;
         ctx.strokeRect(x, y, GAME_CONFIG.TILE_SIZE, GAME_CONFIG.TILE_SIZE);
     }
@@ -116,26 +133,87 @@ export class TileRenderer {
     /**
      * Draw platform tile
      */
-    drawPlatformTile(ctx, x, y) {
+    drawPlatformTile(ctx, x, y, palette = COLORS) {
         // Platform base
-        ctx.fillStyle = COLORS.PLATFORM_BASE;
+        ctx.fillStyle = palette.PLATFORM_BASE;
         ctx.fillRect(x, y, GAME_CONFIG.TILE_SIZE, 6);
         
         // Platform highlight
-        ctx.fillStyle = COLORS.PLATFORM_HIGHLIGHT;
+        ctx.fillStyle = palette.PLATFORM_HIGHLIGHT;
         ctx.fillRect(x + 2, y + 2, GAME_CONFIG.TILE_SIZE - 4, 2);
         
         // Platform details - small rivets
-        ctx.fillStyle = COLORS.PLATFORM_DETAILS;
+        ctx.fillStyle = palette.PLATFORM_DETAILS;
         for (let i = 0; i < 3; i++) {
             ctx.fillRect(x + 4 + i * 8, y + 4, 2, 2);
         }
         
         // Visual indicator for jump-through platform
-        ctx.fillStyle = COLORS.PLATFORM_INDICATOR;
+        ctx.fillStyle = palette.PLATFORM_INDICATOR;
         ctx.fillRect(x + 2, y + 6, 2, 2);
         ctx.fillRect(x + GAME_CONFIG.TILE_SIZE - 4, y + 6, 2, 2);
-    }    /**
+    }
+    
+    /**
+     * Draw moving platform segment - a platform with a pulsing energy strip underneath
+     */
+    drawMovingPlatformTile(ctx, x, y, time, palette = COLORS) {
+        this.drawPlatformTile(ctx, x, y, palette);
+        
+        const pulse = 0.5 + Math.sin(time * 6) * 0.3;
+        ctx.fillStyle = `rgba(88, 166, 255, ${pulse})`;
+        ctx.fillRect(x + 4, y + 7, GAME_CONFIG.TILE_SIZE - 8, 2);
+    }
+    
+    /**
+     * Draw conveyor floor with chevrons scrolling in its direction
+     * @param {number} direction - 1 carries right, -1 carries left
+     */
+    drawConveyorTile(ctx, x, y, time, direction, palette = COLORS) {
+        this.drawFloorTile(ctx, x, y, palette);
+        
+        // Belt strip along the top
+        ctx.fillStyle = '#0d1117';
+        ctx.fillRect(x, y + 2, GAME_CONFIG.TILE_SIZE, 6);
+        
+        const spacing = 8;
+        const scroll = ((time * GAME_CONFIG.CONVEYOR_SPEED) % spacing) * direction;
+        ctx.strokeStyle = COLORS.CONVEYOR_ARROW;
+        ctx.lineWidth = 1;
+        ctx.save();
+        ctx.beginPath();
+        ctx.rect(x, y + 2, GAME_CONFIG.TILE_SIZE, 6);
+        ctx.clip();
+        ctx.beginPath();
+        for (let i = -1; i <= GAME_CONFIG.TILE_SIZE / spacing; i++) {
+            const chevronX = x + i * spacing + scroll;
+            ctx.moveTo(chevronX - 2 * direction, y + 3);
+            ctx.lineTo(chevronX + 2 * direction, y + 5);
+            ctx.lineTo(chevronX - 2 * direction, y + 7);
+        }
+        ctx.stroke();
+        ctx.restore();
+    }
+    
+    /**
+     * Draw crumbling platform - a platform with visible cracks
+     */
+    drawCrumblingPlatformTile(ctx, x, y, palette = COLORS) {
+        this.drawPlatformTile(ctx, x, y, palette);
+        
+        ctx.strokeStyle = COLORS.CRUMBLE_CRACK;
+        ctx.lineWidth = 1;
+        ctx.beginPath();
+        ctx.moveTo(x + 9, y);
+        ctx.lineTo(x + 12, y + 3);
+        ctx.lineTo(x + 10, y + 6);
+        ctx.moveTo(x + 22, y);
+        ctx.lineTo(x + 20, y + 4);
+        ctx.lineTo(x + 23, y + 6);
+        ctx.stroke();
+    }
+    
+    /**
      * Draw spike tile - optimized design
      */    drawSpikeTile(ctx, x, y, time) {
         // Safety check for invalid coordinates
@@ -4,6 +4,8 @@
  * Tracks and unlocks achievements based on player progress
  */
 
+import { t } from './LanguageSystem.js';
+
 export class AchievementSystem {
     constructor(gameInstance = null) {
         this.gameInstance = gameInstance;
@@ -20,6 +22,10 @@ export class AchievementSystem {
             bestTime: 0,
             totalDeaths: 0,
             deathsUnder100m: 0,
+            deletionWaveDeaths: 0,
+            secondChancesUsed: 0,
+            bestCombo: 1,
+            bestNearMisses: 0,
             runsOver500m: 0,
             runsOver2000m: 0,
             customizationsUsed: new Set(), // Tracks which customizations have been used
@@ -46,12 +52,10 @@ export class AchievementSystem {
      * Initialize all achievement definitions
      */
     initializeAchievements() {
-        return {
+        const achievements = {
             // 🏆 Core Progress Achievements
             'booted-up': {
                 id: 'booted-up',
-                name: 'Booted Up',
-                description: 'Make your first run.',
                 icon: '🚀',
                 category: 'progress',
                 unlocked: false,
@@ -60,8 +64,6 @@ export class AchievementSystem {
             
             'packet-runner': {
                 id: 'packet-runner',
-                name: 'Packet Runner',
-                description: 'Reach 500m in a single run.',
                 icon: '📦',
                 category: 'progress',
                 unlocked: false,
@@ -70,30 +72,48 @@ export class AchievementSystem {
             
             'mainframe-breaker': {
                 id: 'mainframe-breaker',
-                name: 'Mainframe Breaker',
-                description: 'Reach 2000m in one run.',
                 icon: '💻',
                 category: 'progress',
                 unlocked: false,
                 condition: () => this.stats.bestDistance >= 2000
             },
             
+            'stack-overflow': {
+                id: 'stack-overflow',
+                icon: '🔥',
+                category: 'progress',
+                unlocked: false,
+                condition: () => this.stats.bestCombo >= 3
+            },
+            
             // 💀 Death-Based Achievements
             '404-skill-not-found': {
                 id: '404-skill-not-found',
-                name: '404 – Skill Not Found',
-                description: 'Die within the first 100m.',
                 icon: '💀',
                 category: 'death',
                 unlocked: false,
                 condition: () => this.stats.deathsUnder100m >= 1
             },
             
+            'deletion-protocol': {
+                id: 'deletion-protocol',
+                icon: '⚠️',
+                category: 'death',
+                unlocked: false,
+                condition: () => this.stats.deletionWaveDeaths >= 1
+            },
+            
+            'system-restore': {
+                id: 'system-restore',
+                icon: '🔁',
+                category: 'death',
+                unlocked: false,
+                condition: () => this.stats.secondChancesUsed >= 1
+            },
+            
             // 🧠 Meta Achievements
             'collector-glitch': {
                 id: 'collector-glitch',
-                name: 'Collector Glitch',
-                description: 'Collect 10,000 datapack total across all runs.',
                 icon: '💾',
                 category: 'meta',
                 unlocked: false,
@@ -102,14 +122,29 @@ export class AchievementSystem {
             
             'data-godspeed': {
                 id: 'data-godspeed',
-                name: 'Data Godspeed',
-                description: 'Reach 1000m in under 2 minutes.',
                 icon: '⚡',
                 category: 'meta',
                 unlocked: false,
                 condition: () => this.stats.bestTime > 0 && this.stats.bestTime <= 120 && this.stats.bestDistance >= 1000
+            },
+            
+            'firewall-jumper': {
+                id: 'firewall-jumper',
+                icon: '🧱',
+                category: 'meta',
+                unlocked: false,
+                condition: () => this.stats.bestNearMisses >= 10
             }
         };
+        
+        // Names and descriptions are read from the language pack, so they follow language changes
+        Object.values(achievements).forEach(achievement => {
+            Object.defineProperties(achievement, {
+                name: { get: () => t(`achievements.${achievement.id}.name`), enumerable: true },
+                description: { get: () => t(`achievements.${achievement.id}.description`), enumerable: true }
+            });
+        });
+        return achievements;
     }
     
     /**
@@ -144,10 +179,20 @@ export class AchievementSystem {
     /**
      * Track when a game ends
      */
-    onGameEnd(finalScore, survivalTime, startTime) {
+    onGameEnd(finalScore, survivalTime, startTime, deathType = null, bestCombo = 1, nearMisses = 0) {
         const distance = finalScore;
         const timeInSeconds = survivalTime;
         
+        // Update best combo
+        if (bestCombo > this.stats.bestCombo) {
+            this.stats.bestCombo = bestCombo;
+        }
+        
+        // Update most near misses in a run
+        if (nearMisses > this.stats.bestNearMisses) {
+            this.stats.bestNearMisses = nearMisses;
+        }
+        
         // Update best distance
         if (distance > this.stats.bestDistance) {
             this.stats.bestDistance = distance;
@@ -165,6 +210,9 @@ export class AchievementSystem {
         if (distance < 100) {
             this.stats.deathsUnder100m++;
         }
+        if (deathType === 'deletionWave') {
+            this.stats.deletionWaveDeaths++;
+        }
         
         // Track milestone runs
         if (distance >= 500) {
@@ -188,6 +236,15 @@ export class AchievementSystem {
         this.saveAchievementData();
     }
     
+    /**
+     * Track a Second Chance revive
+     */
+    onSecondChanceUsed() {
+        this.stats.secondChancesUsed++;
+        this.checkAchievements();
+        this.saveAchievementData();
+    }
+    
     /**
      * Track cosmetic equipping
      */
@@ -358,7 +415,7 @@ export class AchievementSystem {
             // Achievement unlocked text
             ctx.font = 'bold 12px Courier New';
             ctx.fillStyle = `rgba(255, 215, 0, ${notification.alpha})`;
-            ctx.fillText('ACHIEVEMENT UNLOCKED!', x + 50, y + 20);
+            ctx.fillText(t('achievements.notification'), x + 50, y + 20);
             
             // Achievement name
             ctx.font = 'bold 14px Courier New';
@@ -601,6 +658,10 @@ export class AchievementSystem {
             bestTime: 0,
             totalDeaths: 0,
             deathsUnder100m: 0,
+            deletionWaveDeaths: 0,
+            secondChancesUsed: 0,
+            bestCombo: 1,
+            bestNearMisses: 0,
             runsOver500m: 0,
             runsOver2000m: 0,
             customizationsUsed: new Set(),
@@ -619,6 +680,11 @@ export class AchievementSystem {
      * Track events and update achievement progress
      */
     trackEvent(eventType, data = {}) {
+        // Watching a replay doesn't earn achievements
+        if (this.gameInstance && this.gameInstance.replaySystem && this.gameInstance.replaySystem.isPlaying()) {
+            return;
+        }
+        
         switch (eventType) {
             case 'gameStart':
                 this.onGameStart();
@@ -626,7 +692,7 @@ export class AchievementSystem {
                 
             case 'gameEnd':
                 if (data.distance && data.runTime) {
-                    this.onGameEnd(data.distance, data.runTime / 1000, 0);
+                    this.onGameEnd(data.distance, data.runTime / 1000, 0, data.deathType, data.bestCombo, data.nearMisses);
                 }
                 break;
                 
@@ -636,6 +702,10 @@ export class AchievementSystem {
                 }
                 break;
                 
+            case 'secondChanceUsed':
+                this.onSecondChanceUsed();
+                break;
+                
             case 'cosmeticEquipped':
                 if (data.upgradeId) {
                     this.onCosmeticEquipped(data.upgradeId);
@@ -733,21 +803,21 @@ export class AchievementSystem {
         ctx.shadowColor = 'rgba(88, 166, 255, 0.8)';
         ctx.shadowBlur = 20;
         ctx.fillStyle = 'rgba(88, 166, 255, 0.3)';
-        ctx.fillText('🏆 ACHIEVEMENTS', width / 2, 60);
+        ctx.fillText(t('achievements.title'), width / 2, 60);
         
         ctx.shadowBlur = 10;
         ctx.fillStyle = 'rgba(121, 192, 255, 0.7)';
-        ctx.fillText('🏆 ACHIEVEMENTS', width / 2, 60);
+        ctx.fillText(t('achievements.title'), width / 2, 60);
         
         ctx.shadowBlur = 0;
         ctx.fillStyle = '#f0f6fc';
-        ctx.fillText('🏆 ACHIEVEMENTS', width / 2, 60);
+        ctx.fillText(t('achievements.title'), width / 2, 60);
         
         // Subtitle with pulsing effect
         const pulseAlpha = 0.6 + Math.sin(time * 2) * 0.3;
         ctx.font = '16px "Segoe UI", Arial, sans-serif';
         ctx.fillStyle = `rgba(139, 148, 158, ${pulseAlpha})`;
-        ctx.fillText('Track your coding journey milestones', width / 2, 85);
+        ctx.fillText(t('achievements.subtitle'), width / 2, 85);
         
         // Progress statistics with enhanced design
         const totalAchievements = Object.keys(this.achievements).length;
@@ -802,7 +872,7 @@ export class AchievementSystem {
         const textColor = progressPercent > 80 ? '#22c55e' : progressPercent > 50 ? '#58A6FF' : '#7d8590';
         ctx.fillStyle = textColor;
         ctx.textAlign = 'center';
-        ctx.fillText(`${unlockedCount}/${totalAchievements} Unlocked (${progressPercent.toFixed(1)}%)`, width / 2, 138);
+        ctx.fillText(t('achievements.progress', { unlocked: unlockedCount, total: totalAchievements, percent: progressPercent.toFixed(1) }), width / 2, 138);
         
         // Category filter buttons with enhanced design
         this.drawCategoryFilters(ctx, width, hitAreas, time);
@@ -822,11 +892,11 @@ export class AchievementSystem {
      */
     drawCategoryFilters(ctx, width, hitAreas, time = 0) {
         const categories = [
-            { id: 'all', name: 'All', icon: '🌟' },
-            { id: 'progress', name: 'Progress', icon: '🚀' },
-            { id: 'death', name: 'Death', icon: '💀' },
-            { id: 'customization', name: 'Style', icon: '🎨' },
-            { id: 'meta', name: 'Meta', icon: '🧠' }
+            { id: 'all', icon: '🌟' },
+            { id: 'progress', icon: '🚀' },
+            { id: 'death', icon: '💀' },
+            { id: 'customization', icon: '🎨' },
+            { id: 'meta', icon: '🧠' }
         ];
         
         const currentCategory = this.gameInstance?.achievementCategory || this.currentCategoryFilter || 'all';
@@ -883,7 +953,7 @@ export class AchievementSystem {
             // Button text with subtle animation
             ctx.font = `${isActive ? 'bold ' : ''}13px "Segoe UI", Arial, sans-serif`;
             ctx.fillStyle = isActive ? '#ffffff' : '#7d8590';
-            ctx.fillText(category.name, buttonX + buttonWidth - 35, animatedY + 25);
+            ctx.fillText(t(`achievements.categories.${category.id}`), buttonX + buttonWidth - 35, animatedY + 25);
             
             // Active indicator line
             if (isActive) {
@@ -1101,7 +1171,7 @@ export class AchievementSystem {
         ctx.fillStyle = isUnlocked ? '#f0f6fc' : '#7d8590';
         ctx.textAlign = 'left';
         ctx.textBaseline = 'top';
-        const displayName = achievement.name || achievement.id || 'Unknown Achievement';
+        const displayName = achievement.name || achievement.id || t('achievements.unknown');
         
         // Calculate text area to avoid overlap with badge
         const titleMaxWidth = width - 170; // Leave space for icon and badge
@@ -1125,7 +1195,7 @@ export class AchievementSystem {
             ctx.font = 'bold 11px "Segoe UI", Arial, sans-serif';
             ctx.textAlign = 'center';
             ctx.textBaseline = 'middle';
-            ctx.fillText('✓ UNLOCKED', badgeX + badgeWidth / 2, badgeY + badgeHeight / 2);
+            ctx.fillText(t('achievements.unlocked'), badgeX + badgeWidth / 2, badgeY + badgeHeight / 2);
         } else {
             ctx.fillStyle = 'rgba(239, 68, 68, 0.2)';
             this.drawRoundedRect(ctx, badgeX, badgeY, badgeWidth, badgeHeight, 11);
@@ -1134,7 +1204,7 @@ export class AchievementSystem {
             ctx.font = 'bold 11px "Segoe UI", Arial, sans-serif';
             ctx.textAlign = 'center';
             ctx.textBaseline = 'middle';
-            ctx.fillText('✗ LOCKED', badgeX + badgeWidth / 2, badgeY + badgeHeight / 2);
+            ctx.fillText(t('achievements.locked'), badgeX + badgeWidth / 2, badgeY + badgeHeight / 2);
         }
         
         // Enhanced achievement description with proper spacing and no overlap
@@ -1142,7 +1212,7 @@ export class AchievementSystem {
         ctx.fillStyle = isUnlocked ? '#a5a5a5' : '#656d76';
         ctx.textAlign = 'left';
         ctx.textBaseline = 'top';
-        const description = isUnlocked ? (achievement.description || 'No description') : '???';
+        const description = isUnlocked ? (achievement.description || t('achievements.noDescription')) : '???';
         
         // Proper text area calculation to avoid overlap with rarity badge and progress bar
         const descMaxWidth = width - 90; // Leave proper margins
@@ -1180,7 +1250,7 @@ export class AchievementSystem {
             ctx.fillStyle = colors.accent;
             ctx.textAlign = 'center';
             ctx.textBaseline = 'middle';
-            ctx.fillText(rarity.toUpperCase(), rarityBadgeX + rarityBadgeWidth / 2, rarityBadgeY + rarityBadgeHeight / 2);
+            ctx.fillText(t(`achievements.rarity.${rarity}`), rarityBadgeX + rarityBadgeWidth / 2, rarityBadgeY + rarityBadgeHeight / 2);
         }
         
         // Progress indicator for partially completed achievements - positioned to avoid overlap
@@ -1255,7 +1325,7 @@ export class AchievementSystem {
         // Button text
         ctx.font = 'bold 16px "Segoe UI", Arial, sans-serif';
         ctx.fillStyle = '#f0f6fc';
-        ctx.fillText('Back', animatedX + animatedWidth - 35, animatedY + animatedHeight / 2);
+        ctx.fillText(t('achievements.back'), animatedX + animatedWidth - 35, animatedY + animatedHeight / 2);
         
         hitAreas.push({
             x: animatedX,
@@ -1304,7 +1374,7 @@ export class AchievementSystem {
                 ctx.font = '14px "Segoe UI", Arial, sans-serif';
                 ctx.fillStyle = `rgba(139, 148, 158, ${0.8 + Math.sin(time * 2) * 0.2})`;
                 ctx.textAlign = 'center';
-                ctx.fillText('▲ More above', width / 2, 200 + arrowBounce);
+                ctx.fillText(t('achievements.moreAbove'), width / 2, 200 + arrowBounce);
             }
             
             if (scrollOffset < maxScrollOffset) {
@@ -1312,7 +1382,7 @@ export class AchievementSystem {
                 ctx.font = '14px "Segoe UI", Arial, sans-serif';
                 ctx.fillStyle = `rgba(139, 148, 158, ${0.8 + Math.sin(time * 2) * 0.2})`;
                 ctx.textAlign = 'center';
-                ctx.fillText('▼ More below', width / 2, height - 100 + arrowBounce);
+                ctx.fillText(t('achievements.moreBelow'), width / 2, height - 100 + arrowBounce);
             }
         }
     }
@@ -1421,11 +1491,11 @@ export class AchievementSystem {
         
         // Category filter buttons hit detection
         const categories = [
-            { id: 'all', name: 'All', icon: '🌟' },
-            { id: 'progress', name: 'Progress', icon: '🚀' },
-            { id: 'death', name: 'Death', icon: '💀' },
-            { id: 'customization', name: 'Style', icon: '🎨' },
-            { id: 'meta', name: 'Meta', icon: '🧠' }
+            { id: 'all', icon: '🌟' },
+            { id: 'progress', icon: '🚀' },
+            { id: 'death', icon: '💀' },
+            { id: 'customization', icon: '🎨' },
+            { id: 'meta', icon: '🧠' }
         ];
         
         const buttonWidth = 120;
@@ -3,6 +3,14 @@
  * and falls back to localStorage for guest users
  */
 
+import { GhostSystem } from './GhostSystem.js';
+import { UpgradeSystem } from './UpgradeSystem.js';
+import { t } from './LanguageSystem.js';
+import { GAME_STATES } from '../utils/constants.js';
+
+// Save fields made of settings - each key keeps its most recent change, timed per key in fieldTimes
+const SETTINGS_FIELDS = ['settingsData', 'audioSettings', 'keybinds', 'profileData', 'leaderboardData'];
+
 export class CloudSaveSystem {
     constructor(game) {
         this.game = game;
@@ -10,6 +18,9 @@ export class CloudSaveSystem {
         this.auth = null;
         this.isInitialized = false;
         
+        // Conflicts from mergeGameData waiting for the player to pick a side
+        this.pendingConflict = null;
+        
         // Initialize Firebase references
         this.initializeFirebase();
     }
@@ -187,40 +198,41 @@ export class CloudSaveSystem {
             return this.loadFromLocalStorage();
         }
     }/**
-     * Save data to Firestore
+     * Save data to Firestore, merged field by field with what another device saved there
+     * @param {Object} mergeOptions - Passed to mergeGameData
      */
-    async saveToCloud(saveData) {
+    async saveToCloud(saveData, mergeOptions = {}) {
         if (!this.isUserLoggedIn() || !this.isInitialized) {
             throw new Error('User not logged in or Firebase not initialized');
         }
         
+        // Nothing goes up while a conflict waits for the player
+        if (this.pendingConflict && !mergeOptions.keepPurchasesFrom) {
+            this.showConflictPopup();
+            return false;
+        }
+        
         const userId = this.getCurrentUserId();
         const docRef = this.firestore.collection('user_saves').doc(userId);
         
         // Sanitize data to remove undefined values
         const sanitizedData = this.sanitizeData(saveData);
         
-        // Prepare cloud save data with proper timestamp
-        const cloudSaveData = {
-            ...sanitizedData,
-            version: sanitizedData.version || '1.4.0',
-            timestamp: Date.now() // Use simple timestamp for compatibility
-        };
-        
-        // Add server timestamp if available
-        try {
-            if (this.firestore.FieldValue && this.firestore.FieldValue.serverTimestamp) {
-                cloudSaveData.lastUpdated = this.firestore.FieldValue.serverTimestamp();
-            } else if (firebase.firestore && firebase.firestore.FieldValue) {
-                cloudSaveData.lastUpdated = firebase.firestore.FieldValue.serverTimestamp();
-            }
-        } catch (timestampError) {
-           
-        }
+        let merge;
           try {
-            await docRef.set(cloudSaveData);
-           
-            return true;        } catch (error) {
+            // Read, merge and write in one transaction so saves racing from two devices both count
+            merge = await this.firestore.runTransaction(async transaction => {
+                const doc = await transaction.get(docRef);
+                const result = doc.exists
+                    ? this.mergeGameData(sanitizedData, doc.data(), mergeOptions)
+                    : { data: sanitizedData, conflicts: [] };
+                
+                if (result.conflicts.length === 0) {
+                    transaction.set(docRef, this.prepareCloudSaveData(result.data));
+                }
+                return result;
+            });
+        } catch (error) {
             // Handle permission errors gracefully
             if (error.code === 'permission-denied' || 
                 error.message.includes('Missing or insufficient permissions')) {
@@ -239,6 +251,39 @@ export class CloudSaveSystem {
          
             return this.saveToLocalStorage(sanitizedData);
         }
+        
+        if (merge.conflicts.length > 0) {
+            this.raiseConflict(merge.conflicts);
+            return false;
+        }
+        
+        this.pendingConflict = null;
+        this.applyMergedData(merge.data);
+        return true;
+    }
+    
+    /**
+     * Cloud save document for merged data, with proper timestamps
+     */
+    prepareCloudSaveData(data) {
+        const sanitizedData = this.sanitizeData(data);
+        const cloudSaveData = {
+            ...sanitizedData,
+            version: sanitizedData.version || '1.4.0',
+            timestamp: Date.now() // Use simple timestamp for compatibility
+        };
+        
+        // Add server timestamp if available
+        try {
+            if (this.firestore.FieldValue && this.firestore.FieldValue.serverTimestamp) {
+                cloudSaveData.lastUpdated = this.firestore.FieldValue.serverTimestamp();
+            } else if (firebase.firestore && firebase.firestore.FieldValue) {
+                cloudSaveData.lastUpdated = firebase.firestore.FieldValue.serverTimestamp();
+            }
+        } catch (timestampError) {
+           
+        }
+        return cloudSaveData;
     }
     
     /**
@@ -403,18 +448,8 @@ export class CloudSaveSystem {
                 throw new Error('User not authenticated for cloud migration');
             }
             
-            // Check if cloud data already exists
-            const cloudData = await this.loadFromCloud();
-            if (cloudData) {
-                // Cloud data exists, merge with local data
-              
-                return await this.mergeLocalAndCloudData(localData, cloudData);
-            } else {
-                // No cloud data, upload local data
-               
-                const sanitizedData = this.sanitizeData(localData);
-                return await this.saveToCloud(sanitizedData);
-            }
+            // saveToCloud merges the local data into any cloud save field by field
+            return await this.saveToCloud(localData);
         } catch (error) {
             // Check for authentication/permission errors
             if (error.message.includes('permissions') || 
@@ -430,68 +465,327 @@ export class CloudSaveSystem {
     }
     
     /**
-     * Merge local and cloud data, taking the best of both
+     * Merge two saves field by field instead of keeping one whole:
+     *   data packets - ledgers (UpgradeSystem.mergeLedgers), so a spend on either device counts once
+     *   owned sets   - unions (upgrades, achievements, uploaded boards)
+     *   stats        - the higher value of each (best scores, achievement and profile stats)
+     *   settings     - per key, the most recent change (SETTINGS_FIELDS)
+     * @param {Object} options - { keepPurchasesFrom: 'local' | 'cloud' } to settle an overspend
+     * @returns {{ data: Object, conflicts: Array }} conflicts are what couldn't be merged - packets
+     *          spent on both devices that together come to more than the player has
      */
-    async mergeLocalAndCloudData(localData, cloudData) {
-        try {
-            const mergedData = {
-                // Take the higher data packets
-                dataPackets: Math.max(localData.dataPackets || 0, cloudData.dataPackets || 0),
-                
-                // Merge best scores (take highest for each difficulty)
-                bestScores: this.mergeBestScores(localData.bestScores || {}, cloudData.bestScores || {}),
-                
-                // Merge owned upgrades (union of both sets)
-                ownedUpgrades: this.mergeOwnedUpgrades(localData.ownedUpgrades || [], cloudData.ownedUpgrades || []),
-                
-                // Take the more recent profile data
-                profileData: this.selectMoreRecentData(localData.profileData, cloudData.profileData, localData.timestamp, cloudData.timestamp),
-                
-                // Take the more recent audio settings
-                audioSettings: this.selectMoreRecentData(localData.audioSettings, cloudData.audioSettings, localData.timestamp, cloudData.timestamp),
-                
-                // Merge leaderboard data
-                leaderboardData: this.selectMoreRecentData(localData.leaderboardData, cloudData.leaderboardData, localData.timestamp, cloudData.timestamp),
-                
-                // Use current timestamp and version
-                timestamp: Date.now(),
-                version: localData.version || cloudData.version || '1.4.0'
-            };
-            
-            // Save merged data to cloud
-            await this.saveToCloud(mergedData);
-          
-            return true;
-        } catch (error) {
-          
-            return false;
+    mergeGameData(localData, cloudData, options = {}) {
+        const local = localData || {};
+        const cloud = cloudData || {};
+        const conflicts = [];
+        
+        const localLedger = this.getPacketLedger(local);
+        const cloudLedger = this.getPacketLedger(cloud);
+        const packets = UpgradeSystem.mergeLedgers(localLedger, cloudLedger, options.keepPurchasesFrom || null);
+        if (packets.refunds.length > 0) {
+            console.log(`💾 Refunded ${packets.refunds.length} purchase(s) made on two devices: ${packets.refunds.map(spend => spend.item).join(', ')}`);
         }
+        if (packets.balance < 0) {
+            conflicts.push({
+                field: 'dataPackets',
+                local: UpgradeSystem.getLedgerBalance(localLedger),
+                cloud: UpgradeSystem.getLedgerBalance(cloudLedger),
+                merged: packets.balance
+            });
+        }
+        
+        const data = {
+            timestamp: Date.now(),
+            version: local.version || cloud.version || '1.5.0',
+            bestScores: this.mergeStats(local.bestScores || {}, cloud.bestScores || {}),
+            ghosts: GhostSystem.mergeGhosts(local.ghosts || {}, cloud.ghosts || {}),
+            totalRuns: Math.max(local.totalRuns || 0, cloud.totalRuns || 0),
+            dataPackets: packets.balance,
+            packetLedger: packets.ledger,
+            // Upgrades whose purchase was undone to settle an overspend aren't owned any more
+            ownedUpgrades: this.mergeSets(local.ownedUpgrades || [], cloud.ownedUpgrades || [])
+                .filter(upgradeId => !packets.unpaidItems.includes(upgradeId)),
+            achievementData: this.mergeAchievementData(local.achievementData, cloud.achievementData),
+            userStats: this.mergeStats(local.userStats || {}, cloud.userStats || {}, ['joinDate']),
+            fieldTimes: {}
+        };
+        
+        const localTimes = local.fieldTimes || {};
+        const cloudTimes = cloud.fieldTimes || {};
+        SETTINGS_FIELDS.forEach(field => {
+            if (!local[field] && !cloud[field]) return;
+            const merged = this.mergeSettings(local[field], cloud[field], localTimes[field], cloudTimes[field]);
+            data[field] = merged.value;
+            data.fieldTimes[field] = merged.times;
+        });
+        
+        // Boards uploaded from either device stay uploaded
+        if (data.leaderboardData) {
+            data.leaderboardData.uploadedDifficulties = this.mergeSets(
+                (local.leaderboardData && local.leaderboardData.uploadedDifficulties) || [],
+                (cloud.leaderboardData && cloud.leaderboardData.uploadedDifficulties) || []
+            );
+            data.leaderboardData.playerTokens = this.mergePlayerTokens(
+                (local.leaderboardData && local.leaderboardData.playerTokens) || {},
+                (cloud.leaderboardData && cloud.leaderboardData.playerTokens) || {}
+            );
+        }
+        
+        return { data: data, conflicts: conflicts };
+    }
+    
+    /**
+     * The save's packet ledger - saves from before the ledger only have a balance, which becomes its base
+     */
+    getPacketLedger(data) {
+        return data.packetLedger || UpgradeSystem.createLedger(data.dataPackets || 0);
     }
     
-    mergeBestScores(local, cloud) {
+    /**
+     * Higher value per key - numbers by max, dates by the later one (or the earlier for earliestKeys),
+     * arrays by union and flags if set on either side
+     */
+    mergeStats(local, cloud, earliestKeys = []) {
         const merged = { ...local };
-        Object.keys(cloud).forEach(difficulty => {
-            merged[difficulty] = Math.max(merged[difficulty] || 0, cloud[difficulty] || 0);
+        Object.entries(cloud).forEach(([key, value]) => {
+            const current = merged[key];
+            if (current === undefined || current === null) {
+                merged[key] = value;
+            } else if (value === undefined || value === null) {
+                return;
+            } else if (Array.isArray(current) && Array.isArray(value)) {
+                merged[key] = this.mergeSets(current, value);
+            } else if (typeof current === 'boolean') {
+                merged[key] = current || value;
+            } else if (earliestKeys.includes(key)) {
+                merged[key] = value < current ? value : current;
+            } else {
+                merged[key] = value > current ? value : current;
+            }
         });
         return merged;
     }
     
-    mergeOwnedUpgrades(local, cloud) {
+    mergeAchievementData(local, cloud) {
+        if (!local || !cloud) return local || cloud || null;
+        return {
+            unlockedAchievements: this.mergeSets(local.unlockedAchievements || [], cloud.unlockedAchievements || []),
+            stats: this.mergeStats(local.stats || {}, cloud.stats || {})
+        };
+    }
+    
+    /**
+     * Leaderboard player tokens ({ token, acceptedAt } per player id). The server keeps the first
+     * token it accepted for an id, so an accepted token beats one it never took (the earlier
+     * acceptance if both were), and otherwise this device keeps its own.
+     */
+    mergePlayerTokens(local, cloud) {
+        const merged = { ...cloud };
+        Object.entries(local).forEach(([playerId, mine]) => {
+            const theirs = merged[playerId];
+            if (!theirs || !theirs.acceptedAt || (mine.acceptedAt && mine.acceptedAt <= theirs.acceptedAt)) {
+                merged[playerId] = mine;
+            }
+        });
+        return merged;
+    }
+    
+    mergeSets(local, cloud) {
         const combined = new Set([...local, ...cloud]);
         return Array.from(combined);
     }
     
-    selectMoreRecentData(localData, cloudData, localTimestamp, cloudTimestamp) {
-        if (!localData) return cloudData;
-        if (!cloudData) return localData;
+    /**
+     * Last writer wins per key. A key without a change time on either side (unchanged since times
+     * were tracked) takes the cloud's value, as whole saves used to when neither had a timestamp.
+     * @returns {{ value: Object, times: Object }}
+     */
+    mergeSettings(local, cloud, localTimes = {}, cloudTimes = {}) {
+        const localValue = local || {};
+        const cloudValue = cloud || {};
+        const value = {};
+        const times = {};
+        const keys = new Set([...Object.keys(localValue), ...Object.keys(cloudValue), ...Object.keys(localTimes), ...Object.keys(cloudTimes)]);
+        
+        keys.forEach(key => {
+            const localTime = localTimes[key] || 0;
+            const cloudTime = cloudTimes[key] || 0;
+            const [winner, winnerTime, other] = local && (!cloud || localTime > cloudTime)
+                ? [localValue, localTime, cloudValue]
+                : [cloudValue, cloudTime, localValue];
+            
+            if (key in winner) {
+                value[key] = winner[key];
+            } else if (!winnerTime && key in other) {
+                // Never set on the winning side rather than removed there
+                value[key] = other[key];
+            }
+            if (localTime || cloudTime) {
+                times[key] = Math.max(localTime, cloudTime);
+            }
+        });
+        
+        return { value: value, times: times };
+    }
+    
+    /**
+     * Time each settings key last changed on this device, for mergeSettings. Changes are found by
+     * comparing with the values at the previous save, kept in localStorage next to the times.
+     */
+    trackFieldChanges(gameData) {
+        const tracked = this.loadFieldTracking();
         
-        // If we have timestamps, use the more recent one
-        if (localTimestamp && cloudTimestamp) {
-            return localTimestamp > cloudTimestamp ? localData : cloudData;
+        SETTINGS_FIELDS.forEach(field => {
+            if (!gameData[field]) return;
+            const seen = tracked.values[field];
+            const times = tracked.times[field] || {};
+            const values = {};
+            Object.entries(gameData[field]).forEach(([key, value]) => {
+                values[key] = JSON.stringify(value);
+            });
+            
+            // The first save only records values - nothing is known about when they changed
+            if (seen) {
+                new Set([...Object.keys(seen), ...Object.keys(values)]).forEach(key => {
+                    if (seen[key] !== values[key]) {
+                        times[key] = gameData.timestamp;
+                    }
+                });
+            }
+            tracked.values[field] = values;
+            tracked.times[field] = times;
+        });
+        
+        this.saveFieldTracking(tracked);
+        return tracked.times;
+    }
+    
+    /**
+     * Adopt a merge's settings and change times, so values that came from the cloud aren't taken
+     * for changes made here at the next save
+     */
+    recordMergedFields(mergedData) {
+        const tracked = this.loadFieldTracking();
+        SETTINGS_FIELDS.forEach(field => {
+            if (!mergedData[field]) return;
+            const values = {};
+            Object.entries(mergedData[field]).forEach(([key, value]) => {
+                values[key] = JSON.stringify(value);
+            });
+            tracked.values[field] = values;
+            tracked.times[field] = { ...(mergedData.fieldTimes && mergedData.fieldTimes[field]) };
+        });
+        this.saveFieldTracking(tracked);
+    }
+    
+    loadFieldTracking() {
+        try {
+            const saved = JSON.parse(localStorage.getItem('coderunner_save_field_times') || 'null');
+            if (saved && saved.times && saved.values) {
+                return saved;
+            }
+        } catch (error) {
+            console.warn('⚠️ Failed to load save field times:', error);
+        }
+        return { times: {}, values: {} };
+    }
+    
+    saveFieldTracking(tracked) {
+        try {
+            localStorage.setItem('coderunner_save_field_times', JSON.stringify(tracked));
+        } catch (error) {
+            console.warn('⚠️ Failed to save save field times:', error);
+        }
+    }
+    
+    /**
+     * Bring this device up to date with a merged save. It's merged again with the current state
+     * first - packets earned while a save was in flight would otherwise be rolled back - and only
+     * the fields that differ are applied.
+     * @returns {Array} Conflicts that kept it from being applied
+     */
+    applyMergedData(mergedData) {
+        const localData = this.sanitizeData(this.collectGameData());
+        const { data, conflicts } = this.mergeGameData(localData, mergedData);
+        if (conflicts.length > 0) {
+            return conflicts;
         }
         
-        // Default to cloud data if no timestamps
-        return cloudData;
+        const changes = {};
+        Object.keys(data).forEach(field => {
+            if (['timestamp', 'version', 'fieldTimes'].includes(field)) return;
+            // Sanitized as a field, so empty values compare as missing like they are in localData
+            const merged = this.sanitizeData({ [field]: data[field] })[field];
+            if (JSON.stringify(merged) !== JSON.stringify(localData[field])) {
+                changes[field] = data[field];
+            }
+        });
+        
+        this.recordMergedFields(data);
+        if (Object.keys(changes).length > 0) {
+            console.log(`🔀 Merged changes from the cloud into: ${Object.keys(changes).join(', ')}`);
+            this.applyGameData(changes);
+        }
+        return [];
+    }
+    
+    /**
+     * Hold cloud saves until the player settles a conflict, asking through PopupSystem
+     */
+    raiseConflict(conflicts) {
+        console.warn('⚠️ Save conflict:', conflicts);
+        this.pendingConflict = conflicts;
+        this.showConflictPopup();
+    }
+    
+    /**
+     * Ask which device's purchases to keep - not mid-run, the next save after it asks instead
+     */
+    showConflictPopup() {
+        const popupSystem = this.game.popupSystem;
+        if (!this.pendingConflict || !popupSystem || this.game.gameState === GAME_STATES.PLAYING) return;
+        if (popupSystem.getActivePopupByTag('save-conflict') || popupSystem.popupQueue.some(popup => popup.tag === 'save-conflict')) return;
+        
+        popupSystem.createPopup({
+            type: 'warning',
+            title: t('popup.saveConflict.title'),
+            message: t('popup.saveConflict.packets'),
+            tag: 'save-conflict',
+            showCloseButton: false,
+            buttons: [
+                {
+                    text: t('popup.saveConflict.keepLocal'),
+                    width: 160,
+                    action: () => this.resolveConflict('local'),
+                    color: '#56d364',
+                    hoverColor: '#46c358'
+                },
+                {
+                    text: t('popup.saveConflict.keepCloud'),
+                    width: 160,
+                    action: () => this.resolveConflict('cloud'),
+                    color: '#58a6ff',
+                    hoverColor: '#4896ef'
+                }
+            ]
+        });
+    }
+    
+    /**
+     * Void the other side's purchases (refunding them) and save the result
+     * @param {string} keepPurchasesFrom - 'local' or 'cloud'
+     */
+    async resolveConflict(keepPurchasesFrom) {
+        this.game.popupSystem.closePopup();
+        
+        try {
+            const resolved = await this.saveToCloud(this.collectGameData(), { keepPurchasesFrom: keepPurchasesFrom });
+            if (resolved) {
+                console.log(`✅ Save conflict resolved, kept purchases from ${keepPurchasesFrom === 'local' ? 'this device' : 'the cloud'}`);
+            }
+        } catch (error) {
+            console.error('❌ Error resolving save conflict:', error);
+        }
     }
 
     /**
@@ -769,10 +1063,12 @@ export class CloudSaveSystem {
             
             // Core game progress
             bestScores: this.game.bestScores || {},
+            ghosts: this.game.ghostSystem ? this.game.ghostSystem.getSaveData() : {},
             totalRuns: this.game.totalRuns || 0,
             
-            // Upgrade system data
+            // Upgrade system data - the balance, and the ledger it comes from for merging
             dataPackets: 0,
+            packetLedger: null,
             
             // Achievement system data
             achievementData: null,
@@ -789,6 +1085,9 @@ export class CloudSaveSystem {
             // Audio settings
             audioSettings: null,
             
+            // Keyboard bindings that differ from the defaults
+            keybinds: null,
+            
             // Any additional user stats
             userStats: {}
         };
@@ -796,6 +1095,7 @@ export class CloudSaveSystem {
         // Collect data from UpgradeSystem
         if (this.game.upgradeSystem) {
             gameData.dataPackets = this.game.upgradeSystem.dataPackets || 0;
+            gameData.packetLedger = this.game.upgradeSystem.ledger;
         }
         
         // Collect data from ShopSystem
@@ -833,11 +1133,18 @@ export class CloudSaveSystem {
             };
         }
         
+        // Collect keyboard bindings
+        if (this.game.keybindManager) {
+            gameData.keybinds = this.game.keybindManager.getSaveData();
+        }
+        
         // Collect data from LeaderboardSystem (offline entries)
         if (this.game.leaderboardSystem) {
             gameData.leaderboardData = {
                 playerName: this.game.leaderboardSystem.savedPlayerName || '',
-                uploadedDifficulties: Array.from(this.game.leaderboardSystem.uploadedDifficulties || [])
+                uploadedDifficulties: Array.from(this.game.leaderboardSystem.uploadedDifficulties || []),
+                followedPlayers: Array.from(this.game.leaderboardSystem.followedPlayers || []),
+                playerTokens: { ...this.game.leaderboardSystem.playerTokens }
             };
         }
         
@@ -846,6 +1153,9 @@ export class CloudSaveSystem {
             gameData.userStats = this.game.userProfileSystem.userStats;
         }
         
+        // When each setting last changed here, for the per-key merge
+        gameData.fieldTimes = this.trackFieldChanges(gameData);
+        
         return gameData;
     }
     
@@ -865,8 +1175,17 @@ export class CloudSaveSystem {
                 console.log('✅ Best scores applied from cloud save');
             }
             
+            // Apply best-run ghosts
+            if (gameData.ghosts && this.game.ghostSystem) {
+                this.game.ghostSystem.loadSaveData(gameData.ghosts);
+                console.log('✅ Ghosts applied from cloud save');
+            }
+            
             // Apply upgrade data
-            if (gameData.dataPackets !== undefined && this.game.upgradeSystem) {
+            if (gameData.packetLedger && this.game.upgradeSystem) {
+                this.game.upgradeSystem.applyLedger(gameData.packetLedger);
+                console.log(`✅ Data packets applied from cloud save: ${this.game.upgradeSystem.dataPackets}`);
+            } else if (gameData.dataPackets !== undefined && this.game.upgradeSystem) {
                 this.game.upgradeSystem.loadSavedData({ dataPackets: gameData.dataPackets });
                 console.log(`✅ Data packets applied from cloud save: ${gameData.dataPackets}`);
             }
@@ -902,6 +1221,12 @@ export class CloudSaveSystem {
                 console.log('✅ Audio settings applied from cloud save');
             }
             
+            // Apply keyboard bindings
+            if (gameData.keybinds && this.game.keybindManager) {
+                this.game.keybindManager.loadSaveData(gameData.keybinds);
+                console.log('✅ Keybinds applied from cloud save');
+            }
+            
             // Apply leaderboard data
             if (gameData.leaderboardData && this.game.leaderboardSystem) {
                 if (gameData.leaderboardData.playerName) {
@@ -911,6 +1236,14 @@ export class CloudSaveSystem {
                 if (gameData.leaderboardData.uploadedDifficulties) {
                     this.game.leaderboardSystem.uploadedDifficulties = new Set(gameData.leaderboardData.uploadedDifficulties);
                 }
+                if (gameData.leaderboardData.followedPlayers) {
+                    this.game.leaderboardSystem.followedPlayers = new Set(gameData.leaderboardData.followedPlayers);
+                    this.game.leaderboardSystem.saveFollowedPlayers();
+                }
+                if (gameData.leaderboardData.playerTokens) {
+                    this.game.leaderboardSystem.playerTokens = { ...gameData.leaderboardData.playerTokens };
+                    this.game.leaderboardSystem.savePlayerTokens();
+                }
                 console.log('✅ Leaderboard data applied from cloud save');
             }
             
@@ -969,13 +1302,14 @@ export class CloudSaveSystem {
             const gameData = await this.loadGameData();
             
             if (gameData) {
-                const success = this.applyGameData(gameData);
+                // Merged into what this device has rather than replacing it
+                const conflicts = this.applyMergedData(gameData);
                 
-                if (success) {
+                if (conflicts.length === 0) {
                     console.log('✅ Comprehensive cloud load completed successfully');
                     return true;
                 } else {
-                    console.warn('⚠️ Error applying loaded game data');
+                    this.raiseConflict(conflicts);
                     return false;
                 }
             } else {
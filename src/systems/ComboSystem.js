@@ -0,0 +1,124 @@
+/**
+ * Combo System - Score multiplier built from chained packet pickups, near misses and clean running
+ *
+ * The multiplier grows with skilful play and drains slowly when nothing feeds it. Taking damage
+ * breaks it back to x1 unless the 'streakSaver' upgrade is charged. Combo points go into
+ * game.bonusScore, so they count in GameLoop.updateScore like any other bonus.
+ */
+
+import { COMBO } from '../utils/constants.js';
+
+export class ComboSystem {
+    constructor(game) {
+        this.game = game;
+        this.reset();
+    }
+
+    reset() {
+        this.multiplier = 1;
+        this.bestMultiplier = 1;
+        this.chain = 0; // Packets picked up in the current chain
+        this.lastPacketTime = -Infinity;
+        this.sinceGain = 0; // ms since the multiplier last grew
+        this.noDamageTime = 0; // ms since the player last took damage
+        this.saverRecharge = 0; // ms until Streak Saver is charged again
+        this.pointsEarned = 0; // Extra score earned through the combo this run
+    }
+
+    update(deltaTime) {
+        this.saverRecharge = Math.max(0, this.saverRecharge - deltaTime);
+
+        // Every clean stretch adds to the multiplier
+        this.noDamageTime += deltaTime;
+        if (this.noDamageTime >= COMBO.NO_DAMAGE_INTERVAL) {
+            this.noDamageTime -= COMBO.NO_DAMAGE_INTERVAL;
+            this.addMultiplier(COMBO.NO_DAMAGE_GAIN);
+        }
+
+        // Drain once nothing has fed it for a while
+        this.sinceGain += deltaTime;
+        if (this.sinceGain > COMBO.DECAY_DELAY && this.multiplier > 1) {
+            this.multiplier = Math.max(1, this.multiplier - COMBO.DECAY_RATE * deltaTime / 1000);
+        }
+    }
+
+    addMultiplier(amount) {
+        const player = this.game.player;
+        const comboBonus = player ? player.shopUpgrades.comboBonus : 1;
+        this.multiplier = Math.min(COMBO.MAX_MULTIPLIER, this.multiplier + amount * comboBonus);
+        this.bestMultiplier = Math.max(this.bestMultiplier, this.multiplier);
+        this.sinceGain = 0;
+    }
+
+    /**
+     * Add score scaled by the current multiplier
+     * @param {number} points - Score before the multiplier
+     * @param {boolean} extraOnly - Only add the part above x1 (the base was already awarded)
+     */
+    award(points, extraOnly = false) {
+        const total = Math.round(points * (extraOnly ? this.multiplier - 1 : this.multiplier));
+        if (total <= 0) return;
+        this.game.bonusScore += total;
+        this.pointsEarned += total;
+    }
+
+    /**
+     * A data packet was picked up (by the player or the ally drone)
+     */
+    onPacketCollected() {
+        const now = this.game.getSimulationTime();
+        this.chain = now - this.lastPacketTime <= COMBO.CHAIN_WINDOW ? this.chain + 1 : 1;
+        this.lastPacketTime = now;
+
+        if (this.chain > 1) {
+            this.addMultiplier(COMBO.PACKET_GAIN);
+        }
+        // PhysicsEngine.checkCollectibles already added the packet's base bonus
+        this.award(COMBO.PACKET_POINTS, true);
+    }
+
+    /**
+     * The player slipped past a hazard without touching it
+     * @param {Object} nearMiss - Near miss event from PhysicsEngine.checkHazards
+     */
+    onNearMiss(nearMiss) {
+        this.addMultiplier(COMBO.NEAR_MISS_GAIN);
+        this.award(COMBO.NEAR_MISS_POINTS);
+        console.log(`😮 Near miss: ${nearMiss.type} by ${nearMiss.margin.toFixed(1)}px (combo x${this.multiplier.toFixed(1)})`);
+    }
+
+    /**
+     * Damage breaks the combo unless Streak Saver is charged
+     */
+    onPlayerDamaged() {
+        this.noDamageTime = 0;
+        if (this.multiplier <= 1) return;
+
+        const player = this.game.player;
+        if (player && player.shopUpgrades.streakSaver && this.saverRecharge <= 0) {
+            this.saverRecharge = COMBO.STREAK_SAVER_RECHARGE;
+            console.log(`🛡️ Streak Saver kept the x${this.multiplier.toFixed(1)} combo`);
+            return;
+        }
+
+        console.log(`💔 Combo broken at x${this.multiplier.toFixed(1)}`);
+        this.multiplier = 1;
+        this.chain = 0;
+    }
+
+    isActive() {
+        return this.multiplier > 1;
+    }
+
+    isSaverReady() {
+        const player = this.game.player;
+        return !!(player && player.shopUpgrades.streakSaver) && this.saverRecharge <= 0;
+    }
+
+    /**
+     * Time left before the multiplier starts draining, from 1 (just fed) to 0 (draining)
+     */
+    getHoldProgress() {
+        return Math.max(0, 1 - this.sinceGain / COMBO.DECAY_DELAY);
+    }
+}
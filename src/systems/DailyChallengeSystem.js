@@ -0,0 +1,93 @@
+/**
+ * Daily Challenge System - Shared daily seed, fixed loadout and per-day best score
+ */
+
+import { DAILY_CHALLENGE } from '../utils/constants.js';
+import { SeededRandom } from '../utils/SeededRandom.js';
+
+export class DailyChallengeSystem {
+    constructor(game) {
+        this.game = game;
+        this.storageKey = 'coderunner_daily_best';
+    }
+
+    /**
+     * Get the calendar key for a day (UTC so every player shares the same course)
+     * @param {Date} [date] - Defaults to now
+     * @returns {string} - Date in YYYY-MM-DD form
+     */
+    static getDateKey(date = new Date()) {
+        return date.toISOString().slice(0, 10);
+    }
+
+    /**
+     * Derive the world seed for a given day
+     * @param {string} [dateKey] - Defaults to today
+     */
+    static getSeedForDate(dateKey = DailyChallengeSystem.getDateKey()) {
+        return SeededRandom.normalizeSeed(`daily-${dateKey}`);
+    }
+
+    /**
+     * Build the startGame options for today's run
+     */
+    getRunOptions() {
+        const dateKey = DailyChallengeSystem.getDateKey();
+        return {
+            mode: 'daily',
+            dateKey: dateKey,
+            seed: DailyChallengeSystem.getSeedForDate(dateKey),
+            difficulty: DAILY_CHALLENGE.difficulty,
+            loadout: [...DAILY_CHALLENGE.loadout]
+        };
+    }
+
+    /**
+     * Start today's daily run
+     */
+    async start() {
+        console.log(`📅 Starting Daily Run for ${DailyChallengeSystem.getDateKey()}`);
+        return this.game.startGame(this.getRunOptions());
+    }
+
+    /**
+     * Check whether the current run is a daily run
+     */
+    isDailyRun() {
+        return !!(this.game.runOptions && this.game.runOptions.mode === 'daily');
+    }
+
+    /**
+     * Get the player's best score for today's run
+     */
+    getTodayBest() {
+        try {
+            const saved = JSON.parse(localStorage.getItem(this.storageKey) || 'null');
+            if (saved && saved.dateKey === DailyChallengeSystem.getDateKey()) {
+                return saved.score || 0;
+            }
+        } catch (error) {
+            console.warn('Failed to load daily best score:', error);
+        }
+        return 0;
+    }
+
+    /**
+     * Record a finished daily run
+     * @param {number} score - Final score
+     * @returns {boolean} - True if this is a new best for the day
+     */
+    recordResult(score) {
+        if (score <= this.getTodayBest()) {
+            return false;
+        }
+
+        const dateKey = DailyChallengeSystem.getDateKey();
+        try {
+            localStorage.setItem(this.storageKey, JSON.stringify({ dateKey, score }));
+        } catch (error) {
+            console.warn('Failed to save daily best score:', error);
+        }
+        return true;
+    }
+}
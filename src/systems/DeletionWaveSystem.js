@@ -0,0 +1,81 @@
+/**
+ * Deletion Wave System - The corruption wall that chases the player from the left edge
+ *
+ * The wave sits off-screen for a short grace period, then advances at a fraction of the
+ * player's run speed that grows with WorldGenerator's progressive difficulty. It is never
+ * allowed to fall too far behind, so stopping to wait is never safe. Contact is checked by
+ * PhysicsEngine.checkHazards and drawn by GameRenderer.
+ */
+
+import { DELETION_WAVE, GAME_CONFIG } from '../utils/constants.js';
+
+export class DeletionWaveSystem {
+    constructor(game) {
+        this.game = game;
+        this.reset();
+    }
+
+    /**
+     * Put the wave back behind the spawn point for a new run
+     */
+    reset() {
+        this.x = DELETION_WAVE.START_X; // World x of the wave front
+        this.speed = 0; // Pixels per second
+        this.elapsed = 0;
+    }
+
+    update(deltaTime) {
+        const player = this.game.player;
+        if (!player) return;
+
+        this.elapsed += deltaTime;
+        if (this.elapsed < DELETION_WAVE.GRACE_TIME) return;
+
+        this.speed = this.getSpeed();
+        this.x += this.speed * (deltaTime / 1000);
+
+        // Drag the wave along if the player has pulled too far ahead
+        this.x = Math.max(this.x, player.x - DELETION_WAVE.MAX_LAG);
+    }
+
+    /**
+     * Current wave speed, following the world's progressive difficulty
+     */
+    getSpeed() {
+        const difficulty = this.game.world ? (this.game.world.difficulty || 1) : 1;
+        const ratio = Math.min(
+            DELETION_WAVE.BASE_SPEED_RATIO + (difficulty - 1) * DELETION_WAVE.SPEED_PER_DIFFICULTY,
+            DELETION_WAVE.MAX_SPEED_RATIO
+        );
+        return GAME_CONFIG.MOVE_SPEED * ratio;
+    }
+
+    isMoving() {
+        return this.elapsed >= DELETION_WAVE.GRACE_TIME;
+    }
+
+    /**
+     * Check if the wave front has reached an entity's hitbox
+     */
+    isCaught(entity) {
+        return this.isMoving() && entity.x <= this.x;
+    }
+
+    /**
+     * Seconds until the wave reaches the player at its current speed
+     */
+    getTimeToContact() {
+        const player = this.game.player;
+        if (!player || !this.isMoving() || this.speed <= 0) return Infinity;
+        return Math.max(0, player.x - this.x) / this.speed;
+    }
+
+    /**
+     * How close the wave is, from 0 (safe) to 1 (touching), for screen effects and warnings
+     */
+    getProximity() {
+        const timeToContact = this.getTimeToContact();
+        if (timeToContact >= DELETION_WAVE.WARNING_TIME) return 0;
+        return 1 - timeToContact / DELETION_WAVE.WARNING_TIME;
+    }
+}
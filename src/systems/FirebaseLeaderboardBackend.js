@@ -0,0 +1,146 @@
+/**
+ * Firebase Leaderboard Backend - Boards in the Realtime Database (window.firebaseDatabase)
+ *
+ * Difficulty boards live under leaderboard/<difficulty> and Daily Run boards under
+ * dailyLeaderboard/<date>, the layout the game has always written; the week and day window boards
+ * are kept apart under leaderboardWindows/<board>. Run proofs are kept apart under
+ * runProofs/<board>/<id> so reading a board stays small; the database can't re-simulate them, but
+ * server/verification-service.js can audit them. Player records use the player id as their key.
+ * Duplicates pushed by older clients are collapsed by server/migrate-firebase-leaderboard.js.
+ */
+
+import { LeaderboardBackend } from './LeaderboardBackend.js';
+
+const WINDOW_BOARD_PATTERN = /-(week|today)-\d{4}-\d{2}-\d{2}$/;
+
+export class FirebaseLeaderboardBackend extends LeaderboardBackend {
+    constructor(database, options = {}) {
+        super('firebase', options);
+        this.database = database;
+    }
+
+    getRef(board) {
+        if (board.startsWith('daily-')) {
+            return this.database.ref(`dailyLeaderboard/${board.slice('daily-'.length)}`);
+        }
+        if (WINDOW_BOARD_PATTERN.test(board)) {
+            return this.database.ref(`leaderboardWindows/${board}`);
+        }
+        return this.database.ref(`leaderboard/${board}`);
+    }
+
+    /**
+     * The SDK queues writes while offline instead of failing, so check the network ourselves
+     */
+    async isAvailable() {
+        if (!this.database) return false;
+        if (typeof navigator !== 'undefined' && !navigator.onLine) return false;
+
+        try {
+            const controller = new AbortController();
+            const timeoutId = setTimeout(() => controller.abort(), 3000);
+
+            await fetch('https://www.google.com/favicon.ico', {
+                method: 'HEAD',
+                mode: 'no-cors',
+                cache: 'no-cache',
+                signal: controller.signal
+            });
+
+            clearTimeout(timeoutId);
+            return true;
+        } catch (error) {
+            console.log('Network connectivity check failed:', error);
+            return false;
+        }
+    }
+
+    async upsertBestEntry(board, playerId, entry, options = {}) {
+        const { proof, ...data } = entry;
+        const record = { ...data, playerId: playerId };
+
+        // By this device's clock rather than the entry's timestamp, which the caller chose
+        for (const windowBoard of LeaderboardBackend.getWindowBoards(board)) {
+            await this.upsertRecord(windowBoard, playerId, record, proof);
+        }
+        if (options.windowsOnly) {
+            return { id: playerId, updated: false, previousScore: null };
+        }
+        return { id: playerId, ...(await this.upsertRecord(board, playerId, record, proof)) };
+    }
+
+    /**
+     * Compare-and-set in a transaction - returning undefined from the update aborts it
+     * @returns {Promise<Object>} - { updated, previousScore }
+     */
+    async upsertRecord(board, playerId, record, proof) {
+        let previousScore = null;
+        const { committed, snapshot } = await this.getRef(board).child(playerId).transaction(current => {
+            previousScore = current ? current.score : null;
+            return current && current.score >= record.score ? undefined : record;
+        });
+
+        if (committed && proof) {
+            await this.database.ref(`runProofs/${board}/${playerId}`).set(proof);
+        }
+        return {
+            updated: committed,
+            previousScore: committed ? previousScore : snapshot.val().score
+        };
+    }
+
+    async getTopEntries(board, limit = 10) {
+        const snapshot = await this.getRef(board).orderByChild('score').limitToLast(limit).once('value');
+        return this.snapshotToEntries(snapshot);
+    }
+
+    /**
+     * Queries can't skip ahead, so this reads from the top down to the last rank needed
+     */
+    async getEntriesAroundRank(board, rank, range = 5) {
+        const firstRank = Math.max(1, rank - range);
+        const entries = await this.getTopEntries(board, rank + range);
+        return entries.slice(firstRank - 1).map((entry, index) => ({ ...entry, rank: firstRank + index }));
+    }
+
+    async getEntriesByName(board, name) {
+        const snapshot = await this.getRef(board).orderByChild('name').equalTo(name).once('value');
+        return this.snapshotToEntries(snapshot);
+    }
+
+    /**
+     * The Realtime Database can't count or offset, so pages and ranks are worked out from the
+     * whole board - or just the window, read by timestamp
+     */
+    async getAllEntries(board, since = 0) {
+        const ref = this.getRef(board);
+        const query = since ? ref.orderByChild('timestamp').startAt(since) : ref;
+        return this.snapshotToEntries(await query.once('value'));
+    }
+
+    async deleteEntry(board, id) {
+        await this.getRef(board).child(id).remove();
+        await this.database.ref(`runProofs/${board}/${id}`).remove();
+    }
+
+    /**
+     * Live updates through the SDK listener instead of polling
+     */
+    subscribeTopEntries(board, limit, callback) {
+        const query = this.getRef(board).orderByChild('score').limitToLast(limit);
+        const handler = snapshot => callback(this.snapshotToEntries(snapshot));
+        query.on('value', handler);
+        return () => query.off('value', handler);
+    }
+
+    /**
+     * Snapshot children in score order (ascending from orderByChild) -> entries, highest first
+     */
+    snapshotToEntries(snapshot) {
+        const entries = [];
+        snapshot.forEach(childSnapshot => {
+            entries.push(LeaderboardBackend.normalizeEntry(childSnapshot.key, childSnapshot.val()));
+        });
+        return entries.sort((a, b) => b.score - a.score);
+    }
+}
@@ -0,0 +1,267 @@
+/**
+ * Ghost System - Races the player against a translucent copy of their best run
+ *
+ * Every normal run samples the player's position and sprite state each GHOST.SAMPLE_INTERVAL of
+ * simulated time. When the run beats the stored ghost for its difficulty, its trace replaces it.
+ * Later runs on that difficulty draw the ghost with Player.drawSpriteImage at reduced alpha, and
+ * GameUI shows how far ahead of or behind it the player is. Ghosts are kept in localStorage and
+ * synced by CloudSaveSystem alongside bestScores.
+ */
+
+import { GAME_CONFIG, GHOST } from '../utils/constants.js';
+
+const STATE_FLAGS = { facingLeft: 1, airborne: 2, dashing: 4 }; // Bits of a sample's sprite state
+
+export class GhostSystem {
+    constructor(game) {
+        this.game = game;
+        this.storageKey = 'coderunner_ghosts';
+        this.ghosts = {}; // Difficulty -> { score, distance, interval, samples, trace, recordedAt }
+        this.loadGhosts();
+        this.reset();
+    }
+
+    reset() {
+        this.recording = null; // [x, y, state] samples of the current run
+        this.nextSampleTime = 0;
+        this.activeGhost = null; // { score, samples } decoded ghost raced this run
+    }
+
+    // ===========================================
+    // Run lifecycle
+    // ===========================================
+
+    /**
+     * Start recording and pick the ghost to race, called when a run (re)starts
+     */
+    beginRun() {
+        this.reset();
+        if (!this.isGhostRun()) return;
+
+        this.recording = [];
+        const ghost = this.ghosts[this.game.selectedDifficulty];
+        if (!ghost) return;
+
+        try {
+            this.activeGhost = { score: ghost.score, samples: GhostSystem.decodeTrace(ghost.trace) };
+        } catch (error) {
+            console.warn(`⚠️ Could not load the ${this.game.selectedDifficulty} ghost:`, error);
+        }
+    }
+
+    /**
+     * Ghosts come from normal runs only - daily runs have their own world and replays are
+     * someone else's inputs
+     */
+    isGhostRun() {
+        const runOptions = this.game.runOptions || {};
+        return (runOptions.mode || 'normal') === 'normal';
+    }
+
+    /**
+     * Sample the player once the simulation clock passes the next sample time
+     */
+    update() {
+        if (!this.recording || !this.game.player) return;
+
+        const time = this.game.simulationTime;
+        while (time >= this.nextSampleTime && this.recording.length < GHOST.MAX_SAMPLES) {
+            this.recording.push(this.samplePlayer());
+            this.nextSampleTime += GHOST.SAMPLE_INTERVAL;
+        }
+    }
+
+    samplePlayer() {
+        const player = this.game.player;
+        let state = 0;
+        if (player.facingDirection === -1) state |= STATE_FLAGS.facingLeft;
+        if (!player.onGround) state |= STATE_FLAGS.airborne;
+        if (player.dashState && player.dashState.isDashing) state |= STATE_FLAGS.dashing;
+        return [Math.round(player.x), Math.round(player.y), state];
+    }
+
+    /**
+     * Called by GameNavigation.endGame - keeps the trace if the run beat the stored ghost
+     * @param {Object} result - { score, distance }
+     */
+    onRunEnded(result) {
+        const recording = this.recording;
+        this.recording = null;
+        if (!recording || recording.length < 2) return;
+
+        const difficulty = this.game.selectedDifficulty;
+        const previous = this.ghosts[difficulty];
+        if (previous && result.score <= previous.score) return;
+
+        this.ghosts[difficulty] = {
+            score: result.score,
+            distance: result.distance,
+            interval: GHOST.SAMPLE_INTERVAL,
+            samples: recording.length,
+            trace: GhostSystem.encodeTrace(recording),
+            recordedAt: new Date().toISOString()
+        };
+        this.saveGhosts();
+        console.log(`👻 New ${difficulty} ghost (score ${result.score}, ${recording.length} samples)`);
+    }
+
+    // ===========================================
+    // Racing
+    // ===========================================
+
+    isRacing() {
+        return !!(this.activeGhost && this.activeGhost.samples.length > 0);
+    }
+
+    /**
+     * Ghost position at a point of simulated time, interpolated between samples
+     * @returns {Object|null} - { x, y, state, finished }
+     */
+    getGhostState(time) {
+        if (!this.isRacing()) return null;
+
+        const samples = this.activeGhost.samples;
+        const position = Math.max(0, time) / GHOST.SAMPLE_INTERVAL;
+        const index = Math.floor(position);
+        if (index >= samples.length - 1) {
+            const [x, y, state] = samples[samples.length - 1];
+            return { x, y, state, finished: true };
+        }
+
+        const [x1, y1, state] = samples[index];
+        const [x2, y2] = samples[index + 1];
+        const blend = position - index;
+        return {
+            x: x1 + (x2 - x1) * blend,
+            y: y1 + (y2 - y1) * blend,
+            state: state,
+            finished: false
+        };
+    }
+
+    /**
+     * Metres the player is ahead of the ghost (negative when behind)
+     */
+    getDelta() {
+        const ghost = this.getGhostState(this.game.simulationTime);
+        if (!ghost || !this.game.player) return null;
+        return (this.game.player.x - ghost.x) / 10;
+    }
+
+    /**
+     * Draw the ghost with the player's sprite, before the player so the live run stays on top
+     */
+    draw(ctx, camera) {
+        const player = this.game.player;
+        if (!player) return;
+
+        // Match the player's interpolation between simulation steps
+        const renderTime = this.game.simulationTime - (1 - (this.game.renderAlpha ?? 1)) * GAME_CONFIG.SIMULATION_STEP;
+        const ghost = this.getGhostState(renderTime);
+        if (!ghost) return;
+
+        const screenX = ghost.x - camera.x;
+        const screenY = ghost.y - camera.y;
+        if (screenX < -player.width || screenX > this.game.canvas.width) return;
+
+        ctx.save();
+        ctx.globalAlpha = ghost.finished ? GHOST.ALPHA / 2 : GHOST.ALPHA;
+        if (ghost.state & STATE_FLAGS.dashing) {
+            ctx.shadowColor = '#64c8ff';
+            ctx.shadowBlur = 8;
+        }
+
+        if (player.spriteLoaded && player.sprite && player.sprite.src) {
+            const facingDirection = ghost.state & STATE_FLAGS.facingLeft ? -1 : 1;
+            player.drawSpriteImage(ctx, screenX, screenY, false, facingDirection);
+        } else {
+            player.drawPixelArtFallback(ctx, screenX, screenY, false);
+        }
+        ctx.restore();
+    }
+
+    // ===========================================
+    // Saving and loading
+    // ===========================================
+
+    getSaveData() {
+        return { ...this.ghosts };
+    }
+
+    /**
+     * Take ghosts from a cloud save, keeping whichever run scored higher per difficulty
+     */
+    loadSaveData(data) {
+        if (!data || typeof data !== 'object') return;
+
+        this.ghosts = GhostSystem.mergeGhosts(this.ghosts, data);
+        this.saveGhosts();
+    }
+
+    loadGhosts() {
+        try {
+            const saved = JSON.parse(localStorage.getItem(this.storageKey) || 'null');
+            if (saved) {
+                this.ghosts = GhostSystem.mergeGhosts({}, saved);
+            }
+        } catch (error) {
+            console.warn('Failed to load ghosts:', error);
+        }
+    }
+
+    saveGhosts() {
+        try {
+            localStorage.setItem(this.storageKey, JSON.stringify(this.ghosts));
+        } catch (error) {
+            console.warn('⚠️ Could not save ghosts:', error);
+        }
+    }
+
+    /**
+     * Higher score wins per difficulty; entries without a trace are ignored
+     */
+    static mergeGhosts(local, other) {
+        const merged = { ...local };
+        Object.entries(other || {}).forEach(([difficulty, ghost]) => {
+            if (!ghost || typeof ghost.trace !== 'string') return;
+            if (!merged[difficulty] || (ghost.score || 0) > (merged[difficulty].score || 0)) {
+                merged[difficulty] = ghost;
+            }
+        });
+        return merged;
+    }
+
+    // ===========================================
+    // Encoding
+    // ===========================================
+
+    /**
+     * Samples as 'dx.dy.state' in base 36, each relative to the previous sample
+     */
+    static encodeTrace(samples) {
+        let lastX = 0;
+        let lastY = 0;
+        return samples.map(([x, y, state]) => {
+            const entry = `${(x - lastX).toString(36)}.${(y - lastY).toString(36)}.${state.toString(36)}`;
+            lastX = x;
+            lastY = y;
+            return entry;
+        }).join(',');
+    }
+
+    static decodeTrace(trace) {
+        if (!trace) return [];
+
+        let x = 0;
+        let y = 0;
+        return trace.split(',').map(entry => {
+            const [dx, dy, state] = entry.split('.').map(part => parseInt(part, 36));
+            if (Number.isNaN(dx) || Number.isNaN(dy) || Number.isNaN(state)) {
+                throw new Error(`Bad ghost sample '${entry}'`);
+            }
+            x += dx;
+            y += dy;
+            return [x, y, state];
+        });
+    }
+}
@@ -3,6 +3,8 @@
  * Creates a stunning, modern home screen with advanced animations and visual effects
  */
 
+import { t } from './LanguageSystem.js';
+
 export class HomeScreenSystem {
     constructor(gameInstance = null) {
         this.gameInstance = gameInstance;
@@ -23,34 +25,27 @@ export class HomeScreenSystem {
         this.initializeParticleSystem();
         
         // Button configuration - Clean main menu with only essential options
+        // (labels come from home.buttons.<action> in the language packs)
         this.menuButtons = [
             { 
-                text: 'Play', 
                 action: 'play', 
                 icon: '▶️', 
-                color: '#22c55e',
-                description: 'Start your coding journey'
+                color: '#22c55e'
             },
             { 
-                text: 'Profile', 
                 action: 'profile', 
                 icon: '👤', 
-                color: '#8b5cf6',
-                description: 'View stats and manage account'
+                color: '#8b5cf6'
             },
             { 
-                text: 'Options', 
                 action: 'options', 
                 icon: '⚙️', 
-                color: '#3b82f6',
-                description: 'Game settings and features'
+                color: '#3b82f6'
             },
             { 
-                text: 'Credits', 
                 action: 'credits', 
                 icon: '🎬', 
-                color: '#06b6d4',
-                description: 'Meet the team'
+                color: '#06b6d4'
             }
         ];
     }
@@ -290,7 +285,7 @@ export class HomeScreenSystem {
             
             ctx.font = 'bold 64px "Segoe UI", Arial, sans-serif';
             ctx.fillStyle = 'rgba(240, 246, 252, 0.1)';
-            ctx.fillText('CodeRunner', width / 2, titleY);
+            ctx.fillText(t('home.title'), width / 2, titleY);
         });
         
         // Main title text with gradient
@@ -306,7 +301,7 @@ export class HomeScreenSystem {
         
         ctx.fillStyle = titleGradient;
         ctx.font = 'bold 64px "Segoe UI", Arial, sans-serif';
-        ctx.fillText('CodeRunner', width / 2, titleY);
+        ctx.fillText(t('home.title'), width / 2, titleY);
         
         // Animated subtitle
         const subtitleY = titleY + 60;
@@ -315,7 +310,7 @@ export class HomeScreenSystem {
         ctx.globalAlpha = subtitleAlpha;
         ctx.font = '18px "Segoe UI", Arial, sans-serif';
         ctx.fillStyle = '#8b949e';
-        ctx.fillText('Run, jump, and code your way to victory', width / 2, subtitleY);
+        ctx.fillText(t('home.subtitle'), width / 2, subtitleY);
         
         // Animated underline
         if (progress > 0.7) {
@@ -429,12 +424,12 @@ export class HomeScreenSystem {
             ctx.font = 'bold 20px "Segoe UI", Arial, sans-serif';
             ctx.fillStyle = isHovered ? '#ffffff' : '#f0f6fc';
             ctx.textAlign = 'left';
-            ctx.fillText(button.text, animatedX + 65, iconY - 8);
+            ctx.fillText(t(`home.buttons.${button.action}.text`), animatedX + 65, iconY - 8);
             
             // Button description
             ctx.font = '14px "Segoe UI", Arial, sans-serif';
             ctx.fillStyle = isHovered ? '#e5e7eb' : '#8b949e';
-            ctx.fillText(button.description, animatedX + 65, iconY + 12);
+            ctx.fillText(t(`home.buttons.${button.action}.description`), animatedX + 65, iconY + 12);
             
             // Add hit area
             hitAreas.push({
@@ -475,7 +470,7 @@ export class HomeScreenSystem {
         
         // Draw footer text
         const footerY = height - 30;
-        ctx.fillText('Press ESC to toggle fullscreen', width / 2, footerY);
+        ctx.fillText(t('home.footer'), width / 2, footerY);
         
         ctx.restore();
     }
@@ -0,0 +1,253 @@
+/**
+ * Keybind Manager - Table of rebindable keyboard actions
+ *
+ * Each action maps to one or more KeyboardEvent.code values. InputManager resolves key presses
+ * through getActionsForKey (it finds this through window.keybindManager). Bindings are kept in
+ * localStorage and included in CloudSaveSystem.collectGameData, so they follow the player between
+ * devices.
+ */
+
+import { KEYBIND_ACTIONS } from '../utils/constants.js';
+
+const KEY_NAMES = {
+    ArrowLeft: '←',
+    ArrowRight: '→',
+    ArrowUp: '↑',
+    ArrowDown: '↓',
+    ShiftLeft: 'L-Shift',
+    ShiftRight: 'R-Shift',
+    ControlLeft: 'L-Ctrl',
+    ControlRight: 'R-Ctrl',
+    AltLeft: 'L-Alt',
+    AltRight: 'R-Alt',
+    Escape: 'Esc',
+    Backspace: 'Bksp',
+    Delete: 'Del',
+    PageUp: 'PgUp',
+    PageDown: 'PgDn'
+};
+
+export class KeybindManager {
+    constructor() {
+        this.storageKey = 'coderunner_keybinds';
+        this.bindings = KeybindManager.getDefaultBindings();
+        this.keyLookup = new Map(); // Key code -> actions bound to it
+        this.loadBindings();
+        this.rebuildLookup();
+    }
+
+    static getDefaultBindings() {
+        const bindings = {};
+        KEYBIND_ACTIONS.forEach(({ action, keys }) => {
+            bindings[action] = [...keys];
+        });
+        return bindings;
+    }
+
+    rebuildLookup() {
+        this.keyLookup.clear();
+        Object.entries(this.bindings).forEach(([action, keys]) => {
+            keys.forEach(code => {
+                if (!this.keyLookup.has(code)) this.keyLookup.set(code, []);
+                this.keyLookup.get(code).push(action);
+            });
+        });
+    }
+
+    // ===========================================
+    // Lookups
+    // ===========================================
+
+    /**
+     * @param {string} code - KeyboardEvent.code
+     * @returns {string[]} - Actions bound to the key
+     */
+    getActionsForKey(code) {
+        return this.keyLookup.get(code) || [];
+    }
+
+    getKeysForAction(action) {
+        return this.bindings[action] || [];
+    }
+
+    /**
+     * Name of the first key bound to an action, for on-screen hints ('—' when unbound)
+     */
+    getKeyHint(action) {
+        const code = this.getKeysForAction(action)[0];
+        return code ? KeybindManager.getKeyName(code) : '—';
+    }
+
+    getActions() {
+        return KEYBIND_ACTIONS;
+    }
+
+    getContext(action) {
+        const definition = KEYBIND_ACTIONS.find(entry => entry.action === action);
+        return definition ? definition.context : 'global';
+    }
+
+    getLabel(action) {
+        const definition = KEYBIND_ACTIONS.find(entry => entry.action === action);
+        return definition ? definition.label : action;
+    }
+
+    /**
+     * Two actions conflict when they share a key and can fire at the same time
+     * ('gameplay' and 'menu' never do, 'global' overlaps both)
+     */
+    contextsOverlap(actionA, actionB) {
+        const contextA = this.getContext(actionA);
+        const contextB = this.getContext(actionB);
+        return contextA === contextB || contextA === 'global' || contextB === 'global';
+    }
+
+    /**
+     * @returns {Array} - [{ code, actions }] for every key bound to overlapping actions
+     */
+    getConflicts() {
+        const conflicts = [];
+        this.keyLookup.forEach((actions, code) => {
+            const clashing = actions.filter(action =>
+                actions.some(other => other !== action && this.contextsOverlap(action, other)));
+            if (clashing.length > 1) {
+                conflicts.push({ code, actions: clashing });
+            }
+        });
+        return conflicts;
+    }
+
+    /**
+     * Other actions that clash with this action through any of its keys
+     */
+    getConflictsForAction(action) {
+        const clashing = new Set();
+        this.getConflicts().forEach(conflict => {
+            if (conflict.actions.includes(action)) {
+                conflict.actions.forEach(other => {
+                    if (other !== action) clashing.add(other);
+                });
+            }
+        });
+        return [...clashing];
+    }
+
+    // ===========================================
+    // Editing
+    // ===========================================
+
+    /**
+     * Bind a key to one of an action's slots (replaces what was there)
+     * @param {string} action - Action to bind
+     * @param {number} slot - Index in the action's key list (past the end appends)
+     * @param {string} code - KeyboardEvent.code
+     */
+    setKey(action, slot, code) {
+        const keys = [...this.getKeysForAction(action)];
+        const existing = keys.indexOf(code);
+        if (existing !== -1 && existing !== slot) {
+            keys.splice(existing, 1); // Already bound to this action - just move it
+        }
+        if (slot < keys.length) {
+            keys[slot] = code;
+        } else {
+            keys.push(code);
+        }
+        this.bindings[action] = keys;
+        this.onBindingsChanged();
+    }
+
+    clearKey(action, slot) {
+        const keys = [...this.getKeysForAction(action)];
+        keys.splice(slot, 1);
+        this.bindings[action] = keys;
+        this.onBindingsChanged();
+    }
+
+    resetAction(action) {
+        const defaults = KeybindManager.getDefaultBindings();
+        this.bindings[action] = defaults[action] || [];
+        this.onBindingsChanged();
+    }
+
+    resetAll() {
+        this.bindings = KeybindManager.getDefaultBindings();
+        this.onBindingsChanged();
+    }
+
+    onBindingsChanged() {
+        this.rebuildLookup();
+        this.saveBindings();
+
+        const conflicts = this.getConflicts();
+        if (conflicts.length > 0) {
+            console.warn(`⚠️ Keybind conflicts: ${conflicts.map(conflict =>
+                `${KeybindManager.getKeyName(conflict.code)} → ${conflict.actions.join(', ')}`).join('; ')}`);
+        }
+    }
+
+    // ===========================================
+    // Saving and loading
+    // ===========================================
+
+    /**
+     * Only bindings that differ from the defaults are stored, so new actions pick up their defaults
+     */
+    getSaveData() {
+        const defaults = KeybindManager.getDefaultBindings();
+        const changed = {};
+        Object.entries(this.bindings).forEach(([action, keys]) => {
+            if (JSON.stringify(keys) !== JSON.stringify(defaults[action])) {
+                changed[action] = [...keys];
+            }
+        });
+        return changed;
+    }
+
+    loadSaveData(data) {
+        if (!data || typeof data !== 'object') return;
+
+        this.bindings = KeybindManager.getDefaultBindings();
+        Object.entries(data).forEach(([action, keys]) => {
+            if (this.bindings[action] && Array.isArray(keys)) {
+                this.bindings[action] = keys.filter(code => typeof code === 'string');
+            }
+        });
+        this.rebuildLookup();
+        this.saveBindings();
+    }
+
+    loadBindings() {
+        try {
+            const saved = JSON.parse(localStorage.getItem(this.storageKey) || 'null');
+            if (saved) {
+                Object.entries(saved).forEach(([action, keys]) => {
+                    if (this.bindings[action] && Array.isArray(keys)) {
+                        this.bindings[action] = keys;
+                    }
+                });
+            }
+        } catch (error) {
+            console.warn('Failed to load keybinds:', error);
+        }
+    }
+
+    saveBindings() {
+        try {
+            localStorage.setItem(this.storageKey, JSON.stringify(this.getSaveData()));
+        } catch (error) {
+            console.warn('⚠️ Could not save keybinds:', error);
+        }
+    }
+
+    /**
+     * Readable name for a key code ('KeyA' -> 'A', 'ArrowLeft' -> '←')
+     */
+    static getKeyName(code) {
+        if (KEY_NAMES[code]) return KEY_NAMES[code];
+        if (code.startsWith('Key')) return code.slice(3);
+        if (code.startsWith('Digit')) return code.slice(5);
+        if (code.startsWith('Numpad')) return `Num ${code.slice(6)}`;
+        return code;
+    }
+}
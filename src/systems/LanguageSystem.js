@@ -0,0 +1,151 @@
+/**
+ * Language System - Translated text from the JSON language packs in src/lang/
+ *
+ * Keys are dotted paths into a pack ('home.buttons.play.text', 'tutorial.welcome.steps.0.title').
+ * '{name}' placeholders are filled from the params object, and a value written as an object of
+ * plural forms ({ "one": ..., "other": ... }) is picked with Intl.PluralRules from params.count.
+ * Anything missing from the selected pack comes from English, and a key missing everywhere is
+ * returned as-is so it shows up on screen. Modules import t() rather than holding a reference
+ * to the system.
+ */
+
+import { LANGUAGES } from '../utils/constants.js';
+
+const FALLBACK_LANGUAGE = 'en';
+
+let activeLanguageSystem = null;
+
+export class LanguageSystem {
+    constructor() {
+        this.packs = {}; // Language code -> parsed pack
+        this.language = FALLBACK_LANGUAGE;
+        this.listeners = [];
+        this.missingKeys = new Set(); // Only warn once per key
+        activeLanguageSystem = this;
+    }
+
+    getAvailableLanguages() {
+        return LANGUAGES;
+    }
+
+    getLanguage() {
+        return this.language;
+    }
+
+    /**
+     * Turn a setting value into a pack code - 'auto' follows the browser language
+     */
+    resolveLanguage(code) {
+        if (code === 'auto') {
+            const browserLanguage = (typeof navigator !== 'undefined' && navigator.language) || FALLBACK_LANGUAGE;
+            code = browserLanguage.split('-')[0].toLowerCase();
+        }
+        return LANGUAGES.some(language => language.code === code) ? code : FALLBACK_LANGUAGE;
+    }
+
+    async loadPack(code) {
+        if (this.packs[code]) return this.packs[code];
+
+        const response = await fetch(new URL(`../lang/${code}.json`, import.meta.url));
+        if (!response.ok) {
+            throw new Error(`HTTP ${response.status}`);
+        }
+        this.packs[code] = await response.json();
+        return this.packs[code];
+    }
+
+    /**
+     * Switch language, loading its pack (and the English fallback) first
+     * @param {string} code - Language code or 'auto'
+     */
+    async setLanguage(code) {
+        const resolved = this.resolveLanguage(code);
+
+        try {
+            await this.loadPack(FALLBACK_LANGUAGE);
+            if (resolved !== FALLBACK_LANGUAGE) {
+                await this.loadPack(resolved);
+            }
+            this.language = resolved;
+        } catch (error) {
+            console.warn(`⚠️ Could not load language pack '${resolved}', using English:`, error);
+            this.language = FALLBACK_LANGUAGE;
+        }
+
+        if (typeof document !== 'undefined') {
+            document.documentElement.lang = this.language;
+        }
+        console.log(`🌐 Language set to ${this.language}`);
+
+        this.listeners.forEach(listener => {
+            try {
+                listener(this.language);
+            } catch (error) {
+                console.error('❌ Language change listener failed:', error);
+            }
+        });
+    }
+
+    /**
+     * Call back after every language switch (including the first pack load) - for text that is
+     * built once and kept, rather than looked up each frame
+     */
+    onLanguageChange(listener) {
+        this.listeners.push(listener);
+    }
+
+    lookup(code, key) {
+        let value = this.packs[code];
+        for (const part of key.split('.')) {
+            if (value === null || typeof value !== 'object') return undefined;
+            value = value[part];
+        }
+        return value;
+    }
+
+    /**
+     * @param {string} key - Dotted path into the pack
+     * @param {Object} params - Placeholder values, 'count' also picks the plural form
+     * @returns {string|string[]} - Arrays in the pack come back as arrays of lines
+     */
+    translate(key, params = {}) {
+        let value = this.lookup(this.language, key);
+        if (value === undefined && this.language !== FALLBACK_LANGUAGE) {
+            value = this.lookup(FALLBACK_LANGUAGE, key);
+        }
+        if (value === undefined) {
+            if (this.packs[FALLBACK_LANGUAGE] && !this.missingKeys.has(key)) {
+                this.missingKeys.add(key);
+                console.warn(`⚠️ Missing translation: ${key}`);
+            }
+            return key;
+        }
+
+        if (Array.isArray(value)) {
+            return value.map(line => this.interpolate(line, params));
+        }
+        if (value && typeof value === 'object') {
+            value = this.selectPlural(value, params.count);
+        }
+        return this.interpolate(value, params);
+    }
+
+    selectPlural(forms, count) {
+        if (typeof count !== 'number') return forms.other;
+        const category = new Intl.PluralRules(this.language).select(count);
+        return forms[category] !== undefined ? forms[category] : forms.other;
+    }
+
+    interpolate(text, params) {
+        if (typeof text !== 'string') return text;
+        return text.replace(/\{(\w+)\}/g, (match, name) =>
+            params[name] !== undefined ? String(params[name]) : match);
+    }
+}
+
+/**
+ * Translate through the active LanguageSystem (the key itself until one exists)
+ */
+export function t(key, params = {}) {
+    return activeLanguageSystem ? activeLanguageSystem.translate(key, params) : key;
+}
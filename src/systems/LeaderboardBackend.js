@@ -0,0 +1,270 @@
+/**
+ * Leaderboard Backend - What LeaderboardSystem needs from a score store
+ *
+ * Boards are named by difficulty ('EASY') or 'daily-YYYY-MM-DD' for a Daily Run. Entries come
+ * back as { id, name, score, survivalTime, timestamp[, dateKey][, playerId][, rank] } with the
+ * highest score first, and ranks start at 1. FirebaseLeaderboardBackend keeps them in the Realtime Database,
+ * RestLeaderboardBackend in any server that speaks the JSON API of server/leaderboard-server.js.
+ *
+ * Each player has one record per board, keyed by their account uid or guest id, that only a higher
+ * score replaces. Difficulty boards also have a board per UTC week and day (getWindowBoard) keeping
+ * each player's best within it, which the 'week' and 'today' views read. Older clients pushed a new entry per submission; findDuplicateEntries() picks
+ * out all but the best one per name for the backends' migrations (the REST server when it loads
+ * its data, server/migrate-firebase-leaderboard.js for Firebase).
+ */
+
+export class LeaderboardBackend {
+    /**
+     * @param {string} name - Shown in logs ('firebase', 'rest')
+     * @param {Object} options - { pollInterval }
+     */
+    constructor(name, options = {}) {
+        this.name = name;
+        this.pollInterval = options.pollInterval || 10000;
+    }
+
+    /**
+     * Whether the backend can be reached right now
+     * @returns {Promise<boolean>}
+     */
+    async isAvailable() {
+        return false;
+    }
+
+    /**
+     * Store the entry as the player's record on a board unless their stored score is at least as
+     * high. The compare and write happen atomically on the backend, so two devices submitting at
+     * once can't overwrite a better score. The player's records on the entry's window boards
+     * (getWindowBoards) are updated the same way, whether or not the board's record is beaten.
+     * @param {string} board - Board name
+     * @param {string} playerId - Account uid or guest id, used as the entry id
+     * @param {Object} entry - { name, score, survivalTime, timestamp[, dateKey][, proof] }
+     * @param {Object} [options] - { windowsOnly: only update the window boards }
+     * @returns {Promise<Object>} - { id, updated, previousScore } for the board itself (previousScore
+     * null if there was none). Rejections for a run proof that doesn't reproduce carry status 422.
+     */
+    async upsertBestEntry(board, playerId, entry, options = {}) {
+        throw new Error(`${this.name} backend does not support upsertBestEntry`);
+    }
+
+    /**
+     * @returns {Promise<Array>} - The best `limit` entries, highest first
+     */
+    async getTopEntries(board, limit = 10) {
+        throw new Error(`${this.name} backend does not support getTopEntries`);
+    }
+
+    /**
+     * @param {number} rank - Rank to centre on (1 is the top)
+     * @param {number} range - Entries to include on either side
+     * @returns {Promise<Array>} - Entries with their rank set
+     */
+    async getEntriesAroundRank(board, rank, range = 5) {
+        throw new Error(`${this.name} backend does not support getEntriesAroundRank`);
+    }
+
+    /**
+     * @returns {Promise<Array>} - Every entry on the board under this player name
+     */
+    async getEntriesByName(board, name) {
+        throw new Error(`${this.name} backend does not support getEntriesByName`);
+    }
+
+    /**
+     * @param {number} [since] - Only entries with a timestamp from here on (0 for all)
+     * @returns {Promise<Array>} - The whole board, or the part of it set since then
+     */
+    async getAllEntries(board, since = 0) {
+        throw new Error(`${this.name} backend does not support getAllEntries`);
+    }
+
+    /**
+     * One page of a board, and where the player stands on it, from one read. Ranks count only the
+     * entries from `since` on; `playerIds` then keeps those players' entries at their rank.
+     * `rankOf` lists the ids the player's entry may go by, and `around` centres the page on it
+     * when no offset is given. Backends that can filter server-side override this; the default
+     * reads getAllEntries.
+     * @param {Object} query - { offset, limit, since, playerIds, rankOf, around }
+     * @returns {Promise<Object>} - { entries (with rank), total, offset, rank } where total counts
+     * every match and rank is { rank, total, entry } for the first rankOf id on the board, or null
+     */
+    async queryEntries(board, query = {}) {
+        return LeaderboardBackend.queryList(await this.getAllEntries(board, query.since || 0), query);
+    }
+
+    /**
+     * Where an entry stands on a board
+     * @param {string} id - Player id, or the entry id of a record from before they were keyed
+     * @param {number} [since] - Rank within the entries set from here on
+     * @returns {Promise<Object|null>} - { rank, total, entry }, or null if it isn't on the board
+     */
+    async getPlayerRank(board, id, since = 0) {
+        return LeaderboardBackend.findRank(await this.getAllEntries(board, since), id, since);
+    }
+
+    async deleteEntry(board, id) {
+        throw new Error(`${this.name} backend does not support deleteEntry`);
+    }
+
+    /**
+     * Call back with the top entries now and whenever they change. Backends without push updates
+     * poll every pollInterval.
+     * @returns {Function} - Stops the updates
+     */
+    subscribeTopEntries(board, limit, callback) {
+        let stopped = false;
+        const refresh = () => {
+            this.getTopEntries(board, limit)
+                .then(entries => {
+                    if (!stopped) callback(entries);
+                })
+                .catch(error => console.warn(`Failed to refresh ${board} leaderboard:`, error));
+        };
+
+        refresh();
+        const intervalId = setInterval(refresh, this.pollInterval);
+        return () => {
+            stopped = true;
+            clearInterval(intervalId);
+        };
+    }
+
+    /**
+     * Start of the UTC window a view covers - days like the Daily Run, weeks from Monday
+     * @param {string} view - 'week' or 'today'
+     * @returns {number|null} - ms, or null for views over the whole board
+     */
+    static getWindowStart(view, time = Date.now()) {
+        const now = new Date(time);
+        const today = Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate());
+        if (view === 'today') return today;
+        if (view === 'week') return today - ((now.getUTCDay() + 6) % 7) * 24 * 60 * 60 * 1000;
+        return null;
+    }
+
+    /**
+     * Board holding each player's best in the view's window around `time`, e.g. 'EASY-week-2026-10-19'
+     * @returns {string|null} - null for views over the whole board, and for Daily Run boards
+     */
+    static getWindowBoard(board, view, time = Date.now()) {
+        const start = LeaderboardBackend.getWindowStart(view, time);
+        if (start === null || board.startsWith('daily-')) return null;
+        return `${board}-${view}-${new Date(start).toISOString().slice(0, 10)}`;
+    }
+
+    /**
+     * Window boards an entry set at `time` counts on
+     * @returns {string[]}
+     */
+    static getWindowBoards(board, time = Date.now()) {
+        return ['week', 'today']
+            .map(view => LeaderboardBackend.getWindowBoard(board, view, time))
+            .filter(Boolean);
+    }
+
+    /**
+     * Whether `board` is a window board whose week or day is over by `time` - no view reads it
+     * again, so the backends' cleanups remove it
+     */
+    static isExpiredWindowBoard(board, time = Date.now()) {
+        const match = /-(week|today)-(\d{4}-\d{2}-\d{2})$/.exec(board);
+        if (!match) return false;
+        const days = match[1] === 'week' ? 7 : 1;
+        return Date.parse(match[2]) + days * 24 * 60 * 60 * 1000 <= time;
+    }
+
+    /**
+     * Fill in the fields every entry should have
+     */
+    static normalizeEntry(id, data) {
+        const entry = {
+            id: id,
+            name: data.name,
+            score: data.score,
+            survivalTime: data.survivalTime || 0,
+            timestamp: data.timestamp || Date.now()
+        };
+        if (data.dateKey) entry.dateKey = data.dateKey;
+        if (data.playerId) entry.playerId = data.playerId;
+        if (data.rank) entry.rank = data.rank;
+        return entry;
+    }
+
+    /**
+     * Entries from `since` on, best first (ties to the earliest) with their rank among them
+     */
+    static rankEntries(entries, since = 0) {
+        return entries
+            .filter(entry => !since || entry.timestamp >= since)
+            .sort((a, b) => b.score - a.score || a.timestamp - b.timestamp)
+            .map((entry, index) => ({ ...entry, rank: index + 1 }));
+    }
+
+    /**
+     * queryEntries over a list already in memory (local boards, the REST server)
+     * @param {Array} entries - A whole board
+     * @param {Object} query - { offset, limit, since, playerIds, rankOf, around }
+     * @returns {Object} - { entries, total, offset, rank }
+     */
+    static queryList(entries, query = {}) {
+        const limit = query.limit || 10;
+        let ranked = LeaderboardBackend.rankEntries(entries, query.since || 0);
+        const rank = query.rankOf ? LeaderboardBackend.findRankIn(ranked, query.rankOf) : null;
+        
+        let offset = Math.max(0, query.offset || 0);
+        if (query.around && (query.offset === null || query.offset === undefined)) {
+            // Nothing to centre on until the player has an entry
+            if (!rank) return { entries: [], total: 0, offset: 0, rank: null };
+            offset = Math.max(0, rank.rank - 1 - query.around);
+        }
+        if (query.playerIds) {
+            const playerIds = new Set(query.playerIds);
+            ranked = ranked.filter(entry => playerIds.has(entry.playerId) || playerIds.has(entry.id));
+        }
+        return { entries: ranked.slice(offset, offset + limit), total: ranked.length, offset: offset, rank: rank };
+    }
+
+    /**
+     * getPlayerRank over a list already in memory
+     * @returns {Object|null} - { rank, total, entry }
+     */
+    static findRank(entries, id, since = 0) {
+        return LeaderboardBackend.findRankIn(LeaderboardBackend.rankEntries(entries, since), [id]);
+    }
+
+    /**
+     * Place of the first of `ids` found on an already ranked list
+     * @returns {Object|null} - { rank, total, entry }
+     */
+    static findRankIn(ranked, ids) {
+        for (const id of ids) {
+            const entry = ranked.find(candidate => candidate.id === id || candidate.playerId === id);
+            if (entry) return { rank: entry.rank, total: ranked.length, entry: entry };
+        }
+        return null;
+    }
+
+    /**
+     * Ids of the pushed (unkeyed) entries that lose to a better one under the same name - ties go to
+     * the earliest. Keyed records are left alone, since two players can share a name.
+     * @param {Array} entries - Raw entries with their id; keyed ones carry playerId
+     * @returns {string[]}
+     */
+    static findDuplicateEntries(entries) {
+        const bestByName = new Map();
+        const duplicates = [];
+
+        entries.filter(entry => !entry.playerId).forEach(entry => {
+            const best = bestByName.get(entry.name);
+            if (!best) {
+                bestByName.set(entry.name, entry);
+            } else if (entry.score > best.score || (entry.score === best.score && entry.timestamp < best.timestamp)) {
+                duplicates.push(best.id);
+                bestByName.set(entry.name, entry);
+            } else {
+                duplicates.push(entry.id);
+            }
+        });
+        return duplicates;
+    }
+}
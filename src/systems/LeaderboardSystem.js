@@ -1,9 +1,17 @@
 /**
- * Firebase-enabled Leaderboard System
- * Implements the submitScore and showLeaderboard functions from LeaderBoard.MD
+ * Online Leaderboard System
+ * Implements the submitScore and showLeaderboard functions from LeaderBoard.MD. Scores go through
+ * a LeaderboardBackend (Firebase or a REST server, picked in config/leaderboard-config.js) and fall
+ * back to localStorage while it can't be reached. Online entries carry a run proof (the run's
+ * replay) so the backend can re-simulate the score before accepting it.
  */
 
-import { DIFFICULTY_LEVELS } from '../utils/constants.js';
+import { DIFFICULTY_LEVELS, DAILY_CHALLENGE, LEADERBOARD_VIEWS } from '../utils/constants.js';
+import { DailyChallengeSystem } from './DailyChallengeSystem.js';
+import { LeaderboardBackend } from './LeaderboardBackend.js';
+import { FirebaseLeaderboardBackend } from './FirebaseLeaderboardBackend.js';
+import { RestLeaderboardBackend } from './RestLeaderboardBackend.js';
+import { leaderboardConfig } from '../config/leaderboard-config.js';
 
 export class LeaderboardSystem {
     constructor(gameInstance = null) {
@@ -13,7 +21,8 @@ export class LeaderboardSystem {
             EASY: [],
             MEDIUM: [],
             HARD: [],
-            EXTREME: []
+            EXTREME: [],
+            [DAILY_CHALLENGE.KEY]: [] // Today's Daily Run board only
         };
         
         this.uploadedDifficulties = new Set();
@@ -27,9 +36,20 @@ export class LeaderboardSystem {
         this.nameInputActive = false;
         this.playerEntries = new Map();
         this.savedPlayerName = '';
-        
-        // Firebase configuration
-        this.firebaseDatabase = null;
+        this.guestId = null; // See getPlayerId
+        this.playerTokens = {}; // Player id -> { token, acceptedAt } proving it's ours to the REST server, see getPlayerToken
+        
+        // Board views (see LEADERBOARD_VIEWS), fetched a page at a time by loadView
+        this.selectedView = 'top';
+        this.viewOffset = null; // null until paged: the view's first page, or the player's rank for 'around'
+        this.viewPage = null;
+        this.viewRequest = null;
+        this.viewVersion = 0; // Bumped when the boards may have changed, so the page reloads
+        this.followedPlayers = new Set(); // Player ids behind the 'friends' view
+        this.hitAreas = []; // View tabs, pager, rows and the follow button - set by GameDialogs
+        
+        // Online backend (see createBackend)
+        this.backend = null;
         this.isOnline = false;
         this.currentUpload = null;
         
@@ -75,15 +95,15 @@ export class LeaderboardSystem {
      * Initialize the leaderboard system (online or offline mode)
      */
     async initializeSystem() {
-        // Check if Firebase is available
-        await this.checkFirebaseConnection();
+        // Check if the leaderboard backend is reachable
+        await this.checkBackendConnection();
         
         // Set up network status listeners
         this.setupNetworkListeners();
         
         if (this.isOnline) {
-            console.log('🌐 Connected to Firebase leaderboard');
-            await this.loadFirebaseLeaderboards();
+            console.log(`🌐 Connected to ${this.backend.name} leaderboard`);
+            await this.loadOnlineLeaderboards();
         } else {
             console.log('💾 Using offline leaderboard mode');
             this.clearFakeSubmissions();
@@ -94,108 +114,137 @@ export class LeaderboardSystem {
         this.loadUploadHistory();
         this.loadPlayerName();
         this.loadPlayerEntries();
+        this.loadFollowedPlayers();
+        this.loadPlayerTokens();
           // Load moderation data        this.loadModerationData();
         
         // Update Game's bestScores with current leaderboard data
         if (this.gameInstance) {
             this.updateGameBestScores(this.gameInstance);
         }
-    }/**
-     * Check if Firebase is available and network connectivity
+    }
+
+    /**
+     * Build the backend named in leaderboardConfig
+     * @returns {LeaderboardBackend|null} - null when it can't be set up (offline mode)
+     */
+    createBackend(config = leaderboardConfig) {
+        const options = {
+            pollInterval: config.pollInterval,
+            requestTimeout: config.requestTimeout,
+            submitTimeout: config.submitTimeout,
+            getPlayerToken: playerId => this.getPlayerToken(playerId)
+        };
+        
+        if (config.backend === 'rest') {
+            return new RestLeaderboardBackend(config.restUrl, options);
+        }
+        if (config.backend === 'firebase') {
+            console.warn('⚠️ Firebase leaderboard backend: scores are stored without verifying their run proofs');
+            const database = typeof window !== 'undefined' ? window.firebaseDatabase : null;
+            return database ? new FirebaseLeaderboardBackend(database, options) : null;
+        }
+        
+        console.warn(`⚠️ Unknown leaderboard backend '${config.backend}', using offline mode`);
+        return null;
+    }
+
+    /**
+     * Set up the backend and check it can be reached
      */
-    async checkFirebaseConnection() {
+    async checkBackendConnection() {
         try {
-            if (typeof window !== 'undefined' && window.firebaseDatabase) {
-                this.firebaseDatabase = window.firebaseDatabase;
-                // Check actual network connectivity
+            this.backend = this.createBackend();
+            if (this.backend) {
                 const hasConnection = await this.checkNetworkConnectivity();
                 this.isOnline = hasConnection;
                 if (hasConnection) {
-                    console.log('Firebase database connected with network');
+                    console.log(`Leaderboard backend '${this.backend.name}' connected`);
                 } else {
-                    console.log('Firebase available but no network connection');
+                    console.log(`Leaderboard backend '${this.backend.name}' not reachable`);
                 }
             } else {
                 this.isOnline = false;
-                console.log('Firebase not available, using offline mode');
+                console.log('Leaderboard backend not available, using offline mode');
             }
         } catch (error) {
             this.isOnline = false;
-            console.log('Firebase connection error:', error);
+            console.log('Leaderboard backend connection error:', error);
         }
-    }    /**
-     * Check for actual network connectivity
+    }
+
+    /**
+     * Check the backend can actually be reached
      */
     async checkNetworkConnectivity() {
-        // Check browser's online status first
-        if (!navigator.onLine) {
-            return false;
-        }
-
-        try {
-            // Try to make a small request to check actual connectivity
-            const controller = new AbortController();
-            const timeoutId = setTimeout(() => controller.abort(), 3000);
-            
-            const response = await fetch('https://www.google.com/favicon.ico', {
-                method: 'HEAD',
-                mode: 'no-cors',
-                cache: 'no-cache',
-                signal: controller.signal
-            });
-            
-            clearTimeout(timeoutId);
-            return true;
-        } catch (error) {
-            console.log('Network connectivity check failed:', error);
-            return false;
-        }
+        return this.backend ? this.backend.isAvailable() : false;
     }
       /**
-     * Firebase submitScore function as specified in LeaderBoard.MD task 3
+     * submitScore function as specified in LeaderBoard.MD task 3
      */
     async submitScore(name, score, difficulty = this.selectedDifficulty, survivalTime = 0) {
-        if (!this.isOnline || !this.firebaseDatabase) {
-            console.log('Firebase not available, using offline mode');
+        if (!this.isOnline || !this.backend) {
+            console.log('Leaderboard backend not available, using offline mode');
             return this.submitScoreOffline(name, score, difficulty, survivalTime);
         }        try {
-            const scoresRef = this.firebaseDatabase.ref(`leaderboard/${difficulty}`);
+            const board = this.getBoardKey(difficulty);
               const newScore = {
                 name: name,
                 score: score,
                 survivalTime: survivalTime,
                 timestamp: Date.now()
             };
+            if (difficulty === DAILY_CHALLENGE.KEY) {
+                newScore.dateKey = DailyChallengeSystem.getDateKey();
+            }
             
-            // Check if player already has an entry for this difficulty in Firebase
-            if (this.playerEntries.has(difficulty)) {
-                const playerHasEntryInFirebase = await this.checkPlayerEntryInFirebase(difficulty, name);
-                
-                if (playerHasEntryInFirebase) {
-                    // Replace existing entry only if new score is higher
-                    const existingScore = await this.getPlayerScoreFromFirebase(difficulty, name);
-                    
-                    if (existingScore && score <= existingScore) {
-                        console.log(`⚠️ Not submitting to Firebase: Existing score (${existingScore}) >= new score (${score})`);
-                        return false;
-                    }
-                    
-                    console.log(`🔄 Replacing lower score (${existingScore}) with higher score (${score}) in Firebase`);
-                    // For this update, we'll simply push the new score (Firebase doesn't easily support updating)
-                }
+            const proof = this.getRunProof(score, difficulty);
+            if (proof) {
+                newScore.proof = proof;
+            } else {
+                console.warn(`⚠️ No replay found for score ${score} - submitting without a run proof`);
+            }
+            
+            // An entry under another id (pushed before records were keyed by player, or made as a
+            // guest before logging in) still holds the score to beat, and is removed once beaten
+            const playerId = this.getPlayerId();
+            const previousEntryId = this.playerEntries.get(difficulty);
+            const previousEntry = previousEntryId && previousEntryId !== playerId
+                ? await this.getPlayerEntryOnline(difficulty, name, previousEntryId)
+                : null;
+            if (previousEntry && score <= previousEntry.score) {
+                // Still the player's best of the week and day so far, maybe
+                await this.backend.upsertBestEntry(board, playerId, newScore, { windowsOnly: true });
+                console.log(`⚠️ Not submitting online: Existing score (${previousEntry.score}) >= new score (${score})`);
+                return false;
+            }
+            
+            // The backend only replaces the player's record with a higher score
+            const result = await this.backend.upsertBestEntry(board, playerId, newScore);
+            this.markPlayerTokenAccepted(playerId);
+            if (!result.updated) {
+                console.log(`⚠️ Not submitting online: Existing score (${result.previousScore}) >= new score (${score})`);
+                return false;
             }
+            const entryId = result.id;
             
-            // Push to Firebase
-            await scoresRef.push(newScore);
+            if (previousEntry) {
+                await this.backend.deleteEntry(board, previousEntry.id).catch(error => {
+                    console.warn('Failed to remove previous leaderboard entry:', error);
+                });
+            }
             
-            console.log('✅ Score submitted to Firebase:', newScore);
+            console.log(`✅ Score submitted to ${this.backend.name} leaderboard: ${name} ${score}` +
+                (result.previousScore !== null ? ` (was ${result.previousScore})` : ''));
             
-            // Update local tracking
+            // Update local tracking (the entry id lets the player delete it later)
             this.uploadedDifficulties.add(difficulty);
+            this.playerEntries.set(difficulty, entryId);
             this.savePlayerName(name);
             this.saveUploadHistory();
+            this.savePlayerEntries();
               // Refresh local leaderboards
-            await this.loadFirebaseLeaderboards();
+            await this.loadOnlineLeaderboards();
               // Update Game's bestScores after successful score submission
             if (this.gameInstance) {
                 this.updateGameBestScores(this.gameInstance);
@@ -203,84 +252,339 @@ export class LeaderboardSystem {
             
             return true;
         } catch (error) {
-            console.error('❌ Firebase submit error:', error);
+            // The backend re-simulated the run and it didn't reproduce - don't keep it offline either
+            if (error.status === 422) {
+                console.warn('🚫 Score rejected by the leaderboard:', error.message);
+                return false;
+            }
+            
+            // The server may still store it once verified - keeping it offline too would duplicate it
+            if (error.name === 'AbortError') {
+                console.warn('⏱️ No answer from the leaderboard in time - the score may still be stored once verified');
+                return false;
+            }
+            
+            console.error('❌ Online submit error:', error);
             // Fallback to offline
             return this.submitScoreOffline(name, score, difficulty, survivalTime);
         }
     }
     
     /**
-     * Load leaderboards from Firebase
+     * Replay of the run that scored this, sent as proof with the submission
+     * @returns {Object|null}
+     */
+    getRunProof(score, difficulty) {
+        const replaySystem = this.gameInstance ? this.gameInstance.replaySystem : null;
+        return replaySystem ? replaySystem.getRunProof(score, difficulty) : null;
+    }
+    
+    /**
+     * Load the top 10 of every board from the backend
      */
-    async loadFirebaseLeaderboards() {
-        if (!this.firebaseDatabase) return;
+    async loadOnlineLeaderboards() {
+        if (!this.backend) return;
         
         try {
-            const snapshot = await this.firebaseDatabase.ref('leaderboard').once('value');
-            const data = snapshot.val();
+            const difficulties = Object.keys(this.leaderboards).filter(difficulty => difficulty !== DAILY_CHALLENGE.KEY);
+            const boards = await Promise.all(difficulties.map(difficulty =>
+                this.backend.getTopEntries(this.getBoardKey(difficulty), 10)));
             
-            if (data) {
-                // Convert Firebase data to our format
-                Object.keys(this.leaderboards).forEach(difficulty => {
-                    if (data[difficulty]) {
-                        const scores = [];
-                        Object.values(data[difficulty]).forEach(score => {
-                            scores.push({
-                                id: score.timestamp || Date.now(),
-                                name: score.name,
-                                score: score.score,
-                                survivalTime: score.survivalTime || 0,
-                                timestamp: score.timestamp || Date.now()
-                            });
-                        });
-                        
-                        // Sort by score descending
-                        scores.sort((a, b) => b.score - a.score);
-                        this.leaderboards[difficulty] = scores.slice(0, 10); // Keep top 10
-                    }                });
-            }
+            difficulties.forEach((difficulty, index) => {
+                if (boards[index].length > 0) {
+                    this.leaderboards[difficulty] = boards[index];
+                }
+            });
+            
+            await this.loadOnlineDailyLeaderboard();
         } catch (error) {
-            console.warn('Failed to load Firebase leaderboards:', error);
+            console.warn('Failed to load online leaderboards:', error);
             this.isOnline = false;
         }
+        this.viewVersion++;
           // Update Game's bestScores after loading leaderboards
         if (this.gameInstance) {
             this.updateGameBestScores(this.gameInstance);
         }
     }
+    /**
+     * Load today's Daily Run board (a new board every day)
+     */
+    async loadOnlineDailyLeaderboard() {
+        this.leaderboards[DAILY_CHALLENGE.KEY] = await this.backend.getTopEntries(this.getBoardKey(DAILY_CHALLENGE.KEY), 10);
+        this.dailyBoardDateKey = DailyChallengeSystem.getDateKey();
+    }
+    
+    /**
+     * Get the backend board name for a difficulty
+     * @param {string} difficulty - Difficulty key or DAILY_CHALLENGE.KEY
+     */
+    getBoardKey(difficulty) {
+        if (difficulty === DAILY_CHALLENGE.KEY) {
+            return `daily-${DailyChallengeSystem.getDateKey()}`;
+        }
+        return difficulty;
+    }
+    
+    /**
+     * Entries either side of a rank on a board (online only)
+     * @param {string} difficulty - Difficulty key or DAILY_CHALLENGE.KEY
+     * @param {number} rank - 1 is the top
+     * @param {number} range - Entries to include on either side
+     */
+    async getEntriesAroundRank(difficulty, rank, range = 5) {
+        if (!this.isOnline || !this.backend) return [];
+        
+        try {
+            return await this.backend.getEntriesAroundRank(this.getBoardKey(difficulty), rank, range);
+        } catch (error) {
+            console.warn(`Failed to load ${difficulty} entries around rank ${rank}:`, error);
+            return [];
+        }
+    }
+    
+    /**
+     * Views offered for a board
+     * @param {string} difficulty - Difficulty key or DAILY_CHALLENGE.KEY
+     */
+    getViewTabs(difficulty = this.selectedDifficulty) {
+        return difficulty === DAILY_CHALLENGE.KEY ? LEADERBOARD_VIEWS.DAILY_VIEWS : LEADERBOARD_VIEWS.VIEWS;
+    }
+    
+    /**
+     * Switch the board view ('top', 'around', 'week', 'today', 'friends')
+     */
+    selectView(view) {
+        if (!this.getViewTabs().includes(view) || view === this.selectedView) return;
+        
+        this.selectedView = view;
+        this.viewOffset = null;
+        this.entryTooltip = null;
+        console.log(`📊 Switched to ${view} view`);
+    }
+    
+    cycleView() {
+        const views = this.getViewTabs();
+        this.selectView(views[(views.indexOf(this.selectedView) + 1) % views.length]);
+    }
+    
+    /**
+     * Start of a view's window in ms - UTC days like the Daily Run, weeks from Monday
+     * @returns {number|null} - null for views over the whole board
+     */
+    getViewSince(view = this.selectedView, now = new Date()) {
+        return LeaderboardBackend.getWindowStart(view, now.getTime());
+    }
+    
+    getViewPageSize(view = this.selectedView) {
+        return view === 'around' ? LEADERBOARD_VIEWS.AROUND_RANGE * 2 + 1 : LEADERBOARD_VIEWS.PAGE_SIZE;
+    }
+    
+    /**
+     * Move a page back (-1) or forward (1) in the selected view
+     */
+    changePage(direction) {
+        const page = this.getViewPage();
+        if (page.loading) return;
+        
+        const offset = Math.max(0, page.offset + direction * this.getViewPageSize());
+        if (offset === page.offset || offset >= page.total) return;
+        
+        this.viewOffset = offset;
+        this.entryTooltip = null;
+    }
+    
+    /**
+     * Identifies the board, view and page on screen
+     */
+    getViewKey() {
+        return `${this.selectedDifficulty}|${this.selectedView}|${this.viewOffset}`;
+    }
+    
+    /**
+     * The page on screen: { entries, total, offset, playerRank, windowRank, loading }. Entries carry
+     * their rank; playerRank is the player's place on the whole board and windowRank in the view's
+     * window (the same for views without one), each { rank, total } or null.
+     * Starts loading a page the first time it's asked for, and keeps showing the old one while a
+     * changed board reloads.
+     */
+    getViewPage() {
+        const key = this.getViewKey();
+        const page = this.viewPage && this.viewPage.key === key ? this.viewPage : null;
+        const requested = this.viewRequest && this.viewRequest.key === key && this.viewRequest.version === this.viewVersion;
+        
+        if ((!page || page.version !== this.viewVersion) && !requested) {
+            this.loadView();
+        }
+        return page || {
+            key: key,
+            entries: [],
+            total: 0,
+            offset: this.viewOffset || 0,
+            playerRank: null,
+            windowRank: null,
+            loading: true
+        };
+    }
+    
+    /**
+     * Fetch the selected page along with the player's ranks - one read of the view's board, plus
+     * one of the whole board for the player's overall rank in 'week' and 'today'
+     */
+    async loadView() {
+        const request = { key: this.getViewKey(), version: this.viewVersion };
+        const difficulty = this.selectedDifficulty;
+        const view = this.selectedView;
+        const offset = this.viewOffset;
+        this.viewRequest = request;
+        
+        let page;
+        try {
+            const rankOf = this.getPlayerEntryIds(difficulty);
+            const query = { offset: offset, limit: this.getViewPageSize(view), rankOf: rankOf };
+            if (view === 'around') {
+                query.around = LEADERBOARD_VIEWS.AROUND_RANGE;
+            }
+            if (view === 'friends') {
+                query.playerIds = [...this.followedPlayers, ...rankOf];
+            }
+            
+            const result = await this.queryBoard(difficulty, view, query);
+            const playerRank = this.getViewSince(view) !== null
+                ? (await this.queryBoard(difficulty, 'top', { offset: 0, limit: 1, rankOf: rankOf })).rank
+                : result.rank;
+            page = { entries: result.entries, total: result.total, offset: result.offset, playerRank: playerRank, windowRank: result.rank };
+        } catch (error) {
+            console.warn(`Failed to load the ${view} view of the ${difficulty} leaderboard:`, error);
+            page = { entries: [], total: 0, offset: offset || 0, playerRank: null, windowRank: null, failed: true };
+        }
+        
+        // The player moved on to another board, view or page meanwhile
+        if (this.viewRequest !== request) return;
+        
+        this.viewRequest = null;
+        this.viewPage = { ...page, key: request.key, version: request.version, loading: false };
+    }
+    
+    /**
+     * One page of a view from the backend - 'week' and 'today' read their window board - or from
+     * the local lists in offline mode
+     * @param {Object} query - { offset, limit, playerIds, rankOf, around }
+     * @returns {Promise<Object>} - { entries, total, offset, rank }
+     */
+    async queryBoard(difficulty, view, query) {
+        if (this.isOnline && this.backend) {
+            const board = this.getBoardKey(difficulty);
+            return this.backend.queryEntries(LeaderboardBackend.getWindowBoard(board, view) || board, query);
+        }
+        return LeaderboardBackend.queryList(this.getLeaderboard(difficulty), { ...query, since: this.getViewSince(view) });
+    }
+    
+    /**
+     * Ids the player's entry on a board can go by: their player id and the entry they last submitted
+     */
+    getPlayerEntryIds(difficulty = this.selectedDifficulty) {
+        const ids = [this.getPlayerId()];
+        const entryId = this.playerEntries.get(difficulty);
+        if (entryId && entryId !== ids[0]) {
+            ids.push(entryId);
+        }
+        return ids;
+    }
+    
+    isPlayerEntry(entry, difficulty = this.selectedDifficulty) {
+        return this.getPlayerEntryIds(difficulty).some(id => entry.id === id || entry.playerId === id);
+    }
+    
+    /**
+     * Only keyed records have a player id to follow
+     */
+    canFollow(entry) {
+        return !!entry.playerId && !this.isPlayerEntry(entry);
+    }
+    
+    isFollowing(entry) {
+        return !!entry.playerId && this.followedPlayers.has(entry.playerId);
+    }
+    
+    /**
+     * Follow or unfollow the player behind an entry for the 'friends' view
+     * @returns {boolean} - Whether they're followed now
+     */
+    toggleFollow(entry) {
+        if (!this.canFollow(entry)) return false;
+        
+        if (this.followedPlayers.has(entry.playerId)) {
+            this.followedPlayers.delete(entry.playerId);
+            console.log(`👋 Unfollowed ${entry.name}`);
+        } else if (this.followedPlayers.size >= LEADERBOARD_VIEWS.MAX_FOLLOWED) {
+            console.warn(`⚠️ Already following ${LEADERBOARD_VIEWS.MAX_FOLLOWED} players`);
+            return false;
+        } else {
+            this.followedPlayers.add(entry.playerId);
+            console.log(`⭐ Following ${entry.name}`);
+        }
+        
+        this.saveFollowedPlayers();
+        this.viewVersion++;
+        return this.followedPlayers.has(entry.playerId);
+    }
+    
+    /**
+     * Get display info (name, emoji, color) for a board
+     * @param {string} difficulty - Difficulty key or DAILY_CHALLENGE.KEY
+     */
+    getBoardInfo(difficulty) {
+        return difficulty === DAILY_CHALLENGE.KEY ? DAILY_CHALLENGE : DIFFICULTY_LEVELS[difficulty];
+    }
+    
+    getBoardName(difficulty) {
+        const info = this.getBoardInfo(difficulty);
+        return info ? info.name : difficulty;
+    }
+    
+    /**
+     * Drop yesterday's Daily Run entries once the date rolls over
+     */
+    expireDailyBoard() {
+        const today = DailyChallengeSystem.getDateKey();
+        if (this.dailyBoardDateKey === today) return;
+        
+        this.dailyBoardDateKey = today;
+        this.leaderboards[DAILY_CHALLENGE.KEY] = this.leaderboards[DAILY_CHALLENGE.KEY]
+            .filter(entry => entry.dateKey === today);
+        
+        if (this.playerEntries.has(DAILY_CHALLENGE.KEY)) {
+            const entryId = this.playerEntries.get(DAILY_CHALLENGE.KEY);
+            if (!this.leaderboards[DAILY_CHALLENGE.KEY].some(entry => entry.id === entryId)) {
+                this.playerEntries.delete(DAILY_CHALLENGE.KEY);
+            }
+        }
+    }
+    
       /**
      * Refresh leaderboards (for live updates)
      */
     async refreshLeaderboards() {
         if (this.isOnline) {
-            await this.loadFirebaseLeaderboards();
+            await this.loadOnlineLeaderboards();
         }
     }
       /**
      * showLeaderboard function as specified in LeaderBoard.MD task 4
      * Shows the live leaderboard in the HTML container
-     * Task 5: Uses live updates with .on("value") instead of .once("value")
+     * Task 5: Uses live updates (backend subscription) instead of a single read
      */
     showLeaderboard(difficulty = this.selectedDifficulty, enableLiveUpdates = true) {
-        if (!this.isOnline || !this.firebaseDatabase) {
-            console.log('Firebase not available, showing offline leaderboard');
+        if (!this.isOnline || !this.backend) {
+            console.log('Leaderboard backend not available, showing offline leaderboard');
             this.showOfflineLeaderboard(difficulty);
             return;
         }
         
-        const scoresRef = this.firebaseDatabase.ref(`leaderboard/${difficulty}`);
+        const board = this.getBoardKey(difficulty);
         
-        // Task 5: Use .on("value") for live updates instead of .once("value")
-        const listener = enableLiveUpdates ? 'on' : 'once';
-        
-        scoresRef.orderByChild("score").limitToLast(5)[listener]("value", (snapshot) => {
-            const data = [];
-            snapshot.forEach((childSnapshot) => {
-                data.push(childSnapshot.val());
-            });
-
-            data.reverse(); // Show highest scores first
-
+        const renderEntries = (data) => {
             const leaderboardElement = document.getElementById("leaderboard");
             if (!leaderboardElement) {
                 console.warn('Leaderboard element not found in DOM');
@@ -294,7 +598,7 @@ export class LeaderboardSystem {
                 li.style.textAlign = "center";
                 li.style.color = "#7d8590";
                 li.style.padding = "10px";
-                li.textContent = `No scores yet for ${DIFFICULTY_LEVELS[difficulty].name} difficulty`;
+                li.textContent = `No scores yet for ${this.getBoardName(difficulty)} difficulty`;
                 leaderboardElement.appendChild(li);
                 return;
             }
@@ -323,15 +627,21 @@ export class LeaderboardSystem {
             if (containerElement) {
                 containerElement.style.display = "block";
             }
-        });
+        };
         
-        // Store the listener reference for cleanup
-        if (enableLiveUpdates) {
-            this.currentLeaderboardListener = {
-                ref: scoresRef.orderByChild("score").limitToLast(5),
-                difficulty: difficulty
-            };
+        if (!enableLiveUpdates) {
+            this.backend.getTopEntries(board, 5)
+                .then(renderEntries)
+                .catch(error => console.warn('Failed to load leaderboard:', error));
+            return;
         }
+        
+        // Task 5: Live updates - store the unsubscribe function for cleanup
+        this.stopLiveLeaderboardUpdates();
+        this.currentLeaderboardListener = {
+            unsubscribe: this.backend.subscribeTopEntries(board, 5, renderEntries),
+            difficulty: difficulty
+        };
     }
     
     /**
@@ -339,7 +649,7 @@ export class LeaderboardSystem {
      */
     stopLiveLeaderboardUpdates() {
         if (this.currentLeaderboardListener) {
-            this.currentLeaderboardListener.ref.off("value");
+            this.currentLeaderboardListener.unsubscribe();
             this.currentLeaderboardListener = null;
         }
     }
@@ -363,7 +673,7 @@ export class LeaderboardSystem {
             li.style.textAlign = "center";
             li.style.color = "#7d8590";
             li.style.padding = "10px";
-            li.textContent = `No offline scores for ${DIFFICULTY_LEVELS[difficulty].name} difficulty`;
+            li.textContent = `No offline scores for ${this.getBoardName(difficulty)} difficulty`;
             leaderboardElement.appendChild(li);
         } else {
             entries.forEach((entry, index) => {
@@ -403,15 +713,16 @@ export class LeaderboardSystem {
      * @param {number} score - The player's final score
      * @param {string} difficulty - The difficulty level
      * @param {number} startTime - Game start timestamp
+     * @param {number} [simulationTime] - Simulated run length in ms; preferred so pauses and frame rate don't count
      */
-    prepareScoreUpload(score, difficulty, startTime) {
+    prepareScoreUpload(score, difficulty, startTime, simulationTime = null) {
         if (!score || !difficulty || !startTime) {
             console.warn('Invalid parameters for prepareScoreUpload:', { score, difficulty, startTime });
             return false;
         }
 
         // Calculate survival time in seconds
-        const survivalTime = Math.floor((Date.now() - startTime) / 1000);
+        const survivalTime = Math.floor((simulationTime ?? (Date.now() - startTime)) / 1000);
         
         console.log(`🎯 Preparing score upload: ${score} in ${difficulty} mode (${survivalTime}s)`);
         
@@ -471,7 +782,7 @@ export class LeaderboardSystem {
               if (success) {
                 this.setUploadResult({
                     success: true,
-                    message: `Score ${score} automatically uploaded to ${DIFFICULTY_LEVELS[difficulty].name} leaderboard!`
+                    message: `Score ${score} automatically uploaded to ${this.getBoardName(difficulty)} leaderboard!`
                 });
                 console.log(`✅ Auto-submission successful: ${score} for ${playerName}`);
                 
@@ -516,7 +827,7 @@ export class LeaderboardSystem {
         // Show upload result as guidance
         this.uploadResult = {
             success: false,
-            message: `Great score of ${score}! Enter your name to join the ${DIFFICULTY_LEVELS[difficulty].name} leaderboard.`
+            message: `Great score of ${score}! Enter your name to join the ${this.getBoardName(difficulty)} leaderboard.`
         };
         
         return true;
@@ -615,16 +926,16 @@ export class LeaderboardSystem {
         for (const difficulty of difficulties) {
             if (difficulty === currentDifficulty) continue;
             
-            // Check Firebase first if online
-            if (this.isOnline && this.firebaseDatabase) {
+            // Check the online board first if online
+            if (this.isOnline && this.backend) {
                 try {
-                    const hasEntry = await this.checkPlayerEntryInFirebase(difficulty, playerName);
+                    const hasEntry = await this.checkPlayerEntryOnline(difficulty, playerName);
                     if (hasEntry) {
-                        console.log(`🔍 Found duplicate name "${playerName}" in ${difficulty} Firebase leaderboard`);
+                        console.log(`🔍 Found duplicate name "${playerName}" in ${difficulty} online leaderboard`);
                         return true;
                     }
                 } catch (error) {
-                    console.warn(`Error checking Firebase for duplicates in ${difficulty}:`, error);
+                    console.warn(`Error checking online leaderboard for duplicates in ${difficulty}:`, error);
                 }
             }
             
@@ -678,7 +989,7 @@ export class LeaderboardSystem {
         return true;
     }
       /**
-     * Submit score to leaderboard (Firebase or offline)
+     * Submit score to leaderboard (online or offline)
      */
     async submitScoreFromUpload(playerName) {
         if (!this.currentUpload || !playerName.trim()) {
@@ -716,7 +1027,7 @@ export class LeaderboardSystem {
               if (success) {
                 this.uploadResult = {
                     success: true,
-                    message: `Score uploaded successfully to ${DIFFICULTY_LEVELS[difficulty].name} leaderboard!`
+                    message: `Score uploaded successfully to ${this.getBoardName(difficulty)} leaderboard!`
                 };
                 
                 this.currentUpload = null;
@@ -769,6 +1080,9 @@ export class LeaderboardSystem {
             timestamp: Date.now(),
             id: this.generateId()
         };
+        if (difficulty === DAILY_CHALLENGE.KEY) {
+            entry.dateKey = DailyChallengeSystem.getDateKey();
+        }
         
         // Add to leaderboard
         this.leaderboards[difficulty].push(entry);
@@ -819,6 +1133,9 @@ export class LeaderboardSystem {
      * Get leaderboard for specific difficulty
      */
     getLeaderboard(difficulty) {
+        if (difficulty === DAILY_CHALLENGE.KEY) {
+            this.expireDailyBoard();
+        }
         return this.leaderboards[difficulty] || [];
     }
     
@@ -826,15 +1143,28 @@ export class LeaderboardSystem {
      * Navigate between difficulties in leaderboard view
      */
     navigateUp() {
-        const difficulties = Object.keys(DIFFICULTY_LEVELS);
+        const difficulties = this.getDifficultyTabs();
         const currentIndex = difficulties.indexOf(this.selectedDifficulty);
         this.selectedDifficulty = difficulties[Math.max(0, currentIndex - 1)];
+        this.resetView();
     }
     
     navigateDown() {
-        const difficulties = Object.keys(DIFFICULTY_LEVELS);
+        const difficulties = this.getDifficultyTabs();
         const currentIndex = difficulties.indexOf(this.selectedDifficulty);
         this.selectedDifficulty = difficulties[Math.min(difficulties.length - 1, currentIndex + 1)];
+        this.resetView();
+    }
+    
+    /**
+     * Back to the first page after switching boards, keeping the view if the board has it
+     */
+    resetView() {
+        this.viewOffset = null;
+        this.entryTooltip = null;
+        if (!this.getViewTabs().includes(this.selectedView)) {
+            this.selectedView = 'top';
+        }
     }
     
     /**
@@ -868,6 +1198,7 @@ export class LeaderboardSystem {
      * Save leaderboards to localStorage (offline mode)
      */
     saveLeaderboards() {
+        this.viewVersion++;
         try {
             localStorage.setItem('coderunner_leaderboards', JSON.stringify(this.leaderboards));
         } catch (error) {
@@ -891,6 +1222,11 @@ export class LeaderboardSystem {
             }        } catch (error) {
             console.warn('Failed to load leaderboards:', error);
         }
+        
+        // Saved Daily Run entries may belong to an earlier day
+        this.dailyBoardDateKey = null;
+        this.expireDailyBoard();
+        this.viewVersion++;
           // Update Game's bestScores after loading offline leaderboards
         if (this.gameInstance) {
             this.updateGameBestScores(this.gameInstance);
@@ -1101,6 +1437,71 @@ export class LeaderboardSystem {
     hasPlayerEntryInCurrentDifficulty() {
         return this.playerEntries.has(this.selectedDifficulty);
     }
+    
+    /**
+     * Delete key from the leaderboard screen
+     */
+    handleDeleteEntry() {
+        if (this.isUploading || this.showUploadPrompt) return;
+        
+        this.deletePlayerEntry().catch(error => {
+            console.error('❌ Failed to delete leaderboard entry:', error);
+        });
+    }
+    
+    /**
+     * Delete player's entry from the selected board (online too when connected)
+     */
+    async deletePlayerEntry() {
+        const difficulty = this.selectedDifficulty;
+        const entryId = this.playerEntries.get(difficulty);
+        
+        if (!entryId) {
+            return false;
+        }
+        
+        if (this.isOnline && this.backend) {
+            try {
+                const board = this.getBoardKey(difficulty);
+                await this.backend.deleteEntry(board, entryId);
+                // The record may be the player's best of the week and day too
+                for (const windowBoard of LeaderboardBackend.getWindowBoards(board)) {
+                    await this.backend.deleteEntry(windowBoard, entryId).catch(error => {
+                        if (error.status !== 404) throw error;
+                    });
+                }
+            } catch (error) {
+                console.error('❌ Online delete error:', error);
+                this.setUploadResult({
+                    success: false,
+                    message: 'Could not delete your entry - try again when online.'
+                });
+                return false;
+            }
+        }
+        
+        // Remove from leaderboard
+        this.leaderboards[difficulty] = this.leaderboards[difficulty].filter(entry => entry.id !== entryId);
+        
+        // Remove from player entries and allow re-upload
+        this.playerEntries.delete(difficulty);
+        this.uploadedDifficulties.delete(difficulty);
+        
+        // Save changes
+        this.saveLeaderboards();
+        this.saveUploadHistory();
+        this.savePlayerEntries();
+        
+        this.setUploadResult({
+            success: true,
+            message: `Your ${this.getBoardName(difficulty)} entry has been deleted.`
+        });
+        
+        if (this.isOnline) {
+            await this.loadOnlineLeaderboards();
+        }
+        return true;
+    }
       /**
      * Update player name (for name change functionality)
      */
@@ -1162,7 +1563,7 @@ export class LeaderboardSystem {
 
         // Periodically check connectivity (every 30 seconds when online)
         setInterval(async () => {
-            if (this.isOnline && this.firebaseDatabase) {
+            if (this.isOnline && this.backend) {
                 const hasConnection = await this.checkNetworkConnectivity();
                 if (!hasConnection) {
                     this.handleNetworkStatusChange(false);
@@ -1175,13 +1576,13 @@ export class LeaderboardSystem {
      * Handle network status changes
      */
     async handleNetworkStatusChange(isConnected) {
-        if (isConnected && this.firebaseDatabase) {
+        if (isConnected && this.backend) {
             // Try to verify actual connectivity
             const hasConnection = await this.checkNetworkConnectivity();
             this.isOnline = hasConnection;            if (hasConnection) {
                 console.log('🌐 Switched to online mode');
                 // Refresh leaderboards when coming back online
-                await this.loadFirebaseLeaderboards();
+                await this.loadOnlineLeaderboards();
                   // Update Game's bestScores after switching back online
                 if (this.gameInstance) {
                     this.updateGameBestScores(this.gameInstance);
@@ -1273,54 +1674,124 @@ export class LeaderboardSystem {
     }
     
     /**
-     * Check if player has an entry in Firebase for the specified difficulty
+     * Check if player has an entry online for the specified difficulty
      * @param {string} difficulty - The difficulty level
      * @param {string} playerName - The player name
      * @returns {Promise<boolean>} - Whether the player has an entry
      */
-    async checkPlayerEntryInFirebase(difficulty, playerName) {
+    async checkPlayerEntryOnline(difficulty, playerName) {
         try {
-            if (!this.firebaseDatabase) return false;
+            if (!this.backend) return false;
             
-            const scoresRef = this.firebaseDatabase.ref(`leaderboard/${difficulty}`);
-            const snapshot = await scoresRef.orderByChild('name').equalTo(playerName).once('value');
-            
-            return snapshot.exists();
+            const entries = await this.backend.getEntriesByName(this.getBoardKey(difficulty), playerName);
+            return entries.length > 0;
         } catch (error) {
-            console.error('Error checking player entry in Firebase:', error);
+            console.error('Error checking player entry online:', error);
             return false;
         }
     }
     
     /**
-     * Get player's highest score from Firebase for the specified difficulty
+     * Find one of the player's entries online
      * @param {string} difficulty - The difficulty level
      * @param {string} playerName - The player name
-     * @returns {Promise<number|null>} - The player's highest score, or null if not found
+     * @param {string} entryId - Id of the entry
+     * @returns {Promise<Object|null>} - The entry, or null if it's gone
      */
-    async getPlayerScoreFromFirebase(difficulty, playerName) {
+    async getPlayerEntryOnline(difficulty, playerName, entryId) {
         try {
-            if (!this.firebaseDatabase) return null;
-            
-            const scoresRef = this.firebaseDatabase.ref(`leaderboard/${difficulty}`);
-            const snapshot = await scoresRef.orderByChild('name').equalTo(playerName).once('value');
+            if (!this.backend) return null;
             
-            if (!snapshot.exists()) return null;
-            
-            let highestScore = 0;
-            snapshot.forEach(childSnapshot => {
-                const entry = childSnapshot.val();
-                if (entry.score > highestScore) {
-                    highestScore = entry.score;
-                }
-            });
-            
-            return highestScore;
+            const entries = await this.backend.getEntriesByName(this.getBoardKey(difficulty), playerName);
+            return entries.find(entry => entry.id === entryId) || null;
         } catch (error) {
-            console.error('Error getting player score from Firebase:', error);
+            console.error('Error getting player entry online:', error);
             return null;
         }
     }
+    
+    /**
+     * Key of the player's record on every board: the account uid when logged in, otherwise a
+     * guest id generated once and kept in localStorage
+     */
+    getPlayerId() {
+        const userProfile = this.gameInstance ? this.gameInstance.userProfileSystem : null;
+        if (userProfile && userProfile.isLoggedIn && userProfile.currentUser) {
+            return userProfile.currentUser.uid;
+        }
+        
+        if (!this.guestId) {
+            try {
+                this.guestId = localStorage.getItem('coderunner_guest_id');
+            } catch (error) {
+                console.warn('Failed to load guest id:', error);
+            }
+        }
+        if (!this.guestId) {
+            const random = typeof crypto !== 'undefined' && crypto.randomUUID
+                ? crypto.randomUUID()
+                : `${Date.now().toString(36)}-${Math.random().toString(36).slice(2)}`;
+            this.guestId = `guest-${random}`;
+            try {
+                localStorage.setItem('coderunner_guest_id', this.guestId);
+            } catch (error) {
+                console.warn('Failed to save guest id:', error);
+            }
+        }
+        return this.guestId;
+    }
+    
+    /**
+     * Secret the REST server ties to a player id on its first write - made once per id and kept in
+     * localStorage (and the cloud save, so the account's other devices send the same one)
+     */
+    getPlayerToken(playerId) {
+        if (!this.playerTokens[playerId]) {
+            const token = typeof crypto !== 'undefined' && crypto.randomUUID
+                ? crypto.randomUUID()
+                : `${Date.now().toString(36)}-${Math.random().toString(36).slice(2)}-${Math.random().toString(36).slice(2)}`;
+            this.playerTokens[playerId] = { token: token, acceptedAt: null };
+            this.savePlayerTokens();
+        }
+        return this.playerTokens[playerId].token;
+    }
+    
+    /**
+     * Note when the server first took a write with the player's token - the cloud save merge keeps
+     * accepted tokens over ones the server hasn't seen (CloudSaveSystem.mergePlayerTokens)
+     */
+    markPlayerTokenAccepted(playerId) {
+        const playerToken = this.playerTokens[playerId];
+        if (playerToken && !playerToken.acceptedAt) {
+            playerToken.acceptedAt = Date.now();
+            this.savePlayerTokens();
+        }
+    }
+    
+    /**
+     * Save player tokens to localStorage
+     */
+    savePlayerTokens() {
+        try {
+            localStorage.setItem('coderunner_player_tokens', JSON.stringify(this.playerTokens));
+        } catch (error) {
+            console.warn('Failed to save player tokens:', error);
+        }
+    }
+    
+    /**
+     * Load player tokens from localStorage
+     */
+    loadPlayerTokens() {
+        try {
+            const saved = localStorage.getItem('coderunner_player_tokens');
+            if (saved) {
+                this.playerTokens = JSON.parse(saved);
+            }
+        } catch (error) {
+            console.warn('Failed to load player tokens:', error);
+        }
+    }
     /**
      * Get the best score for a specific difficulty
      * @param {string} difficulty - The difficulty level
@@ -1366,7 +1837,7 @@ export class LeaderboardSystem {
      * Get all difficulty tabs
      */
     getDifficultyTabs() {
-        return Object.keys(DIFFICULTY_LEVELS);
+        return [...Object.keys(DIFFICULTY_LEVELS), DAILY_CHALLENGE.KEY];
     }
 
     /**
@@ -1380,8 +1851,9 @@ export class LeaderboardSystem {
      * Select a tab for difficulty
      */
     selectTab(difficulty) {
-        if (DIFFICULTY_LEVELS[difficulty]) {
+        if (this.getBoardInfo(difficulty)) {
             this.selectedDifficulty = difficulty;
+            this.resetView();
             // Refresh leaderboards when switching tabs (for live updates)
             if (this.isOnline) {
                 this.refreshLeaderboards();
@@ -1393,8 +1865,9 @@ export class LeaderboardSystem {
      * Select a tab with smooth animation effect
      */
     selectTabWithAnimation(difficulty) {
-        if (DIFFICULTY_LEVELS[difficulty] && this.selectedDifficulty !== difficulty) {
+        if (this.getBoardInfo(difficulty) && this.selectedDifficulty !== difficulty) {
             this.selectedDifficulty = difficulty;
+            this.resetView();
             
             // Add a subtle animation effect
             this.tabSwitchAnimation = {
@@ -1414,47 +1887,74 @@ export class LeaderboardSystem {
     }
     
     /**
-     * Handle clicks on leaderboard entries for additional info
+     * Handle clicks on the view tabs, pager, entries and the tooltip's follow button, using the hit
+     * areas GameDialogs.drawLeaderboard left. Clicking anywhere else closes the tooltip.
      */
     handleLeaderboardEntryClick(x, y) {
-        // Get the current leaderboard entries
-        const entries = this.getLeaderboard(this.selectedDifficulty);
-        const tableWidth = 600;
-        const tableX = (this.gameInstance?.canvas?.width || 800) / 2 - tableWidth / 2;
-        let tableY = 170 + 30; // Start after header
-        
-        entries.forEach((entry, index) => {
-            const entryY = tableY + (index * 40);
-            
-            // Check if click is within this entry's row
-            if (x >= tableX - 20 && x <= tableX + tableWidth && 
-                y >= entryY - 20 && y <= entryY + 20) {
-                
-                // Show detailed info tooltip for the entry
-                this.showEntryTooltip(entry, index, x, y);
-                return;
-            }
-        });
+        // Last drawn is on top
+        const area = [...this.hitAreas].reverse().find(hitArea =>
+            x >= hitArea.x && x <= hitArea.x + hitArea.width &&
+            y >= hitArea.y && y <= hitArea.y + hitArea.height
+        );
+        
+        if (!area) {
+            this.entryTooltip = null;
+            return;
+        }
+        
+        switch (area.action) {
+            case 'view':
+                this.selectView(area.view);
+                break;
+            case 'page':
+                this.changePage(area.direction);
+                break;
+            case 'follow':
+                this.toggleFollow(area.entry);
+                break;
+            case 'entry':
+                this.showEntryTooltip(area.entry, x, y);
+                break;
+            // 'tooltip': clicks inside it leave it open
+        }
     }
     
     /**
      * Show tooltip with detailed entry information
      */
-    showEntryTooltip(entry, rank, x, y) {
+    showEntryTooltip(entry, x, y) {
         this.entryTooltip = {
             entry: entry,
-            rank: rank + 1,
+            rank: entry.rank,
             x: x,
             y: y,
             timestamp: Date.now()
         };
-        
-        // Auto-hide tooltip after 3 seconds
-        setTimeout(() => {
-            if (this.entryTooltip && this.entryTooltip.timestamp === Date.now()) {
-                this.entryTooltip = null;
+    }
+    
+    /**
+     * Save followed player ids to localStorage
+     */
+    saveFollowedPlayers() {
+        try {
+            localStorage.setItem('coderunner_followed_players', JSON.stringify([...this.followedPlayers]));
+        } catch (error) {
+            console.warn('Failed to save followed players:', error);
+        }
+    }
+    
+    /**
+     * Load followed player ids from localStorage
+     */
+    loadFollowedPlayers() {
+        try {
+            const saved = localStorage.getItem('coderunner_followed_players');
+            if (saved) {
+                this.followedPlayers = new Set(JSON.parse(saved));
             }
-        }, 3000);
+        } catch (error) {
+            console.warn('Failed to load followed players:', error);
+        }
     }
     
     /**
@@ -1600,8 +2100,10 @@ export class LeaderboardSystem {
             }
         }
         
-        // Handle leaderboard entry clicks for additional info
-        this.handleLeaderboardEntryClick(x, y);
+        // Handle view, pager and entry clicks (the upload prompt covers them)
+        if (!this.showUploadPrompt) {
+            this.handleLeaderboardEntryClick(x, y);
+        }
     }
     
     /**
@@ -113,7 +113,8 @@ export class LifeBoxSystem {
             const tile = this.game.world.getTileAt(tileX, tileY);
             
             // Check if this is a solid tile (floor or platform)
-            if (tile === TILE_TYPES.FLOOR || tile === TILE_TYPES.PLATFORM) {
+            if (tile === TILE_TYPES.FLOOR || tile === TILE_TYPES.PLATFORM ||
+                tile === TILE_TYPES.CONVEYOR_LEFT || tile === TILE_TYPES.CONVEYOR_RIGHT) {
                 return tileY * GAME_CONFIG.TILE_SIZE; // Convert tile coordinate to pixel coordinate
             }
         }
@@ -128,7 +129,8 @@ export class LifeBoxSystem {
                         const tile = this.game.world.getTileAt(checkX, tileY);
                         
                         // Check if this is a solid tile (floor or platform)
-                        if (tile === TILE_TYPES.FLOOR || tile === TILE_TYPES.PLATFORM) {
+                        if (tile === TILE_TYPES.FLOOR || tile === TILE_TYPES.PLATFORM ||
+                            tile === TILE_TYPES.CONVEYOR_LEFT || tile === TILE_TYPES.CONVEYOR_RIGHT) {
                             const groundY = tileY * GAME_CONFIG.TILE_SIZE;
                             console.log(`❤️ Found ground at nearby tile offset ${direction * offset}: groundY=${groundY}`);
                             return groundY;
@@ -205,7 +207,7 @@ export class LifeBoxSystem {
     }
     
     renderLifeBox(ctx, lifeBox) {
-        const camera = this.game.camera || { x: 0, y: 0 };
+        const camera = this.game.getCameraPosition ? this.game.getCameraPosition() : { x: 0, y: 0 }; // Interpolated, same as the world
         
         // Calculate floating animation
         const floatOffset = Math.sin(lifeBox.animationTime * this.floatSpeed) * this.floatAmount;
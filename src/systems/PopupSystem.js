@@ -2,6 +2,8 @@
  * PopupSystem - Handle modal dialogs and popups for the game
  */
 
+import { t } from './LanguageSystem.js';
+
 export class PopupSystem {
     constructor(canvas, ctx) {
         this.canvas = canvas;
@@ -26,10 +28,10 @@ export class PopupSystem {
      * Show a loading popup
      * @param {string} message - The loading message to display
      */
-    showLoadingPopup(message = "Loading...") {
+    showLoadingPopup(message = t('popup.loading')) {
         const popup = {
             type: 'loading',
-            title: 'Loading',
+            title: t('popup.loadingTitle'),
             message: message,
             icon: '💾',
             buttons: [],
@@ -54,7 +56,7 @@ export class PopupSystem {
             icon: '✓',
             buttons: [
                 {
-                    text: 'OK',
+                    text: t('popup.ok'),
                     action: onOk || (() => this.closePopup()),
                     color: '#56d364',
                     hoverColor: '#46c358'
@@ -81,7 +83,7 @@ export class PopupSystem {
             icon: '⚠',
             buttons: [
                 {
-                    text: 'OK',
+                    text: t('popup.ok'),
                     action: onOk || (() => this.closePopup()),
                     color: '#f85149',
                     hoverColor: '#e74c3c'
@@ -334,16 +336,18 @@ export class PopupSystem {
         const buttons = this.activePopup.buttons;
         const buttonHeight = 35;
         const buttonSpacing = 10;
-        const totalButtonWidth = buttons.length * 80 + (buttons.length - 1) * buttonSpacing;
+        // Buttons are 80px unless they set a width for longer labels
+        const buttonWidths = buttons.map(button => button.width || 80);
+        const totalButtonWidth = buttonWidths.reduce((sum, width) => sum + width, 0) + (buttons.length - 1) * buttonSpacing;
         const buttonStartX = popupX + (popupWidth - totalButtonWidth) / 2;
         const buttonY = popupY + popupHeight - 50;
         
         // Reset button click areas
         this.buttonClickArea = [];
         
+        let buttonX = buttonStartX;
         buttons.forEach((button, index) => {
-            const buttonX = buttonStartX + index * (80 + buttonSpacing);
-            const buttonWidth = 80;
+            const buttonWidth = buttonWidths[index];
             
             // Store click area
             this.buttonClickArea.push({
@@ -373,6 +377,8 @@ export class PopupSystem {
             ctx.font = 'bold 14px Courier New';
             ctx.textAlign = 'center';
             ctx.fillText(button.text, buttonX + buttonWidth / 2, buttonY + buttonHeight / 2 + 5);
+            
+            buttonX += buttonWidth + buttonSpacing;
         });
     }
     
@@ -499,7 +505,7 @@ export class PopupSystem {
     createPopup(config) {
         const popup = {
             type: config.type || 'info',
-            title: config.title || 'Info',
+            title: config.title || t('popup.info'),
             message: config.message || '',
             icon: this.getIconForType(config.type),
             buttons: config.buttons || [],
@@ -3,6 +3,7 @@
  */
 
 import { GAME_CONFIG, TILE_TYPES } from '../utils/constants.js';
+import { SeededRandom } from '../utils/SeededRandom.js';
 
 export class PowerUpSystem {
     constructor(game) {
@@ -17,6 +18,8 @@ export class PowerUpSystem {
         this.spawnInterval = 50; // Check every 50m instead of 30m (less frequent)
         this.baseSpawnChance = 0.15; // Reduced from 25% to 15% base chance
         this.guaranteedSpawnInterval = 400; // Guaranteed spawn every 400m (changed from 750m)
+        this.rng = this.createSpawnRandom(); // Spawn rolls follow the world seed so replays match
+        this.quantumDash = null; // Running quantum dash, timed in simulation steps so replays match
           // UI notification system
         this.powerUpNotifications = []; // Active notifications
         this.maxNotifications = 3; // Maximum simultaneous notifications
@@ -79,7 +82,7 @@ export class PowerUpSystem {
         
         // Check with shop system which powerups are unlocked
         if (this.game.shopSystem) {
-            const ownedUpgrades = this.game.shopSystem.ownedUpgrades;
+            const ownedUpgrades = new Set(this.game.shopSystem.getActiveUpgrades());
             
             // Clear and reload unlocked powerups
             this.unlockedPowerUps.clear();
@@ -106,6 +109,13 @@ export class PowerUpSystem {
         }
     }
 
+    /**
+     * Create the spawn roll generator for the current run's world seed
+     */
+    createSpawnRandom() {
+        return new SeededRandom(SeededRandom.normalizeSeed(`${this.game.worldSeed}-powerups`));
+    }
+
     // Method to refresh unlocked powerups (call this when player buys new powerups)
     refreshUnlockedPowerUps() {
         this.loadUnlockedPowerUps();
@@ -131,6 +141,39 @@ export class PowerUpSystem {
         this.checkForNewSpawns();
     }
 
+    /**
+     * Advance a running quantum dash by one step. Gameplay is frozen while it runs.
+     * @param {number} deltaTime - Step length in milliseconds
+     * @returns {boolean} - True while the dash holds gameplay still
+     */
+    updateQuantumDash(deltaTime) {
+        if (!this.quantumDash) return false;
+        
+        const dash = this.quantumDash;
+        const player = this.game.player;
+        dash.freezeTime -= deltaTime;
+        
+        if (dash.teleportTime > 0) {
+            dash.teleportTime -= deltaTime;
+            if (dash.teleportTime <= 0 && player) {
+                player.x = dash.x;
+                player.y = dash.y;
+            }
+        }
+        
+        if (player && player.quantumDashActive) {
+            player.quantumDashTime -= deltaTime;
+            if (player.quantumDashTime <= 0) {
+                player.quantumDashActive = false;
+            }
+        }
+        
+        if (dash.freezeTime <= 0) {
+            this.quantumDash = null;
+        }
+        return true;
+    }
+
     updateNotifications(deltaTime) {
         for (let i = this.powerUpNotifications.length - 1; i >= 0; i--) {
             const notification = this.powerUpNotifications[i];
@@ -260,7 +303,7 @@ export class PowerUpSystem {
             console.log(`🎲 Random spawn chance: ${(spawnChance * 100).toFixed(0)}%`);
             
             // Roll for random powerup spawn
-            if (Math.random() < spawnChance) {
+            if (this.rng.next() < spawnChance) {
                 console.log(`✅ Random powerup spawn chance succeeded!`);
                 this.lastActualSpawnDistance = currentMeter; // Update last spawn distance
                 this.hadRandomSpawnSinceLastGuaranteed = true; // Mark that we had a random spawn
@@ -312,18 +355,18 @@ export class PowerUpSystem {
             const varietyPowerUps = availablePowerUps.filter(p => p.id !== this.lastSpawnedPowerUpId);
             
             if (varietyPowerUps.length > 0) {
-                const randomIndex = Math.floor(Math.random() * varietyPowerUps.length);
+                const randomIndex = Math.floor(this.rng.next() * varietyPowerUps.length);
                 chosenPowerUp = varietyPowerUps[randomIndex];
                 console.log(`🔄 Variety selection: avoiding ${this.lastSpawnedPowerUpId}, chose ${chosenPowerUp.name}`);
             } else {
                 // Fallback to normal selection if all powerups are filtered out
-                const randomIndex = Math.floor(Math.random() * availablePowerUps.length);
+                const randomIndex = Math.floor(this.rng.next() * availablePowerUps.length);
                 chosenPowerUp = availablePowerUps[randomIndex];
                 console.log(`🎯 Normal selection: ${chosenPowerUp.name}`);
             }
         } else {
             // Normal random selection
-            const randomIndex = Math.floor(Math.random() * availablePowerUps.length);
+            const randomIndex = Math.floor(this.rng.next() * availablePowerUps.length);
             chosenPowerUp = availablePowerUps[randomIndex];
             console.log(`🎯 Random selection: index ${randomIndex} of ${availablePowerUps.length} = ${chosenPowerUp.name}`);
         }
@@ -354,7 +397,7 @@ export class PowerUpSystem {
         const availablePowerUps = Array.from(this.unlockedPowerUps)
             .map(id => this.powerUpDefinitions[id])
             .filter(def => {
-                const spawns = Math.random() < def.rarity;
+                const spawns = this.rng.next() < def.rarity;
                 console.log(`   ${def.name}: ${(def.rarity * 100).toFixed(1)}% chance - ${spawns ? '✅ SUCCESS' : '❌ failed'}`);
                 return spawns;
             });
@@ -365,7 +408,7 @@ export class PowerUpSystem {
         }
         
         // Pick random powerup from available ones
-        const chosenPowerUp = availablePowerUps[Math.floor(Math.random() * availablePowerUps.length)];
+        const chosenPowerUp = availablePowerUps[Math.floor(this.rng.next() * availablePowerUps.length)];
         console.log(`🎯 Random spawn: ${chosenPowerUp.name}`);
         this.spawnPowerUp(chosenPowerUp);
     }
@@ -388,7 +431,7 @@ export class PowerUpSystem {
         const availablePowerUps = Array.from(this.unlockedPowerUps)
             .map(id => this.powerUpDefinitions[id])
             .filter(def => {
-                const spawns = Math.random() < def.rarity;
+                const spawns = this.rng.next() < def.rarity;
                 console.log(`   ${def.name}: ${(def.rarity * 100).toFixed(1)}% chance - ${spawns ? '✅ SUCCESS' : '❌ failed'}`);
                 return spawns;
             });
@@ -399,7 +442,7 @@ export class PowerUpSystem {
         }
         
         // Pick random powerup from available ones
-        const chosenPowerUp = availablePowerUps[Math.floor(Math.random() * availablePowerUps.length)];
+        const chosenPowerUp = availablePowerUps[Math.floor(this.rng.next() * availablePowerUps.length)];
         console.log(`🎯 Spawning: ${chosenPowerUp.name}`);
         this.spawnPowerUp(chosenPowerUp);
     }
@@ -492,6 +535,8 @@ export class PowerUpSystem {
             const isSolidTile = (
                 tile === TILE_TYPES.FLOOR || 
                 tile === TILE_TYPES.PLATFORM ||
+                tile === TILE_TYPES.CONVEYOR_LEFT ||
+                tile === TILE_TYPES.CONVEYOR_RIGHT ||
                 tile === TILE_TYPES.STONE ||
                 tile === TILE_TYPES.METAL ||
                 tile === TILE_TYPES.BRICK
@@ -516,6 +561,8 @@ export class PowerUpSystem {
                     const isSolidTile = (
                         tile === TILE_TYPES.FLOOR || 
                         tile === TILE_TYPES.PLATFORM ||
+                        tile === TILE_TYPES.CONVEYOR_LEFT ||
+                        tile === TILE_TYPES.CONVEYOR_RIGHT ||
                         tile === TILE_TYPES.STONE ||
                         tile === TILE_TYPES.METAL ||
                         tile === TILE_TYPES.BRICK
@@ -626,6 +673,8 @@ export class PowerUpSystem {
         
         const teleportDistance = 200; // Increased distance for more impact
         const dashDuration = 800; // Duration of invulnerability and effects
+        const freezeDuration = 1200; // Gameplay holds still for the whole animation
+        const teleportDelay = 500; // Teleport during the animation
         
         // Store original position for animation
         const startX = this.game.player.x;
@@ -640,26 +689,20 @@ export class PowerUpSystem {
         this.game.player.quantumDashTime = dashDuration;
         this.game.player.quantumDashActive = true;
         
-        // Start the cool animation with game pause
+        // The freeze, teleport and invulnerability count down in updateQuantumDash, so the
+        // run verifier (which has no animation) steps through the dash the same way
+        this.quantumDash = {
+            freezeTime: freezeDuration,
+            teleportTime: teleportDelay,
+            x: newX,
+            y: newY
+        };
+        
+        // Start the cool animation
         if (this.game.quantumDashAnimation) {
             this.game.quantumDashAnimation.startAnimation(startX, startY, newX, newY);
         }
         
-        // Teleport player after a short delay (during animation)
-        setTimeout(() => {
-            if (this.game.player) {
-                this.game.player.x = newX;
-                this.game.player.y = newY;
-            }
-        }, 500); // Teleport during the animation
-        
-        // Remove quantum dash state after duration
-        setTimeout(() => {
-            if (this.game.player) {
-                this.game.player.quantumDashActive = false;
-            }
-        }, dashDuration);
-        
         console.log('⚡ Quantum Dash activated - teleported forward with invulnerability and cool animation!');
     }    activateFirewallShield(definition) {
         // Add shield that absorbs one hit and lasts 30 seconds
@@ -805,7 +848,7 @@ export class PowerUpSystem {
             const shield = this.activePowerUps.get('firewallShield');
             
             // Prevent multiple damage calls within same frame/short time window
-            const now = Date.now();
+            const now = this.game.getSimulationTime();
             if (shield.lastDamageTime && (now - shield.lastDamageTime) < 100) {
                 console.log('🔄 Shield blocked duplicate damage call');
                 return { absorbed: true, grantInvulnerability: false }; // Still block damage during cooldown, but don't grant more i-frames
@@ -1515,6 +1558,8 @@ export class PowerUpSystem {
         this.lastGuaranteedSpawnDistance = 0;
         this.hadRandomSpawnSinceLastGuaranteed = false;
         this.lastSpawnedPowerUpId = null;
+        this.rng = this.createSpawnRandom();
+        this.quantumDash = null;
         
         // Clear notifications
         this.powerUpNotifications = [];
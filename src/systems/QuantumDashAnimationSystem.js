@@ -1,9 +1,7 @@
-import { GAME_STATES } from '../utils/constants.js';
-
 /**
  * QuantumDashAnimationSystem handles the cool animation effects for quantum dash
  * Features:
- * - Game pause during animation
+ * - Plays while PowerUpSystem holds gameplay still for the dash
  * - Blue lightning burst effects
  * - Distortion ripple effects
  * - Screen shake and flash
@@ -13,7 +11,7 @@ export class QuantumDashAnimationSystem {
     constructor(game) {
         this.game = game;
         this.isAnimating = false;
-        this.animationStartTime = 0;
+        this.elapsed = 0; // Advanced by simulation steps so it lines up with the dash freeze
         this.animationDuration = 1200; // 1.2 seconds total
         
         // Animation phases
@@ -53,18 +51,12 @@ export class QuantumDashAnimationSystem {
       
         
         this.isAnimating = true;
-        this.animationStartTime = Date.now();
+        this.elapsed = 0;
         
         // Store positions
         this.startPosition = { x: startX, y: startY };
         this.endPosition = { x: endX, y: endY };
         
-        // Pause the game
-        if (this.game && this.game.gameState === GAME_STATES.PLAYING && !this.game.isPaused) {
-            this.game.wasPlayingBeforeDash = true;
-            this.game.isPaused = true;
-        }
-        
         // Reset audio flags
         this.audioPlayed = { charge: false, burst: false, teleport: false };
         
@@ -79,7 +71,8 @@ export class QuantumDashAnimationSystem {
     update(deltaTime) {
         if (!this.isAnimating) return;
 
-        const elapsed = Date.now() - this.animationStartTime;
+        this.elapsed += deltaTime;
+        const elapsed = this.elapsed;
         const progress = Math.min(elapsed / this.animationDuration, 1.0);
         
         // Update current phase
@@ -362,19 +355,13 @@ export class QuantumDashAnimationSystem {
     }
 
     /**
-     * End the animation and resume game
+     * End the animation
      */
     endAnimation() {
       
         
         this.isAnimating = false;
         
-        // Resume the game if it was paused for the dash
-        if (this.game && this.game.wasPlayingBeforeDash) {
-            this.game.isPaused = false;
-            this.game.wasPlayingBeforeDash = false;
-        }
-        
         // Clear all effects
         this.lightningBolts = [];
         this.ripples = [];
@@ -0,0 +1,430 @@
+/**
+ * Replay System - Records the inputs of a run and plays them back deterministically
+ *
+ * A replay stores the run settings (seed, difficulty, loadout) and the key state of every
+ * simulation step, run-length encoded. Playback starts a normal run with the same settings and
+ * feeds the recorded keys to GameLoop.updateGameplay instead of the live ones, so the same Player
+ * and PhysicsEngine code produces the same run. Jump and dash events are stored alongside the
+ * inputs and compared during playback to catch desyncs.
+ *
+ * The same format doubles as the run proof sent with leaderboard scores, which RunVerifier
+ * re-simulates headlessly to confirm the claimed result.
+ */
+
+import { GAME_CONFIG, DAILY_CHALLENGE } from '../utils/constants.js';
+
+const REPLAY_VERSION = 1;
+const INPUT_KEYS = ['left', 'right', 'up', 'down', 'space', 'x', 'shift']; // Bit order of the input mask
+const EVENT_CODES = { jump: 'j', doubleJump: 'd', dash: 's' };
+
+export class ReplaySystem {
+    constructor(game) {
+        this.game = game;
+        this.storageKey = 'coderunner_replays';
+
+        this.recording = null; // Replay being recorded for the current run
+        this.playback = null; // { replay, masks, tick, eventIndex, desyncTick }
+        this.activeReplay = null; // Replay selected for watching (kept so restart watches it again)
+        this.savedAdaptiveDifficulty = null;
+
+        this.lastReplay = null;
+        this.bestReplays = {}; // Difficulty (or daily key) -> replay of the best run
+        this.loadSavedReplays();
+    }
+
+    // ===========================================
+    // Run lifecycle
+    // ===========================================
+
+    /**
+     * Start recording or playing back, called when a run (re)starts
+     */
+    beginRun() {
+        if (this.isReplayRun() && this.activeReplay) {
+            this.startPlayback(this.activeReplay);
+        } else {
+            this.stopPlayback();
+            this.startRecording();
+        }
+    }
+
+    startRecording() {
+        const shopSystem = this.game.shopSystem;
+        const runOptions = this.game.runOptions || {};
+
+        this.recording = {
+            version: REPLAY_VERSION,
+            seed: this.game.worldSeed,
+            difficulty: this.game.selectedDifficulty,
+            upgrades: shopSystem ? shopSystem.getActiveUpgrades() : [],
+            adaptiveDifficulty: !!this.game.adaptiveDifficulty,
+            mode: runOptions.mode || 'normal',
+            step: GAME_CONFIG.SIMULATION_STEP,
+            viewport: { width: this.game.canvas.width, height: this.game.canvas.height },
+            recordedAt: new Date().toISOString(),
+            masks: [],
+            events: []
+        };
+        if (runOptions.dateKey) {
+            this.recording.dateKey = runOptions.dateKey;
+        }
+    }
+
+    startPlayback(replay) {
+        if (this.savedAdaptiveDifficulty === null) {
+            this.savedAdaptiveDifficulty = this.game.adaptiveDifficulty;
+        }
+        this.game.adaptiveDifficulty = replay.adaptiveDifficulty;
+
+        if (replay.viewport && (replay.viewport.width !== this.game.canvas.width || replay.viewport.height !== this.game.canvas.height)) {
+            console.warn(`⚠️ Replay was recorded at ${replay.viewport.width}x${replay.viewport.height}, playing at ${this.game.canvas.width}x${this.game.canvas.height} - chunk streaming follows the camera, so the run may drift`);
+        }
+
+        this.recording = null;
+        this.playback = {
+            replay: replay,
+            masks: ReplaySystem.decodeInputs(replay.input),
+            tick: 0,
+            eventIndex: 0,
+            desyncTick: null
+        };
+        console.log(`🎬 Playing replay: seed ${replay.seed}, ${replay.difficulty}, ${this.playback.masks.length} steps`);
+    }
+
+    stopPlayback() {
+        this.playback = null;
+        if (this.savedAdaptiveDifficulty !== null) {
+            this.game.adaptiveDifficulty = this.savedAdaptiveDifficulty;
+            this.savedAdaptiveDifficulty = null;
+        }
+    }
+
+    /**
+     * Called by GameNavigation.endGame - finishes the recording or checks the playback result
+     * @param {Object} result - { score, distance, packets, reason }
+     */
+    onRunEnded(result) {
+        if (this.playback) {
+            const expected = this.playback.replay.result || {};
+            const matched = this.playback.desyncTick === null && expected.score === result.score;
+            if (matched) {
+                console.log(`✅ Replay finished in sync (score ${result.score})`);
+            } else {
+                console.warn(`⚠️ Replay desynced: recorded score ${expected.score}, playback score ${result.score}` +
+                    (this.playback.desyncTick !== null ? `, first mismatch at step ${this.playback.desyncTick}` : ''));
+            }
+            this.stopPlayback();
+            return;
+        }
+
+        if (!this.recording) return;
+
+        const replay = this.finishRecording(result);
+        this.recording = null;
+        this.lastReplay = replay;
+
+        const bestKey = replay.mode === 'daily' ? DAILY_CHALLENGE.KEY : replay.difficulty;
+        const previousBest = this.bestReplays[bestKey];
+        if (!previousBest || result.score > (previousBest.result ? previousBest.result.score : 0)) {
+            this.bestReplays[bestKey] = replay;
+        }
+        this.saveReplays();
+    }
+
+    /**
+     * Pack the recording into the replay format
+     */
+    finishRecording(result) {
+        const { masks, events, ...header } = this.recording;
+        return {
+            ...header,
+            ticks: masks.length,
+            input: ReplaySystem.encodeInputs(masks),
+            events: events.map(([tick, type]) => `${tick.toString(36)}${EVENT_CODES[type]}`).join(','),
+            result: {
+                score: result.score,
+                distance: result.distance,
+                packets: result.packets || 0,
+                reason: result.reason
+            }
+        };
+    }
+
+    // ===========================================
+    // Per-step input
+    // ===========================================
+
+    /**
+     * Get the keys for this simulation step: the recorded ones while watching a replay,
+     * otherwise the live keys (recorded if a recording is running)
+     * @param {Object} liveKeys - InputManager.getKeys() snapshot
+     * @returns {Object|null} - Keys to use, or null when the replay has run out of input
+     */
+    getInputForStep(liveKeys) {
+        if (this.playback) {
+            if (this.playback.tick >= this.playback.masks.length) return null;
+            return ReplaySystem.maskToKeys(this.playback.masks[this.playback.tick++]);
+        }
+
+        if (this.recording) {
+            this.recording.masks.push(ReplaySystem.keysToMask(liveKeys));
+        }
+        return liveKeys;
+    }
+
+    /**
+     * Log a player action for the current step (called from Player)
+     * @param {string} type - 'jump', 'doubleJump' or 'dash'
+     */
+    recordEvent(type) {
+        if (this.recording) {
+            this.recording.events.push([this.recording.masks.length - 1, type]);
+            return;
+        }
+
+        if (this.playback && this.playback.desyncTick === null) {
+            const tick = this.playback.tick - 1;
+            const expected = this.getExpectedEvents()[this.playback.eventIndex];
+            if (expected && expected.tick === tick && expected.type === EVENT_CODES[type]) {
+                this.playback.eventIndex++;
+            } else {
+                this.playback.desyncTick = tick;
+                console.warn(`⚠️ Replay desync at step ${tick}: got ${type}, expected ${expected ? expected.type + '@' + expected.tick : 'nothing'}`);
+            }
+        }
+    }
+
+    getExpectedEvents() {
+        if (!this.playback.expectedEvents) {
+            const encoded = this.playback.replay.events || '';
+            this.playback.expectedEvents = encoded ? encoded.split(',').map(entry => ({
+                tick: parseInt(entry.slice(0, -1), 36),
+                type: entry.slice(-1)
+            })) : [];
+        }
+        return this.playback.expectedEvents;
+    }
+
+    /**
+     * The replay ran out of input without the run ending - stop where the recording stopped
+     */
+    finishPlayback() {
+        const replay = this.playback ? this.playback.replay : null;
+        const reason = replay && replay.result ? replay.result.reason : 'Replay finished';
+        this.game.endGame(reason, '▶ REPLAY FINISHED');
+    }
+
+    // ===========================================
+    // Watching, saving and loading
+    // ===========================================
+
+    isPlaying() {
+        return !!this.playback;
+    }
+
+    /**
+     * First step where playback stopped matching the recorded events, or null
+     */
+    getDesyncStep() {
+        return this.playback ? this.playback.desyncTick : null;
+    }
+
+    /**
+     * How far the playback has got, for the HUD
+     * @returns {Object} - { fraction, desynced }
+     */
+    getPlaybackProgress() {
+        if (!this.playback) return { fraction: 0, desynced: false };
+        const total = this.playback.masks.length;
+        return {
+            fraction: total > 0 ? this.playback.tick / total : 1,
+            desynced: this.playback.desyncTick !== null
+        };
+    }
+
+    isReplayRun() {
+        return !!(this.game.runOptions && this.game.runOptions.mode === 'replay');
+    }
+
+    /**
+     * Replay to offer on the game over screen: the one being watched, or the run just played
+     */
+    getCurrentReplay() {
+        return this.isReplayRun() ? this.activeReplay : this.lastReplay;
+    }
+
+    getBestReplay(difficulty) {
+        return this.bestReplays[difficulty] || null;
+    }
+
+    /**
+     * Replay that backs a leaderboard submission - the last run, or the best one if the
+     * player submits an older score
+     * @param {number} score - Score being submitted
+     * @param {string} difficulty - Difficulty or DAILY_CHALLENGE.KEY
+     * @returns {Object|null}
+     */
+    getRunProof(score, difficulty) {
+        const candidates = [this.lastReplay, this.bestReplays[difficulty]];
+        return candidates.find(replay => replay && replay.result && replay.result.score === score) || null;
+    }
+
+    /**
+     * Start a run that plays a replay back
+     */
+    async watch(replay) {
+        const validation = ReplaySystem.validate(replay);
+        if (!validation.valid) {
+            console.error(`❌ Cannot play replay: ${validation.error}`);
+            return false;
+        }
+
+        this.activeReplay = replay;
+        await this.game.startGame({
+            mode: 'replay',
+            seed: replay.seed,
+            difficulty: replay.difficulty,
+            loadout: [...replay.upgrades]
+        });
+        return true;
+    }
+
+    /**
+     * Download a replay as a JSON file (for sharing or attaching to a bug report)
+     */
+    download(replay = this.getCurrentReplay()) {
+        if (!replay) return false;
+
+        try {
+            const blob = new Blob([JSON.stringify(replay)], { type: 'application/json' });
+            const url = URL.createObjectURL(blob);
+            const link = document.createElement('a');
+            link.href = url;
+            link.download = `coderunner-replay-${replay.difficulty.toLowerCase()}-${replay.result ? replay.result.score : 0}.json`;
+            document.body.appendChild(link);
+            link.click();
+            document.body.removeChild(link);
+            URL.revokeObjectURL(url);
+            console.log('💾 Replay downloaded');
+            return true;
+        } catch (error) {
+            console.error('❌ Failed to download replay:', error);
+            return false;
+        }
+    }
+
+    /**
+     * Read a replay file (e.g. dropped onto the canvas) and start watching it
+     * @param {File} file - JSON replay file
+     */
+    async watchFile(file) {
+        try {
+            const replay = JSON.parse(await file.text());
+            return this.watch(replay);
+        } catch (error) {
+            console.error('❌ Failed to read replay file:', error);
+            return false;
+        }
+    }
+
+    loadSavedReplays() {
+        if (typeof localStorage === 'undefined') return; // Headless (RunVerifier)
+
+        try {
+            const saved = JSON.parse(localStorage.getItem(this.storageKey) || 'null');
+            if (saved) {
+                this.lastReplay = saved.last || null;
+                this.bestReplays = saved.best || {};
+            }
+        } catch (error) {
+            console.warn('Failed to load saved replays:', error);
+        }
+    }
+
+    saveReplays() {
+        try {
+            localStorage.setItem(this.storageKey, JSON.stringify({
+                last: this.lastReplay,
+                best: this.bestReplays
+            }));
+        } catch (error) {
+            console.warn('⚠️ Could not save replays:', error);
+        }
+    }
+
+    // ===========================================
+    // Encoding
+    // ===========================================
+
+    static keysToMask(keys) {
+        let mask = 0;
+        INPUT_KEYS.forEach((key, bit) => {
+            if (keys[key]) mask |= 1 << bit;
+        });
+        return mask;
+    }
+
+    static maskToKeys(mask) {
+        const keys = {};
+        INPUT_KEYS.forEach((key, bit) => {
+            keys[key] = (mask & (1 << bit)) !== 0;
+        });
+        return keys;
+    }
+
+    /**
+     * Run-length encode the per-step masks as "mask*count" pairs in base 36
+     */
+    static encodeInputs(masks) {
+        const runs = [];
+        for (let i = 0; i < masks.length;) {
+            let count = 1;
+            while (i + count < masks.length && masks[i + count] === masks[i]) count++;
+            runs.push(count === 1 ? masks[i].toString(36) : `${masks[i].toString(36)}*${count.toString(36)}`);
+            i += count;
+        }
+        return runs.join(',');
+    }
+
+    /**
+     * Number of steps in an encoded input log without expanding it, or NaN if it is malformed
+     */
+    static countSteps(encoded) {
+        if (!encoded) return 0;
+
+        let steps = 0;
+        for (const run of encoded.split(',')) {
+            const [mask, count = '1', extra] = run.split('*');
+            if (extra !== undefined || !/^[0-9a-z]+$/.test(mask) || !/^[0-9a-z]+$/.test(count)) return NaN;
+            if (parseInt(mask, 36) >= 1 << INPUT_KEYS.length) return NaN;
+            steps += parseInt(count, 36);
+        }
+        return steps;
+    }
+
+    static decodeInputs(encoded) {
+        const masks = [];
+        if (!encoded) return masks;
+
+        encoded.split(',').forEach(run => {
+            const [mask, count = '1'] = run.split('*');
+            const value = parseInt(mask, 36);
+            for (let i = parseInt(count, 36); i > 0; i--) masks.push(value);
+        });
+        return masks;
+    }
+
+    /**
+     * Check a replay can be played by this build
+     * @returns {Object} - { valid, error }
+     */
+    static validate(replay) {
+        if (!replay || typeof replay !== 'object') return { valid: false, error: 'not a replay' };
+        if (replay.version !== REPLAY_VERSION) return { valid: false, error: `unsupported version ${replay.version}` };
+        if (replay.step !== GAME_CONFIG.SIMULATION_STEP) return { valid: false, error: 'recorded with a different simulation step' };
+        if (typeof replay.seed !== 'number' || typeof replay.input !== 'string' || !Array.isArray(replay.upgrades)) {
+            return { valid: false, error: 'missing run settings' };
+        }
+        return { valid: true, error: null };
+    }
+}
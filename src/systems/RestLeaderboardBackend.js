@@ -0,0 +1,138 @@
+/**
+ * REST Leaderboard Backend - Boards on a plain JSON-over-HTTP server
+ *
+ * Speaks the API of server/leaderboard-server.js, so teams can self-host scores or run the
+ * leaderboard flow entirely on localhost:
+ *   GET    /health
+ *   GET    /leaderboard/:board?limit=N           -> { entries, total, offset, rank }
+ *          (optional: offset=N, since=<ms> to rank only newer entries, players=<id>,<id>,
+ *          rankOf=<id>,<id> for the player's rank, around=N to centre on it without an offset)
+ *   GET    /leaderboard/:board?name=X            -> { entries }
+ *   GET    /leaderboard/:board/around/:rank?range=N -> { entries } (with ranks)
+ *   GET    /leaderboard/:board/rank/:id?since=<ms> -> { rank, total, entry }, or 404 if not on it
+ *   PUT    /leaderboard/:board/players/:playerId -> { id, updated, previousScore }, or 422 if the run
+ *          proof doesn't reproduce
+ *          (also keeps the player's best on the window boards; windowsOnly=1 updates only those)
+ *   DELETE /leaderboard/:board/entries/:id
+ *
+ * PUT claims the player id for the X-Player-Token it carries (403 once another token has it), and
+ * DELETE takes the same token for the entry's player - or an admin's Authorization: Bearer token.
+ */
+
+import { LeaderboardBackend } from './LeaderboardBackend.js';
+
+export class RestLeaderboardBackend extends LeaderboardBackend {
+    /**
+     * @param {string} baseUrl - API root, e.g. 'http://localhost:8787/api'
+     * @param {Object} options - { pollInterval, requestTimeout, submitTimeout,
+     *   getPlayerToken (player id -> the token that owns it on the server) }
+     */
+    constructor(baseUrl, options = {}) {
+        super('rest', options);
+        this.baseUrl = baseUrl.replace(/\/+$/, '');
+        this.requestTimeout = options.requestTimeout || 5000;
+        // Submissions are answered only after the server has re-simulated the run
+        this.submitTimeout = options.submitTimeout || this.requestTimeout;
+        this.getPlayerToken = options.getPlayerToken || null;
+    }
+
+    async request(path, options = {}) {
+        const { timeout, playerId, ...fetchOptions } = options;
+        const headers = {};
+        if (options.body) headers['Content-Type'] = 'application/json';
+        if (playerId && this.getPlayerToken) headers['X-Player-Token'] = this.getPlayerToken(playerId);
+
+        const controller = new AbortController();
+        const timeoutId = setTimeout(() => controller.abort(), timeout || this.requestTimeout);
+
+        try {
+            const response = await fetch(`${this.baseUrl}${path}`, {
+                ...fetchOptions,
+                headers: headers,
+                signal: controller.signal
+            });
+            if (!response.ok) {
+                const body = await response.json().catch(() => null);
+                const error = new Error(body && body.error ? body.error : `HTTP ${response.status} from ${path}`);
+                error.status = response.status;
+                throw error;
+            }
+            return response.status === 204 ? null : await response.json();
+        } finally {
+            clearTimeout(timeoutId);
+        }
+    }
+
+    boardPath(board) {
+        return `/leaderboard/${encodeURIComponent(board)}`;
+    }
+
+    async isAvailable() {
+        try {
+            await this.request('/health');
+            return true;
+        } catch (error) {
+            console.log(`Leaderboard server ${this.baseUrl} not reachable:`, error.message);
+            return false;
+        }
+    }
+
+    async upsertBestEntry(board, playerId, entry, options = {}) {
+        const params = options.windowsOnly ? '?windowsOnly=1' : '';
+        return this.request(`${this.boardPath(board)}/players/${encodeURIComponent(playerId)}${params}`, {
+            method: 'PUT',
+            body: JSON.stringify(entry),
+            timeout: this.submitTimeout,
+            playerId: playerId
+        });
+    }
+
+    async getTopEntries(board, limit = 10) {
+        const result = await this.request(`${this.boardPath(board)}?limit=${limit}`);
+        return this.toEntries(result);
+    }
+
+    async getEntriesAroundRank(board, rank, range = 5) {
+        const result = await this.request(`${this.boardPath(board)}/around/${rank}?range=${range}`);
+        return this.toEntries(result);
+    }
+
+    async getEntriesByName(board, name) {
+        const result = await this.request(`${this.boardPath(board)}?name=${encodeURIComponent(name)}`);
+        return this.toEntries(result);
+    }
+
+    async queryEntries(board, query = {}) {
+        const params = new URLSearchParams({ limit: query.limit || 10 });
+        if (query.offset !== null && query.offset !== undefined) params.set('offset', query.offset);
+        if (query.since) params.set('since', query.since);
+        if (query.playerIds) params.set('players', query.playerIds.join(','));
+        if (query.rankOf) params.set('rankOf', query.rankOf.join(','));
+        if (query.around) params.set('around', query.around);
+
+        const result = await this.request(`${this.boardPath(board)}?${params}`);
+        const rank = result.rank
+            ? { ...result.rank, entry: LeaderboardBackend.normalizeEntry(result.rank.entry.id, result.rank.entry) }
+            : null;
+        return { entries: this.toEntries(result), total: result.total || 0, offset: result.offset || 0, rank: rank };
+    }
+
+    async getPlayerRank(board, id, since = 0) {
+        try {
+            const result = await this.request(`${this.boardPath(board)}/rank/${encodeURIComponent(id)}?since=${since}`);
+            return { rank: result.rank, total: result.total, entry: LeaderboardBackend.normalizeEntry(result.entry.id, result.entry) };
+        } catch (error) {
+            if (error.status === 404) return null;
+            throw error;
+        }
+    }
+
+    async deleteEntry(board, id) {
+        await this.request(`${this.boardPath(board)}/entries/${encodeURIComponent(id)}`, { method: 'DELETE', playerId: id });
+    }
+
+    toEntries(result) {
+        const entries = result && Array.isArray(result.entries) ? result.entries : [];
+        return entries.map(entry => LeaderboardBackend.normalizeEntry(entry.id, entry));
+    }
+}
@@ -0,0 +1,182 @@
+/**
+ * Rewind System - Keeps a rolling buffer of recent run state and snaps back instead of dying
+ *
+ * With the 'rewind' shop upgrade, the player, camera, power-up, score and deletion wave state is
+ * snapshotted every few simulated milliseconds. A fatal hit plays the buffer backwards for a moment
+ * and then restores the oldest snapshot, a few seconds back. The world itself (tiles, enemies,
+ * collected packets) keeps going, and the simulation clock never runs backwards.
+ */
+
+import { GAME_CONFIG, REWIND } from '../utils/constants.js';
+
+export class RewindSystem {
+    constructor(game) {
+        this.game = game;
+        this.reset();
+    }
+
+    reset() {
+        this.snapshots = [];
+        this.sinceSnapshot = 0;
+        this.lastRewindTime = -Infinity;
+        this.playback = null; // { frames, elapsed } while the buffer is being played backwards
+        this.rewindCount = 0;
+    }
+
+    isAvailable() {
+        const player = this.game.player;
+        return !!(player && player.shopUpgrades.rewind);
+    }
+
+    isRewinding() {
+        return !!this.playback;
+    }
+
+    /**
+     * Simulated ms until the next rewind can be used (0 when ready)
+     */
+    getCooldownRemaining() {
+        return Math.max(0, REWIND.COOLDOWN - (this.game.getSimulationTime() - this.lastRewindTime));
+    }
+
+    /**
+     * Record a snapshot every SNAPSHOT_INTERVAL, called once per simulation step
+     */
+    update(deltaTime) {
+        if (!this.isAvailable() || this.playback) return;
+
+        this.sinceSnapshot += deltaTime;
+        if (this.sinceSnapshot < REWIND.SNAPSHOT_INTERVAL && this.snapshots.length > 0) return;
+        this.sinceSnapshot = 0;
+
+        this.snapshots.push(this.takeSnapshot());
+        const maxSnapshots = Math.floor(REWIND.BUFFER_TIME / REWIND.SNAPSHOT_INTERVAL) + 1;
+        if (this.snapshots.length > maxSnapshots) {
+            this.snapshots.shift();
+        }
+    }
+
+    takeSnapshot() {
+        const game = this.game;
+        const player = game.player;
+        const activePowerUps = [];
+        if (game.powerUpSystem) {
+            for (const [effectType, powerUp] of game.powerUpSystem.activePowerUps) {
+                activePowerUps.push([effectType, { ...powerUp }]);
+            }
+        }
+
+        return {
+            player: {
+                x: player.x,
+                y: player.y,
+                vx: player.vx,
+                vy: player.vy,
+                onGround: player.onGround,
+                isJumping: player.isJumping,
+                facingDirection: player.facingDirection,
+                health: player.health,
+                jumpState: { ...player.jumpState },
+                dashState: { ...player.dashState }
+            },
+            camera: { x: game.camera.x, y: game.camera.y },
+            score: game.score,
+            bonusScore: game.bonusScore,
+            activePowerUps: activePowerUps,
+            waveX: game.deletionWaveSystem ? game.deletionWaveSystem.x : null
+        };
+    }
+
+    /**
+     * Try to undo a fatal hit - called from Player.die
+     * @param {string} reason - What killed the player
+     * @returns {boolean} - True if the death was rewound
+     */
+    tryRewind(reason) {
+        if (!this.isAvailable() || this.playback || this.snapshots.length === 0) return false;
+        if (this.getCooldownRemaining() > 0) return false;
+
+        console.log(`⏪ Rewinding ${((this.snapshots.length - 1) * REWIND.SNAPSHOT_INTERVAL / 1000).toFixed(1)}s instead of dying (${reason})`);
+        this.lastRewindTime = this.game.getSimulationTime();
+        this.rewindCount++;
+        this.playback = {
+            frames: this.snapshots.slice().reverse(),
+            elapsed: 0
+        };
+        this.snapshots = [];
+
+        if (this.game.audioSystem) {
+            this.game.audioSystem.onPowerup();
+        }
+        return true;
+    }
+
+    /**
+     * Play the buffer backwards, then snap to the oldest snapshot.
+     * Runs instead of the rest of the simulation step while rewinding.
+     */
+    updatePlayback(deltaTime) {
+        const playback = this.playback;
+        playback.elapsed += deltaTime;
+
+        const progress = Math.min(1, playback.elapsed / REWIND.PLAYBACK_TIME);
+        const frame = playback.frames[Math.min(playback.frames.length - 1, Math.floor(progress * playback.frames.length))];
+
+        // Only the position and camera move during the visual
+        this.game.player.x = frame.player.x;
+        this.game.player.y = frame.player.y;
+        this.game.camera.x = frame.camera.x;
+        this.game.camera.y = frame.camera.y;
+
+        if (progress >= 1) {
+            this.restore(playback.frames[playback.frames.length - 1]);
+            this.playback = null;
+        }
+    }
+
+    restore(snapshot) {
+        const game = this.game;
+        const player = game.player;
+
+        Object.assign(player, {
+            x: snapshot.player.x,
+            y: snapshot.player.y,
+            vx: snapshot.player.vx,
+            vy: snapshot.player.vy,
+            onGround: snapshot.player.onGround,
+            isJumping: snapshot.player.isJumping,
+            facingDirection: snapshot.player.facingDirection,
+            health: Math.max(snapshot.player.health, REWIND.MIN_HEALTH),
+            jumpState: { ...snapshot.player.jumpState },
+            dashState: { ...snapshot.player.dashState }
+        });
+        player.invulnerabilityTime = GAME_CONFIG.INVULNERABILITY_DURATION;
+
+        game.camera.x = snapshot.camera.x;
+        game.camera.y = snapshot.camera.y;
+        game.score = snapshot.score;
+        game.bonusScore = snapshot.bonusScore;
+
+        if (game.powerUpSystem) {
+            game.powerUpSystem.activePowerUps = new Map(snapshot.activePowerUps.map(([effectType, powerUp]) => [effectType, { ...powerUp }]));
+        }
+
+        // Put the wave back where it was, or it would be waiting right behind the restored player
+        if (game.deletionWaveSystem && snapshot.waveX !== null) {
+            game.deletionWaveSystem.x = snapshot.waveX;
+        }
+    }
+
+    /**
+     * Positions still to be unwound, newest first, for the rewind visual
+     */
+    getPendingFrames() {
+        if (!this.playback) return [];
+        const progress = Math.min(1, this.playback.elapsed / REWIND.PLAYBACK_TIME);
+        return this.playback.frames.slice(Math.floor(progress * this.playback.frames.length));
+    }
+
+    getPlaybackProgress() {
+        return this.playback ? Math.min(1, this.playback.elapsed / REWIND.PLAYBACK_TIME) : 0;
+    }
+}
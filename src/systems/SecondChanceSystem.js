@@ -0,0 +1,167 @@
+/**
+ * Second Chance System - Once-per-run revive for the 'secondChance' shop upgrade
+ *
+ * A fatal hit opens a short slow-motion prompt instead of ending the run. When it runs out (or the
+ * player presses jump), the player respawns on the nearest safe ground behind where they died, found
+ * with LifeBoxSystem.findGroundLevel, with the usual spawn protection, and the deletion wave is
+ * pushed back so it isn't waiting at the respawn point.
+ */
+
+import { GAME_CONFIG, TILE_TYPES, SECOND_CHANCE } from '../utils/constants.js';
+
+// Tiles the player can respawn on top of
+const GROUND_TILES = [TILE_TYPES.FLOOR, TILE_TYPES.PLATFORM, TILE_TYPES.CONVEYOR_LEFT, TILE_TYPES.CONVEYOR_RIGHT];
+const HAZARD_TILES = [TILE_TYPES.SPIKE, TILE_TYPES.SAW, TILE_TYPES.LASER, TILE_TYPES.CRUSHER, TILE_TYPES.GLITCH];
+
+export class SecondChanceSystem {
+    constructor(game) {
+        this.game = game;
+        this.reset();
+    }
+
+    reset() {
+        this.used = false;
+        this.prompt = null; // { reason, elapsed, spawnX, spawnY } while the prompt is showing
+    }
+
+    isAvailable() {
+        const player = this.game.player;
+        return !!(player && player.shopUpgrades.secondChance) && !this.used;
+    }
+
+    isPrompting() {
+        return !!this.prompt;
+    }
+
+    /**
+     * Try to turn a death into a revive - called from Player.die
+     * @param {string} reason - What killed the player
+     * @returns {boolean} - True if the revive prompt started
+     */
+    tryRevive(reason) {
+        if (!this.isAvailable() || this.prompt) return false;
+
+        const spawn = this.findSafeGround(this.game.player.x);
+        if (!spawn) {
+            console.warn(`⚠️ Second chance found no safe ground behind the player - ending the run (${reason})`);
+            return false;
+        }
+
+        console.log(`🔁 Second chance: respawning at (${spawn.x}, ${spawn.y}) after ${reason}`);
+        this.used = true;
+        this.prompt = {
+            reason: reason,
+            elapsed: 0,
+            spawnX: spawn.x,
+            spawnY: spawn.y
+        };
+
+        const player = this.game.player;
+        player.vx = 0;
+        player.vy = 0;
+
+        if (this.game.triggerScreenShake) {
+            this.game.triggerScreenShake(1.0, 300);
+        }
+        return true;
+    }
+
+    /**
+     * Count down the prompt, then respawn. Runs instead of the player update while prompting.
+     * @param {number} deltaTime - Real (unscaled) step length in ms
+     * @param {Object} inputKeys - Keys for this step, jump skips the rest of the prompt
+     */
+    updatePrompt(deltaTime, inputKeys = {}) {
+        const prompt = this.prompt;
+        prompt.elapsed += deltaTime;
+
+        const skipped = prompt.elapsed >= SECOND_CHANCE.SKIP_AFTER && (inputKeys.space || inputKeys.up);
+        if (prompt.elapsed >= SECOND_CHANCE.PROMPT_TIME || skipped) {
+            this.respawn();
+        }
+    }
+
+    respawn() {
+        const game = this.game;
+        const player = game.player;
+        const { spawnX, spawnY } = this.prompt;
+        this.prompt = null;
+
+        Object.assign(player, {
+            x: spawnX,
+            y: spawnY,
+            vx: 0,
+            vy: 0,
+            onGround: false,
+            isJumping: false,
+            health: SECOND_CHANCE.REVIVE_HEALTH
+        });
+        player.jumpState.doubleJumpAvailable = true;
+        player.dashState.isDashing = false;
+        player.invulnerabilityTime = GAME_CONFIG.SPAWN_PROTECTION_TIME;
+        player.spawnProtectionFrames = Math.round(GAME_CONFIG.SPAWN_PROTECTION_TIME / GAME_CONFIG.SIMULATION_STEP);
+
+        // Keep the wave from sitting right on top of the respawn point
+        if (game.deletionWaveSystem) {
+            game.deletionWaveSystem.x = Math.min(game.deletionWaveSystem.x, spawnX - SECOND_CHANCE.WAVE_PUSHBACK);
+        }
+
+        if (game.audioSystem) {
+            game.audioSystem.onPowerup();
+        }
+        if (game.achievementSystem) {
+            game.achievementSystem.trackEvent('secondChanceUsed');
+        }
+    }
+
+    /**
+     * Walk back from the death point to the first column with solid ground, headroom and no hazards
+     * @param {number} fromX - World x the player died at
+     * @returns {Object|null} - Player position { x, y } to respawn at
+     */
+    findSafeGround(fromX) {
+        const world = this.game.world;
+        const lifeBoxSystem = this.game.lifeBoxSystem;
+        if (!world || !lifeBoxSystem) return null;
+
+        const tileSize = GAME_CONFIG.TILE_SIZE;
+        const player = this.game.player;
+        const startTileX = Math.floor(fromX / tileSize) - 1;
+
+        for (let tileX = startTileX; tileX > startTileX - SECOND_CHANCE.SEARCH_TILES && tileX >= 0; tileX--) {
+            const groundY = lifeBoxSystem.findGroundLevel(tileX * tileSize + tileSize / 2);
+            const groundTileY = Math.floor(groundY / tileSize);
+            if (!GROUND_TILES.includes(world.getTileAt(tileX, groundTileY))) continue; // Fallback height, not real ground
+            if (!this.isSafeColumn(tileX, groundTileY)) continue;
+
+            return {
+                x: tileX * tileSize + (tileSize - player.width) / 2,
+                y: groundY - player.height
+            };
+        }
+        return null;
+    }
+
+    isSafeColumn(tileX, groundTileY) {
+        const world = this.game.world;
+
+        // Two tiles of headroom
+        for (let tileY = groundTileY - 2; tileY < groundTileY; tileY++) {
+            const tile = world.getTileAt(tileX, tileY);
+            if (tile !== TILE_TYPES.EMPTY && tile !== TILE_TYPES.DATA_PACKET) return false;
+        }
+
+        // No hazards beside the spot, or hanging anywhere above it
+        for (const neighbourX of [tileX - 1, tileX + 1]) {
+            if (HAZARD_TILES.includes(world.getTileAt(neighbourX, groundTileY - 1))) return false;
+        }
+        for (let tileY = 0; tileY < groundTileY; tileY++) {
+            if (HAZARD_TILES.includes(world.getTileAt(tileX, tileY))) return false;
+        }
+        return true;
+    }
+
+    getPromptProgress() {
+        return this.prompt ? Math.min(1, this.prompt.elapsed / SECOND_CHANCE.PROMPT_TIME) : 0;
+    }
+}
@@ -10,6 +10,11 @@
  * - Only includes settings that are actually implemented in the game
  */
 
+import { GAMEPAD, TOUCH_CONTROLS, LANGUAGES } from '../utils/constants.js';
+import { InputManager } from './inputmanager.js';
+import { KeybindManager } from './KeybindManager.js';
+import { t } from './LanguageSystem.js';
+
 export class SettingsSystem {
     constructor(gameInstance = null) {
         this.gameInstance = gameInstance;
@@ -33,6 +38,7 @@ export class SettingsSystem {
         this.tooltipTimer = 0;
         this.isKeyCapturing = false;
         this.keyCaptureSetting = null;
+        this.gamepadCaptureKey = null; // Binding waiting for a gamepad button press
         
         // Dropdown state
         this.expandedDropdown = null;
@@ -195,6 +201,17 @@ export class SettingsSystem {
                         label: 'Show Opening Animation', 
                         description: 'Play opening animation when game starts',
                         value: true 
+                    },
+                    { 
+                        type: 'dropdown', 
+                        key: 'language', 
+                        label: 'Language', 
+                        description: 'Language for menus, dialogs and tutorials',
+                        value: 'auto',
+                        options: [
+                            { label: 'Auto (Browser)', value: 'auto', description: 'Follow the browser language' },
+                            ...LANGUAGES.map(language => ({ label: language.name, value: language.code }))
+                        ]
                     }
                 ]
             },
@@ -308,6 +325,67 @@ export class SettingsSystem {
                         dangerous: true
                     }
                 ]
+            },
+            {
+                title: 'Controls',
+                icon: '🕹️',
+                color: '#ec4899',
+                description: 'Gamepad bindings and touch controls',
+                settings: [
+                    {
+                        type: 'slider',
+                        key: 'gamepadDeadZone',
+                        label: 'Stick Dead Zone',
+                        description: 'Stick movement ignored around the centre',
+                        value: GAMEPAD.DEFAULT_DEAD_ZONE,
+                        defaultValue: GAMEPAD.DEFAULT_DEAD_ZONE,
+                        min: 0.05,
+                        max: 0.6,
+                        live: true
+                    },
+                    { type: 'gamepadButton', key: 'gamepadJump', action: 'space', label: 'Jump', value: GAMEPAD.DEFAULT_BINDINGS.space, defaultValue: GAMEPAD.DEFAULT_BINDINGS.space },
+                    { type: 'gamepadButton', key: 'gamepadDash', action: 'shift', label: 'Dash', value: GAMEPAD.DEFAULT_BINDINGS.shift, defaultValue: GAMEPAD.DEFAULT_BINDINGS.shift },
+                    { type: 'gamepadButton', key: 'gamepadPause', action: 'pause', label: 'Pause', value: GAMEPAD.DEFAULT_BINDINGS.pause, defaultValue: GAMEPAD.DEFAULT_BINDINGS.pause },
+                    { type: 'gamepadButton', key: 'gamepadConfirm', action: 'confirm', label: 'Confirm (menus)', value: GAMEPAD.DEFAULT_BINDINGS.confirm, defaultValue: GAMEPAD.DEFAULT_BINDINGS.confirm },
+                    { type: 'gamepadButton', key: 'gamepadBack', action: 'skip', label: 'Back (menus)', value: GAMEPAD.DEFAULT_BINDINGS.skip, defaultValue: GAMEPAD.DEFAULT_BINDINGS.skip },
+                    { type: 'gamepadButton', key: 'gamepadHome', action: 'home', label: 'Home', value: GAMEPAD.DEFAULT_BINDINGS.home, defaultValue: GAMEPAD.DEFAULT_BINDINGS.home },
+                    { type: 'gamepadButton', key: 'gamepadShop', action: 'shop', label: 'Shop', value: GAMEPAD.DEFAULT_BINDINGS.shop, defaultValue: GAMEPAD.DEFAULT_BINDINGS.shop },
+                    {
+                        type: 'dropdown',
+                        key: 'touchControls',
+                        label: 'Touch Controls',
+                        description: 'On-screen pads for phones and tablets',
+                        value: 'auto',
+                        defaultValue: 'auto',
+                        options: [
+                            { label: 'Auto', value: 'auto', description: 'Show on touch screens' },
+                            { label: 'Always On', value: 'on', description: 'Show on every device' },
+                            { label: 'Off', value: 'off', description: 'Never show' }
+                        ]
+                    },
+                    {
+                        type: 'dropdown',
+                        key: 'touchLayout',
+                        label: 'Touch Layout',
+                        description: 'Which side the jump and dash buttons sit on',
+                        value: 'right',
+                        defaultValue: 'right',
+                        options: [
+                            { label: 'Jump on Right', value: 'right', description: 'Move with the left thumb' },
+                            { label: 'Jump on Left', value: 'left', description: 'Move with the right thumb' }
+                        ]
+                    },
+                    {
+                        type: 'slider',
+                        key: 'touchOpacity',
+                        label: 'Touch Opacity',
+                        description: 'How visible the on-screen pads are',
+                        value: TOUCH_CONTROLS.DEFAULT_OPACITY,
+                        defaultValue: TOUCH_CONTROLS.DEFAULT_OPACITY,
+                        min: 0.15,
+                        max: 1
+                    }
+                ]
             }
         ];
         
@@ -713,8 +791,37 @@ export class SettingsSystem {
             this.gameInstance.applyGraphicsQuality();
         }
 
+        this.applyGamepadSettings();
+
+        // Switch language if a reset or cloud load changed it
+        const languageSystem = this.gameInstance.languageSystem;
+        const language = this.getSettingValue('language') || 'auto';
+        if (languageSystem && languageSystem.resolveLanguage(language) !== languageSystem.getLanguage()) {
+            languageSystem.setLanguage(language);
+        }
+
         console.log('✅ Settings applied to game instance');
     }
+
+    /**
+     * Push the gamepad dead zone and button bindings to the InputManager
+     */
+    applyGamepadSettings() {
+        const inputManager = this.gameInstance?.inputManager;
+        if (!inputManager) return;
+
+        const bindings = {};
+        this.getGamepadBindingSettings().forEach(setting => {
+            bindings[setting.action] = setting.value;
+        });
+        inputManager.setGamepadBindings(bindings);
+        inputManager.setGamepadDeadZone(this.getSettingValue('gamepadDeadZone'));
+    }
+
+    getGamepadBindingSettings() {
+        const controls = this.settingsCategories.find(category => category.title === 'Controls');
+        return controls ? controls.settings.filter(setting => setting.type === 'gamepadButton') : [];
+    }
     
     /**
      * Get setting value by key
@@ -877,6 +984,11 @@ export class SettingsSystem {
                     });
                 }
                 break;
+            case 'gamepadDeadZone':
+                if (this.gameInstance.inputManager) {
+                    this.gameInstance.inputManager.setGamepadDeadZone(setting.value);
+                }
+                break;
         }
     }
     
@@ -1050,7 +1162,8 @@ export class SettingsSystem {
             { id: 0, name: 'Audio', icon: '🔊', color: '#10b981' },
             { id: 1, name: 'Gameplay', icon: '🎮', color: '#3b82f6' },
             { id: 2, name: 'Graphics', icon: '🖥️', color: '#8b5cf6' },
-            { id: 3, name: 'Data', icon: '💾', color: '#f59e0b' }
+            { id: 3, name: 'Data', icon: '💾', color: '#f59e0b' },
+            { id: 4, name: 'Controls', icon: '🕹️', color: '#ec4899' }
         ];
         
         const tabWidth = 140;
@@ -1123,6 +1236,9 @@ export class SettingsSystem {
             case 3: // Data
                 this.drawDataTab(ctx, width, startY, height, hitAreas);
                 break;
+            case 4: // Controls
+                this.drawControlsTab(ctx, width, startY, height, hitAreas);
+                break;
         }
     }
 
@@ -1407,6 +1523,14 @@ export class SettingsSystem {
         // Show Opening Animation toggle
         this.drawToggleControl(ctx, 'showOpeningAnimation', 'Show Opening Animation', this.getSettingByKey('showOpeningAnimation'), 
             x, currentY, width, controlHeight, hitAreas);
+        currentY += controlHeight + controlSpacing;
+        
+        // Language dropdown (labelled in the current language so it can always be found)
+        this.drawDropdownControl(ctx, 'language', t('settings.language.label'), this.getSettingByKey('language'), 
+            [
+                { label: t('settings.language.auto'), value: 'auto' },
+                ...LANGUAGES.map(language => ({ label: language.name, value: language.code }))
+            ], x, currentY, width, controlHeight, hitAreas);
     }
 
     /**
@@ -1539,6 +1663,270 @@ export class SettingsSystem {
             x, currentY, width, controlHeight, hitAreas, true);
     }
 
+    /**
+     * Draw controls settings tab
+     */
+    drawControlsTab(ctx, width, startY, height, hitAreas) {
+        const panelWidth = Math.min(800, width - 80);
+        const panelX = (width - panelWidth) / 2;
+        const panelY = startY + 20;
+        const panelHeight = height - 40;
+        const inputManager = this.gameInstance?.inputManager;
+        const gamepad = inputManager ? inputManager.getGamepad() : null;
+        
+        // Main settings panel
+        this.drawGlassmorphicPanel(ctx, panelX, panelY, panelWidth, panelHeight, 'rgba(255,255,255,0.05)', 'rgba(255,255,255,0.1)');
+        
+        // Create clipping region for scrollable content
+        ctx.save();
+        ctx.beginPath();
+        ctx.rect(panelX, panelY, panelWidth, panelHeight);
+        ctx.clip();
+        
+        // Section title with the controller status
+        ctx.save();
+        ctx.font = 'bold 24px Courier New';
+        ctx.fillStyle = '#ec4899';
+        ctx.textAlign = 'left';
+        ctx.shadowColor = '#ec4899';
+        ctx.shadowBlur = 8;
+        ctx.fillText('🕹️ Controls', panelX + 30, panelY + 40 - this.scrollOffset);
+        ctx.shadowBlur = 0;
+        ctx.font = '14px Courier New';
+        ctx.fillStyle = gamepad ? '#22c55e' : '#8b949e';
+        const status = gamepad
+            ? `Controller: ${this.truncateText(ctx, gamepad.id, panelWidth - 180)}`
+            : 'No controller detected - press a button on it to connect';
+        ctx.fillText(status, panelX + 30, panelY + 65 - this.scrollOffset);
+        ctx.restore();
+        
+        // Keyboard, touch overlay and gamepad controls
+        const keybindHeight = this.getKeybindSectionHeight();
+        this.drawKeybindControls(ctx, panelX + 30, panelY + 100 - this.scrollOffset, panelWidth - 60, hitAreas);
+        this.drawTouchControlSettings(ctx, panelX + 30, panelY + 100 + keybindHeight - this.scrollOffset, panelWidth - 60, hitAreas);
+        this.drawGamepadControls(ctx, panelX + 30, panelY + 100 + keybindHeight + 3 * 80 - this.scrollOffset, panelWidth - 60, hitAreas);
+        
+        // Restore clipping
+        ctx.restore();
+        
+        // Add scroll indicator if needed
+        const totalContentHeight = keybindHeight + 11 * 80; // Keys + touch settings + dead zone slider + 7 bindings
+        const availableHeight = panelHeight - 100;
+        const maxScrollOffset = Math.max(0, totalContentHeight - availableHeight);
+        
+        if (maxScrollOffset > 0) {
+            this.renderScrollIndicator(ctx, panelX + panelWidth - 15, panelY + 100, 6, panelHeight - 100, maxScrollOffset);
+        }
+    }
+
+    /**
+     * Height of the keyboard bindings block: a summary row plus one compact row per action
+     */
+    getKeybindSectionHeight() {
+        const keybindManager = this.gameInstance?.keybindManager;
+        return keybindManager ? (keybindManager.getActions().length + 1) * 60 : 0;
+    }
+
+    /**
+     * Draw keyboard binding controls
+     */
+    drawKeybindControls(ctx, x, y, width, hitAreas) {
+        const keybindManager = this.gameInstance?.keybindManager;
+        if (!keybindManager) return;
+        
+        let currentY = y;
+        const controlHeight = 50;
+        const controlSpacing = 10;
+        
+        // Conflict summary with a reset for everything
+        const conflictCount = keybindManager.getConflicts().length;
+        const summary = conflictCount > 0
+            ? `⚠️ ${conflictCount} key conflict${conflictCount === 1 ? '' : 's'}`
+            : 'Keyboard (click a key to rebind)';
+        this.drawButtonControl(ctx, 'resetAllKeybinds', summary, 'Reset All', 
+            x, currentY, width, controlHeight, hitAreas, conflictCount > 0);
+        currentY += controlHeight + controlSpacing;
+        
+        keybindManager.getActions().forEach(({ action, label }) => {
+            this.drawKeybindControl(ctx, keybindManager, action, label, x, currentY, width, controlHeight, hitAreas);
+            currentY += controlHeight + controlSpacing;
+        });
+    }
+
+    /**
+     * Draw one action's key slots, with a warning if they clash with another action
+     */
+    drawKeybindControl(ctx, keybindManager, action, label, x, y, width, height, hitAreas) {
+        const keys = keybindManager.getKeysForAction(action);
+        const conflicts = keybindManager.getConflictsForAction(action);
+        const slotWidth = 110;
+        const slotHeight = 32;
+        const resetWidth = 40;
+        const slotY = y + height / 2 - slotHeight / 2;
+        const resetX = x + width - resetWidth - 20;
+        
+        // Control background
+        const borderColor = conflicts.length > 0 ? 'rgba(239,68,68,0.6)' : 'rgba(255,255,255,0.1)';
+        this.drawGlassmorphicPanel(ctx, x, y, width, height, 'rgba(255,255,255,0.03)', borderColor);
+        
+        // Label, and what it clashes with
+        ctx.save();
+        ctx.font = '16px Courier New';
+        ctx.fillStyle = '#f0f6fc';
+        ctx.textAlign = 'left';
+        ctx.fillText(label, x + 20, conflicts.length > 0 ? y + height / 2 - 2 : y + height / 2 + 5);
+        if (conflicts.length > 0) {
+            ctx.font = '11px Courier New';
+            ctx.fillStyle = '#ef4444';
+            ctx.fillText(`⚠️ Also: ${conflicts.map(other => keybindManager.getLabel(other)).join(', ')}`, x + 20, y + height / 2 + 14);
+        }
+        
+        // Two key slots
+        for (let slot = 0; slot < 2; slot++) {
+            const slotKey = `keybind_${action}_${slot}`;
+            const slotX = resetX - 10 - (2 - slot) * (slotWidth + 10);
+            const isCapturing = this.isKeyCapturing && this.keyCaptureSetting && this.keyCaptureSetting.key === slotKey;
+            const isHovered = this.hoveredItem === slotKey;
+            const code = keys[slot];
+            const text = isCapturing ? 'Press a key...' : code ? KeybindManager.getKeyName(code) : '—';
+            
+            const slotBg = isCapturing ? 'rgba(255,255,0,0.2)' : isHovered ? 'rgba(88,166,255,0.3)' : 'rgba(255,255,255,0.08)';
+            const slotBorder = isCapturing ? '#ffff00' : isHovered ? '#58a6ff' : 'rgba(255,255,255,0.2)';
+            this.drawGlassmorphicPanel(ctx, slotX, slotY, slotWidth, slotHeight, slotBg, slotBorder);
+            
+            ctx.font = isCapturing ? '12px Courier New' : 'bold 14px Courier New';
+            ctx.fillStyle = isCapturing ? '#ffff00' : code ? '#f0f6fc' : '#8b949e';
+            ctx.textAlign = 'center';
+            ctx.fillText(text, slotX + slotWidth / 2, slotY + slotHeight / 2 + 5);
+            
+            hitAreas.push({
+                x: slotX,
+                y: slotY,
+                width: slotWidth,
+                height: slotHeight,
+                action: 'keybindSlot',
+                key: slotKey,
+                keybindAction: action,
+                slot: Math.min(slot, keys.length)
+            });
+        }
+        
+        // Per-action reset
+        const resetKey = `keybindReset_${action}`;
+        const resetHovered = this.hoveredItem === resetKey;
+        this.drawGlassmorphicPanel(ctx, resetX, slotY, resetWidth, slotHeight, 
+            resetHovered ? 'rgba(88,166,255,0.3)' : 'rgba(88,166,255,0.1)', resetHovered ? '#58a6ff' : 'rgba(88,166,255,0.5)');
+        ctx.font = 'bold 16px Courier New';
+        ctx.fillStyle = '#58a6ff';
+        ctx.textAlign = 'center';
+        ctx.fillText('↺', resetX + resetWidth / 2, slotY + slotHeight / 2 + 6);
+        ctx.restore();
+        
+        hitAreas.push({
+            x: resetX,
+            y: slotY,
+            width: resetWidth,
+            height: slotHeight,
+            action: 'keybindReset',
+            key: resetKey,
+            keybindAction: action
+        });
+    }
+
+    /**
+     * Draw touch overlay settings
+     */
+    drawTouchControlSettings(ctx, x, y, width, hitAreas) {
+        let currentY = y;
+        const controlHeight = 60;
+        const controlSpacing = 20;
+        
+        // Touch opacity slider
+        this.drawSliderControl(ctx, 'touchOpacity', 'Touch Opacity', this.getSettingByKey('touchOpacity'), 
+            0.15, 1, x, currentY, width, controlHeight, hitAreas);
+        currentY += controlHeight + controlSpacing;
+        
+        // Touch layout dropdown
+        this.drawDropdownControl(ctx, 'touchLayout', 'Touch Layout', this.getSettingByKey('touchLayout'), 
+            [
+                { label: 'Jump on Right', value: 'right' },
+                { label: 'Jump on Left', value: 'left' }
+            ], x, currentY, width, controlHeight, hitAreas);
+        currentY += controlHeight + controlSpacing;
+        
+        // Touch controls mode dropdown
+        this.drawDropdownControl(ctx, 'touchControls', 'Touch Controls', this.getSettingByKey('touchControls'), 
+            [
+                { label: 'Auto', value: 'auto' },
+                { label: 'Always On', value: 'on' },
+                { label: 'Off', value: 'off' }
+            ], x, currentY, width, controlHeight, hitAreas);
+    }
+
+    /**
+     * Draw gamepad controls
+     */
+    drawGamepadControls(ctx, x, y, width, hitAreas) {
+        let currentY = y;
+        const controlHeight = 60;
+        const controlSpacing = 20;
+        
+        // Stick dead zone slider
+        this.drawSliderControl(ctx, 'gamepadDeadZone', 'Stick Dead Zone', this.getSettingByKey('gamepadDeadZone'), 
+            0.05, 0.6, x, currentY, width, controlHeight, hitAreas);
+        currentY += controlHeight + controlSpacing;
+        
+        // Button bindings (the d-pad and left stick always move)
+        this.getGamepadBindingSettings().forEach(setting => {
+            this.drawGamepadBindingControl(ctx, setting.key, setting.label, setting.value, 
+                x, currentY, width, controlHeight, hitAreas);
+            currentY += controlHeight + controlSpacing;
+        });
+    }
+
+    /**
+     * Draw gamepad binding control - click, then press a button on the controller to rebind
+     */
+    drawGamepadBindingControl(ctx, key, label, buttonIndex, x, y, width, height, hitAreas) {
+        const isCapturing = this.gamepadCaptureKey === key;
+        const buttonText = isCapturing ? 'Press a button...' : InputManager.getButtonName(buttonIndex);
+        const buttonWidth = 180;
+        const buttonHeight = 35;
+        const buttonX = x + width - buttonWidth - 20;
+        const buttonY = y + height / 2 - buttonHeight / 2;
+        const isHovered = this.hoveredItem === key;
+        
+        // Control background
+        const bgColor = isHovered || isCapturing ? 'rgba(255,255,255,0.08)' : 'rgba(255,255,255,0.03)';
+        this.drawGlassmorphicPanel(ctx, x, y, width, height, bgColor, 'rgba(255,255,255,0.1)');
+        
+        // Label
+        ctx.save();
+        ctx.font = '16px Courier New';
+        ctx.fillStyle = '#f0f6fc';
+        ctx.textAlign = 'left';
+        ctx.fillText(label, x + 20, y + height / 2 + 5);
+        
+        // Binding button, pulsing while it waits for a press
+        const pulse = isCapturing ? 0.3 + Math.sin(this.animationTime * 6) * 0.15 : (isHovered ? 0.3 : 0.1);
+        this.drawGlassmorphicPanel(ctx, buttonX, buttonY, buttonWidth, buttonHeight, `rgba(236,72,153,${pulse})`, isCapturing || isHovered ? '#ec4899' : 'rgba(236,72,153,0.5)');
+        ctx.font = 'bold 14px Courier New';
+        ctx.fillStyle = isCapturing || isHovered ? '#f0f6fc' : '#ec4899';
+        ctx.textAlign = 'center';
+        ctx.fillText(buttonText, buttonX + buttonWidth / 2, buttonY + buttonHeight / 2 + 5);
+        ctx.restore();
+        
+        // Hit area
+        hitAreas.push({
+            x: buttonX,
+            y: buttonY,
+            width: buttonWidth,
+            height: buttonHeight,
+            action: 'gamepadBind',
+            key: key
+        });
+    }
+
     /**
      * Draw slider control
      */
@@ -2089,6 +2477,11 @@ export class SettingsSystem {
                 case 'deathAnimationSpeed':
                     this.gameInstance.deathAnimationSpeed = value;
                     break;
+                case 'language':
+                    if (this.gameInstance.languageSystem) {
+                        this.gameInstance.languageSystem.setLanguage(value);
+                    }
+                    break;
                 case 'graphicsQuality':
                     this.gameInstance.graphicsQuality = value;
                     if (this.gameInstance.applyGraphicsQuality) {
@@ -2132,6 +2525,9 @@ export class SettingsSystem {
             case 'resetAllProgress':
                 this.resetAllProgress();
                 break;
+            case 'resetAllKeybinds':
+                this.gameInstance?.keybindManager?.resetAll();
+                break;
             default:
                 console.warn('Unknown button action:', key);
         }
@@ -2950,6 +3346,23 @@ export class SettingsSystem {
                     return null;
                 }
                 
+                // Handle keyboard binding - wait for the next key (Esc cancels, Delete clears)
+                if (area.action === 'keybindSlot') {
+                    this.startKeyCapture({ type: 'keybind', key: area.key, action: area.keybindAction, slot: area.slot });
+                    return null;
+                }
+                
+                if (area.action === 'keybindReset') {
+                    this.gameInstance?.keybindManager?.resetAction(area.keybindAction);
+                    return null;
+                }
+                
+                // Handle gamepad binding - wait for the next controller button
+                if (area.action === 'gamepadBind') {
+                    this.startGamepadCapture(area.key);
+                    return null;
+                }
+                
                 // Handle button actions
                 if (area.action === 'button') {
                     console.log('🔘 Button clicked:', area.key);
@@ -3011,10 +3424,59 @@ export class SettingsSystem {
         this.keyCaptureSetting = setting;
     }
     
+    /**
+     * Start the "press a button to bind" flow for a gamepad binding setting
+     */
+    startGamepadCapture(key) {
+        const inputManager = this.gameInstance?.inputManager;
+        if (!inputManager) return;
+        
+        // Clicking the same binding again cancels
+        if (this.gamepadCaptureKey === key) {
+            inputManager.cancelGamepadCapture();
+            return;
+        }
+        if (inputManager.isCapturingGamepadButton()) {
+            inputManager.cancelGamepadCapture();
+        }
+        
+        this.gamepadCaptureKey = key;
+        inputManager.captureGamepadButton(buttonIndex => {
+            if (this.gamepadCaptureKey !== key) return;
+            this.gamepadCaptureKey = null;
+            if (buttonIndex === null) {
+                console.log('🎮 Gamepad binding cancelled');
+                return;
+            }
+            console.log(`🎮 ${key} bound to ${InputManager.getButtonName(buttonIndex)}`);
+            this.setSettingValue(key, buttonIndex);
+            this.applyGamepadSettings();
+        });
+    }
+    
     /**
      * Handle key press during key capture
      */
     handleKeyPress(event) {
+        if (this.isKeyCapturing && this.keyCaptureSetting && this.keyCaptureSetting.type === 'keybind') {
+            const { action, slot } = this.keyCaptureSetting;
+            const keybindManager = this.gameInstance?.keybindManager;
+            this.isKeyCapturing = false;
+            this.keyCaptureSetting = null;
+            
+            if (keybindManager && event.code !== 'Escape') {
+                if (event.code === 'Delete') {
+                    keybindManager.clearKey(action, slot);
+                } else {
+                    keybindManager.setKey(action, slot, event.code);
+                    console.log(`⌨️ ${action} bound to ${KeybindManager.getKeyName(event.code)}`);
+                }
+            }
+            
+            event.preventDefault();
+            return true;
+        }
+        
         if (this.isKeyCapturing && this.keyCaptureSetting) {
             let keyName = event.key;
             
@@ -3124,7 +3586,10 @@ export class SettingsSystem {
         const tabHeight = 80;
         const availableHeight = 600; // Approximate panel height
         
-        const totalContentHeight = settingsCount * (controlHeight + controlSpacing) + headerHeight;
+        let totalContentHeight = settingsCount * (controlHeight + controlSpacing) + headerHeight;
+        if (this.settingsCategories[this.activeTab]?.title === 'Controls') {
+            totalContentHeight += this.getKeybindSectionHeight();
+        }
         const maxScroll = Math.max(0, totalContentHeight - availableHeight + tabHeight);
         
         return maxScroll;
@@ -6,6 +6,7 @@ export class ShopSystem {
     constructor(game) {
         this.game = game;
         this.ownedUpgrades = new Set();
+        this.loadoutOverride = null; // Fixed upgrade set for special runs (e.g. Daily Run)
         this.upgradeData = this.initializeUpgradeData();
         this.loadOwnedUpgrades();
     }    initializeUpgradeData() {
@@ -76,6 +77,62 @@ export class ShopSystem {
                 effect: { type: 'maxHealth', value: 1 }
             },
 
+            // Score Collection
+            'ally-drone-1': {
+                name: 'Ally Drone Level 1',
+                price: 700,
+                category: 'score',
+                description: 'A companion drone that follows you, grabs nearby data packets and blocks a hit every 40 seconds.',
+                effect: { type: 'allyDrone', value: 1 }
+            },
+            'ally-drone-2': {
+                name: 'Ally Drone Level 2',
+                price: 1300,
+                category: 'score',
+                description: 'Wider packet pickup range and the drone recharges its block in 30 seconds.',
+                effect: { type: 'allyDrone', value: 2 },
+                prerequisites: ['ally-drone-1']
+            },
+            'ally-drone-3': {
+                name: 'Ally Drone Level 3',
+                price: 2000,
+                category: 'score',
+                description: 'Maximum pickup range and the fastest block recharge, every 20 seconds.',
+                effect: { type: 'allyDrone', value: 3 },
+                prerequisites: ['ally-drone-2']
+            },
+
+            'combo-bonus': {
+                name: 'Combo Amplifier',
+                price: 600,
+                category: 'score',
+                description: 'Packet chains, near misses and clean running build your combo 50% faster.',
+                effect: { type: 'comboBonus', value: 0.5 }
+            },
+            'streak-saver': {
+                name: 'Streak Saver',
+                price: 800,
+                category: 'score',
+                description: 'Taking damage doesn\'t break your combo. Recharges after 30 seconds.',
+                effect: { type: 'streakSaver', value: true }
+            },
+
+            // Survival & Revival
+            'second-chance': {
+                name: 'Second Chance',
+                price: 900,
+                category: 'revive',
+                description: 'Once per run, a fatal hit respawns you on safe ground behind it with spawn protection.',
+                effect: { type: 'secondChance', value: true }
+            },
+            'rewind': {
+                name: 'Rewind',
+                price: 1200,
+                category: 'revive',
+                description: 'Instead of dying, snap back 3 seconds in time. Recharges after 45 seconds.',
+                effect: { type: 'rewind', value: true }
+            },
+
             // Cosmetic Unlocks
             'sprite-cosmic': {
                 name: 'Bathtub Lover',
@@ -173,7 +230,7 @@ export class ShopSystem {
 
         // Deduct currency (only if upgradeSystem exists)
         if (this.game.upgradeSystem) {
-            this.game.upgradeSystem.spendDataPackets(upgrade.price);
+            this.game.upgradeSystem.spendDataPackets(upgrade.price, upgradeId);
         }
 
         // Add to owned upgrades
@@ -250,7 +307,13 @@ export class ShopSystem {
             'dash': 'dash',
             'dash-module-1': 'dashModule1',
             'dash-module-2': 'dashModule2',            'dash-module-3': 'dashModule3',
-            'health-upgrade': 'healthUpgrade'
+            'health-upgrade': 'healthUpgrade',
+            'second-chance': 'secondChance',
+            'combo-bonus': 'comboBonus',
+            'streak-saver': 'streakSaver',
+            'ally-drone-1': 'allyDrone1',
+            'ally-drone-2': 'allyDrone2',
+            'ally-drone-3': 'allyDrone3'
         };
         
         return idMap[upgradeId] || upgradeId;
@@ -260,6 +323,25 @@ export class ShopSystem {
         return this.ownedUpgrades.has(upgradeId);
     }
 
+    /**
+     * Use a fixed set of upgrades for the next runs instead of the owned ones
+     * @param {string[]} upgradeIds - Upgrade IDs to treat as active
+     */
+    setLoadoutOverride(upgradeIds) {
+        this.loadoutOverride = new Set(upgradeIds);
+    }
+
+    clearLoadoutOverride() {
+        this.loadoutOverride = null;
+    }
+
+    /**
+     * Get the upgrades that apply to the current run (loadout override or owned upgrades)
+     */
+    getActiveUpgrades() {
+        return Array.from(this.loadoutOverride || this.ownedUpgrades);
+    }
+
     /**
      * Get owned upgrades array for saving
      */
@@ -0,0 +1,153 @@
+/**
+ * Touch Controls System - On-canvas virtual pads for playing on phones and tablets
+ *
+ * Left/right pads, a jump button and (once a dash upgrade is owned) a dash button. Each touch is
+ * tracked by its identifier so several fingers can hold buttons at once, and a finger sliding from
+ * one pad to another switches buttons. The held buttons are handed to InputManager, which merges
+ * them into getKeys() like the keyboard and gamepad. GameUI draws the overlay from getButtons().
+ */
+
+import { GAME_STATES, TOUCH_CONTROLS } from '../utils/constants.js';
+
+export class TouchControlsSystem {
+    constructor(game) {
+        this.game = game;
+        this.touches = new Map(); // Touch identifier -> button id under that finger (or null)
+        this.coarsePointer = typeof window !== 'undefined' && !!window.matchMedia &&
+            window.matchMedia('(pointer: coarse)').matches;
+
+        this.setupEventListeners();
+    }
+
+    setupEventListeners() {
+        const canvas = this.game.canvas;
+        const handler = (e) => this.handleTouch(e);
+        ['touchstart', 'touchmove', 'touchend', 'touchcancel'].forEach(type => {
+            canvas.addEventListener(type, handler, { passive: false });
+        });
+    }
+
+    /**
+     * 'auto' shows the overlay on coarse-pointer (touch-first) devices only
+     */
+    isEnabled() {
+        const mode = this.getSetting('touchControls', 'auto');
+        if (mode === 'on') return true;
+        if (mode === 'off') return false;
+        return this.coarsePointer;
+    }
+
+    /**
+     * Touches only drive the player during a run - everywhere else they fall through to clicks
+     */
+    isActive() {
+        return this.isEnabled() && this.game.gameState === GAME_STATES.PLAYING;
+    }
+
+    getOpacity() {
+        return this.getSetting('touchOpacity', TOUCH_CONTROLS.DEFAULT_OPACITY);
+    }
+
+    getSetting(key, fallback) {
+        const value = this.game.settingsSystem ? this.game.settingsSystem.getSettingValue(key) : null;
+        return value === null || value === undefined ? fallback : value;
+    }
+
+    hasDash() {
+        const player = this.game.player;
+        return !!(player && (player.shopUpgrades.dash || player.shopUpgrades.dashModuleLevel > 0));
+    }
+
+    /**
+     * Button layout for the current canvas size
+     * @returns {Array} - [{ id, key, label, x, y, radius }] in canvas coordinates
+     */
+    getButtons() {
+        const { width, height } = this.game.canvas;
+        const radius = TOUCH_CONTROLS.BUTTON_RADIUS;
+        const margin = TOUCH_CONTROLS.MARGIN;
+        const baseY = height - margin - radius;
+        const jumpRadius = radius * 1.2;
+        const dashRadius = radius * 0.85;
+
+        const buttons = [
+            { id: 'left', key: 'left', label: '◀', x: margin + radius, y: baseY, radius: radius },
+            { id: 'right', key: 'right', label: '▶', x: margin + radius * 3 + 16, y: baseY, radius: radius },
+            { id: 'jump', key: 'space', label: 'JUMP', x: width - margin - jumpRadius, y: baseY - 10, radius: jumpRadius }
+        ];
+        if (this.hasDash()) {
+            buttons.push({ id: 'dash', key: 'shift', label: 'DASH', x: width - margin - jumpRadius * 2 - dashRadius - 20, y: baseY + 12, radius: dashRadius });
+        }
+
+        // Left-handed layout mirrors everything
+        if (this.getSetting('touchLayout', 'right') === 'left') {
+            buttons.forEach(button => {
+                button.x = width - button.x;
+            });
+        }
+        return buttons;
+    }
+
+    /**
+     * Button under a canvas position, nearest first when the slop areas overlap
+     */
+    hitTest(x, y) {
+        let closest = null;
+        let closestDistance = Infinity;
+        this.getButtons().forEach(button => {
+            const distance = Math.hypot(x - button.x, y - button.y);
+            if (distance <= button.radius * TOUCH_CONTROLS.HIT_SLOP && distance < closestDistance) {
+                closest = button;
+                closestDistance = distance;
+            }
+        });
+        return closest;
+    }
+
+    handleTouch(e) {
+        const ending = e.type === 'touchend' || e.type === 'touchcancel';
+
+        // Releases always count so a button can't stick after the run ends mid-touch
+        if (!ending && !this.isActive()) return;
+        if (this.isActive()) {
+            e.preventDefault(); // No scrolling, zooming or synthesized clicks while playing
+        }
+
+        const rect = this.game.canvas.getBoundingClientRect();
+        const scaleX = this.game.canvas.width / rect.width;
+        const scaleY = this.game.canvas.height / rect.height;
+
+        for (const touch of e.changedTouches) {
+            if (ending) {
+                this.touches.delete(touch.identifier);
+                continue;
+            }
+            const x = (touch.clientX - rect.left) * scaleX;
+            const y = (touch.clientY - rect.top) * scaleY;
+            const button = this.hitTest(x, y);
+            this.touches.set(touch.identifier, button ? button.id : null);
+        }
+
+        this.updateKeys();
+    }
+
+    updateKeys() {
+        const held = new Set(this.touches.values());
+        const keys = {};
+        this.getButtons().forEach(button => {
+            keys[button.key] = held.has(button.id);
+        });
+        keys.shift = !!keys.shift; // Dash button may be hidden
+
+        if (this.game.inputManager) {
+            this.game.inputManager.setTouchKeys(keys);
+        }
+    }
+
+    isPressed(buttonId) {
+        for (const id of this.touches.values()) {
+            if (id === buttonId) return true;
+        }
+        return false;
+    }
+}
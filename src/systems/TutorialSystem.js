@@ -4,6 +4,7 @@
  */
 
 import { GAME_STATES } from '../utils/constants.js';
+import { t } from './LanguageSystem.js';
 
 export class TutorialSystem {
     constructor(game) {
@@ -30,39 +31,32 @@ export class TutorialSystem {
         this.hasShownUpgrades = false;
         this.hasShownSettings = false;
         
-        // Define all tutorial sequences
-        this.tutorials = {
-            welcome: this.createWelcomeTutorial(),
-            gameplay: this.createGameplayTutorial(),
-            upgrades: this.createUpgradesTutorial(),
-            settings: this.createSettingsTutorial(),
-            controls: this.createControlsTutorial()
-        };
-        
-        // Button state for navigation
+        // Button state for navigation (text is filled in by applyLanguage)
         this.buttons = {
             next: {
-                text: "Next →",
                 x: 0, y: 0, width: 120, height: 40,
                 hovered: false, color: '#40d158'
             },
             previous: {
-                text: "← Previous",
                 x: 0, y: 0, width: 120, height: 40,
                 hovered: false, color: '#58a6ff'
             },
             skip: {
-                text: "Skip Tutorial",
                 x: 0, y: 0, width: 130, height: 35,
                 hovered: false, color: '#f85149'
             },
             complete: {
-                text: "Let's Play! 🚀",
                 x: 0, y: 0, width: 150, height: 45,
                 hovered: false, color: '#40d158'
             }
         };
         
+        // Define all tutorial sequences, and rebuild them whenever the language changes
+        this.applyLanguage();
+        if (game.languageSystem) {
+            game.languageSystem.onLanguageChange(() => this.applyLanguage());
+        }
+        
         this.loadTutorialProgress();
         this.setupEventListeners();
     }
@@ -131,284 +125,94 @@ export class TutorialSystem {
     }
     
     /**
-     * Create welcome tutorial for new users
+     * Build the tutorial sequences and button text in the current language
      */
-    createWelcomeTutorial() {
+    applyLanguage() {
+        this.tutorials = {
+            welcome: this.createWelcomeTutorial(),
+            gameplay: this.createGameplayTutorial(),
+            upgrades: this.createUpgradesTutorial(),
+            settings: this.createSettingsTutorial(),
+            controls: this.createControlsTutorial()
+        };
+        
+        Object.entries(this.buttons).forEach(([id, button]) => {
+            button.text = t(`tutorial.buttons.${id}`);
+        });
+    }
+    
+    /**
+     * Combine step layout with the step text from tutorial.<id> in the language pack
+     * @param {string} id - Tutorial id
+     * @param {Array} steps - Per-step highlight/interaction settings, in pack order
+     */
+    buildTutorial(id, steps) {
         return {
-            title: "Welcome to CodeRunner! 🎮",
-            steps: [
-                {
-                    title: "Welcome, Runner! 👋",
-                    content: [
-                        "Welcome to CodeRunner - the ultimate coding-themed endless runner!",
-                        "",
-                        "You're about to embark on an exciting journey through",
-                        "a digital world filled with obstacles, upgrades, and challenges.",
-                        "",
-                        "This quick tutorial will get you started in no time!"
-                    ],
-                    highlight: null,
-                    interactive: false
-                },
-                {
-                    title: "Your Mission 🎯",
-                    content: [
-                        "Your goal is simple: RUN as far as you can!",
-                        "",
-                        "• Avoid deadly obstacles like spikes, saws, and lasers",
-                        "• Collect data packets (📦) to earn upgrade points",
-                        "• Survive as long as possible to set high scores",
-                        "• Unlock achievements and climb the leaderboard",
-                        "",
-                        "The world gets progressively harder - stay sharp!"
-                    ],
-                    highlight: null,
-                    interactive: false
-                },
-                {
-                    title: "Basic Controls 🎮",
-                    content: [
-                        "Master these essential controls:",
-                        "",
-                        "MOVEMENT:",
-                        "• ← → Arrow Keys or A/D: Move left/right",
-                        "• ↑ Arrow Key, W, or Spacebar: Jump",
-                        "",
-                        "GAME CONTROLS:",
-                        "• Q: Open upgrade shop",
-                        "• P: Pause game",
-                        
-                    ],
-                    highlight: null,
-                    interactive: false
-                },
-                {
-                    title: "Health & Survival ❤️",
-                    content: [
-                        "Stay alive with the health system:",
-                        "",
-                        "• You start with 3 hearts (health points)",
-                        "• Hitting obstacles removes 1 heart",
-                        "• Collect life boxes for instant healing",
-                    ],
-                    highlight: { type: 'hearts', x: 50, y: 40 },
-                    interactive: false
-                },
-                {
-                    title: "Ready to Start? 🚀",
-                    content: [
-                        "You're all set to begin your CodeRunner adventure!",
-                        "",
-                        "Choose your difficulty and start running:",
-                        "",
-                        "🔹 Easy: Frequent life boxes, gentler difficulty curve",
-                        "🔸 Medium: Balanced challenge with moderate healing",
-                        "🔴 Hard: Rare life boxes, steep difficulty increases",
-                        "❌ Extreme: No life boxes, ultimate survival challenge",
-                        "",
-                        "Good luck, Runner! 🏃‍♂️💨"
-                    ],
-                    highlight: null,
-                    interactive: false
-                }
-            ]
+            title: t(`tutorial.${id}.title`),
+            steps: steps.map((step, index) => {
+                const content = t(`tutorial.${id}.steps.${index}.content`);
+                return {
+                    ...step,
+                    title: t(`tutorial.${id}.steps.${index}.title`),
+                    content: Array.isArray(content) ? content : [content]
+                };
+            })
         };
     }
     
+    /**
+     * Create welcome tutorial for new users
+     */
+    createWelcomeTutorial() {
+        return this.buildTutorial('welcome', [
+            { highlight: null, interactive: false },
+            { highlight: null, interactive: false },
+            { highlight: null, interactive: false },
+            { highlight: { type: 'hearts', x: 50, y: 40 }, interactive: false },
+            { highlight: null, interactive: false }
+        ]);
+    }
+    
     /**
      * Create gameplay tutorial for first-time players
      */
     createGameplayTutorial() {
-        return {
-            title: "Gameplay Tutorial 🎮",
-            steps: [
-                {
-                    title: "Movement Basics 🏃‍♂️",
-                    content: [
-                        "Let's practice movement:",
-                        "",
-                        "• Use ARROW KEYS or WASD to move",
-                        "• Press UP/W/SPACE to jump",
-                        "• You can move in mid-air for better control",
-                        "",
-                        "Try moving around and jumping!"
-                    ],
-                    highlight: { type: 'player' },
-                    interactive: true,
-                    requirement: 'movement'
-                },
-                {
-                    title: "Obstacle Awareness ⚠️",
-                    content: [
-                        "Watch out for these dangerous obstacles:",
-                        "",
-                        "🔺 Spikes: Touch and you lose health",
-                        "⚙️ Saws: Rotating death traps",
-                        "🔴 Lasers: Instant damage beams",
-                        "🟫 Crushers: Moving death blocks",
-                        "",
-                        "Learn their patterns and time your moves!"
-                    ],
-                    highlight: null,
-                    interactive: false
-                },
-                {
-                    title: "Collecting Data Packets 📦",
-                    content: [
-                        "Data packets are your currency:",
-                        "",
-                        "• Appear as glowing blue boxes",
-                        "• Run into them to collect",
-                        "• Earn upgrade points for the shop",
-                        "• More valuable at higher distances",
-                        "",
-                        "Collect as many as you can!"
-                    ],
-                    highlight: { type: 'dataPacket' },
-                    interactive: false
-                }
-            ]
-        };
+        return this.buildTutorial('gameplay', [
+            { highlight: { type: 'player' }, interactive: true, requirement: 'movement' },
+            { highlight: null, interactive: false },
+            { highlight: { type: 'dataPacket' }, interactive: false }
+        ]);
     }
     
     /**
      * Create upgrades tutorial
      */
     createUpgradesTutorial() {
-        return {
-            title: "Upgrade System Tutorial 🛒",
-            steps: [
-                {
-                    title: "The Upgrade Shop 🛒",
-                    content: [
-                        "Spend your data packets on powerful upgrades:",
-                        "",
-                        "• Press Q anytime to open the shop",
-                        "• Available even during gameplay!",
-                        "• Upgrades persist between runs",
-                        "• Strategic spending = better performance",
-                        "",
-                        "Let's explore the shop categories..."
-                    ],
-                    highlight: { type: 'shopButton' },
-                    interactive: false
-                },
-                {
-                    title: "Movement Upgrades 🏃‍♂️",
-                    content: [
-                        "Enhance your runner's abilities:",
-                        "",
-                        "• Extra Speed: Run faster, escape danger",
-                        "• Jump Boost: Higher jumps, reach platforms",
-                        "• Health Boost: More hearts = more survivability",
-                        "• Quantum Dash: Teleport through obstacles!",
-                        "",
-                        "Movement upgrades are essential for progression."
-                    ],
-                    highlight: null,
-                    interactive: false
-                },
-                {
-                    title: "Economic Upgrades 💰",
-                    content: [
-                        "Boost your earning potential:",
-                        "",
-                        "• Data Packet Value: More points per packet",
-                        "• Collection Radius: Collect from further away",
-                        "• Bonus Multiplier: Multiply your earnings",
-                        "",
-                        "Economic upgrades help you afford better gear faster!"
-                    ],
-                    highlight: null,
-                    interactive: false
-                }
-            ]
-        };
+        return this.buildTutorial('upgrades', [
+            { highlight: { type: 'shopButton' }, interactive: false },
+            { highlight: null, interactive: false },
+            { highlight: null, interactive: false }
+        ]);
     }
     
     /**
      * Create settings tutorial
      */
     createSettingsTutorial() {
-        return {
-            title: "Settings & Customization ⚙️",
-            steps: [
-                {
-                    title: "Game Settings ⚙️",
-                    content: [
-                        "Customize your experience:",
-                        "",
-                        "AUDIO:",
-                        "• Master volume control",
-                        "• Music and sound effect toggles",
-                        "",
-                        "GRAPHICS:",
-                        "• Performance monitoring",
-                        "• FPS counter display",
-                        "",
-                        "Access settings from the main menu anytime!"
-                    ],
-                    highlight: null,
-                    interactive: false
-                },
-                {
-                    title: "Control Customization 🎮",
-                    content: [
-                        "Make the controls work for you:",
-                        "",
-                        "• Remap movement keys",
-                        "• Change jump controls",
-                        "• Adjust action buttons",
-                        "",
-                        "Find what feels comfortable and stick with it!"
-                    ],
-                    highlight: null,
-                    interactive: false
-                }
-            ]
-        };
+        return this.buildTutorial('settings', [
+            { highlight: null, interactive: false },
+            { highlight: null, interactive: false }
+        ]);
     }
     
     /**
      * Create controls tutorial
      */
     createControlsTutorial() {
-        return {
-            title: "Advanced Controls 🎮",
-            steps: [
-                {
-                    title: "Pro Movement Tips 🏃‍♂️",
-                    content: [
-                        "Master these advanced techniques:",
-                        "",
-                        "• Edge jumping: Jump at the last second",
-                        "• Air control: Adjust mid-air movement",
-                        "• Quick direction changes: Rapid left-right",
-                        "• Jump canceling: Release jump for shorter hops",
-                        "",
-                        "Practice makes perfect!"
-                    ],
-                    highlight: null,
-                    interactive: false
-                },
-                {
-                    title: "Game Management 📋",
-                    content: [
-                        "Essential game controls:",
-                        "",
-                        "• ESC: Pause/unpause game",
-                        "• Q: Quick shop access",
-                        "• F3: Performance monitor",
-                        "• C: View changelog",
-                        "• Click anywhere: Pause during gameplay",
-                        "",
-                        "Master these for smooth gameplay!"
-                    ],
-                    highlight: null,
-                    interactive: false
-                }
-            ]
-        };
+        return this.buildTutorial('controls', [
+            { highlight: null, interactive: false },
+            { highlight: null, interactive: false }
+        ]);
     }
     
     /**
@@ -1023,7 +827,7 @@ export class TutorialSystem {
         ctx.fillStyle = '#7d8590';
         ctx.font = '14px -apple-system, BlinkMacSystemFont, "Segoe UI", Helvetica, Arial, sans-serif';
         ctx.textAlign = 'center';
-        ctx.fillText(`${currentStep} of ${totalSteps}`, panelX + panelWidth / 2, progressY + 25);
+        ctx.fillText(t('tutorial.stepCounter', { current: currentStep, total: totalSteps }), panelX + panelWidth / 2, progressY + 25);
         
         // Modern progress dots
         const dotSpacing = progressWidth / (totalSteps - 1);
@@ -1103,7 +907,7 @@ export class TutorialSystem {
         ctx.font = '14px Courier New';
         ctx.textAlign = 'center';
         ctx.fillText(
-            `Step ${this.currentStep + 1} of ${totalSteps}`,
+            t('tutorial.stepProgress', { current: this.currentStep + 1, total: totalSteps }),
             progressX + progressWidth / 2,
             progressY + 25
         );
@@ -1310,7 +1114,7 @@ export class TutorialSystem {
      */
     showDataPacketHint() {
         if (!this.tutorialProgress.dataPacketHint) {
-            this.showQuickHint("💡 Data Packets earned! Press Q to open the upgrade shop.");
+            this.showQuickHint(t('tutorial.hints.dataPackets'));
             this.tutorialProgress.dataPacketHint = true;
             this.saveTutorialProgress();
         }
@@ -1321,7 +1125,7 @@ export class TutorialSystem {
      */
     showLowHealthHint() {
         if (!this.tutorialProgress.lowHealthHint) {
-            this.showQuickHint("❤️ Low health! Look for life boxes or upgrade your health regeneration.");
+            this.showQuickHint(t('tutorial.hints.lowHealth'));
             this.tutorialProgress.lowHealthHint = true;
             this.saveTutorialProgress();
         }
@@ -1332,7 +1136,7 @@ export class TutorialSystem {
      */
     showAchievementHint() {
         if (!this.tutorialProgress.achievementHint) {
-            this.showQuickHint("🏆 Achievement unlocked! Check the achievements menu from the home screen.");
+            this.showQuickHint(t('tutorial.hints.achievement'));
             this.tutorialProgress.achievementHint = true;
             this.saveTutorialProgress();
         }
@@ -2,12 +2,16 @@
  * Upgrade System - Manages temporary upgrades for each game session
  */
 
-import { GAME_CONFIG } from '../utils/constants.js';
+import { GAME_CONFIG, PACKET_LEDGER } from '../utils/constants.js';
 
 export class UpgradeSystem {    constructor(game) {
         this.game = game; // Store game reference for save system access
         this.dataPackets = 0; // Currency for upgrades
         
+        // Where the balance comes from, so saves from two devices can be merged - see createLedger
+        this.deviceId = this.getDeviceId();
+        this.ledger = UpgradeSystem.createLedger();
+        
         // Upgrade levels (reset each game)
         this.jumpHeightLevel = 0;
         this.scoreMultiplierLevel = 0;
@@ -24,8 +28,7 @@ export class UpgradeSystem {    constructor(game) {
         this.isInitializing = true;
         this.hasLoadedData = false;
         
-        // Only load data immediately if user is not logged in
-        // If user is logged in, wait for cloud save system to apply data
+        // Load this device's data; for logged-in users the cloud save merges into it afterwards
         this.initializeData().catch(error => {
             console.warn('Failed to initialize upgrade data:', error);
         });
@@ -38,24 +41,21 @@ export class UpgradeSystem {    constructor(game) {
         // Small delay to allow cloud save system to initialize if user is logged in
         await new Promise(resolve => setTimeout(resolve, 100));
         
-        // Check if user is logged in and cloud save system will handle the data
-        const isLoggedIn = this.game && this.game.cloudSaveSystem && this.game.cloudSaveSystem.isUserLoggedIn();
-        
-        if (!isLoggedIn) {
-            // User not logged in, load from localStorage immediately
-            await this.loadUpgradeData();
-        } else {
-            // User is logged in, mark as initialized but don't load data yet
-            // Cloud save system will call loadSavedData() with the cloud data
-            console.log('💾 UpgradeSystem waiting for cloud data...');
-        }
+        // Always start from this device's ledger - the cloud save merges into it rather than replacing it
+        await this.loadUpgradeData();
         
         this.isInitializing = false;
     }
       /**
      * Add data packets from game collection
      */    addDataPackets(amount) {
+        // Packets picked up while watching a replay were already paid out in the original run
+        if (this.game && this.game.replaySystem && this.game.replaySystem.isPlaying()) {
+            return;
+        }
+        
         const previousAmount = this.dataPackets;
+        this.ledger.earned[this.deviceId] = (this.ledger.earned[this.deviceId] || 0) + amount;
         this.dataPackets += amount;
         
         // Debug logging for datapackets changes
@@ -68,9 +68,23 @@ export class UpgradeSystem {    constructor(game) {
     }
       /**
      * Spend data packets (for shop purchases)
-     */    spendDataPackets(amount) {
+     * @param {number} amount - Packets to spend
+     * @param {string} item - One-time purchase the packets pay for, so buying it on two devices only costs once
+     */    spendDataPackets(amount, item = null) {
         if (this.dataPackets >= amount) {
             const previousAmount = this.dataPackets;
+            // Strictly after this device's earlier spends, even if its clock went back - merges drop
+            // spends at or before the time its settled ones run through
+            const settled = this.ledger.settled[this.deviceId];
+            const spentAt = Math.max(Date.now(), (settled ? settled.through : 0) + 1, ...this.ledger.spends
+                .filter(spend => UpgradeSystem.getSpendDevice(spend.id) === this.deviceId)
+                .map(spend => spend.at + 1));
+            this.ledger.spends.push({
+                id: `${this.deviceId}-${spentAt.toString(36)}-${this.ledger.spends.length}`,
+                amount: amount,
+                item: item,
+                at: spentAt
+            });
             this.dataPackets -= amount;
             
             // Debug logging for datapackets changes
@@ -145,7 +159,9 @@ export class UpgradeSystem {    constructor(game) {
         }
         
         // Deduct cost
-        this.dataPackets -= upgrade.cost;
+        if (!this.spendDataPackets(upgrade.cost)) {
+            return false;
+        }
           // Apply upgrade
         switch (upgradeIndex) {
             case 0: // Jump Height
@@ -215,6 +231,7 @@ export class UpgradeSystem {    constructor(game) {
         try {
             const upgradeData = {
                 dataPackets: this.dataPackets,
+                ledger: this.ledger,
                 timestamp: Date.now()
             };
             
@@ -248,8 +265,11 @@ export class UpgradeSystem {    constructor(game) {
             const saved = localStorage.getItem('coderunner_upgrade_data');
             if (saved) {
                 const upgradeData = JSON.parse(saved);
-                if (upgradeData.dataPackets !== undefined) {
-                    this.dataPackets = upgradeData.dataPackets;
+                // Saved before the ledger - the whole balance becomes its base
+                const ledger = upgradeData.ledger || (upgradeData.dataPackets !== undefined ? UpgradeSystem.createLedger(upgradeData.dataPackets) : null);
+                if (ledger) {
+                    // Merged in case a cloud save was applied before this ran
+                    this.setLedger(UpgradeSystem.mergeLedgers(ledger, this.ledger).ledger);
                     console.log(`💾 Loaded data packets from localStorage: ${this.dataPackets}`);
                 }
             }
@@ -267,6 +287,7 @@ export class UpgradeSystem {    constructor(game) {
     getSaveData() {
         return {
             dataPackets: this.dataPackets,
+            ledger: this.ledger,
             timestamp: Date.now()
         };
     }
@@ -281,8 +302,11 @@ export class UpgradeSystem {    constructor(game) {
         }
         
         try {
-            if (upgradeData && upgradeData.dataPackets !== undefined) {
-                this.dataPackets = upgradeData.dataPackets;
+            if (upgradeData && upgradeData.ledger) {
+                this.setLedger(upgradeData.ledger);
+                console.log(`💾 Loaded data packets from unified save: ${this.dataPackets}`);
+            } else if (upgradeData && upgradeData.dataPackets !== undefined) {
+                this.setLedger(UpgradeSystem.createLedger(upgradeData.dataPackets));
                 console.log(`💾 Loaded data packets from unified save: ${this.dataPackets}`);
             }
         } catch (error) {
@@ -291,4 +315,227 @@ export class UpgradeSystem {    constructor(game) {
         
         this.hasLoadedData = true;
     }
+    
+    /**
+     * Replace the ledger with a merged one from the cloud save - unlike loadSavedData this isn't a
+     * first load, a merge already holds everything this device had
+     */
+    applyLedger(ledger) {
+        this.setLedger(ledger);
+        this.saveLocalLedger();
+        console.log(`💾 Data packets merged from cloud save: ${this.dataPackets}`);
+    }
+    
+    setLedger(ledger) {
+        this.ledger = UpgradeSystem.normalizeLedger(ledger);
+        this.dataPackets = UpgradeSystem.getLedgerBalance(this.ledger);
+    }
+    
+    /**
+     * Write the ledger to localStorage without triggering another cloud save
+     */
+    saveLocalLedger() {
+        try {
+            localStorage.setItem('coderunner_upgrade_data', JSON.stringify({
+                dataPackets: this.dataPackets,
+                ledger: this.ledger,
+                timestamp: Date.now()
+            }));
+        } catch (error) {
+            console.warn('⚠️ Failed to save upgrade data:', error);
+        }
+    }
+    
+    /**
+     * Id for this browser's earnings in the ledger, generated once and kept in localStorage
+     */
+    getDeviceId() {
+        let deviceId = null;
+        try {
+            deviceId = localStorage.getItem('coderunner_device_id');
+        } catch (error) {
+            console.warn('Failed to load device id:', error);
+        }
+        if (!deviceId) {
+            deviceId = typeof crypto !== 'undefined' && crypto.randomUUID
+                ? crypto.randomUUID()
+                : `${Date.now().toString(36)}-${Math.random().toString(36).slice(2)}`;
+            try {
+                localStorage.setItem('coderunner_device_id', deviceId);
+            } catch (error) {
+                console.warn('Failed to save device id:', error);
+            }
+        }
+        return deviceId;
+    }
+    
+    /**
+     * Packet ledger - the balance is base + everything earned - everything spent, where
+     *   base    - balance saved before the ledger existed (merged by taking the higher one)
+     *   earned  - packets earned per device, which only ever grows (merged per device by the higher one)
+     *   spends  - purchases as { id, amount, item, at } (merged as a union by id)
+     *   settled - per device, { amount, through }: the total of its spends up to `through` that both
+     *             sides of a merge already had and are older than PACKET_LEDGER.SETTLE_AFTER, folded
+     *             out of `spends` (merged by the later `through`)
+     *   settledItems - one-time items those settled spends paid for
+     *   voided  - ids of spends undone when an overspend was resolved, so they stay undone
+     * so merging two devices' saves never counts a spend twice or loses one, and the spend log only
+     * holds the recent purchases.
+     */
+    static createLedger(base = 0) {
+        return { base: base, earned: {}, spends: [], settled: {}, settledItems: [], voided: [] };
+    }
+    
+    /**
+     * Device a spend was made on - ids are `${deviceId}-${at in base 36}-${index}`, and device ids
+     * may contain dashes themselves
+     */
+    static getSpendDevice(spendId) {
+        return String(spendId).split('-').slice(0, -2).join('-');
+    }
+    
+    /**
+     * Fill in parts a save left out (Firestore drops empty maps and arrays)
+     */
+    static normalizeLedger(ledger) {
+        return {
+            base: ledger && ledger.base ? ledger.base : 0,
+            earned: ledger && ledger.earned ? { ...ledger.earned } : {},
+            spends: ledger && Array.isArray(ledger.spends) ? ledger.spends.map(spend => ({ ...spend, item: spend.item || null })) : [],
+            settled: ledger && ledger.settled ? { ...ledger.settled } : {},
+            settledItems: ledger && Array.isArray(ledger.settledItems) ? [...ledger.settledItems] : [],
+            voided: ledger && Array.isArray(ledger.voided) ? [...ledger.voided] : []
+        };
+    }
+    
+    static getLedgerBalance(ledger) {
+        const earned = Object.values(ledger.earned).reduce((sum, amount) => sum + amount, 0);
+        const settled = Object.values(ledger.settled || {}).reduce((sum, total) => sum + total.amount, 0);
+        const spent = ledger.spends.reduce((sum, spend) => sum + spend.amount, 0);
+        return ledger.base + earned - settled - spent;
+    }
+    
+    /**
+     * Merge two ledgers. The same one-time item bought on both devices is only paid for once - the
+     * earliest spend is kept (or the settled one) and the others come back as refunds. Each device's
+     * old spends that both ledgers have are then folded into `settled`. Settled spends can't be
+     * voided, so when keeping one side's spends still leaves the balance short, that side's newest
+     * spends are voided too until it isn't.
+     * @param {Object} local - This device's ledger
+     * @param {Object} cloud - The cloud save's ledger
+     * @param {string} keepSpendsFrom - 'local' or 'cloud' to void the other side's spends (resolving an overspend)
+     * @returns {{ ledger: Object, balance: number, refunds: Array, unpaidItems: Array }} unpaidItems are
+     *          one-time items whose every spend was voided, so they're no longer owned
+     */
+    static mergeLedgers(local, cloud, keepSpendsFrom = null) {
+        const a = UpgradeSystem.normalizeLedger(local);
+        const b = UpgradeSystem.normalizeLedger(cloud);
+        
+        const earned = { ...a.earned };
+        Object.entries(b.earned).forEach(([deviceId, amount]) => {
+            earned[deviceId] = Math.max(earned[deviceId] || 0, amount);
+        });
+        
+        const settled = { ...a.settled };
+        Object.entries(b.settled).forEach(([deviceId, total]) => {
+            if (!settled[deviceId] || total.through > settled[deviceId].through) settled[deviceId] = total;
+        });
+        const settledItems = new Set([...a.settledItems, ...b.settledItems]);
+        // Copies of spends already folded into `settled`, e.g. from a device that hasn't synced since
+        const isSettled = spend => {
+            const total = settled[UpgradeSystem.getSpendDevice(spend.id)];
+            return !!total && spend.at <= total.through;
+        };
+        
+        const voided = new Set([...a.voided, ...b.voided]);
+        if (keepSpendsFrom) {
+            const kept = new Set((keepSpendsFrom === 'local' ? a : b).spends.map(spend => spend.id));
+            [...a.spends, ...b.spends].forEach(spend => {
+                if (!kept.has(spend.id) && !isSettled(spend)) voided.add(spend.id);
+            });
+        }
+        
+        const spendsById = new Map();
+        const voidedItems = new Set();
+        [...a.spends, ...b.spends].forEach(spend => {
+            if (voided.has(spend.id)) {
+                if (spend.item) voidedItems.add(spend.item);
+                return;
+            }
+            if (!isSettled(spend)) spendsById.set(spend.id, spend);
+        });
+        
+        const spends = [];
+        const refunds = [];
+        const paidItems = new Set(settledItems);
+        Array.from(spendsById.values())
+            .sort((x, y) => x.at - y.at || (x.id < y.id ? -1 : 1))
+            .forEach(spend => {
+                if (spend.item && paidItems.has(spend.item)) {
+                    refunds.push(spend);
+                    return;
+                }
+                if (spend.item) paidItems.add(spend.item);
+                spends.push(spend);
+            });
+        
+        const cloudSpendIds = new Set(b.spends.map(spend => spend.id));
+        const sharedSpendIds = new Set(a.spends.filter(spend => cloudSpendIds.has(spend.id)).map(spend => spend.id));
+        const settledSpendIds = UpgradeSystem.settleSharedSpends(spends, sharedSpendIds, settled, settledItems, Date.now() - PACKET_LEDGER.SETTLE_AFTER);
+        
+        const ledger = {
+            base: Math.max(a.base, b.base),
+            earned: earned,
+            spends: spends.filter(spend => !settledSpendIds.has(spend.id)),
+            settled: settled,
+            settledItems: Array.from(settledItems),
+            voided: Array.from(voided)
+        };
+        const balance = UpgradeSystem.getLedgerBalance(ledger);
+        if (keepSpendsFrom && balance < 0 && ledger.spends.length > 0) {
+            const newest = ledger.spends[ledger.spends.length - 1];
+            return UpgradeSystem.mergeLedgers({ ...a, voided: [...a.voided, newest.id] }, b, keepSpendsFrom);
+        }
+        return {
+            ledger: ledger,
+            balance: balance,
+            refunds: refunds,
+            unpaidItems: Array.from(voidedItems).filter(item => !paidItems.has(item))
+        };
+    }
+    
+    /**
+     * Fold each device's oldest spends into `settled` (and their items into `settledItems`), up to
+     * the first one that isn't in `sharedSpendIds` - a device that hasn't seen it yet could still
+     * send it, and it must not fall at or before `through` - or was made after `before`
+     * @param {Array} spends - The merged spends, oldest first
+     * @returns {Set} - Ids of the spends folded in
+     */
+    static settleSharedSpends(spends, sharedSpendIds, settled, settledItems, before) {
+        const spendsByDevice = new Map();
+        spends.forEach(spend => {
+            const deviceId = UpgradeSystem.getSpendDevice(spend.id);
+            spendsByDevice.set(deviceId, [...(spendsByDevice.get(deviceId) || []), spend]);
+        });
+        
+        const settledSpendIds = new Set();
+        spendsByDevice.forEach((deviceSpends, deviceId) => {
+            let count = 0;
+            while (count < deviceSpends.length && sharedSpendIds.has(deviceSpends[count].id) && deviceSpends[count].at <= before) count++;
+            // `through` is a time, so spends made in the same ms are settled together or not at all
+            while (count > 0 && count < deviceSpends.length && deviceSpends[count].at === deviceSpends[count - 1].at) count--;
+            if (count === 0) return;
+            
+            const folded = deviceSpends.slice(0, count);
+            settled[deviceId] = {
+                amount: (settled[deviceId] ? settled[deviceId].amount : 0) + folded.reduce((sum, spend) => sum + spend.amount, 0),
+                through: folded[count - 1].at
+            };
+            folded.forEach(spend => {
+                settledSpendIds.add(spend.id);
+                if (spend.item) settledItems.add(spend.item);
+            });
+        });
+        return settledSpendIds;
+    }
 }
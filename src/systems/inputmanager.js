@@ -2,6 +2,11 @@
  * Input Manager - Centralized input handling
  */
 
+import { GAMEPAD } from '../utils/constants.js';
+
+// Gamepad actions that only fire callbacks (the rest also hold a key)
+const GAMEPAD_MENU_ACTIONS = ['pause', 'confirm', 'skip', 'home', 'shop'];
+
 export class InputManager {
     constructor() {
         this.keys = {
@@ -34,11 +39,27 @@ export class InputManager {
             shopScrollUp: null,
             shopScrollDown: null,
             achievementsScrollUp: null,
-            achievementsScrollDown: null
+            achievementsScrollDown: null,
+            leaderboardView: null,
+            pageUp: null,
+            pageDown: null
         };
         
         // Add reference to check for text input mode
         this.isNameInputActive = null;
+        this.isGameplayActive = null;
+        this.keyCaptureHandler = null; // Settings "press a key" flow gets keys before any action
+
+        // Gamepad state, polled every frame and merged into getKeys()
+        this.gamepadKeys = { left: false, right: false, up: false, down: false, space: false, shift: false };
+        this.gamepadBindings = { ...GAMEPAD.DEFAULT_BINDINGS };
+        this.gamepadDeadZone = GAMEPAD.DEFAULT_DEAD_ZONE;
+        this.gamepadIndex = null;
+        this.previousButtons = [];
+        this.buttonCapture = null; // { callback, startedAt } while waiting for a button to bind
+
+        // Buttons held on the touch overlay (set by TouchControlsSystem)
+        this.touchKeys = { left: false, right: false, space: false, shift: false };
         
         this.setupEventListeners();
     }
@@ -50,6 +71,23 @@ export class InputManager {
         this.isNameInputActive = checker;
     }
 
+    /**
+     * Set a function to check if a run is being played - menu-only actions are ignored then
+     * (keyboard actions with the 'menu' context, and gamepad confirm/skip/shop, which share
+     * buttons with jump and dash)
+     */
+    setGameplayChecker(checker) {
+        this.isGameplayActive = checker;
+    }
+
+    /**
+     * Set a function that can swallow a keydown before it is turned into actions
+     * @param {Function} handler - Receives the KeyboardEvent, returns true if it used it
+     */
+    setKeyCaptureHandler(handler) {
+        this.keyCaptureHandler = handler;
+    }
+
     /**
      * Check if user is currently typing in any input field
      */
@@ -65,6 +103,18 @@ export class InputManager {
     setupEventListeners() {
         document.addEventListener('keydown', (e) => this.handleKeyDown(e));
         document.addEventListener('keyup', (e) => this.handleKeyUp(e));
+
+        window.addEventListener('gamepadconnected', (e) => {
+            console.log(`🎮 Gamepad connected: ${e.gamepad.id}`);
+            if (this.gamepadIndex === null) this.gamepadIndex = e.gamepad.index;
+        });
+        window.addEventListener('gamepaddisconnected', (e) => {
+            console.log(`🎮 Gamepad disconnected: ${e.gamepad.id}`);
+            if (this.gamepadIndex === e.gamepad.index) {
+                this.gamepadIndex = null;
+                this.clearGamepadInputs();
+            }
+        });
         
         // Handle text input for name entry
         document.addEventListener('keypress', (e) => this.handleKeyPress(e));        // Prevent default behavior for game keys, but not when in name input mode
@@ -110,8 +160,18 @@ export class InputManager {
         const isInNameInput = this.isNameInputActive && this.isNameInputActive();
         const isTypingInField = this.isTypingInInputField();
         
-        // Get actions for this key from keybind manager
-        const actions = window.keybindManager ? window.keybindManager.getActionsForKey(e.code) : [];
+        // A key being captured for rebinding doesn't do anything else
+        if (this.keyCaptureHandler && this.keyCaptureHandler(e)) {
+            e.preventDefault();
+            return;
+        }
+        
+        // Get actions for this key from keybind manager, minus menu actions during a run
+        const keybindManager = window.keybindManager;
+        const inGameplay = this.isGameplayActive && this.isGameplayActive();
+        const actions = keybindManager
+            ? keybindManager.getActionsForKey(e.code).filter(action => !(inGameplay && keybindManager.getContext(action) === 'menu'))
+            : [];
         
         // DEBUG: Log key detection for movement keys
         if (['ArrowLeft', 'ArrowRight', 'ArrowUp', 'ArrowDown', 'Space'].includes(e.code)) {
@@ -152,7 +212,7 @@ export class InputManager {
         }
         
         // IMPROVED FALLBACK: Always handle basic movement keys if keybind manager fails
-        if (!isInNameInput && !isTypingInField && actions.length === 0) {
+        if (!isInNameInput && !isTypingInField && !keybindManager) {
             // Enhanced fallback handling for movement keys
             switch (e.code) {
                 case 'ArrowLeft':
@@ -237,6 +297,15 @@ export class InputManager {
             if (actions.includes('deleteEntry') && this.callbacks.deleteEntry) {
                 this.callbacks.deleteEntry();
             }
+            if (actions.includes('leaderboardView') && this.callbacks.leaderboardView) {
+                this.callbacks.leaderboardView();
+            }
+            if (actions.includes('pageUp') && this.callbacks.pageUp) {
+                this.callbacks.pageUp();
+            }
+            if (actions.includes('pageDown') && this.callbacks.pageDown) {
+                this.callbacks.pageDown();
+            }
         }        if (actions.includes('skip') && this.callbacks.skip) {
             this.callbacks.skip();
         }
@@ -245,7 +314,7 @@ export class InputManager {
         }
         
         // FALLBACK: Handle Escape and Home keys directly if keybind manager fails
-        if (!isInNameInput && !isTypingInField && actions.length === 0) {
+        if (!isInNameInput && !isTypingInField && !keybindManager) {
             if (e.code === 'Escape' && this.callbacks.skip) {
                 this.callbacks.skip();
             } else if (e.code === 'Home' && this.callbacks.home) {
@@ -295,7 +364,7 @@ export class InputManager {
         }
         
         // FALLBACK: Handle key releases if keybind manager fails
-        if (actions.length === 0) {
+        if (!window.keybindManager) {
             switch (e.code) {
                 case 'ArrowLeft':
                 case 'KeyA':
@@ -332,7 +401,22 @@ export class InputManager {
     }
     
     getKeys() {
-        return { ...this.keys };
+        const keys = { ...this.keys };
+        [this.gamepadKeys, this.touchKeys].forEach(source => {
+            Object.keys(source).forEach(key => {
+                keys[key] = keys[key] || source[key];
+            });
+        });
+        return keys;
+    }
+
+    /**
+     * @param {Object} keys - Held touch buttons, e.g. { left, right, space, shift }
+     */
+    setTouchKeys(keys) {
+        Object.keys(this.touchKeys).forEach(key => {
+            this.touchKeys[key] = !!keys[key];
+        });
     }
 
     /**
@@ -342,5 +426,145 @@ export class InputManager {
         Object.keys(this.keys).forEach(key => {
             this.keys[key] = false;
         });
+        this.clearGamepadInputs();
+        this.setTouchKeys({});
+    }
+
+    // ===========================================
+    // Gamepad
+    // ===========================================
+
+    getGamepad() {
+        if (typeof navigator === 'undefined' || !navigator.getGamepads) return null;
+        const pads = navigator.getGamepads();
+        if (this.gamepadIndex !== null && pads[this.gamepadIndex]) {
+            return pads[this.gamepadIndex];
+        }
+        // Some browsers skip gamepadconnected for pads plugged in before the page loaded
+        const pad = Array.from(pads).find(candidate => candidate && candidate.connected);
+        if (pad) this.gamepadIndex = pad.index;
+        return pad || null;
+    }
+
+    isGamepadConnected() {
+        return !!this.getGamepad();
+    }
+
+    /**
+     * Read the gamepad into gamepadKeys and fire callbacks for newly pressed buttons.
+     * Called once per frame from GameLoop.update - the Gamepad API has no events for buttons.
+     */
+    pollGamepads() {
+        const pad = this.getGamepad();
+        if (!pad) return;
+
+        const pressed = pad.buttons.map(button => button.pressed || button.value > 0.5);
+        const justPressed = index => pressed[index] && !this.previousButtons[index];
+
+        if (this.buttonCapture) {
+            this.updateButtonCapture(pressed, justPressed);
+            this.previousButtons = pressed;
+            return;
+        }
+
+        const isInNameInput = this.isNameInputActive && this.isNameInputActive();
+        if (isInNameInput) {
+            this.clearGamepadInputs();
+            this.previousButtons = pressed;
+            return;
+        }
+
+        const stick = this.getStickDirection(pad.axes[0] || 0, pad.axes[1] || 0);
+        const wasUp = this.gamepadKeys.up;
+        const wasDown = this.gamepadKeys.down;
+
+        this.gamepadKeys.left = !!pressed[GAMEPAD.DPAD.left] || stick.left;
+        this.gamepadKeys.right = !!pressed[GAMEPAD.DPAD.right] || stick.right;
+        this.gamepadKeys.up = !!pressed[GAMEPAD.DPAD.up] || stick.up;
+        this.gamepadKeys.down = !!pressed[GAMEPAD.DPAD.down] || stick.down;
+        this.gamepadKeys.space = !!pressed[this.gamepadBindings.space];
+        this.gamepadKeys.shift = !!pressed[this.gamepadBindings.shift];
+
+        // Scroll lists like the arrow keys do
+        if (this.gamepadKeys.up && !wasUp && this.callbacks.shopScrollUp) this.callbacks.shopScrollUp();
+        if (this.gamepadKeys.down && !wasDown && this.callbacks.shopScrollDown) this.callbacks.shopScrollDown();
+
+        const inGameplay = this.isGameplayActive && this.isGameplayActive();
+        GAMEPAD_MENU_ACTIONS.forEach(action => {
+            if (inGameplay && (action === 'confirm' || action === 'skip' || action === 'shop')) return;
+            if (justPressed(this.gamepadBindings[action]) && this.callbacks[action]) {
+                this.callbacks[action]();
+            }
+        });
+
+        this.previousButtons = pressed;
+    }
+
+    /**
+     * Radial dead zone - small stick drift near the centre is ignored in every direction
+     */
+    getStickDirection(x, y) {
+        const magnitude = Math.hypot(x, y);
+        if (magnitude < this.gamepadDeadZone) {
+            return { left: false, right: false, up: false, down: false };
+        }
+        return {
+            left: x < -this.gamepadDeadZone,
+            right: x > this.gamepadDeadZone,
+            up: y < -this.gamepadDeadZone,
+            down: y > this.gamepadDeadZone
+        };
+    }
+
+    clearGamepadInputs() {
+        Object.keys(this.gamepadKeys).forEach(key => {
+            this.gamepadKeys[key] = false;
+        });
+    }
+
+    setGamepadDeadZone(deadZone) {
+        this.gamepadDeadZone = Math.min(0.9, Math.max(0, deadZone));
+    }
+
+    /**
+     * @param {Object} bindings - Action ('space', 'shift', 'pause', ...) -> button index
+     */
+    setGamepadBindings(bindings) {
+        this.gamepadBindings = { ...GAMEPAD.DEFAULT_BINDINGS, ...bindings };
+    }
+
+    /**
+     * Wait for the next gamepad button press - used by the settings "press a button to bind" flow
+     * @param {Function} callback - Called with the button index, or null if nothing was pressed in time
+     */
+    captureGamepadButton(callback) {
+        this.clearGamepadInputs();
+        this.buttonCapture = { callback: callback, startedAt: Date.now() };
+    }
+
+    cancelGamepadCapture() {
+        if (!this.buttonCapture) return;
+        const { callback } = this.buttonCapture;
+        this.buttonCapture = null;
+        callback(null);
+    }
+
+    isCapturingGamepadButton() {
+        return !!this.buttonCapture;
+    }
+
+    updateButtonCapture(pressed, justPressed) {
+        const index = pressed.findIndex((isPressed, buttonIndex) => isPressed && justPressed(buttonIndex));
+        if (index !== -1) {
+            const { callback } = this.buttonCapture;
+            this.buttonCapture = null;
+            callback(index);
+        } else if (Date.now() - this.buttonCapture.startedAt > GAMEPAD.CAPTURE_TIMEOUT) {
+            this.cancelGamepadCapture();
+        }
+    }
+
+    static getButtonName(index) {
+        return GAMEPAD.BUTTON_NAMES[index] || `Button ${index}`;
     }
 }
@@ -0,0 +1,88 @@
+/**
+ * Seeded Random - Deterministic pseudo-random number generator (mulberry32)
+ */
+
+export class SeededRandom {
+    constructor(seed = SeededRandom.generateSeed()) {
+        this.seed = SeededRandom.normalizeSeed(seed);
+        this.state = this.seed;
+    }
+
+    /**
+     * Create a fresh random seed for a new run
+     */
+    static generateSeed() {
+        return Math.floor(Math.random() * 0xFFFFFFFF) >>> 0;
+    }
+
+    /**
+     * Convert a number or string into an unsigned 32-bit seed
+     */
+    static normalizeSeed(seed) {
+        if (typeof seed === 'number' && isFinite(seed)) {
+            return Math.floor(Math.abs(seed)) >>> 0;
+        }
+
+        // Hash strings (and anything else) with FNV-1a so "daily-2025-06-01" style seeds work
+        const text = String(seed);
+        let hash = 0x811C9DC5;
+        for (let i = 0; i < text.length; i++) {
+            hash ^= text.charCodeAt(i);
+            hash = Math.imul(hash, 0x01000193);
+        }
+        return hash >>> 0;
+    }
+
+    /**
+     * Derive an independent seed from a base seed and an integer key (e.g. a chunk index)
+     */
+    static deriveSeed(baseSeed, key) {
+        let hash = (SeededRandom.normalizeSeed(baseSeed) ^ Math.imul(key | 0, 0x9E3779B1)) >>> 0;
+        hash = Math.imul(hash ^ (hash >>> 16), 0x85EBCA6B);
+        hash = Math.imul(hash ^ (hash >>> 13), 0xC2B2AE35);
+        return (hash ^ (hash >>> 16)) >>> 0;
+    }
+
+    /**
+     * Get the next float in [0, 1) - drop-in replacement for Math.random()
+     */
+    next() {
+        this.state = (this.state + 0x6D2B79F5) >>> 0;
+        let t = this.state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    }
+
+    /**
+     * Get a float in [min, max)
+     */
+    range(min, max) {
+        return min + this.next() * (max - min);
+    }
+
+    /**
+     * Get an integer in [min, max]
+     */
+    int(min, max) {
+        return min + Math.floor(this.next() * (max - min + 1));
+    }
+
+    /**
+     * Return true with the given probability (0-1)
+     */
+    chance(probability) {
+        return this.next() < probability;
+    }
+
+    /**
+     * Snapshot the generator position so it can be restored later
+     */
+    getState() {
+        return this.state;
+    }
+
+    setState(state) {
+        this.state = state >>> 0;
+    }
+}
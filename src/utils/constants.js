@@ -44,6 +44,11 @@ export const GAME_CONFIG = {
     DEFAULT_FRAME_TIME: 16.67,
     CACHE_CLEANUP_INTERVAL: 5000,
     
+    // Simulation timing - gameplay runs in fixed steps, rendering interpolates between them
+    SIMULATION_STEP: 1000 / 120, // ms per simulation step (120Hz)
+    MAX_SIMULATION_STEPS: 30, // Steps per frame before the backlog is dropped (covers MAX_FRAME_TIME)
+    MAX_FRAME_TIME: 250, // Longest real frame we try to catch up on (throttled/background tabs)
+    
     // UI constants
     TOAST_DURATION: 3000,
     INVULNERABILITY_FLASH_INTERVAL: 100,
@@ -93,7 +98,16 @@ export const GAME_CONFIG = {
     CRUSHER_CHANCE: 12, // Increased from 4 to 12 to make crushers spawn 3x more often// Obstacle parameters
     SAW_ROTATION_SPEED: 1,       // Rotations per second (reduced from 5 for visibility)
     LASER_INTERVAL: 2000,        // Milliseconds between firing
-    CRUSHER_CYCLE_TIME: 4000     // Milliseconds for full crusher cycle
+    CRUSHER_CYCLE_TIME: 4000,    // Milliseconds for full crusher cycle
+    
+    // Kinematic tile parameters
+    MOVING_PLATFORM_CHANCE: 0.2, // Chance a generated platform moves instead
+    MOVING_PLATFORM_PERIOD: 3000, // Milliseconds for a full back-and-forth trip
+    CONVEYOR_CHANCE: 0.15,       // Chance per chunk of a conveyor strip on the ground
+    CONVEYOR_SPEED: 70,          // Pixels per second a conveyor carries the player
+    CRUMBLING_PLATFORM_CHANCE: 0.15, // Chance a generated platform crumbles
+    CRUMBLE_DELAY: 450,          // Milliseconds standing on a crumbling platform before it falls
+    CRUMBLE_RESPAWN_TIME: 4000   // Milliseconds before a fallen platform reappears
 };
 
 export const TILE_TYPES = {
@@ -106,7 +120,11 @@ export const TILE_TYPES = {
     DATA_PACKET: 6,
     SAW: 7,
     LASER: 8,
-    CRUSHER: 9
+    CRUSHER: 9,
+    MOVING_PLATFORM: 10, // Rides along a path - lives in chunk.movingPlatforms, not the tile grid
+    CONVEYOR_LEFT: 11,
+    CONVEYOR_RIGHT: 12,
+    CRUMBLING_PLATFORM: 13
 };
 
 export const GAME_STATES = {
@@ -181,6 +199,171 @@ export const DIFFICULTY_LEVELS = {
     }
 };
 
+// Daily Run - everyone plays the same seeded course with the same loadout each (UTC) day
+export const DAILY_CHALLENGE = {
+    KEY: 'DAILY',
+    name: 'Daily Run',
+    emoji: '📅',
+    description: 'Same course for everyone today',
+    color: '#a855f7',
+    difficulty: 'MEDIUM',
+    loadout: ['double-jump', 'dash', 'health-upgrade', 'firewall-shield']
+};
+
+// Deletion wave - corruption wall that chases the player from the left edge of the world
+export const DELETION_WAVE = {
+    START_X: -480, // Starts off-screen behind the spawn point
+    GRACE_TIME: 4000, // ms before the wave starts moving
+    BASE_SPEED_RATIO: 0.85, // Fraction of MOVE_SPEED at difficulty 1
+    SPEED_PER_DIFFICULTY: 0.04, // Extra fraction of MOVE_SPEED per point of WorldGenerator.difficulty
+    MAX_SPEED_RATIO: 0.97, // Always slightly slower than a clean run
+    MAX_LAG: 900, // Never trails the player by more than this many pixels
+    WARNING_TIME: 3 // Seconds-to-contact at which the screen starts to corrupt
+};
+
+export const ALLY_DRONE = {
+    FOLLOW_OFFSET_X: -34, // Hovers behind the player (flipped with facing direction)
+    FOLLOW_OFFSET_Y: -30,
+    FOLLOW_SPEED: 8, // Fraction of the distance to the target closed per second
+    COLLECT_INTERVAL: 250, // ms between packet sweeps
+    TRAIL_LENGTH: 10,
+    SIZE: 14,
+    // Per-level collection radius (pixels) and hit-absorb recharge (ms of simulated time)
+    LEVELS: {
+        1: { collectRadius: 48, absorbCooldown: 40000 },
+        2: { collectRadius: 80, absorbCooldown: 30000 },
+        3: { collectRadius: 112, absorbCooldown: 20000 }
+    }
+};
+
+export const REWIND = {
+    SNAPSHOT_INTERVAL: 100, // ms of simulated time between snapshots
+    BUFFER_TIME: 3000, // How far back a rewind goes
+    COOLDOWN: 45000, // ms of simulated time before the next rewind
+    PLAYBACK_TIME: 700, // ms spent playing the buffer backwards before the snap
+    MIN_HEALTH: 1 // Health restored at least to this after a rewind
+};
+
+export const SECOND_CHANCE = {
+    PROMPT_TIME: 1500, // ms of the slow-motion prompt before the respawn
+    SKIP_AFTER: 400, // ms before jump can skip the rest of the prompt
+    TIME_SCALE: 0.2, // Speed the world keeps moving at during the prompt
+    SEARCH_TILES: 24, // How many tiles back to look for safe ground
+    WAVE_PUSHBACK: 480, // Pixels the deletion wave is pushed behind the respawn point
+    REVIVE_HEALTH: 1
+};
+
+export const COMBO = {
+    MAX_MULTIPLIER: 5,
+    CHAIN_WINDOW: 1500, // ms between packet pickups for them to count as a chain
+    PACKET_GAIN: 0.1, // Multiplier gained per chained packet
+    PACKET_POINTS: 10, // Packet score bonus the multiplier is applied to
+    NEAR_MISS_GAIN: 0.25,
+    NEAR_MISS_POINTS: 25,
+    NO_DAMAGE_INTERVAL: 10000, // ms without taking damage per no-damage gain
+    NO_DAMAGE_GAIN: 0.2,
+    DECAY_DELAY: 5000, // ms without a gain before the multiplier starts to drain
+    DECAY_RATE: 0.1, // Multiplier lost per second while draining
+    STREAK_SAVER_RECHARGE: 30000 // ms before Streak Saver can save the combo again
+};
+
+export const GHOST = {
+    SAMPLE_INTERVAL: 100, // ms of simulated time between trace samples
+    MAX_SAMPLES: 6000, // 10 minutes of trace - the ghost stops where its trace ends
+    ALPHA: 0.35
+};
+
+// Cloud save packet ledger - see UpgradeSystem.createLedger
+export const PACKET_LEDGER = {
+    // ms before a spend both saves have is folded into the settled totals - until then resolving an
+    // overspend from a device that hadn't seen it can still undo it
+    SETTLE_AFTER: 30 * 24 * 60 * 60 * 1000
+};
+
+// Leaderboard run proofs - re-simulated by RunVerifier before a score is accepted
+export const RUN_VERIFICATION = {
+    MAX_STEPS: 120 * 60 * 30, // 30 minutes at the 120Hz simulation step
+    MIN_VIEWPORT: 200,
+    MAX_VIEWPORT: 8192,
+    TIMEOUT: 60000 // ms the verification service gives one run before rejecting it
+};
+
+// Leaderboard screen views - 'week' and 'today' only rank records set in that (UTC) window
+export const LEADERBOARD_VIEWS = {
+    VIEWS: ['top', 'around', 'week', 'today', 'friends'],
+    DAILY_VIEWS: ['top', 'around', 'friends'], // A Daily Run board only ever holds one day
+    PAGE_SIZE: 10,
+    AROUND_RANGE: 5, // Entries either side of the player's rank
+    MAX_FOLLOWED: 50
+};
+
+export const NEAR_MISS = {
+    SAW_MARGIN: 8, // Pixels between the player and a saw tile
+    CRUSHER_MARGIN: 16, // Pixels between the player and a descending crusher block
+    SPIKE_MARGIN: 12, // Pixels of clearance when jumping over spikes
+    COOLDOWN: 1000 // ms before the same hazard tile can count again
+};
+
+export const GAMEPAD = {
+    DEFAULT_DEAD_ZONE: 0.25, // Stick deflection ignored around the centre (0-1)
+    CAPTURE_TIMEOUT: 5000, // ms to wait for a button in the bind flow
+    // Standard mapping (https://w3c.github.io/gamepad/#remapping) button indices
+    DEFAULT_BINDINGS: {
+        space: 0, // A / Cross
+        shift: 2, // X / Square
+        pause: 9, // Start / Options
+        confirm: 0,
+        skip: 1, // B / Circle
+        home: 8, // Back / Share
+        shop: 3 // Y / Triangle
+    },
+    DPAD: { up: 12, down: 13, left: 14, right: 15 },
+    BUTTON_NAMES: ['A', 'B', 'X', 'Y', 'LB', 'RB', 'LT', 'RT', 'Back', 'Start', 'LS', 'RS', 'D-Up', 'D-Down', 'D-Left', 'D-Right', 'Guide']
+};
+
+// Rebindable keyboard actions (KeyboardEvent.code values). Context decides when an action can
+// fire and which bindings conflict: 'gameplay' and 'menu' keys may overlap, 'global' keys may not.
+export const KEYBIND_ACTIONS = [
+    { action: 'left', label: 'Move Left', context: 'gameplay', keys: ['ArrowLeft', 'KeyA'] },
+    { action: 'right', label: 'Move Right', context: 'gameplay', keys: ['ArrowRight', 'KeyD'] },
+    { action: 'up', label: 'Jump / Up', context: 'gameplay', keys: ['ArrowUp', 'KeyW'] },
+    { action: 'down', label: 'Drop / Down', context: 'gameplay', keys: ['ArrowDown', 'KeyS'] },
+    { action: 'space', label: 'Jump', context: 'gameplay', keys: ['Space'] },
+    { action: 'shift', label: 'Dash', context: 'gameplay', keys: ['ShiftLeft', 'ShiftRight'] },
+    { action: 'x', label: 'Secondary', context: 'gameplay', keys: ['KeyX'] },
+    { action: 'pause', label: 'Pause', context: 'global', keys: ['KeyP'] },
+    { action: 'skip', label: 'Back / Pause', context: 'global', keys: ['Escape'] },
+    { action: 'home', label: 'Home Screen', context: 'global', keys: ['Home'] },
+    { action: 'fullscreen', label: 'Fullscreen', context: 'global', keys: ['KeyF'] },
+    { action: 'backspace', label: 'Delete Character', context: 'global', keys: ['Backspace'] },
+    { action: 'confirm', label: 'Confirm', context: 'menu', keys: ['Enter'] },
+    { action: 'continue', label: 'Continue', context: 'menu', keys: ['KeyC'] },
+    { action: 'restart', label: 'Restart', context: 'menu', keys: ['KeyR'] },
+    { action: 'shop', label: 'Shop', context: 'menu', keys: ['KeyQ'] },
+    { action: 'leaderboard', label: 'Leaderboard', context: 'menu', keys: ['KeyL'] },
+    { action: 'uploadScore', label: 'Upload Score', context: 'menu', keys: ['KeyE'] },
+    { action: 'changeName', label: 'Change Name', context: 'menu', keys: ['KeyN'] },
+    { action: 'deleteEntry', label: 'Delete Entry', context: 'menu', keys: ['Delete'] },
+    { action: 'leaderboardView', label: 'Leaderboard View', context: 'menu', keys: ['KeyV'] },
+    { action: 'pageUp', label: 'Previous Page', context: 'menu', keys: ['PageUp'] },
+    { action: 'pageDown', label: 'Next Page', context: 'menu', keys: ['PageDown'] },
+    { action: 'tutorial', label: 'Tutorial', context: 'menu', keys: [] },
+    { action: 'togglePerformance', label: 'Performance Stats', context: 'global', keys: [] }
+];
+
+export const TOUCH_CONTROLS = {
+    BUTTON_RADIUS: 44, // Movement pads; jump is drawn a bit bigger, dash a bit smaller
+    MARGIN: 28, // Distance from the canvas edges
+    HIT_SLOP: 1.25, // Touches this many radii from a button centre still count
+    DEFAULT_OPACITY: 0.5
+};
+
+// Language packs in src/lang/ - English is the fallback for keys missing from the others
+export const LANGUAGES = [
+    { code: 'en', name: 'English' },
+    { code: 'es', name: 'Español' }
+];
+
 export const PLAYER_MODES = {
     LIVE: 'live',
     DEBUG: 'debug'
@@ -217,5 +400,117 @@ export const COLORS = {
     
     CRUSHER_BODY: '#64748B',
     CRUSHER_HIGHLIGHT: '#94A3B8',
-    CRUSHER_WARNING: '#EF4444'
+    CRUSHER_WARNING: '#EF4444',
+    
+    // Kinematic tile colors
+    CONVEYOR_ARROW: '#f0b72f',
+    CRUMBLE_CRACK: '#0d1117'
+};
+
+// Multi-chunk biomes - each sets terrain weights, an obstacle mix and a floor/platform palette.
+// Obstacle mix entries multiply the matching getTerrainParameters chance (enemyChance scales enemy spawns).
+export const BIOMES = {
+    MAINFRAME: {
+        name: 'Mainframe',
+        emoji: '🖥️',
+        chunks: { min: 16, max: 20 }, // Roughly the first 1000m
+        terrainWeights: { normal: 30, platformHeavy: 20, hazardous: 15, elevated: 15, valley: 10, chaotic: 10 },
+        obstacleMix: {},
+        palette: {
+            FLOOR_MAIN: COLORS.FLOOR_MAIN,
+            FLOOR_HIGHLIGHT: COLORS.FLOOR_HIGHLIGHT,
+            FLOOR_BORDER: COLORS.FLOOR_BORDER,
+            PLATFORM_BASE: COLORS.PLATFORM_BASE,
+            PLATFORM_HIGHLIGHT: COLORS.PLATFORM_HIGHLIGHT,
+            PLATFORM_DETAILS: COLORS.PLATFORM_DETAILS,
+            PLATFORM_INDICATOR: COLORS.PLATFORM_INDICATOR
+        }
+    },
+    FIREWALL_SECTOR: {
+        name: 'Firewall Sector',
+        emoji: '🔥',
+        chunks: { min: 10, max: 16 },
+        terrainWeights: { normal: 20, platformHeavy: 10, hazardous: 30, elevated: 15, valley: 10, chaotic: 15 },
+        obstacleMix: { laserChance: 1.8, spikeChance: 1.2, sawChance: 0.8, enemyChance: 1.5 },
+        palette: {
+            FLOOR_MAIN: '#2d1515',
+            FLOOR_HIGHLIGHT: '#4a1f1f',
+            FLOOR_BORDER: '#1a0b0b',
+            PLATFORM_BASE: '#c2410c',
+            PLATFORM_HIGHLIGHT: '#ea580c',
+            PLATFORM_DETAILS: '#1f1410',
+            PLATFORM_INDICATOR: '#fb923c'
+        }
+    },
+    CORRUPTED_MEMORY: {
+        name: 'Corrupted Memory',
+        emoji: '👾',
+        chunks: { min: 10, max: 16 },
+        terrainWeights: { normal: 15, platformHeavy: 15, hazardous: 15, elevated: 10, valley: 15, chaotic: 30 },
+        obstacleMix: { gapChance: 1.3, sawChance: 1.2, crusherChance: 0.8 },
+        palette: {
+            FLOOR_MAIN: '#1e1530',
+            FLOOR_HIGHLIGHT: '#2e2148',
+            FLOOR_BORDER: '#120c1e',
+            PLATFORM_BASE: '#7e22ce',
+            PLATFORM_HIGHLIGHT: '#a855f7',
+            PLATFORM_DETAILS: '#1c1426',
+            PLATFORM_INDICATOR: '#c084fc'
+        }
+    },
+    SERVER_FARM: {
+        name: 'Server Farm',
+        emoji: '🗄️',
+        chunks: { min: 10, max: 16 },
+        terrainWeights: { normal: 25, platformHeavy: 35, hazardous: 10, elevated: 15, valley: 10, chaotic: 5 },
+        obstacleMix: { crusherChance: 1.6, spikeChance: 0.8, enemyChance: 1.2 },
+        palette: {
+            FLOOR_MAIN: '#0f1f2e',
+            FLOOR_HIGHLIGHT: '#1b3249',
+            FLOOR_BORDER: '#0a141e',
+            PLATFORM_BASE: '#0369a1',
+            PLATFORM_HIGHLIGHT: '#0ea5e9',
+            PLATFORM_DETAILS: '#0c1620',
+            PLATFORM_INDICATOR: '#38bdf8'
+        }
+    }
+};
+
+// Obstacle mix used for the hand-off chunk between two biomes - a short breather
+export const BIOME_TRANSITION_MIX = { gapChance: 0.5, spikeChance: 0.5, sawChance: 0.5, laserChance: 0.3, crusherChance: 0.3, enemyChance: 0 };
+
+// Enemy entities - live on their own layer above the tile grid and are spawned per chunk
+export const ENEMY_CONFIG = {
+    SPAWN_START_CHUNK: 3, // Keep the opening chunks enemy-free
+    BASE_CHANCE: 0.25, // Chance of an enemy in a chunk at difficulty 1
+    CHANCE_PER_DIFFICULTY: 0.1,
+    MAX_CHANCE: 0.7,
+    MAX_PER_CHUNK: 2,
+    TYPES: {
+        patrolBot: {
+            name: 'firewall bot',
+            width: 26, height: 22,
+            speed: 55, // Pixels per second along its ledge
+            minPatrolTiles: 4,
+            damage: 1, weight: 50, minDifficulty: 1
+        },
+        hoverDrone: {
+            name: 'hover drone',
+            width: 24, height: 18,
+            hoverHeight: 4, // Tiles above the ground when idle
+            trackSpeed: 70, // Vertical pixels per second while tracking the player
+            trackRange: 320, // Horizontal distance at which it locks on
+            damage: 1, weight: 30, minDifficulty: 1.2
+        },
+        turret: {
+            name: 'sentry turret',
+            width: 26, height: 20,
+            range: 420,
+            fireInterval: 2200,
+            projectileSpeed: 170,
+            projectileSize: 8,
+            projectileLifetime: 3000,
+            damage: 1, weight: 20, minDifficulty: 1.4
+        }
+    }
 };
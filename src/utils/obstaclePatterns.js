@@ -0,0 +1,64 @@
+/**
+ * Obstacle Pattern Definitions - Declarative set pieces stamped by WorldGenerator
+ *
+ * Each pattern is described either by a `grid` (rows of characters, top row first,
+ * bottom row sits directly on the ground) or a `stamps` list, or both.
+ *
+ * Grid legend:
+ *   .  leave tile untouched      P  platform      F  floor
+ *   X  spike    S  saw    L  laser    C  crusher    D  data packet
+ *
+ * Stamp entries: { x, y, tile, chance } where y is the height above the ground
+ * (1 = resting on the ground), tile is a TILE_TYPES key and chance (0-1) is optional.
+ *
+ * Other fields:
+ *   weight             - Relative selection weight among eligible patterns
+ *   minGroundClearance - Rows needed above the ground line for the pattern to fit
+ *   terrainTypes       - Terrain types the pattern may appear in (omit for any)
+ *   difficultyBand     - { min, max } range of WorldGenerator.difficulty (omit for any)
+ */
+
+export const PATTERN_TILE_LEGEND = {
+    'P': 'PLATFORM',
+    'F': 'FLOOR',
+    'X': 'SPIKE',
+    'S': 'SAW',
+    'L': 'LASER',
+    'C': 'CRUSHER',
+    'D': 'DATA_PACKET'
+};
+
+export const OBSTACLE_PATTERNS = [
+    {
+        // Series of saws on the ground with platforms above to give the player options
+        id: 'saw-gauntlet',
+        name: 'Saw Gauntlet',
+        weight: 45,
+        minGroundClearance: 4,
+        difficultyBand: { min: 1 },
+        grid: [
+            'PPP...PPP..',
+            '...........',
+            '.S..S..S..S'
+        ],
+        stamps: [
+            // Occasionally an extra saw floats above the gauntlet
+            { x: 4, y: 4, tile: 'SAW', chance: 0.4 }
+        ]
+    },
+    {
+        // Ceiling-mounted crushers with a safe ledge between them
+        id: 'crusher-corridor',
+        name: 'Crusher Corridor',
+        weight: 55,
+        minGroundClearance: 7,
+        difficultyBand: { min: 1 },
+        grid: [
+            'PPPPPP',
+            '.C...C',
+            '......',
+            '..P...',
+            '......'
+        ]
+    }
+];